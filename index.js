@@ -9,7 +9,7 @@ if (process.env.REPL_ID && !require('fs').existsSync('credentials.json')) {
 const { Client, GatewayIntentBits, Partials } = require('discord.js');
 const cron = require('node-cron');
 const time = require('./src/utils/time');
-const googleSheets = require('./services/googleSheets');
+const googleSheets = require('./services/storage');
 const keepAlive = require('./keep_alive');
 const { getUserProfile, updateUserProfile, ensureProfileSheet } = require('./services/userProfile');
 
@@ -32,6 +32,8 @@ const { scheduleAll } = require('./src/scheduler/reminders');
 const { markInteracted, isUnderWatch } = require('./src/reminders/responseWatcher');
 
 const handleMessage = require('./src/router/handleMessage');
+const household = require('./src/auth/household');
+const slashCommands = require('./src/commands/slash');
 
 // Deprecation checks removed - use services/pending.js instead
 
@@ -67,9 +69,6 @@ const USER2_NAME = process.env.USER2_NAME || 'User2';
 const TIMEZONE = process.env.TIMEZONE || 'America/Los_Angeles';
 const ENABLE_REMINDERS = process.env.ENABLE_REMINDERS === 'true';
 
-const PEYTON_ID = process.env.PEYTON_ID || "552563833814646806";
-const LOUIS_ID = process.env.LOUIS_ID || "552563833814646807";
-
 const userGoals = new Map();
 
 const pendingFollowups = new Map();
@@ -116,13 +115,11 @@ function makeDependencies() {
         googleSheets,
         getUserProfile,
         updateUserProfile,
-        PEYTON_ID,
         TIMEZONE,
         CHANNEL_ID,
         USER1_NAME,
         USER2_NAME,
         ENABLE_REMINDERS,
-        LOUIS_ID,
         userGoals,
         pendingFollowups,
         TRIGGER_ITEMS,
@@ -141,6 +138,7 @@ function makeDependencies() {
 
         // Calorie related - explicitly require here
         enqueue: require('./src/jobs/jobsStore').enqueue,
+        cancelUserJobs: require('./src/jobs/jobsStore').cancelUserJobs,
         estimate: require('./src/calories/estimate').estimate,
         getDailyKcalTarget: require('./src/calories/estimate').getDailyKcalTarget,
         calculateDailyTotals: require('./src/calories/estimate').calculateDailyTotals,
@@ -148,6 +146,7 @@ function makeDependencies() {
         deliverNotification: require('./src/notify/channelOrDM').deliverNotification,
         testDMHandshake: require('./src/notify/channelOrDM').testDMHandshake,
         estimateCaloriesForItemAndSides: require('./src/nutrition/estimateCalories').estimateCaloriesForItemAndSides,
+        estimateEntry: require('./src/calories/estimateEntry').estimateEntry,
         getLogSheetNameForUser: googleSheets.getLogSheetNameForUser.bind(googleSheets),
 
         // UX/UI related - explicitly require here
@@ -209,7 +208,14 @@ client.on('ready', async () => {
     
     // Initialize services
     await googleSheets.initialize();
-    startJobRunner();
+    await household.load(googleSheets);
+    if (typeof googleSheets.startSync === 'function') {
+        household.list().forEach(member => googleSheets.trackTab(member.tab));
+        await googleSheets.startSync();
+    }
+    await slashCommands.registerSlashCommands(client);
+    await processOverdueJobs(client);
+    startJobRunner(client);
     digests.registerDigests(client, googleSheets);
     ProactiveScheduler.start(client, { googleSheets, getUserProfile });
     
@@ -238,10 +244,32 @@ client.on('messageCreate', async (message) => {
 });
 
 client.on('interactionCreate', async (interaction) => {
+    if (interaction.isAutocomplete()) {
+        try {
+            await slashCommands.handleAutocomplete(interaction, makeDependencies());
+        } catch (error) {
+            console.error('❌ Error handling autocomplete:', error);
+        }
+        return;
+    }
+
+    if (interaction.isChatInputCommand()) {
+        try {
+            await slashCommands.handleSlashCommand(interaction, makeDependencies());
+        } catch (error) {
+            console.error('❌ Error handling slash command:', error);
+        }
+        return;
+    }
+
     if (interaction.isButton()) {
         try {
             const deps = makeDependencies();
-            await buttonHandlers.handleButtonInteraction(interaction, deps.googleSheets, deps.digests);
+            if (interaction.customId.startsWith('ux:')) {
+                await uxButtons.handleUxButton(interaction, deps);
+                return;
+            }
+            await buttonHandlers.handleButtonInteraction(interaction, deps);
         } catch (error) {
             console.error('❌ Error handling button interaction:', error);
         }
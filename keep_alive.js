@@ -1,6 +1,7 @@
 const express = require('express');
 const crypto = require('crypto');
-const googleSheets = require('./services/googleSheets');
+const googleSheets = require('./services/storage');
+const household = require('./src/auth/household');
 
 const server = express();
 
@@ -94,7 +95,8 @@ server.get('/status', (req, res) => {
  *   "total_kcal": 2150,
  *   "active_kcal": 450,
  *   "basal_kcal": 1700,
- *   "steps": 8234
+ *   "steps": 8234,
+ *   "user_id": "552563833814646806"   (optional: household member, default the first with health enabled)
  * }
  *
  * Headers required:
@@ -132,12 +134,22 @@ server.post('/ingest/health', express.text({ type: '*/*' }), async (req, res) =>
     }
 
     // Extract and validate fields
-    const { date, total_kcal, active_kcal, basal_kcal, steps } = payload;
+    const { date, total_kcal, active_kcal, basal_kcal, steps, user_id } = payload;
     if (!date || total_kcal === undefined) {
         console.log('❌ [HEALTH] Missing required fields (date, total_kcal)');
         return res.status(400).json({ ok: false, error: 'Missing required fields' });
     }
 
+    // Which member's health tab this goes to
+    const member = user_id
+        ? household.getMember(String(user_id))
+        : household.list().find(m => household.getHealthTab(m.userId));
+    const healthTab = member && household.getHealthTab(member.userId);
+    if (!healthTab) {
+        console.log(`❌ [HEALTH] No household member with health enabled${user_id ? ` for ${user_id}` : ''}`);
+        return res.status(404).json({ ok: false, error: 'No member with health ingest enabled' });
+    }
+
     // Log received data
     console.log(`📥 [HEALTH] Verified data for ${date}: ${total_kcal} kcal, ${steps ?? 'N/A'} steps`);
 
@@ -147,8 +159,8 @@ server.post('/ingest/health', express.text({ type: '*/*' }), async (req, res) =>
             await googleSheets.initialize();
         }
 
-        // Write to Health_Peyton tab
-        await googleSheets.appendRowToSheet('Health_Peyton', {
+        // Write to the member's health tab
+        await googleSheets.appendRowToSheet(healthTab, {
             Date: date,
             Total_kcal: total_kcal,
             Active_kcal: active_kcal ?? '',
@@ -157,12 +169,12 @@ server.post('/ingest/health', express.text({ type: '*/*' }), async (req, res) =>
             Source: 'shortcut'
         });
 
-        console.log(`✅ [HEALTH] Logged to Health_Peyton: ${date}`);
+        console.log(`✅ [HEALTH] Logged to ${healthTab}: ${date}`);
 
         // Invalidate cache (Phase 5 integration)
         try {
             const { invalidate } = require('./services/sheetsCache');
-            invalidate('Health_Peyton:');
+            invalidate(`${healthTab}:`);
             invalidate('health:');
         } catch (e) {
             // Cache not available, ignore
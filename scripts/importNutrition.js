@@ -0,0 +1,295 @@
+/**
+ * Nutrition Database Importer
+ * Builds the offline food table (src/nutrition/foodDatabase.js) from a USDA
+ * FoodData Central download, either the CSV folder or a JSON file:
+ *
+ *   node scripts/importNutrition.js ~/Downloads/FoodData_Central_sr_legacy_food_csv_2018-04
+ *   node scripts/importNutrition.js FoodData_Central_foundation_food_json.json [--out .data/nutrition.json]
+ *   node scripts/importNutrition.js <csv folder> --types foundation_food,sr_legacy_food,survey_fndds_food
+ *
+ * Only energy, protein, carbs, fat, fiber, sugar, sugar alcohols and sodium
+ * are kept, per 100 g, along with each food's standard portions. CSV files are streamed
+ * line by line, so the full multi-GB download imports without loading
+ * food_nutrient.csv into memory. Branded foods are skipped unless asked for.
+ * Re-run to refresh; the bot reads the table on its next start.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const foodDatabase = require('../src/nutrition/foodDatabase');
+
+const DEFAULT_TYPES = ['foundation_food', 'sr_legacy_food', 'survey_fndds_food'];
+
+// FDC nutrient id -> table field, best source first (Foundation foods only report Atwater energy)
+const NUTRIENT_FIELDS = [
+    [1008, 'kcal'],
+    [2048, 'kcal'],
+    [2047, 'kcal'],
+    [1003, 'protein'],
+    [1005, 'carbs'],
+    [1004, 'fat'],
+    [1079, 'fiber'],
+    [2000, 'sugar'],
+    [1063, 'sugar'],
+    [1086, 'sugarAlcohols'],
+    [1093, 'sodium']
+];
+const NUTRIENT_IDS = new Set(NUTRIENT_FIELDS.map(([id]) => id));
+
+// JSON dumps name their food list after the data type
+const JSON_LISTS = {
+    FoundationFoods: 'foundation_food',
+    SRLegacyFoods: 'sr_legacy_food',
+    SurveyFoods: 'survey_fndds_food',
+    BrandedFoods: 'branded_food'
+};
+
+/**
+ * Split one CSV line into fields (quoted fields may contain commas and "")
+ * @param {string} line - CSV line
+ * @returns {string[]}
+ */
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * Stream a CSV file's rows as objects keyed by header
+ * @param {string} filePath - CSV file
+ * @param {Function} onRow - Called with each row object
+ * @returns {Promise<void>}
+ */
+async function eachCsvRow(filePath, onRow) {
+    if (!fs.existsSync(filePath)) return;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+    let header = null;
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        const fields = parseCsvLine(line);
+        if (!header) {
+            header = fields.map(h => h.replace(/^\uFEFF/, ''));
+            continue;
+        }
+        const row = {};
+        header.forEach((key, i) => { row[key] = fields[i]; });
+        onRow(row);
+    }
+}
+
+/**
+ * Per-100 g values from a food's raw nutrient amounts
+ * @param {Object} amounts - FDC nutrient id -> amount
+ * @returns {Object} - { kcal, protein, carbs, fat, fiber, sugar, sugarAlcohols, sodium } (missing ones left out)
+ */
+function per100gOf(amounts) {
+    const per100g = {};
+    for (const [id, field] of NUTRIENT_FIELDS) {
+        if (per100g[field] === undefined && Number.isFinite(amounts[id])) per100g[field] = amounts[id];
+    }
+    return per100g;
+}
+
+/**
+ * Portion entry, or null if it has no weight
+ * @param {number} amount - How many units ("1", "0.5")
+ * @param {string} unit - Unit name ("cup", "large"); taken from the label if empty
+ * @param {string} label - Full description ("1 cup, chopped")
+ * @param {number} grams - Gram weight of the portion
+ * @returns {Object|null}
+ */
+function portionOf(amount, unit, label, grams) {
+    if (!(grams > 0)) return null;
+    const text = label.replace(/\s+/g, ' ').trim() || `${grams} g`;
+    return {
+        amount: amount > 0 ? amount : 1,
+        unit: unit || text.replace(/^[\d./\s]+/, '').split(/[ ,(]/)[0] || null,
+        label: text,
+        grams: Math.round(grams * 10) / 10
+    };
+}
+
+/**
+ * Table food from collected parts; foods without energy are dropped
+ * @param {Object} food - { id, name, dataType, amounts, portions }
+ * @returns {Object|null}
+ */
+function finishFood({ amounts, ...food }) {
+    food.per100g = per100gOf(amounts);
+    if (!food.name || !(food.per100g.kcal >= 0)) return null;
+    return food;
+}
+
+/**
+ * Import a FoodData Central CSV folder
+ * @param {string} dir - Folder with food.csv, food_nutrient.csv, food_portion.csv, measure_unit.csv
+ * @param {Object} options - { types: string[] }
+ * @returns {Promise<Array<Object>>} - Table foods
+ */
+async function importFdcCsv(dir, { types = DEFAULT_TYPES } = {}) {
+    const foods = new Map();
+    await eachCsvRow(path.join(dir, 'food.csv'), (row) => {
+        if (!types.includes(row.data_type)) return;
+        foods.set(row.fdc_id, { id: Number(row.fdc_id), name: row.description, dataType: row.data_type, amounts: {}, portions: [] });
+    });
+    if (!foods.size) throw new Error(`No ${types.join('/')} foods in ${path.join(dir, 'food.csv')}`);
+
+    await eachCsvRow(path.join(dir, 'food_nutrient.csv'), (row) => {
+        const food = foods.get(row.fdc_id);
+        const id = Number(row.nutrient_id);
+        if (food && NUTRIENT_IDS.has(id) && row.amount !== '') food.amounts[id] = Number(row.amount);
+    });
+
+    const units = new Map();
+    await eachCsvRow(path.join(dir, 'measure_unit.csv'), (row) => units.set(row.id, row.name));
+
+    const portionRows = [];
+    await eachCsvRow(path.join(dir, 'food_portion.csv'), (row) => {
+        if (foods.has(row.fdc_id)) portionRows.push(row);
+    });
+    portionRows.sort((a, b) => Number(a.seq_num || 0) - Number(b.seq_num || 0));
+    for (const row of portionRows) {
+        const unit = units.get(row.measure_unit_id);
+        const named = unit && unit !== 'undetermined' ? unit : '';
+        const amount = Number(row.amount) || 1;
+        const label = row.portion_description || `${amount} ${named} ${row.modifier || ''}`.replace(/ ,/g, ',');
+        const portion = portionOf(amount, named, label, Number(row.gram_weight));
+        if (portion) foods.get(row.fdc_id).portions.push(portion);
+    }
+
+    return [...foods.values()].map(finishFood).filter(Boolean);
+}
+
+/**
+ * Import a FoodData Central JSON download
+ * @param {Object} data - Parsed JSON ({ SRLegacyFoods: [...] } etc.)
+ * @param {Object} options - { types: string[] }
+ * @returns {Array<Object>} - Table foods
+ */
+function importFdcJson(data, { types = DEFAULT_TYPES } = {}) {
+    const foods = [];
+    for (const [list, dataType] of Object.entries(JSON_LISTS)) {
+        if (!Array.isArray(data[list]) || !types.includes(dataType)) continue;
+
+        for (const item of data[list]) {
+            const amounts = {};
+            for (const entry of item.foodNutrients || []) {
+                if (NUTRIENT_IDS.has(entry.nutrient?.id)) amounts[entry.nutrient.id] = entry.amount;
+            }
+
+            const portions = (item.foodPortions || [])
+                .slice()
+                .sort((a, b) => (a.sequenceNumber || 0) - (b.sequenceNumber || 0))
+                .map((p) => {
+                    const unit = p.measureUnit?.name && p.measureUnit.name !== 'undetermined' ? p.measureUnit.name : '';
+                    const amount = p.amount || p.value || 1;
+                    const label = p.portionDescription || `${amount} ${unit} ${p.modifier || ''}`.replace(/ ,/g, ',');
+                    return portionOf(amount, unit, label, p.gramWeight);
+                })
+                .filter(Boolean);
+
+            // Branded foods carry one label serving instead of portions
+            if (item.servingSize && /^(g|ml)$/i.test(item.servingSizeUnit || '')) {
+                const serving = portionOf(1, 'serving', item.householdServingFullText || `1 serving (${item.servingSize} ${item.servingSizeUnit})`, item.servingSize);
+                if (serving) portions.push(serving);
+            }
+
+            const name = item.brandName || item.brandOwner ? `${item.description}, ${item.brandName || item.brandOwner}` : item.description;
+            const food = finishFood({ id: item.fdcId, name, dataType, amounts, portions });
+            if (food) foods.push(food);
+        }
+    }
+    return foods;
+}
+
+/**
+ * Build the table object
+ * @param {Array<Object>} foods - Table foods
+ * @param {string} source - Where they came from
+ * @returns {Object}
+ */
+function buildTable(foods, source) {
+    return {
+        source,
+        importedAt: new Date().toISOString(),
+        count: foods.length,
+        foods
+    };
+}
+
+/**
+ * Read a --flag value from argv
+ * @param {Array<string>} args - process.argv.slice(2)
+ * @param {string} name - Flag name
+ * @param {string} fallback - Default
+ * @returns {string}
+ */
+function argValue(args, name, fallback) {
+    const idx = args.indexOf(`--${name}`);
+    return idx >= 0 && args[idx + 1] ? args[idx + 1] : fallback;
+}
+
+/**
+ * Import the dump named on the command line and write the table
+ */
+async function importNutrition() {
+    const args = process.argv.slice(2);
+    const input = args[0] && !args[0].startsWith('--') ? path.resolve(args[0]) : null;
+    if (!input || !fs.existsSync(input)) {
+        console.error('Usage: node scripts/importNutrition.js <FDC csv folder | FDC json file> [--out file] [--types a,b]');
+        process.exit(1);
+    }
+
+    const out = path.resolve(argValue(args, 'out', foodDatabase.DEFAULT_DB_PATH));
+    const types = argValue(args, 'types', DEFAULT_TYPES.join(',')).split(',').map(t => t.trim()).filter(Boolean);
+
+    console.log(`🥕 [NUTRITION] Importing ${types.join(', ')} from ${input}...`);
+    const foods = fs.statSync(input).isDirectory()
+        ? await importFdcCsv(input, { types })
+        : importFdcJson(JSON.parse(fs.readFileSync(input, 'utf8')), { types });
+
+    if (!foods.length) {
+        console.error(`❌ [NUTRITION] No foods with energy values found in ${input}`);
+        process.exit(1);
+    }
+
+    foodDatabase.save(buildTable(foods, path.basename(input)), out);
+    const withPortions = foods.filter(f => f.portions.length).length;
+    console.log(`✅ [NUTRITION] Wrote ${foods.length} foods (${withPortions} with standard portions) to ${out}`);
+}
+
+if (require.main === module) {
+    importNutrition().catch((error) => {
+        console.error('❌ [NUTRITION] Error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseCsvLine,
+    importFdcCsv,
+    importFdcJson,
+    buildTable
+};
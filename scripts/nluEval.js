@@ -0,0 +1,65 @@
+/**
+ * NLU Golden-Set Evaluation
+ * CLI for src/nlu/evaluate.js: scores tests/nlu-test-cases.json and compares
+ * it with the saved baseline.
+ *
+ *   node scripts/nluEval.js                    - report + diff, exits 1 on regressions
+ *   node scripts/nluEval.js --update-baseline  - save the current results as the baseline
+ *   node scripts/nluEval.js --json             - print the full report as JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { evaluate, toBaseline, diffAgainstBaseline, formatReport } = require('../src/nlu/evaluate');
+
+const CORPUS_PATH = path.join(__dirname, '..', 'tests', 'nlu-test-cases.json');
+const BASELINE_PATH = path.join(__dirname, '..', 'tests', 'nlu-baseline.json');
+
+/**
+ * Run the evaluation
+ */
+async function runEval() {
+    const args = process.argv.slice(2);
+    const corpus = JSON.parse(fs.readFileSync(CORPUS_PATH, 'utf8'));
+    const baseline = fs.existsSync(BASELINE_PATH) ? JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8')) : null;
+
+    // The pipeline logs every parse; keep the report readable
+    const log = console.log;
+    console.log = () => {};
+    let report;
+    try {
+        report = await evaluate(corpus);
+    } finally {
+        console.log = log;
+    }
+
+    const diff = baseline ? diffAgainstBaseline(report, baseline) : null;
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify({ report, diff }, null, 2));
+    } else {
+        console.log(formatReport(report, diff));
+    }
+
+    if (args.includes('--update-baseline')) {
+        fs.writeFileSync(BASELINE_PATH, JSON.stringify(toBaseline(report), null, 4) + '\n', 'utf8');
+        console.log(`💾 Baseline saved: ${report.passed}/${report.total} passing`);
+        return 0;
+    }
+
+    if (!baseline) {
+        console.log('ℹ️ No baseline yet — run with --update-baseline to save one');
+        return 0;
+    }
+    return diff.regressions.length > 0 ? 1 : 0;
+}
+
+// Run if called directly
+if (require.main === module) {
+    runEval().then(code => process.exit(code)).catch(error => {
+        console.error('❌ NLU evaluation failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = runEval;
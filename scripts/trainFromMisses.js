@@ -1,134 +1,341 @@
 /**
  * Self-Training Loop
- * Analyzes NLU logs to identify missed patterns and expand ontology
- * Run nightly via cron
+ * Mines the NLU miss log (.data/nlu-misses.jsonl, written by understand-v2)
+ * for words the ontology doesn't know yet, and writes the proposed additions
+ * to ontology-v2 as a patch for review:
+ *
+ *   node scripts/trainFromMisses.js [--days 30] [--min 2] [--out .data/ontology-suggestions.patch]
+ *   git apply .data/ontology-suggestions.patch
+ *
+ * A miss only teaches something once we know what it meant: the user's
+ * clarification answer, or failing that the LLM pinch's rescue. Misses with
+ * neither are listed as unresolved phrases for a human to look at.
+ * Run nightly via cron.
  */
 
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
+const { readMisses } = require('../src/nlu/missLog');
+const {
+    HEAD_NOUNS,
+    BEVERAGES,
+    ALL_BEVERAGES,
+    SYMPTOM_CANONICAL,
+    MINIMAL_CORE_FOODS,
+    STOPWORDS,
+    ADJECTIVE_SEVERITY
+} = require('../src/nlu/ontology-v2');
+
+const ONTOLOGY_PATH = path.join(__dirname, '../src/nlu/ontology-v2.js');
+const DATA_DIR = path.join(__dirname, '../.data');
+
+// Words that never name a food, drink or symptom
+const NOISE_WORDS = new Set([
+    ...STOPWORDS,
+    ...Object.keys(ADJECTIVE_SEVERITY),
+    'i', 'im', "i'm", 'my', 'me', 'was', 'is', 'am', 'feel', 'feeling', 'felt', 'really', 'very', 'bit',
+    'so', 'just', 'kinda', 'little', 'lot', 'today', 'yesterday', 'tonight', 'morning', 'afternoon',
+    'evening', 'night', 'this', 'last', 'breakfast', 'lunch', 'dinner', 'snack', 'am', 'pm', 'now',
+    'after', 'before', 'again', 'also', 'too', 'ish', 'log', 'logged'
+]);
 
 /**
- * Extract NLU patterns from logs
- * Looks for [NLU-V2] logs with low confidence or rejections
+ * Content words of a phrase
+ * @param {string} text - Message or slot text
+ * @returns {Array<string>}
  */
-async function trainFromMisses() {
-    console.log('🤖 [TRAIN] Starting self-training analysis...');
+function contentWords(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z\s'-]/g, ' ')
+        .split(/\s+/)
+        .filter(w => w && !NOISE_WORDS.has(w));
+}
 
-    // Read recent logs (last 24h)
-    // In production, this would read from a log file or database
-    // For now, we'll outline the approach
-
-    const lowConfidencePatterns = [];
-    const rejectedPhrases = [];
-    const clarificationRequests = [];
-
-    // Example: Parse log file for patterns
-    // const logs = fs.readFileSync('/var/log/louton-gi-bot.log', 'utf8');
-    // const lines = logs.split('\n');
-
-    // for (const line of lines) {
-    //     if (line.includes('[NLU-V2] Rejected')) {
-    //         const match = line.match(/Content: "(.+?)"/);
-    //         if (match) rejectedPhrases.push(match[1]);
-    //     }
-    // }
-
-    console.log('📊 [TRAIN] Analysis Summary:');
-    console.log(`   Low confidence: ${lowConfidencePatterns.length}`);
-    console.log(`   Rejected: ${rejectedPhrases.length}`);
-    console.log(`   Clarifications: ${clarificationRequests.length}`);
-
-    // Generate suggested ontology expansions
-    const suggestions = generateSuggestions(rejectedPhrases);
-
-    if (suggestions.length > 0) {
-        console.log('\n💡 [TRAIN] Suggested Ontology Expansions:');
-        suggestions.forEach((s, i) => {
-            console.log(`   ${i + 1}. Add "${s.word}" to ${s.category}`);
-        });
-
-        // Write suggestions to file for review
-        const suggestionsPath = path.join(__dirname, '../.data/training-suggestions.json');
-        fs.mkdirSync(path.dirname(suggestionsPath), { recursive: true });
-        fs.writeFileSync(suggestionsPath, JSON.stringify(suggestions, null, 2));
-
-        console.log(`\n📝 [TRAIN] Suggestions saved to ${suggestionsPath}`);
-        console.log('👉 [TRAIN] Review and add to ontology-v2.js manually or via Claude');
-    } else {
-        console.log('\n✅ [TRAIN] No suggestions - ontology is comprehensive!');
+/**
+ * What a miss turned out to mean, if we know
+ * @param {Object} miss - readMisses() entry
+ * @returns {Object|null} - { intent, slots, source: 'user'|'llm' }
+ */
+function resolveMiss(miss) {
+    if (miss.correction) return { ...miss.correction, source: 'user' };
+    if (miss.decision.startsWith('rescued_llm') && miss.final.intent !== 'other') {
+        return { intent: miss.final.intent, slots: miss.final.slots || {}, source: 'llm' };
     }
+    return null;
+}
 
-    console.log('\n🎉 [TRAIN] Self-training analysis complete');
+/**
+ * Which BEVERAGES group a new drink belongs in (by its last word, else "other")
+ * @param {string} phrase - Drink phrase
+ * @returns {string}
+ */
+function beverageGroup(phrase) {
+    const last = phrase.split(' ').pop();
+    for (const [group, drinks] of Object.entries(BEVERAGES)) {
+        if (drinks.includes(last)) return group;
+    }
+    return 'other';
 }
 
 /**
- * Generate suggestions from rejected phrases
+ * Ontology additions one resolved miss suggests
+ * @param {Object} miss - readMisses() entry
+ * @param {Object} resolved - resolveMiss() result
+ * @returns {Array<Object>} - [{ list, term, value? }]
  */
-function generateSuggestions(phrases) {
-    const suggestions = [];
-
-    // Simple heuristics for auto-suggestions
-    // In production, you'd use Claude API to analyze patterns
-
-    for (const phrase of phrases) {
-        const lower = phrase.toLowerCase();
-
-        // Detect food-like nouns not in HEAD_NOUNS
-        if (/(bowl|plate|serving) of (\w+)/.test(lower)) {
-            const match = lower.match(/(bowl|plate|serving) of (\w+)/);
-            if (match) {
-                suggestions.push({
-                    word: match[2],
-                    category: 'HEAD_NOUNS',
-                    reason: 'Detected in "bowl/plate of X" pattern',
-                    confidence: 0.7
-                });
-            }
+function candidatesFor(miss, resolved) {
+    const slots = resolved.slots || {};
+    const words = contentWords(slots.item || miss.text);
+    const phrase = words.join(' ');
+    const out = [];
+    if (!phrase) return out;
+
+    if (resolved.intent === 'food') {
+        const head = words[words.length - 1];
+        if (!HEAD_NOUNS.includes(head) && !HEAD_NOUNS.includes(phrase)) {
+            out.push({ list: 'HEAD_NOUNS', term: head });
+        }
+        // A bare one-word food the rules turned away
+        if (words.length === 1 && contentWords(miss.text).length === 1 && !MINIMAL_CORE_FOODS.includes(head)) {
+            out.push({ list: 'MINIMAL_CORE_FOODS', term: head });
         }
+    } else if (resolved.intent === 'drink') {
+        if (words.length <= 3 && !ALL_BEVERAGES.includes(phrase)) {
+            out.push({ list: `BEVERAGES.${beverageGroup(phrase)}`, term: phrase });
+        }
+    } else if (resolved.intent === 'symptom' || resolved.intent === 'reflux') {
+        const type = slots.symptom_type || (resolved.intent === 'reflux' ? 'reflux' : null);
+        const symptomWords = contentWords(miss.text);
+        const term = symptomWords.join(' ');
+        if (type && type !== 'general' && symptomWords.length > 0 && symptomWords.length <= 2 && !(term in SYMPTOM_CANONICAL)) {
+            out.push({ list: 'SYMPTOM_CANONICAL', term, value: type });
+        }
+    }
+    return out;
+}
 
-        // Detect potential beverages
-        if (/(drinking|drank|sipped) (\w+ \w+)/.test(lower)) {
-            const match = lower.match(/(drinking|drank|sipped) (\w+ \w+)/);
-            if (match) {
-                suggestions.push({
-                    word: match[2],
-                    category: 'BEVERAGES',
-                    reason: 'Detected in drink action pattern',
-                    confidence: 0.8
-                });
+/**
+ * Cluster misses into proposed ontology additions
+ * @param {Array<Object>} misses - readMisses() result
+ * @param {Object} options - { minCount }
+ * @returns {Object} - { suggestions[], unresolved[], stats }
+ */
+function mineMisses(misses, { minCount = 2 } = {}) {
+    const clusters = new Map();
+    const unresolved = new Map();
+    const stats = { misses: misses.length, corrected: 0, llmResolved: 0, unresolved: 0 };
+
+    for (const miss of misses) {
+        const resolved = resolveMiss(miss);
+        if (!resolved) {
+            stats.unresolved++;
+            const key = contentWords(miss.text).join(' ') || miss.text.toLowerCase().trim();
+            unresolved.set(key, (unresolved.get(key) || 0) + 1);
+            continue;
+        }
+        stats[resolved.source === 'user' ? 'corrected' : 'llmResolved']++;
+
+        for (const c of candidatesFor(miss, resolved)) {
+            const key = `${c.list}|${c.term}`;
+            if (!clusters.has(key)) {
+                clusters.set(key, { list: c.list, term: c.term, values: {}, count: 0, users: new Set(), corrected: 0, examples: [] });
             }
+            const cluster = clusters.get(key);
+            cluster.count++;
+            cluster.users.add(miss.userId);
+            if (resolved.source === 'user') cluster.corrected++;
+            if (c.value) cluster.values[c.value] = (cluster.values[c.value] || 0) + 1;
+            if (cluster.examples.length < 3 && !cluster.examples.includes(miss.text)) cluster.examples.push(miss.text);
         }
     }
 
-    // Deduplicate
-    const seen = new Set();
-    return suggestions.filter(s => {
-        const key = `${s.word}:${s.category}`;
-        if (seen.has(key)) return false;
-        seen.add(key);
-        return true;
+    const suggestions = [...clusters.values()]
+        .filter(c => c.count >= minCount)
+        .map(c => ({
+            list: c.list,
+            term: c.term,
+            // Symptom words map to whichever type they were most often resolved to
+            value: Object.keys(c.values).sort((a, b) => c.values[b] - c.values[a])[0],
+            count: c.count,
+            users: c.users.size,
+            corrected: c.corrected,
+            examples: c.examples
+        }))
+        .sort((a, b) => b.count - a.count || a.term.localeCompare(b.term));
+
+    return {
+        suggestions,
+        unresolved: [...unresolved.entries()]
+            .map(([phrase, count]) => ({ phrase, count }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 20),
+        stats
+    };
+}
+
+/**
+ * Add entries to a list literal in ontology-v2 source
+ * @param {Array<string>} lines - Source lines (edited in place)
+ * @param {RegExp} startPattern - Line that opens the list
+ * @param {Array<string>} entries - Source text of each entry ("'word'" or "'word': 'type'")
+ * @param {boolean} oneLine - Entries go inside the closing line (BEVERAGES groups) rather than on new lines
+ */
+function appendToList(lines, startPattern, entries, oneLine) {
+    const start = lines.findIndex(l => startPattern.test(l));
+    if (start < 0 || entries.length === 0) return;
+
+    // The list closes on the first line (from the opener on) ending in ] / }
+    let end = start;
+    while (end < lines.length && !/[\]}],?;?\s*$/.test(lines[end])) end++;
+
+    if (oneLine) {
+        lines[end] = lines[end].replace(/\](,?\s*)$/, `, ${entries.join(', ')}]$1`);
+        return;
+    }
+
+    const indent = lines[end - 1].match(/^\s*/)[0];
+    if (!/,\s*$/.test(lines[end - 1])) lines[end - 1] = lines[end - 1].replace(/\s*$/, ',');
+    lines.splice(end, 0, `${indent}// Mined from NLU misses`, ...entries.map((e, i) => `${indent}${e}${i < entries.length - 1 ? ',' : ''}`));
+}
+
+/**
+ * Unified diff between two versions of a file (LCS; ontology-v2 is a few
+ * hundred lines, so the table is small)
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @param {string} file - Repo-relative path
+ * @returns {string}
+ */
+function unifiedDiff(a, b, file) {
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            ops.push({ type: ' ', line: a[i++] });
+            j++;
+        } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            ops.push({ type: '-', line: a[i++] });
+        } else {
+            ops.push({ type: '+', line: b[j++] });
+        }
+    }
+
+    const CONTEXT = 3;
+    const hunks = [];
+    ops.forEach((op, idx) => {
+        if (op.type === ' ') return;
+        const last = hunks[hunks.length - 1];
+        if (last && idx - last.end <= CONTEXT * 2) last.end = idx;
+        else hunks.push({ start: idx, end: idx });
     });
+
+    let out = `--- a/${file}\n+++ b/${file}\n`;
+    for (const h of hunks) {
+        const from = Math.max(0, h.start - CONTEXT);
+        const to = Math.min(ops.length - 1, h.end + CONTEXT);
+        const before = ops.slice(0, from);
+        const oldStart = before.filter(o => o.type !== '+').length + 1;
+        const newStart = before.filter(o => o.type !== '-').length + 1;
+        const body = ops.slice(from, to + 1);
+        const oldLen = body.filter(o => o.type !== '+').length;
+        const newLen = body.filter(o => o.type !== '-').length;
+        out += `@@ -${oldStart},${oldLen} +${newStart},${newLen} @@\n`;
+        out += body.map(o => `${o.type}${o.line}`).join('\n') + '\n';
+    }
+    return out;
+}
+
+/**
+ * Patch for ontology-v2.js adding the suggestions
+ * @param {Array<Object>} suggestions - mineMisses() suggestions
+ * @param {string} source - Current ontology-v2.js source
+ * @returns {string} - Unified diff ('' if nothing to add)
+ */
+function buildOntologyPatch(suggestions, source = fs.readFileSync(ONTOLOGY_PATH, 'utf8')) {
+    if (suggestions.length === 0) return '';
+    const quote = (s) => `'${s.replace(/'/g, "\\'")}'`;
+    const oldLines = source.split('\n');
+    const lines = [...oldLines];
+    const terms = (list) => suggestions.filter(s => s.list === list);
+
+    appendToList(lines, /^const HEAD_NOUNS = \[/, terms('HEAD_NOUNS').map(s => quote(s.term)));
+    appendToList(lines, /^const MINIMAL_CORE_FOODS = \[/, terms('MINIMAL_CORE_FOODS').map(s => quote(s.term)));
+    appendToList(lines, /^const SYMPTOM_CANONICAL = \{/, terms('SYMPTOM_CANONICAL').map(s => `${quote(s.term)}: ${quote(s.value)}`));
+    for (const group of Object.keys(BEVERAGES)) {
+        appendToList(lines, new RegExp(`^\\s+${group}: \\[`), terms(`BEVERAGES.${group}`).map(s => quote(s.term)), true);
+    }
+
+    return unifiedDiff(oldLines, lines, 'src/nlu/ontology-v2.js');
+}
+
+/**
+ * Read a --flag value from argv
+ * @param {Array<string>} args - process.argv.slice(2)
+ * @param {string} name - Flag name
+ * @param {string} fallback - Default
+ * @returns {string}
+ */
+function argValue(args, name, fallback) {
+    const idx = args.indexOf(`--${name}`);
+    return idx >= 0 && args[idx + 1] ? args[idx + 1] : fallback;
 }
 
 /**
- * Example: Use Claude API to analyze patterns (optional enhancement)
+ * Mine the miss log and write the suggestions
  */
-async function analyzeWithClaude(phrases) {
-    // Pseudo-code for Claude integration:
-    //
-    // const response = await anthropic.messages.create({
-    //     model: 'claude-3-5-sonnet-20241022',
-    //     max_tokens: 1024,
-    //     messages: [{
-    //         role: 'user',
-    //         content: `Analyze these rejected food/drink phrases and suggest ontology additions:\n${phrases.join('\n')}\n\nReturn JSON: [{ word, category, reason }]`
-    //     }]
-    // });
-    //
-    // return JSON.parse(response.content[0].text);
-
-    return [];
+async function trainFromMisses() {
+    console.log('🤖 [TRAIN] Starting self-training analysis...');
+
+    const args = process.argv.slice(2);
+    const days = parseInt(argValue(args, 'days', '30'), 10);
+    const minCount = parseInt(argValue(args, 'min', '2'), 10);
+    const patchPath = path.resolve(argValue(args, 'out', path.join(DATA_DIR, 'ontology-suggestions.patch')));
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const misses = readMisses({ since });
+    const { suggestions, unresolved, stats } = mineMisses(misses, { minCount });
+
+    console.log(`📊 [TRAIN] Analysis Summary (last ${days} days):`);
+    console.log(`   Misses: ${stats.misses}`);
+    console.log(`   Corrected by user: ${stats.corrected}`);
+    console.log(`   Resolved by LLM: ${stats.llmResolved}`);
+    console.log(`   Unresolved: ${stats.unresolved}`);
+
+    if (unresolved.length > 0) {
+        console.log('\n❓ [TRAIN] Most common unresolved phrases:');
+        unresolved.slice(0, 10).forEach(u => console.log(`   ${u.count}× "${u.phrase}"`));
+    }
+
+    const suggestionsPath = path.join(DATA_DIR, 'training-suggestions.json');
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(suggestionsPath, JSON.stringify({ generatedAt: new Date().toISOString(), stats, suggestions, unresolved }, null, 2));
+
+    if (suggestions.length === 0) {
+        console.log(`\n✅ [TRAIN] No term seen ${minCount}+ times - nothing to add`);
+        return;
+    }
+
+    console.log('\n💡 [TRAIN] Suggested Ontology Expansions:');
+    suggestions.forEach((s, i) => {
+        const value = s.value ? ` → ${s.value}` : '';
+        console.log(`   ${i + 1}. Add "${s.term}"${value} to ${s.list} (${s.count}×, ${s.users} user(s), e.g. "${s.examples[0]}")`);
+    });
+
+    fs.mkdirSync(path.dirname(patchPath), { recursive: true });
+    fs.writeFileSync(patchPath, buildOntologyPatch(suggestions));
+
+    console.log(`\n📝 [TRAIN] Suggestions saved to ${suggestionsPath}`);
+    console.log(`👉 [TRAIN] Review the patch, then: git apply ${path.relative(process.cwd(), patchPath)}`);
 }
 
 // Run if called directly
@@ -139,4 +346,8 @@ if (require.main === module) {
     });
 }
 
-module.exports = trainFromMisses;
+module.exports = {
+    trainFromMisses,
+    mineMisses,
+    buildOntologyPatch
+};
@@ -1,5 +1,7 @@
 const { google } = require('googleapis');
 const time = require('../src/utils/time');
+const household = require('../src/auth/household');
+const { hasDeleted, setTokens } = require('../src/utils/notes');
 const { a1, getSheet, batchUpdate } = require('./googleBase');
 
 class GoogleSheetsService {
@@ -323,28 +325,24 @@ class GoogleSheetsService {
 
             // Get headers for this sheet to know how many columns to read
             const headers = await this.getHeadersFor(targetSheet);
-            const lastCol = String.fromCharCode(65 + headers.length - 1);
+            if (headers.length === 0) return { success: true, rows: [] };
+            const lastCol = a1(headers.length - 1);
 
             const response = await this.sheets.spreadsheets.values.get({
                 spreadsheetId: this.spreadsheetId,
                 range: `${targetSheet}!A2:${lastCol}` // Skip header row, get all columns
             });
 
-            if (!response.data.values) return [];
+            if (!response.data.values) return { success: true, rows: [] };
 
-            // Convert rows to objects based on headers dynamically
-            const rows = response.data.values.map(row => {
+            // Convert rows to objects keyed by header name
+            const rows = response.data.values.map((row, i) => {
                 const obj = {};
                 headers.forEach((header, index) => {
-                    // Normalize header names to camelCase for backwards compatibility
-                    let key = header;
-                    if (header === 'Meal_Type') key = 'mealType';
-                    else if (header === 'Follow_Up_Needed') key = 'followUpNeeded';
-                    else if (header === 'Bristol_Scale') key = 'bristolScale';
-                    else key = header.toLowerCase();
-
-                    obj[key] = row[index] || '';
+                    obj[header] = row[index] || '';
                 });
+                // Zero-based sheet row index (data starts on row 2), hidden from spreads/serialization
+                Object.defineProperty(obj, '_rawData', { value: { rowIndex: i + 1 }, enumerable: false });
                 return obj;
             });
 
@@ -352,11 +350,12 @@ class GoogleSheetsService {
             let filteredRows = rows;
 
             if (filter.user) {
-                filteredRows = filteredRows.filter(row => row.user === filter.user);
+                filteredRows = filteredRows.filter(row => row.User === filter.user);
             }
 
             if (filter.date) {
-                const filterDate = time.format(filter.date, 'YYYY-MM-DD');
+                // Date strings are already local calendar days; only format Date/moment inputs
+                const filterDate = typeof filter.date === 'string' ? filter.date : time.format(filter.date, 'YYYY-MM-DD');
                 filteredRows = filteredRows.filter(row => row.Date === filterDate);
             }
 
@@ -370,13 +369,13 @@ class GoogleSheetsService {
             }
 
             if (filter.type) {
-                filteredRows = filteredRows.filter(row => row.type === filter.type);
+                filteredRows = filteredRows.filter(row => row.Type === filter.type);
             }
 
-            return filteredRows;
+            return { success: true, rows: filteredRows };
         } catch (error) {
             console.error('Error getting rows from Google Sheets:', error);
-            return [];
+            return { success: false, error: error.message, rows: [] };
         }
     }
 
@@ -423,21 +422,27 @@ class GoogleSheetsService {
     }
 
     async getLastEntry(userName = null, sheetName = null) {
-        const entries = await this.getAllEntries(userName, sheetName);
-        return entries.length > 0 ? entries[entries.length - 1] : null;
+        const { rows } = await this.getAllEntries(userName, sheetName);
+        return rows.length > 0 ? rows[rows.length - 1] : null;
     }
 
     async countEntriesByType(type, userName = null, sheetName = null) {
-        const entries = await this.getAllEntries(userName, sheetName);
-        return entries.filter(entry => entry.type === type).length;
+        const { rows } = await this.getAllEntries(userName, sheetName);
+        return rows.filter(entry => entry.Type === type).length;
     }
 
     async getUniqueUsers() {
-        const entries = await this.getAllEntries();
-        const users = new Set(entries.map(entry => entry.user));
+        const { rows } = await this.getAllEntries();
+        const users = new Set(rows.map(entry => entry.User));
         return Array.from(users);
     }
 
+    /**
+     * Soft-delete the newest live entry for a user (Notes gets deleted=true).
+     * The row stays in place, so it can be restored and other rows keep their indexes.
+     * @param {string} userName - Value of the User column to match (null = any)
+     * @param {string} sheetName - Tab (defaults to the main sheet)
+     */
     async undoLastEntry(userName, sheetName = null) {
         if (!this.initialized) await this.initialize();
 
@@ -445,38 +450,33 @@ class GoogleSheetsService {
             // Use provided sheetName or fall back to default
             const targetSheet = sheetName || this.sheetName;
 
-            // Get all entries for the user from the target sheet
-            const entries = await this.getAllEntries(userName, targetSheet);
-            if (entries.length === 0) {
-                return { success: false, message: 'No entries found to undo' };
+            const { success, rows } = await this.getRows({}, targetSheet);
+            if (!success) {
+                return { success: false, message: 'Failed to undo entry' };
             }
 
-            // Get the last entry's row number
-            const lastEntryIndex = entries.length + 1; // +1 for header row
-
-            // Delete the last row for this user
-            const requests = [{
-                deleteDimension: {
-                    range: {
-                        sheetId: await this.getSheetIdByName(targetSheet),
-                        dimension: 'ROWS',
-                        startIndex: lastEntryIndex,
-                        endIndex: lastEntryIndex + 1
-                    }
-                }
-            }];
+            const lastEntry = rows
+                .filter(row => !hasDeleted(row.Notes) && (!userName || row.User === userName))
+                .sort((a, b) => String(a.Timestamp).localeCompare(String(b.Timestamp)))
+                .pop();
+            if (!lastEntry) {
+                return { success: false, message: 'No entries found to undo' };
+            }
 
-            await this.sheets.spreadsheets.batchUpdate({
-                spreadsheetId: this.spreadsheetId,
-                resource: { requests }
-            });
+            const rowIndex = lastEntry._rawData.rowIndex + 1;
+            // Spelled out: some readers match the literal deleted=true
+            const notes = setTokens(lastEntry.Notes, { deleted: 'true', deleted_at: new Date().toISOString() });
+            const result = await this.updateRow(targetSheet, rowIndex, { Notes: notes });
+            if (!result.success) {
+                return { success: false, message: 'Failed to undo entry' };
+            }
 
-            const lastEntry = entries[entries.length - 1];
-            console.log(`Undid last entry for ${userName} from ${targetSheet}: ${lastEntry.type} - ${lastEntry.details || lastEntry.value}`);
+            console.log(`Undid last entry for ${userName || 'any user'} in ${targetSheet} (row ${rowIndex}): ${lastEntry.Type} - ${lastEntry.Item || lastEntry.Details}`);
             return {
                 success: true,
-                message: `Removed: ${lastEntry.type} - ${lastEntry.details || lastEntry.value}`,
-                entry: lastEntry
+                message: `Removed: ${lastEntry.Type} - ${lastEntry.Item || lastEntry.Details}`,
+                entry: lastEntry,
+                rowIndex
             };
         } catch (error) {
             console.error('Error undoing entry:', error);
@@ -723,10 +723,11 @@ class GoogleSheetsService {
             console.log(`[G-SHEETS] Updating schema for '${sheetTitle}'. Missing: ${missingHeaders.join(', ')}`);
             await this.sheets.spreadsheets.values.append({
                 spreadsheetId: this.spreadsheetId,
-                range: `${sheetTitle}!${a1.fromColumnIndex(currentHeaders.length)}1`,
+                range: `${sheetTitle}!${a1(currentHeaders.length)}1`,
                 valueInputOption: 'USER_ENTERED',
                 resource: { values: [missingHeaders] },
             });
+            this.headerCache.delete(sheetTitle);
         }
     }
 
@@ -850,17 +851,62 @@ class GoogleSheetsService {
     }
 
     /**
-     * Get log sheet name for user ID
+     * Update cells of an existing row by header name
+     * @param {string} sheetName - Target sheet name
+     * @param {number} rowIndex - One-based sheet row number (data starts at 2)
+     * @param {Object} updates - { Header: value } pairs to overwrite
+     * @returns {Promise<Object>} Result object
+     */
+    async updateRow(sheetName, rowIndex, updates) {
+        if (!this.initialized) await this.initialize();
+
+        try {
+            const headers = await this.getHeadersFor(sheetName);
+            const data = [];
+
+            for (const [header, value] of Object.entries(updates)) {
+                const colIndex = headers.indexOf(header);
+                if (colIndex < 0) {
+                    console.warn(`[G-SHEETS] updateRow: unknown column "${header}" in ${sheetName}`);
+                    continue;
+                }
+                data.push({
+                    range: `${sheetName}!${a1(colIndex)}${rowIndex}`,
+                    values: [[value ?? '']]
+                });
+            }
+
+            if (data.length === 0) {
+                return { success: false, error: { message: 'No matching columns to update' } };
+            }
+
+            await this.sheets.spreadsheets.values.batchUpdate({
+                spreadsheetId: this.spreadsheetId,
+                resource: { valueInputOption: 'RAW', data }
+            });
+
+            console.log(`✅ Updated ${sheetName} row ${rowIndex}: ${Object.keys(updates).join(', ')}`);
+            return { success: true, rowIndex };
+        } catch (error) {
+            console.error(`❌ Error updating row ${rowIndex} in ${sheetName}:`, error.message);
+            return {
+                success: false,
+                error: {
+                    message: error.message,
+                    code: error.code || 'UNKNOWN',
+                    userMessage: 'I had trouble updating that entry. Please try again.'
+                }
+            };
+        }
+    }
+
+    /**
+     * Get log sheet name for user ID (see src/auth/household.js)
      * @param {string} userId - Discord user ID
      * @returns {string} Sheet name
      */
     getLogSheetNameForUser(userId) {
-        const PEYTON_ID = process.env.PEYTON_ID || "552563833814646806";
-        const LOUIS_ID = process.env.LOUIS_ID || "552563833814646807";
-
-        if (userId === PEYTON_ID) return "Peyton";
-        if (userId === LOUIS_ID) return "Louis";
-        return "General"; // fallback
+        return household.getTab(userId);
     }
 
     /**
@@ -873,18 +919,24 @@ class GoogleSheetsService {
         if (!this.initialized) await this.initialize();
 
         try {
-            const allRows = await this.getRows({}, sheetName);
+            const { rows: allRows } = await this.getRows({}, sheetName);
             if (!allRows || allRows.length === 0) {
                 return { success: true, data: [], message: "No data found to analyze." };
             }
 
+            // Query columns come from the LLM in any case; match headers case-insensitively
+            const cell = (row, column) => {
+                const key = Object.keys(row).find(k => k.toLowerCase() === String(column).toLowerCase());
+                return key !== undefined ? row[key] : undefined;
+            };
+
             let filteredRows = allRows;
 
             // Apply filters
             if (query.filters && Array.isArray(query.filters)) {
                 query.filters.forEach(filter => {
                     filteredRows = filteredRows.filter(row => {
-                        const rowValue = row[filter.column.toLowerCase()];
+                        const rowValue = cell(row, filter.column);
                         if (rowValue === undefined || rowValue === null) return false;
 
                         const val = filter.value;
@@ -908,16 +960,15 @@ class GoogleSheetsService {
             // Apply aggregation
             if (query.aggregation && query.aggregation.type) {
                 const { type, column } = query.aggregation;
-                const colKey = column.toLowerCase();
 
                 switch (type) {
                     case 'count':
                         return { success: true, data: { result: filteredRows.length }, aggregation: true };
                     case 'sum':
-                        const sum = filteredRows.reduce((acc, row) => acc + (parseFloat(row[colKey]) || 0), 0);
+                        const sum = filteredRows.reduce((acc, row) => acc + (parseFloat(cell(row, column)) || 0), 0);
                         return { success: true, data: { result: sum }, aggregation: true };
                     case 'avg':
-                        const total = filteredRows.reduce((acc, row) => acc + (parseFloat(row[colKey]) || 0), 0);
+                        const total = filteredRows.reduce((acc, row) => acc + (parseFloat(cell(row, column)) || 0), 0);
                         const avg = filteredRows.length > 0 ? total / filteredRows.length : 0;
                         return { success: true, data: { result: avg }, aggregation: true };
                     default:
@@ -932,7 +983,7 @@ class GoogleSheetsService {
                 resultData = resultData.map(row => {
                     const selected = {};
                     query.select.forEach(col => {
-                        selected[col] = row[col.toLowerCase()];
+                        selected[col] = cell(row, col);
                     });
                     return selected;
                 });
@@ -951,4 +1002,5 @@ class GoogleSheetsService {
     }
 }
 
-module.exports = new GoogleSheetsService();
\ No newline at end of file
+module.exports = new GoogleSheetsService();
+module.exports.GoogleSheetsService = GoogleSheetsService;
\ No newline at end of file
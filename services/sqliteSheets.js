@@ -0,0 +1,402 @@
+/**
+ * SQLite Spreadsheet Backend
+ * Local, offline stand-in for Google Sheets. Emulates the subset of the
+ * Sheets v4 API the bot calls (spreadsheets.get/batchUpdate and
+ * values.get/update/append/clear/batchUpdate) on top of better-sqlite3,
+ * so GoogleSheetsService and everything that talks to `googleSheets.sheets`
+ * directly (userProfile, mealNotes) run unchanged.
+ * Note: Requires the optional better-sqlite3 dependency
+ */
+
+let Database;
+try {
+    Database = require('better-sqlite3');
+} catch {
+    Database = null;
+}
+
+const path = require('path');
+const fs = require('fs');
+const { GoogleSheetsService } = require('./googleSheets');
+const { a1, a1ToColumnIndex } = require('./googleBase');
+const { HEALTH_HEADERS, PROFILE_HEADERS } = require('../src/constants/sheets');
+
+// Default database file location (override with STORAGE_SQLITE_PATH)
+const DEFAULT_DB_PATH = path.join(process.cwd(), '.data', 'store.sqlite');
+
+/**
+ * Build an error shaped like a googleapis failure
+ * @param {string} message - Error message
+ * @param {number} code - HTTP-style status code
+ * @returns {Error}
+ */
+function sheetsError(message, code = 400) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Parse an A1 range ("Tab!A2:K", "Tab!1:1", "'My Tab'!C5", "Tab")
+ * @param {string} range - A1 notation range
+ * @returns {Object} - { title, startRow, endRow, startCol, endCol } (rows 1-based, cols 0-based, ends inclusive)
+ */
+function parseRange(range) {
+    const match = /^(?:'((?:[^']|'')+)'|([^!]+))(?:!(.+))?$/.exec(String(range || ''));
+    if (!match) throw sheetsError(`Unable to parse range: ${range}`);
+
+    const title = match[1] ? match[1].replace(/''/g, "'") : match[2];
+    const parsed = { title, startRow: 1, endRow: Infinity, startCol: 0, endCol: Infinity };
+    if (!match[3]) return parsed;
+
+    const parseRef = (ref) => {
+        const m = /^([A-Za-z]*)(\d*)$/.exec(ref);
+        if (!m || (!m[1] && !m[2])) throw sheetsError(`Unable to parse range: ${range}`);
+        return {
+            col: m[1] ? a1ToColumnIndex(m[1].toUpperCase()) : null,
+            row: m[2] ? parseInt(m[2], 10) : null
+        };
+    };
+
+    const [startRef, endRef] = match[3].split(':');
+    const start = parseRef(startRef);
+    const end = endRef !== undefined ? parseRef(endRef) : start;
+
+    if (start.col !== null) parsed.startCol = start.col;
+    if (start.row !== null) parsed.startRow = start.row;
+    if (end.col !== null) parsed.endCol = end.col;
+    if (end.row !== null) parsed.endRow = end.row;
+
+    return parsed;
+}
+
+/**
+ * Format a range back to A1 notation for API responses
+ * @param {string} title - Sheet title
+ * @param {number} startRow - One-based start row
+ * @param {number} startCol - Zero-based start column
+ * @param {number} endRow - One-based end row
+ * @param {number} endCol - Zero-based end column
+ * @returns {string}
+ */
+function formatRange(title, startRow, startCol, endRow, endCol) {
+    const quoted = /^[A-Za-z0-9_]+$/.test(title) ? title : `'${title.replace(/'/g, "''")}'`;
+    return `${quoted}!${a1(startCol)}${startRow}:${a1(endCol)}${endRow}`;
+}
+
+/**
+ * Coerce a cell value the way Sheets returns it (formatted string)
+ * @param {*} value - Raw cell value
+ * @returns {string}
+ */
+function toCell(value) {
+    if (value === null || value === undefined) return '';
+    return String(value);
+}
+
+/**
+ * Create tables for the spreadsheet emulation
+ * @param {Database} db - better-sqlite3 handle
+ */
+function createSchema(db) {
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS sheets (
+            sheet_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT NOT NULL UNIQUE
+        )
+    `).run();
+
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS sheet_rows (
+            sheet_id INTEGER NOT NULL,
+            row_num INTEGER NOT NULL,
+            cells TEXT NOT NULL,
+            PRIMARY KEY (sheet_id, row_num)
+        )
+    `).run();
+}
+
+/**
+ * Create a Sheets-v4-compatible client backed by SQLite
+ * @param {Database} db - better-sqlite3 handle (schema already created)
+ * @returns {Object} - { spreadsheets: { get, batchUpdate, values: {...} } }
+ */
+function createSpreadsheetsApi(db) {
+    const stmts = {
+        sheetByTitle: db.prepare(`SELECT sheet_id, title FROM sheets WHERE title = ?`),
+        sheetById: db.prepare(`SELECT sheet_id, title FROM sheets WHERE sheet_id = ?`),
+        allSheets: db.prepare(`SELECT sheet_id, title FROM sheets ORDER BY sheet_id`),
+        addSheet: db.prepare(`INSERT INTO sheets (title) VALUES (?)`),
+        deleteSheet: db.prepare(`DELETE FROM sheets WHERE sheet_id = ?`),
+        deleteSheetRows: db.prepare(`DELETE FROM sheet_rows WHERE sheet_id = ?`),
+        rowsBetween: db.prepare(`SELECT row_num, cells FROM sheet_rows WHERE sheet_id = ? AND row_num BETWEEN ? AND ? ORDER BY row_num`),
+        getRow: db.prepare(`SELECT cells FROM sheet_rows WHERE sheet_id = ? AND row_num = ?`),
+        putRow: db.prepare(`REPLACE INTO sheet_rows (sheet_id, row_num, cells) VALUES (?, ?, ?)`),
+        deleteRows: db.prepare(`DELETE FROM sheet_rows WHERE sheet_id = ? AND row_num BETWEEN ? AND ?`),
+        // Two-step renumbering avoids transient primary key collisions
+        shiftRowsNegative: db.prepare(`UPDATE sheet_rows SET row_num = -(row_num - ?) WHERE sheet_id = ? AND row_num > ?`),
+        restoreRowsPositive: db.prepare(`UPDATE sheet_rows SET row_num = -row_num WHERE sheet_id = ? AND row_num < 0`)
+    };
+
+    // SQLite INTEGER upper bound for open-ended ranges
+    const MAX_ROW = Number.MAX_SAFE_INTEGER;
+
+    function requireSheet(title) {
+        const sheet = stmts.sheetByTitle.get(title);
+        if (!sheet) throw sheetsError(`Unable to parse range: ${title}`);
+        return sheet;
+    }
+
+    function readCells(sheetId, rowNum) {
+        const row = stmts.getRow.get(sheetId, rowNum);
+        return row ? JSON.parse(row.cells) : [];
+    }
+
+    function writeCells(sheetId, startRow, startCol, values) {
+        let width = 0;
+        values.forEach((rowValues, r) => {
+            const cells = readCells(sheetId, startRow + r);
+            while (cells.length < startCol) cells.push('');
+            rowValues.forEach((value, c) => {
+                cells[startCol + c] = toCell(value);
+            });
+            width = Math.max(width, rowValues.length);
+            stmts.putRow.run(sheetId, startRow + r, JSON.stringify(cells));
+        });
+        return width;
+    }
+
+    function lastDataRow(sheetId) {
+        const rows = stmts.rowsBetween.all(sheetId, 1, MAX_ROW);
+        for (let i = rows.length - 1; i >= 0; i--) {
+            if (JSON.parse(rows[i].cells).some(c => c !== '')) return rows[i].row_num;
+        }
+        return 0;
+    }
+
+    const updateTx = db.transaction(({ range, values }) => {
+        const target = parseRange(range);
+        const sheet = requireSheet(target.title);
+        const rows = values || [];
+        const width = writeCells(sheet.sheet_id, target.startRow, target.startCol, rows);
+        const endRow = target.startRow + Math.max(rows.length, 1) - 1;
+        const endCol = target.startCol + Math.max(width, 1) - 1;
+        return {
+            spreadsheetId: 'sqlite',
+            updatedRange: formatRange(sheet.title, target.startRow, target.startCol, endRow, endCol),
+            updatedRows: rows.length,
+            updatedColumns: width,
+            updatedCells: rows.reduce((sum, r) => sum + r.length, 0)
+        };
+    });
+
+    const appendTx = db.transaction(({ range, values }) => {
+        const target = parseRange(range);
+        const sheet = requireSheet(target.title);
+        const rows = values || [];
+        const startRow = Math.max(lastDataRow(sheet.sheet_id) + 1, target.startRow);
+        const width = writeCells(sheet.sheet_id, startRow, target.startCol, rows);
+        const endRow = startRow + Math.max(rows.length, 1) - 1;
+        const endCol = target.startCol + Math.max(width, 1) - 1;
+        return {
+            spreadsheetId: 'sqlite',
+            updates: {
+                spreadsheetId: 'sqlite',
+                updatedRange: formatRange(sheet.title, startRow, target.startCol, endRow, endCol),
+                updatedRows: rows.length,
+                updatedColumns: width,
+                updatedCells: rows.reduce((sum, r) => sum + r.length, 0)
+            }
+        };
+    });
+
+    const clearTx = db.transaction(({ range }) => {
+        const target = parseRange(range);
+        const sheet = requireSheet(target.title);
+        const endRow = Number.isFinite(target.endRow) ? target.endRow : MAX_ROW;
+        for (const row of stmts.rowsBetween.all(sheet.sheet_id, target.startRow, endRow)) {
+            const cells = JSON.parse(row.cells);
+            const endCol = Number.isFinite(target.endCol) ? target.endCol : cells.length - 1;
+            for (let c = target.startCol; c <= endCol && c < cells.length; c++) cells[c] = '';
+            stmts.putRow.run(sheet.sheet_id, row.row_num, JSON.stringify(cells));
+        }
+        return { spreadsheetId: 'sqlite', clearedRange: range };
+    });
+
+    const batchUpdateTx = db.transaction((requests) => {
+        return requests.map(request => {
+            if (request.addSheet) {
+                const title = request.addSheet.properties?.title;
+                if (!title) throw sheetsError('addSheet requires properties.title');
+                if (stmts.sheetByTitle.get(title)) {
+                    throw sheetsError(`A sheet with the name "${title}" already exists.`);
+                }
+                const info = stmts.addSheet.run(title);
+                return { addSheet: { properties: { sheetId: Number(info.lastInsertRowid), title } } };
+            }
+
+            if (request.deleteSheet) {
+                const { sheetId } = request.deleteSheet;
+                stmts.deleteSheetRows.run(sheetId);
+                stmts.deleteSheet.run(sheetId);
+                return {};
+            }
+
+            if (request.deleteDimension) {
+                const { sheetId, dimension, startIndex, endIndex } = request.deleteDimension.range;
+                if (dimension !== 'ROWS') throw sheetsError(`deleteDimension ${dimension} is not supported by the SQLite backend`);
+                if (!stmts.sheetById.get(sheetId)) throw sheetsError(`No grid with id: ${sheetId}`);
+                // Indexes are zero-based and end-exclusive; row_num is one-based
+                const firstRow = startIndex + 1;
+                const lastRow = endIndex;
+                const count = lastRow - firstRow + 1;
+                stmts.deleteRows.run(sheetId, firstRow, lastRow);
+                stmts.shiftRowsNegative.run(count, sheetId, lastRow);
+                stmts.restoreRowsPositive.run(sheetId);
+                return {};
+            }
+
+            // Formatting requests (repeatCell, updateSheetProperties, ...) have no local meaning
+            return {};
+        });
+    });
+
+    return {
+        spreadsheets: {
+            async get() {
+                const sheets = stmts.allSheets.all().map(s => ({
+                    properties: { sheetId: s.sheet_id, title: s.title }
+                }));
+                return { data: { spreadsheetId: 'sqlite', sheets } };
+            },
+
+            async batchUpdate({ resource }) {
+                const replies = batchUpdateTx(resource?.requests || []);
+                return { data: { spreadsheetId: 'sqlite', replies } };
+            },
+
+            values: {
+                async get({ range }) {
+                    const target = parseRange(range);
+                    const sheet = requireSheet(target.title);
+                    const endRow = Number.isFinite(target.endRow) ? target.endRow : MAX_ROW;
+                    const stored = stmts.rowsBetween.all(sheet.sheet_id, target.startRow, endRow);
+
+                    const byRow = new Map(stored.map(r => [r.row_num, JSON.parse(r.cells)]));
+                    const values = [];
+                    let lastNonEmpty = -1;
+                    const lastRow = stored.length > 0 ? stored[stored.length - 1].row_num : target.startRow - 1;
+
+                    for (let rowNum = target.startRow; rowNum <= lastRow; rowNum++) {
+                        const cells = byRow.get(rowNum) || [];
+                        const endCol = Number.isFinite(target.endCol) ? target.endCol + 1 : cells.length;
+                        const slice = cells.slice(target.startCol, endCol);
+                        while (slice.length > 0 && slice[slice.length - 1] === '') slice.pop();
+                        values.push(slice);
+                        if (slice.length > 0) lastNonEmpty = values.length - 1;
+                    }
+
+                    const data = { range, majorDimension: 'ROWS' };
+                    if (lastNonEmpty >= 0) data.values = values.slice(0, lastNonEmpty + 1);
+                    return { data };
+                },
+
+                async update({ range, resource }) {
+                    return { data: updateTx({ range, values: resource?.values }) };
+                },
+
+                async append({ range, resource }) {
+                    return { data: appendTx({ range, values: resource?.values }) };
+                },
+
+                async clear({ range }) {
+                    return { data: clearTx({ range }) };
+                },
+
+                async batchUpdate({ resource }) {
+                    const responses = (resource?.data || []).map(entry => updateTx(entry));
+                    return {
+                        data: {
+                            spreadsheetId: 'sqlite',
+                            totalUpdatedCells: responses.reduce((sum, r) => sum + r.updatedCells, 0),
+                            responses
+                        }
+                    };
+                }
+            }
+        }
+    };
+}
+
+/**
+ * GoogleSheetsService backed by a local SQLite file instead of the Sheets API.
+ * Every public method (appendRowToSheet, getRows, updateRow, undoLastEntry,
+ * executeQuery, ...) is inherited; only the transport differs.
+ */
+class SqliteSheetsService extends GoogleSheetsService {
+    /**
+     * @param {string} dbPath - SQLite file path (':memory:' for throwaway stores)
+     */
+    constructor(dbPath = process.env.STORAGE_SQLITE_PATH || DEFAULT_DB_PATH) {
+        super();
+        this.dbPath = dbPath;
+        this.spreadsheetId = 'sqlite';
+        this.db = null;
+    }
+
+    async initialize() {
+        if (this.initialized) return;
+
+        if (!Database) {
+            throw new Error('STORAGE_BACKEND=sqlite requires the optional better-sqlite3 dependency');
+        }
+
+        try {
+            if (this.dbPath !== ':memory:') {
+                fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+            }
+
+            this.db = new Database(this.dbPath);
+            this.db.pragma('journal_mode = WAL');
+            createSchema(this.db);
+
+            this.sheets = createSpreadsheetsApi(this.db);
+            this.initialized = true;
+
+            await this.ensureDefaultTabs();
+            console.log(`[STORAGE] SQLite store ready at ${this.dbPath}`);
+        } catch (error) {
+            console.error('❌ Failed to initialize SQLite store:', error.message);
+            this.initialized = false;
+            throw error;
+        }
+    }
+
+    /**
+     * Create the per-user log tabs, Health_Peyton and User_Profiles if missing
+     */
+    async ensureDefaultTabs() {
+        for (const tab of ['Peyton', 'Louis', 'General']) {
+            await this.ensureSheetAndHeaders(tab, this.columnSchema);
+        }
+        await this.ensureSheetAndHeaders('Health_Peyton', HEALTH_HEADERS);
+        await this.ensureSheetAndHeaders('User_Profiles', PROFILE_HEADERS);
+    }
+
+    /**
+     * Close the database handle (tests, graceful shutdown)
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+        this.sheets = null;
+        this.initialized = false;
+        this.headerCache.clear();
+    }
+}
+
+module.exports = {
+    SqliteSheetsService
+};
@@ -0,0 +1,48 @@
+/**
+ * Storage Backend Selector
+ * Picks the row store behind the GoogleSheetsService API.
+ *
+ * STORAGE_BACKEND:
+ *   sheets (default) - live Google Spreadsheet (services/googleSheets.js)
+ *   sqlite           - local better-sqlite3 file (services/sqliteSheets.js),
+ *                      path from STORAGE_SQLITE_PATH (default .data/store.sqlite)
+ *   synced           - local SQLite store mirrored to and from Google Sheets
+ *                      (services/syncedSheets.js, see services/syncEngine.js)
+ *
+ * Both backends expose the same interface, so callers keep receiving it as
+ * `googleSheets`:
+ *   initialize(), appendRowToSheet(sheet, rowObj), getRows(filter, sheet) → { success, rows },
+ *   updateRow(sheet, rowIndex, updates), undoLastEntry(user, sheet), executeQuery(sheet, query),
+ *   getTodayEntries/getWeekEntries/getAllEntries, ensureSheetAndHeaders, getHeadersFor,
+ *   getLogSheetNameForUser(userId), and the raw `sheets.spreadsheets` client.
+ */
+
+const BACKEND = String(process.env.STORAGE_BACKEND || 'sheets').toLowerCase();
+
+/**
+ * Create the configured storage service
+ * @param {string} backend - 'sheets' | 'sqlite' | 'synced'
+ * @returns {Object} - GoogleSheetsService-compatible instance
+ */
+function createStorage(backend = BACKEND) {
+    switch (backend) {
+        case 'sqlite': {
+            const { SqliteSheetsService } = require('./sqliteSheets');
+            return new SqliteSheetsService();
+        }
+        case 'synced': {
+            const { SyncedSheetsService } = require('./syncedSheets');
+            return new SyncedSheetsService();
+        }
+        case 'sheets':
+            return require('./googleSheets');
+        default:
+            console.warn(`[STORAGE] Unknown STORAGE_BACKEND "${backend}", falling back to Google Sheets`);
+            return require('./googleSheets');
+    }
+}
+
+const storage = createStorage();
+console.log(`[STORAGE] Using ${storage.constructor.name} backend`);
+
+module.exports = storage;
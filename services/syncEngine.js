@@ -0,0 +1,574 @@
+/**
+ * Sheets ↔ Local Store Sync Engine
+ * Mirrors per-user tabs between the Google Spreadsheet and the local SQLite
+ * store, detecting edits on either side by row hash against the last synced
+ * state (three-way diff). Rows are matched by Timestamp (UserID for
+ * User_Profiles, Date for the Health_<name> tabs). Writes made while Sheets is
+ * unreachable sit in an outbox and are replayed on the next successful pass.
+ *
+ * Conflict policies (SYNC_CONFLICT_POLICY):
+ *   sheets (default) - the spreadsheet wins (hand edits are authoritative)
+ *   local            - the local store wins
+ *   merge            - field-level merge: take whichever side changed each
+ *                      column; if both changed, union Notes tokens and let
+ *                      Sheets win everything else
+ */
+
+const crypto = require('crypto');
+const { isRetryableError } = require('./retryWrapper');
+const { HEALTH_HEADERS, PROFILE_HEADERS } = require('../src/constants/sheets');
+
+const DEFAULT_TABS = ['Peyton', 'Louis', 'Health_Peyton', 'User_Profiles'];
+const POLICIES = ['sheets', 'local', 'merge'];
+
+/**
+ * Column that identifies a row on a tab: the first header of the profile and
+ * health layouts, Timestamp for log tabs
+ * @param {string} tab - Tab name
+ * @returns {string}
+ */
+function keyColumnFor(tab) {
+    if (tab === 'User_Profiles') return PROFILE_HEADERS[0];
+    if (tab.startsWith('Health_')) return HEALTH_HEADERS[0];
+    return 'Timestamp';
+}
+
+/**
+ * Hash row values over the given headers (empty cells ignored so new blank columns don't register as edits)
+ * @param {Object} values - { Header: value }
+ * @returns {string} - sha1 hex digest
+ */
+function hashRow(values) {
+    const pairs = Object.keys(values)
+        .sort()
+        .map(h => [h, String(values[h] ?? '').trim()])
+        .filter(([, v]) => v !== '');
+    return crypto.createHash('sha1').update(JSON.stringify(pairs)).digest('hex');
+}
+
+/**
+ * Union two Notes strings token-wise; for key=value tokens present on both sides the first wins
+ * @param {string} preferred - Notes whose values win
+ * @param {string} other - Notes contributing any extra tokens
+ * @returns {string}
+ */
+function mergeNotes(preferred, other) {
+    const split = (s) => String(s || '').split(';').map(t => t.trim()).filter(Boolean);
+    const keyOf = (t) => t.split('=')[0].trim();
+    const tokens = split(preferred);
+    const keys = new Set(tokens.map(keyOf));
+    for (const t of split(other)) {
+        if (!keys.has(keyOf(t))) {
+            tokens.push(t);
+            keys.add(keyOf(t));
+        }
+    }
+    return tokens.join('; ');
+}
+
+/**
+ * Read a whole tab through the raw values API (throws when the backend is unreachable)
+ * @param {Object} service - GoogleSheetsService-compatible instance
+ * @param {string} tab - Sheet title
+ * @returns {Promise<Object>} - { headers, rows: [{ rowNumber, values }] }
+ */
+async function readTab(service, tab) {
+    if (!service.initialized) await service.initialize();
+
+    const response = await service.sheets.spreadsheets.values.get({
+        spreadsheetId: service.spreadsheetId,
+        range: tab
+    });
+
+    const [headers = [], ...dataRows] = response.data.values || [];
+    const rows = [];
+    dataRows.forEach((cells, i) => {
+        if (!cells.some(c => String(c ?? '').trim() !== '')) return; // blank spacer row
+        const values = {};
+        headers.forEach((h, c) => { values[h] = cells[c] ?? ''; });
+        rows.push({ rowNumber: i + 2, values });
+    });
+
+    return { headers, rows };
+}
+
+/**
+ * Assign stable keys: key column value plus an ordinal for duplicates
+ * @param {Array} rows - Rows from readTab
+ * @param {string} keyColumn - Identifying column
+ * @returns {Map<string, Object>}
+ */
+function keyRows(rows, keyColumn) {
+    const seen = new Map();
+    const keyed = new Map();
+    for (const row of rows) {
+        const base = String(row.values[keyColumn] || '').trim() || `hash:${hashRow(row.values)}`;
+        const n = seen.get(base) || 0;
+        seen.set(base, n + 1);
+        keyed.set(`${base}#${n}`, row);
+    }
+    return keyed;
+}
+
+class SyncEngine {
+    /**
+     * @param {Object} options
+     * @param {Object} options.local - Local store (SqliteSheetsService, already initialized)
+     * @param {Object} options.remote - Google Sheets service
+     * @param {string[]} [options.tabs] - Tabs to mirror
+     * @param {string} [options.policy] - Conflict policy (sheets|local|merge)
+     */
+    constructor({ local, remote, tabs, policy } = {}) {
+        this.local = local;
+        this.remote = remote;
+        this.db = local.db;
+        this.tabs = tabs || (process.env.SYNC_TABS ? process.env.SYNC_TABS.split(',').map(t => t.trim()).filter(Boolean) : DEFAULT_TABS);
+        this.policy = String(policy || process.env.SYNC_CONFLICT_POLICY || 'sheets').toLowerCase();
+        if (!POLICIES.includes(this.policy)) {
+            console.warn(`[SYNC] Unknown conflict policy "${this.policy}", using "sheets"`);
+            this.policy = 'sheets';
+        }
+
+        this.running = null;
+        this.allPass = null;
+        this.interval = null;
+        this.flushTimer = null;
+        this.lastSyncAt = null;
+        this.lastError = null;
+
+        this.createSchema();
+    }
+
+    createSchema() {
+        this.db.prepare(`
+            CREATE TABLE IF NOT EXISTS sync_state (
+                tab TEXT NOT NULL,
+                row_key TEXT NOT NULL,
+                base_json TEXT NOT NULL,
+                base_hash TEXT NOT NULL,
+                synced_at TEXT NOT NULL,
+                PRIMARY KEY (tab, row_key)
+            )
+        `).run();
+
+        this.db.prepare(`
+            CREATE TABLE IF NOT EXISTS sync_outbox (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                tab TEXT NOT NULL,
+                op TEXT NOT NULL,
+                row_ref TEXT,
+                queued_at TEXT NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                last_error TEXT
+            )
+        `).run();
+
+        this.db.prepare(`
+            CREATE TABLE IF NOT EXISTS sync_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                at TEXT NOT NULL,
+                tab TEXT NOT NULL,
+                row_key TEXT,
+                decision TEXT NOT NULL,
+                detail TEXT
+            )
+        `).run();
+
+        this.db.prepare(`CREATE INDEX IF NOT EXISTS idx_sync_outbox_tab ON sync_outbox(tab)`).run();
+    }
+
+    /**
+     * Whether a tab is mirrored
+     * @param {string} tab - Sheet title
+     * @returns {boolean}
+     */
+    tracks(tab) {
+        return this.tabs.includes(tab);
+    }
+
+    /**
+     * Queue a local write for replay to Sheets
+     * @param {string} tab - Sheet title
+     * @param {string} op - append | update | delete
+     * @param {string} rowRef - Row identifier for diagnostics (Timestamp or row number)
+     */
+    enqueue(tab, op, rowRef = null) {
+        this.db.prepare(`INSERT INTO sync_outbox (tab, op, row_ref, queued_at) VALUES (?, ?, ?, ?)`)
+            .run(tab, op, rowRef == null ? null : String(rowRef), new Date().toISOString());
+    }
+
+    /**
+     * Debounced outbox flush after a local write
+     * @param {number} delayMs - Debounce delay
+     */
+    flushSoon(delayMs = 2000) {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flushOutbox().catch(e => console.warn('[SYNC] Outbox flush failed:', e.message));
+        }, delayMs);
+        if (this.flushTimer.unref) this.flushTimer.unref();
+    }
+
+    /**
+     * Replay queued writes by reconciling every tab that has pending entries
+     * @returns {Promise<Object>} - { replayed, pending }
+     */
+    async flushOutbox() {
+        return this.exclusive(async () => {
+            const tabs = this.db.prepare(`SELECT DISTINCT tab FROM sync_outbox`).all().map(r => r.tab);
+            let replayed = 0;
+            for (const tab of tabs) {
+                const result = await this.syncTab(tab);
+                if (result.ok) replayed++;
+            }
+            const pending = this.db.prepare(`SELECT COUNT(*) AS n FROM sync_outbox`).get().n;
+            return { replayed, pending };
+        });
+    }
+
+    /**
+     * Reconcile all mirrored tabs (concurrent callers share one pass)
+     * @returns {Promise<Object>} - { tab: result }
+     */
+    async syncAll() {
+        if (this.allPass) return this.allPass;
+
+        this.allPass = this.exclusive(async () => {
+            const results = {};
+            for (const tab of this.tabs) {
+                results[tab] = await this.syncTab(tab);
+            }
+            this.lastSyncAt = new Date().toISOString();
+            return results;
+        });
+
+        try {
+            return await this.allPass;
+        } finally {
+            this.allPass = null;
+        }
+    }
+
+    /**
+     * Run a reconcile pass once no other one is in flight, so an interval
+     * sync and an outbox flush never push the same appends or deletes twice
+     * @param {Function} pass - async () => result
+     * @returns {Promise<*>} - The pass's result
+     */
+    async exclusive(pass) {
+        while (this.running) await this.running.catch(() => {});
+
+        this.running = pass();
+        try {
+            return await this.running;
+        } finally {
+            this.running = null;
+        }
+    }
+
+    /**
+     * Reconcile one tab between Sheets and the local store
+     * @param {string} tab - Sheet title
+     * @returns {Promise<Object>} - { ok, pulled, pushed, conflicts, deleted, error? }
+     */
+    async syncTab(tab) {
+        const stats = { ok: false, pulled: 0, pushed: 0, conflicts: 0, deleted: 0 };
+        const outboxHighWater = this.db.prepare(`SELECT MAX(id) AS id FROM sync_outbox WHERE tab = ?`).get(tab).id;
+
+        try {
+            let remote = await readTab(this.remote, tab);
+            let local = await this.readLocal(tab, remote.headers);
+
+            // Keep both sides on the same column set (new columns go at the end)
+            const headers = [...remote.headers];
+            for (const h of local.headers) if (!headers.includes(h)) headers.push(h);
+            if (headers.length !== remote.headers.length) {
+                await this.writeHeaders(this.remote, tab, headers);
+                remote = await readTab(this.remote, tab);
+            }
+            if (headers.some(h => !local.headers.includes(h))) {
+                await this.writeHeaders(this.local, tab, headers);
+                local = await readTab(this.local, tab);
+            }
+
+            const keyColumn = keyColumnFor(tab);
+            const remoteRows = keyRows(remote.rows, keyColumn);
+            const localRows = keyRows(local.rows, keyColumn);
+            const base = new Map(
+                this.db.prepare(`SELECT row_key, base_json, base_hash FROM sync_state WHERE tab = ?`).all(tab)
+                    .map(r => [r.row_key, { values: JSON.parse(r.base_json), hash: r.base_hash }])
+            );
+
+            const plan = { remoteUpdates: [], localUpdates: [], remoteAppends: [], localAppends: [], remoteDeletes: [], localDeletes: [] };
+            const keys = new Set([...remoteRows.keys(), ...localRows.keys(), ...base.keys()]);
+
+            for (const key of keys) {
+                this.planRow(tab, key, localRows.get(key), remoteRows.get(key), base.get(key), plan, stats);
+            }
+
+            await this.applyPlan(tab, headers, plan);
+
+            // Outbox entries up to the snapshot are now reflected in Sheets
+            if (outboxHighWater != null) {
+                this.db.prepare(`DELETE FROM sync_outbox WHERE tab = ? AND id <= ?`).run(tab, outboxHighWater);
+            }
+
+            stats.ok = true;
+            this.lastError = null;
+            if (stats.pulled || stats.pushed || stats.conflicts || stats.deleted) {
+                console.log(`[SYNC] ${tab}: pulled ${stats.pulled}, pushed ${stats.pushed}, deleted ${stats.deleted}, conflicts ${stats.conflicts} (${this.policy})`);
+            }
+            return stats;
+        } catch (error) {
+            const unreachable = isRetryableError(error);
+            this.lastError = error.message;
+            this.db.prepare(`UPDATE sync_outbox SET attempts = attempts + 1, last_error = ? WHERE tab = ?`).run(error.message, tab);
+            this.logDecision(tab, null, unreachable ? 'deferred' : 'error', error.message);
+            console.warn(`[SYNC] ${tab}: ${unreachable ? 'Sheets unreachable, writes stay queued' : 'sync failed'} (${error.message})`);
+            return { ...stats, error: error.message };
+        }
+    }
+
+    /**
+     * Read the local copy of a tab, creating it with the remote headers if missing
+     */
+    async readLocal(tab, remoteHeaders) {
+        try {
+            return await readTab(this.local, tab);
+        } catch {
+            await this.local.ensureSheetAndHeaders(tab, remoteHeaders);
+            return readTab(this.local, tab);
+        }
+    }
+
+    /**
+     * Decide what to do with one row and record the decision
+     */
+    planRow(tab, key, L, R, B, plan, stats) {
+        const lHash = L ? hashRow(L.values) : null;
+        const rHash = R ? hashRow(R.values) : null;
+
+        if (L && R) {
+            if (lHash === rHash) {
+                if (!B || B.hash !== lHash) this.saveBase(tab, key, R.values, rHash);
+                return;
+            }
+
+            const localChanged = !B || lHash !== B.hash;
+            const remoteChanged = !B || rHash !== B.hash;
+
+            if (remoteChanged && !localChanged) {
+                plan.localUpdates.push({ key, rowNumber: L.rowNumber, values: R.values });
+                stats.pulled++;
+                this.logDecision(tab, key, 'pull', 'edited in Sheets');
+            } else if (localChanged && !remoteChanged) {
+                plan.remoteUpdates.push({ key, rowNumber: R.rowNumber, values: L.values });
+                stats.pushed++;
+                this.logDecision(tab, key, 'push', 'edited locally');
+            } else {
+                const resolved = this.resolveConflict(L.values, R.values, B?.values);
+                plan.localUpdates.push({ key, rowNumber: L.rowNumber, values: resolved });
+                plan.remoteUpdates.push({ key, rowNumber: R.rowNumber, values: resolved });
+                stats.conflicts++;
+                this.logDecision(tab, key, `conflict:${this.policy}`, B ? 'edited on both sides' : 'differs with no sync history');
+            }
+            return;
+        }
+
+        if (L && !R) {
+            if (!B) {
+                plan.remoteAppends.push({ key, values: L.values });
+                stats.pushed++;
+                this.logDecision(tab, key, 'push', 'new local row');
+            } else if (lHash !== B.hash && this.policy !== 'sheets') {
+                plan.remoteAppends.push({ key, values: L.values });
+                stats.conflicts++;
+                this.logDecision(tab, key, `conflict:${this.policy}`, 'deleted in Sheets but edited locally; restored');
+            } else {
+                plan.localDeletes.push({ key, rowNumber: L.rowNumber });
+                stats.deleted++;
+                this.logDecision(tab, key, 'delete-local', 'deleted in Sheets');
+            }
+            return;
+        }
+
+        if (!L && R) {
+            if (!B) {
+                plan.localAppends.push({ key, values: R.values });
+                stats.pulled++;
+                this.logDecision(tab, key, 'pull', 'new row in Sheets');
+            } else if (rHash !== B.hash && this.policy !== 'local') {
+                plan.localAppends.push({ key, values: R.values });
+                stats.conflicts++;
+                this.logDecision(tab, key, `conflict:${this.policy}`, 'deleted locally but edited in Sheets; restored');
+            } else {
+                plan.remoteDeletes.push({ key, rowNumber: R.rowNumber });
+                stats.deleted++;
+                this.logDecision(tab, key, 'delete-remote', 'deleted locally');
+            }
+            return;
+        }
+
+        // Gone from both sides
+        if (B) this.dropBase(tab, key);
+    }
+
+    /**
+     * Resolve a row edited on both sides according to the policy
+     * @returns {Object} - Resolved values
+     */
+    resolveConflict(localValues, remoteValues, baseValues) {
+        if (this.policy === 'sheets') return { ...localValues, ...remoteValues };
+        if (this.policy === 'local') return { ...remoteValues, ...localValues };
+
+        const merged = {};
+        const headers = new Set([...Object.keys(localValues), ...Object.keys(remoteValues)]);
+        for (const h of headers) {
+            const l = localValues[h] ?? '';
+            const r = remoteValues[h] ?? '';
+            const b = baseValues ? (baseValues[h] ?? '') : null;
+
+            if (l === r) merged[h] = r;
+            else if (b !== null && l === b) merged[h] = r;
+            else if (b !== null && r === b) merged[h] = l;
+            else if (h === 'Notes') merged[h] = mergeNotes(r, l);
+            else merged[h] = r;
+        }
+        return merged;
+    }
+
+    /**
+     * Write the plan: updates first, then appends, then deletes bottom-up so row numbers stay valid
+     */
+    async applyPlan(tab, headers, plan) {
+        const toRow = (values) => headers.map(h => values[h] ?? '');
+
+        for (const { key, rowNumber, values } of plan.remoteUpdates) {
+            await this.writeRow(this.remote, tab, rowNumber, toRow(values));
+            this.saveBase(tab, key, values);
+        }
+        for (const { key, rowNumber, values } of plan.localUpdates) {
+            await this.writeRow(this.local, tab, rowNumber, toRow(values));
+            this.saveBase(tab, key, values);
+        }
+        for (const { key, values } of plan.remoteAppends) {
+            await this.appendRow(this.remote, tab, toRow(values));
+            this.saveBase(tab, key, values);
+        }
+        for (const { key, values } of plan.localAppends) {
+            await this.appendRow(this.local, tab, toRow(values));
+            this.saveBase(tab, key, values);
+        }
+
+        await this.deleteRows(this.remote, tab, plan.remoteDeletes);
+        await this.deleteRows(this.local, tab, plan.localDeletes);
+    }
+
+    /**
+     * Rewrite the header row (columns are only ever added at the end, so data stays aligned)
+     */
+    async writeHeaders(service, tab, headers) {
+        console.log(`[SYNC] ${tab}: aligning headers on ${service.constructor.name}`);
+        await this.writeRow(service, tab, 1, headers);
+        service.headerCache.delete(tab);
+    }
+
+    async writeRow(service, tab, rowNumber, cells) {
+        await service.sheets.spreadsheets.values.update({
+            spreadsheetId: service.spreadsheetId,
+            range: `${tab}!A${rowNumber}`,
+            valueInputOption: 'RAW',
+            resource: { values: [cells] }
+        });
+    }
+
+    async appendRow(service, tab, cells) {
+        await service.sheets.spreadsheets.values.append({
+            spreadsheetId: service.spreadsheetId,
+            range: `${tab}!A:A`,
+            valueInputOption: 'RAW',
+            insertDataOption: 'INSERT_ROWS',
+            resource: { values: [cells] }
+        });
+    }
+
+    async deleteRows(service, tab, deletes) {
+        if (deletes.length === 0) return;
+        const sheetId = await service.getSheetIdByName(tab);
+        const requests = [...deletes]
+            .sort((a, b) => b.rowNumber - a.rowNumber)
+            .map(({ rowNumber }) => ({
+                deleteDimension: {
+                    range: { sheetId, dimension: 'ROWS', startIndex: rowNumber - 1, endIndex: rowNumber }
+                }
+            }));
+        await service.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: service.spreadsheetId,
+            resource: { requests }
+        });
+        for (const { key } of deletes) this.dropBase(tab, key);
+    }
+
+    saveBase(tab, key, values, hash = hashRow(values)) {
+        this.db.prepare(`REPLACE INTO sync_state (tab, row_key, base_json, base_hash, synced_at) VALUES (?, ?, ?, ?, ?)`)
+            .run(tab, key, JSON.stringify(values), hash, new Date().toISOString());
+    }
+
+    dropBase(tab, key) {
+        this.db.prepare(`DELETE FROM sync_state WHERE tab = ? AND row_key = ?`).run(tab, key);
+    }
+
+    /**
+     * Record a reconciliation decision (console + sync_log table)
+     */
+    logDecision(tab, key, decision, detail) {
+        console.log(`[SYNC] ${tab} ${key || '*'} → ${decision}${detail ? ` (${detail})` : ''}`);
+        this.db.prepare(`INSERT INTO sync_log (at, tab, row_key, decision, detail) VALUES (?, ?, ?, ?, ?)`)
+            .run(new Date().toISOString(), tab, key, decision, detail || null);
+    }
+
+    /**
+     * Recent reconciliation decisions
+     * @param {number} limit - Max entries
+     * @returns {Array}
+     */
+    getLog(limit = 50) {
+        return this.db.prepare(`SELECT * FROM sync_log ORDER BY id DESC LIMIT ?`).all(limit);
+    }
+
+    /**
+     * Sync status for monitoring
+     * @returns {Object} - { policy, tabs, pending, lastSyncAt, lastError }
+     */
+    getStatus() {
+        return {
+            policy: this.policy,
+            tabs: this.tabs,
+            pending: this.db.prepare(`SELECT COUNT(*) AS n FROM sync_outbox`).get().n,
+            lastSyncAt: this.lastSyncAt,
+            lastError: this.lastError
+        };
+    }
+
+    /**
+     * Start periodic reconciliation
+     * @param {number} intervalMs - Interval (default SYNC_INTERVAL_MIN or 5 minutes)
+     */
+    start(intervalMs = (parseFloat(process.env.SYNC_INTERVAL_MIN) || 5) * 60 * 1000) {
+        if (this.interval) return;
+        console.log(`[SYNC] Mirroring ${this.tabs.join(', ')} every ${Math.round(intervalMs / 1000)}s (policy: ${this.policy})`);
+        const run = () => this.syncAll().catch(e => console.error('[SYNC] Sync pass failed:', e));
+        run();
+        this.interval = setInterval(run, intervalMs);
+    }
+
+    stop() {
+        if (this.interval) clearInterval(this.interval);
+        if (this.flushTimer) clearTimeout(this.flushTimer);
+        this.interval = null;
+        this.flushTimer = null;
+    }
+}
+
+module.exports = { SyncEngine };
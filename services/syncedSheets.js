@@ -0,0 +1,98 @@
+/**
+ * Synced Storage Backend
+ * Local-first store: reads and writes hit the SQLite store immediately, and a
+ * SyncEngine mirrors the tabs to and from Google Sheets in the background.
+ * Hand edits made in the spreadsheet flow back on the next pass; bot writes
+ * made while Sheets is down are queued and replayed once it is reachable.
+ */
+
+const { SqliteSheetsService } = require('./sqliteSheets');
+const { SyncEngine } = require('./syncEngine');
+
+class SyncedSheetsService extends SqliteSheetsService {
+    /**
+     * @param {Object} options
+     * @param {string} [options.dbPath] - SQLite file path
+     * @param {Object} [options.remote] - Google Sheets service (default: services/googleSheets)
+     * @param {string[]} [options.tabs] - Tabs to mirror
+     * @param {string} [options.policy] - Conflict policy (sheets|local|merge)
+     */
+    constructor({ dbPath, remote, tabs, policy } = {}) {
+        super(dbPath);
+        this.remote = remote || null;
+        this.syncOptions = { tabs, policy };
+        this.sync = null;
+    }
+
+    async initialize() {
+        if (this.initialized) return;
+        await super.initialize();
+
+        if (!this.remote) this.remote = require('./googleSheets');
+        this.sync = new SyncEngine({ local: this, remote: this.remote, ...this.syncOptions });
+    }
+
+    /**
+     * Start periodic Sheets ↔ local reconciliation
+     */
+    async startSync() {
+        await this.initialize();
+        this.sync.start();
+    }
+
+    /**
+     * Mirror an extra tab (e.g. a household member's log tab)
+     * @param {string} sheetName - Tab title
+     */
+    trackTab(sheetName) {
+        if (this.sync && !this.sync.tracks(sheetName)) this.sync.tabs.push(sheetName);
+    }
+
+    /**
+     * Create a tab locally and in Sheets, and start mirroring it
+     */
+    async ensureSheetAndHeaders(title, headers) {
+        const result = await super.ensureSheetAndHeaders(title, headers);
+        if (this.sync && !this.sync.tracks(title)) {
+            try {
+                await this.remote.ensureSheetAndHeaders(title, headers);
+            } catch (error) {
+                console.warn(`[SYNC] Could not create ${title} in Sheets yet:`, error.message);
+            }
+            this.trackTab(title);
+        }
+        return result;
+    }
+
+    /**
+     * Queue a local write for Sheets and schedule a flush
+     * @param {string} sheetName - Tab written
+     * @param {string} op - append | update | delete
+     * @param {string|number} rowRef - Row identifier for diagnostics
+     */
+    queueSync(sheetName, op, rowRef) {
+        if (!this.sync || !this.sync.tracks(sheetName)) return;
+        this.sync.enqueue(sheetName, op, rowRef);
+        this.sync.flushSoon();
+    }
+
+    async appendRowToSheet(sheetName, rowObject) {
+        const result = await super.appendRowToSheet(sheetName, rowObject);
+        if (result.success) this.queueSync(sheetName, 'append', rowObject.Timestamp || result.rowNumber);
+        return result;
+    }
+
+    async updateRow(sheetName, rowIndex, updates) {
+        const result = await super.updateRow(sheetName, rowIndex, updates);
+        if (result.success) this.queueSync(sheetName, 'update', rowIndex);
+        return result;
+    }
+
+    close() {
+        if (this.sync) this.sync.stop();
+        this.sync = null;
+        super.close();
+    }
+}
+
+module.exports = { SyncedSheetsService };
@@ -102,15 +102,20 @@ async function getUserProfile(userId, googleSheets) {
             InactivityHHMM: '',
             SnoozeUntil: '',
             DNDWindow: '',
+            Language: 'en',
             Cooldowns: {}
         };
 
         const finalProfile = {
             learnedCalorieMap: profile.learnedCalorieMap || {},
+            calorieCorrections: profile.calorieCorrections || {}, // "Fix calories" history (src/calories/calibration.js)
+            recipes: profile.recipes || {}, // Saved recipes from !recipe (src/nutrition/recipes.js)
             knownTriggers: profile.knownTriggers || [],
             safeFoods: profile.safeFoods || [],
             dietaryPreferences: profile.dietaryPreferences || [],
             dailyGoal: profile.dailyGoal || null, // Daily calorie goal
+            mealReminders: profile.mealReminders || null, // After-meal calorie reminder subscription
+            household: profile.household || null, // Household membership: tab + feature flags (src/auth/household.js)
             prefs: { ...defaultPrefs, ...(profile.prefs || {}) },
         };
 
@@ -122,6 +127,8 @@ async function getUserProfile(userId, googleSheets) {
         // Return a default profile on error to prevent crashes
         return {
             learnedCalorieMap: {},
+            calorieCorrections: {},
+            recipes: {},
             knownTriggers: [],
             safeFoods: [],
             dietaryPreferences: [],
@@ -133,6 +140,7 @@ async function getUserProfile(userId, googleSheets) {
                 InactivityHHMM: '',
                 SnoozeUntil: '',
                 DNDWindow: '',
+                Language: 'en',
                 Cooldowns: {}
             },
         };
@@ -0,0 +1,277 @@
+/**
+ * Household Registry
+ * Who uses the bot, which tab their entries go to, and which features they
+ * have. Each member is stored on their profile (profile.household) and kept
+ * in memory so tab lookups stay synchronous.
+ *
+ * Member: { userId, name, tab, healthTab, admin, features: { calories, health, charts }, onboardedAt }
+ *
+ * PEYTON_ID / LOUIS_ID are still honoured as seed members so existing
+ * deployments keep their tabs; anything saved on a profile overrides the seed.
+ */
+
+const { isCalorieUser } = require('./scope');
+
+const FEATURES = ['calories', 'health', 'charts'];
+const FALLBACK_TAB = 'General';
+const PROFILE_SHEET = 'User_Profiles';
+const RESERVED_TABS = new Set([FALLBACK_TAB, PROFILE_SHEET, 'Health']);
+
+// Extra admins (comma-separated Discord IDs) on top of seeded members
+const HOUSEHOLD_ADMINS = new Set(
+    (process.env.HOUSEHOLD_ADMINS || '')
+        .split(',')
+        .map(x => x.trim())
+        .filter(Boolean)
+);
+
+const members = new Map();
+
+/**
+ * Features a user gets when nothing is stored for them
+ * @param {string} userId - Discord user ID
+ * @returns {Object} - { calories, health, charts }
+ */
+function defaultFeatures(userId) {
+    return {
+        calories: isCalorieUser(userId),
+        health: false,
+        charts: true
+    };
+}
+
+/**
+ * Members carried over from the PEYTON_ID / LOUIS_ID configuration
+ * @returns {Array<Object>}
+ */
+function legacyMembers() {
+    const peytonId = process.env.PEYTON_ID || '552563833814646806';
+    const louisId = process.env.LOUIS_ID || '552563833814646807';
+
+    return [
+        {
+            userId: peytonId,
+            name: 'Peyton',
+            tab: 'Peyton',
+            healthTab: 'Health_Peyton',
+            admin: true,
+            features: { calories: true, health: true, charts: true }
+        },
+        {
+            userId: louisId,
+            name: 'Louis',
+            tab: 'Louis',
+            healthTab: null,
+            admin: true,
+            features: defaultFeatures(louisId)
+        }
+    ];
+}
+
+/**
+ * Fill in missing fields on a stored member
+ * @param {string} userId - Discord user ID
+ * @param {Object} entry - Stored or seeded member
+ * @returns {Object}
+ */
+function normalize(userId, entry) {
+    return {
+        userId,
+        name: entry.name || entry.tab || userId,
+        tab: entry.tab || FALLBACK_TAB,
+        healthTab: entry.healthTab || null,
+        admin: entry.admin === true,
+        features: { ...defaultFeatures(userId), ...(entry.features || {}) },
+        onboardedAt: entry.onboardedAt || null
+    };
+}
+
+/**
+ * Reset the registry to the seed members
+ */
+function seed() {
+    members.clear();
+    for (const entry of legacyMembers()) {
+        members.set(entry.userId, normalize(entry.userId, entry));
+    }
+}
+
+/**
+ * Load members saved on User_Profiles (call once storage is initialized)
+ * @param {Object} googleSheets - Storage service
+ * @returns {Promise<number>} - Number of members
+ */
+async function load(googleSheets) {
+    seed();
+
+    try {
+        const result = await googleSheets.getRows({}, PROFILE_SHEET);
+        if (!result.success) throw new Error(result.error?.message || 'read failed');
+
+        for (const row of result.rows) {
+            if (!row.UserID || !row.ProfileJSON) continue;
+            try {
+                const stored = JSON.parse(row.ProfileJSON).household;
+                if (!stored) continue;
+                const seeded = members.get(row.UserID) || {};
+                members.set(row.UserID, normalize(row.UserID, { ...seeded, ...stored, features: { ...seeded.features, ...stored.features } }));
+            } catch {
+                console.warn(`[HOUSEHOLD] Skipping unreadable profile for ${row.UserID}`);
+            }
+        }
+    } catch (error) {
+        console.warn('[HOUSEHOLD] Could not load members from profiles, using seed members:', error.message);
+    }
+
+    console.log(`[HOUSEHOLD] ${members.size} members: ${list().map(m => `${m.name}→${m.tab}`).join(', ')}`);
+    return members.size;
+}
+
+/**
+ * @param {string} userId - Discord user ID
+ * @returns {Object|null} - Member, or null if not registered
+ */
+function getMember(userId) {
+    if (members.size === 0) seed();
+    return members.get(userId) || null;
+}
+
+/**
+ * @param {string} userId - Discord user ID
+ * @returns {boolean}
+ */
+function isRegistered(userId) {
+    return getMember(userId) !== null;
+}
+
+/**
+ * @returns {Array<Object>} - All members
+ */
+function list() {
+    if (members.size === 0) seed();
+    return Array.from(members.values());
+}
+
+/**
+ * Log tab for a user (unregistered users share the General tab)
+ * @param {string} userId - Discord user ID
+ * @returns {string}
+ */
+function getTab(userId) {
+    return getMember(userId)?.tab || FALLBACK_TAB;
+}
+
+/**
+ * Whether a tab is shared (General), so a user's rows are the ones with their tag in the User column
+ * @param {string} sheetName - Tab
+ * @returns {boolean}
+ */
+function isSharedTab(sheetName) {
+    return sheetName === FALLBACK_TAB;
+}
+
+/**
+ * Health (burn) tab for a user, if health ingest is enabled for them
+ * @param {string} userId - Discord user ID
+ * @returns {string|null}
+ */
+function getHealthTab(userId) {
+    const member = getMember(userId);
+    return member?.features.health && member.healthTab ? member.healthTab : null;
+}
+
+/**
+ * Whether a user has a feature
+ * @param {string} userId - Discord user ID
+ * @param {string} feature - calories | health | charts
+ * @returns {boolean}
+ */
+function hasCapability(userId, feature) {
+    const member = getMember(userId);
+    const features = member ? member.features : defaultFeatures(userId);
+    return features[feature] === true;
+}
+
+/**
+ * Whether a user may manage other members
+ * @param {string} userId - Discord user ID
+ * @returns {boolean}
+ */
+function isAdmin(userId) {
+    return HOUSEHOLD_ADMINS.has(userId) || getMember(userId)?.admin === true;
+}
+
+/**
+ * Make a tab name unique among member tabs and reserved sheets
+ * @param {string} base - Preferred tab name
+ * @returns {string}
+ */
+function uniqueTabName(base) {
+    const taken = new Set(list().map(m => m.tab.toLowerCase()));
+    const isFree = (name) => !taken.has(name.toLowerCase()) && !RESERVED_TABS.has(name) && !name.startsWith('Health_');
+
+    if (isFree(base)) return base;
+    for (let n = 2; ; n++) {
+        if (isFree(`${base}${n}`)) return `${base}${n}`;
+    }
+}
+
+/**
+ * Add or replace a member and save it on their profile
+ * @param {string} userId - Discord user ID
+ * @param {Object} entry - Member fields
+ * @param {Object} deps - { googleSheets, getUserProfile, updateUserProfile }
+ * @returns {Promise<Object>} - Saved member
+ */
+async function register(userId, entry, deps) {
+    const member = normalize(userId, entry);
+
+    const profile = await deps.getUserProfile(userId, deps.googleSheets);
+    const stored = { ...member };
+    delete stored.userId;
+    profile.household = stored;
+    await deps.updateUserProfile(userId, profile, deps.googleSheets);
+
+    members.set(userId, member);
+    console.log(`[HOUSEHOLD] Registered ${member.name} (${userId}) → ${member.tab} [${FEATURES.filter(f => member.features[f]).join(', ') || 'no features'}]`);
+    return member;
+}
+
+/**
+ * Turn a feature on or off for a member
+ * @param {string} userId - Discord user ID
+ * @param {string} feature - calories | health | charts
+ * @param {boolean} enabled - New state
+ * @param {Object} deps - { googleSheets, getUserProfile, updateUserProfile }
+ * @returns {Promise<Object|null>} - Updated member, or null if not registered
+ */
+async function setFeature(userId, feature, enabled, deps) {
+    const member = getMember(userId);
+    if (!member) return null;
+    if (!FEATURES.includes(feature)) throw new Error(`Unknown feature: ${feature}`);
+
+    const updated = { ...member, features: { ...member.features, [feature]: enabled } };
+    if (feature === 'health' && enabled && !updated.healthTab) {
+        updated.healthTab = `Health_${member.tab}`;
+    }
+
+    return register(userId, updated, deps);
+}
+
+module.exports = {
+    FEATURES,
+    FALLBACK_TAB,
+    defaultFeatures,
+    load,
+    getMember,
+    isRegistered,
+    list,
+    getTab,
+    isSharedTab,
+    getHealthTab,
+    hasCapability,
+    isAdmin,
+    uniqueTabName,
+    register,
+    setFeature
+};
@@ -0,0 +1,80 @@
+/**
+ * Household Onboarding
+ * The first time someone new DMs the bot they get their own log tab and a
+ * household entry with the default feature flags, then their message is
+ * handled as usual. People who only post in a server channel keep logging to
+ * the shared General tab until they DM the bot.
+ */
+
+const household = require('./household');
+const { getSheetName } = require('../utils/getSheetName');
+
+const FEATURE_LABELS = {
+    calories: 'calorie estimates, daily goal and progress',
+    health: 'burn data from health ingest',
+    charts: '`!chart` and `!charts`'
+};
+
+/**
+ * Describe a member's features for chat
+ * @param {Object} features - { calories, health, charts }
+ * @returns {string}
+ */
+function describeFeatures(features) {
+    return household.FEATURES
+        .map(f => `${features[f] ? '✅' : '▫️'} **${f}** — ${FEATURE_LABELS[f]}`)
+        .join('\n');
+}
+
+/**
+ * Reply text for a command whose feature is off for the user
+ * @param {string} feature - calories | health | charts
+ * @returns {string}
+ */
+function featureDisabledMessage(feature) {
+    return `🔒 The **${feature}** feature is not enabled for your account. ` +
+        `A household admin can turn it on with \`!household enable ${feature} @you\`.`;
+}
+
+/**
+ * Register a user who DMs the bot for the first time
+ * @param {Object} message - Discord message
+ * @param {Object} deps - { googleSheets, getUserProfile, updateUserProfile }
+ * @returns {Promise<Object|null>} - New member, or null if nothing was done
+ */
+async function ensureOnboarded(message, deps) {
+    const userId = message.author.id;
+    if (household.isRegistered(userId) || message.guildId) return null;
+
+    const name = message.author.globalName || message.author.username || `User${userId.slice(-4)}`;
+    const base = getSheetName(userId, name);
+    const tab = household.uniqueTabName(base === household.FALLBACK_TAB ? `User${userId.slice(-4)}` : base);
+
+    try {
+        await deps.googleSheets.ensureSheetAndHeaders(tab, deps.googleSheets.columnSchema);
+
+        const member = await household.register(userId, {
+            name,
+            tab,
+            features: household.defaultFeatures(userId),
+            onboardedAt: new Date().toISOString()
+        }, deps);
+
+        await message.reply(
+            `👋 Welcome, ${name}! I've set up your own log (**${tab}**).\n\n` +
+            `${describeFeatures(member.features)}\n\n` +
+            'Just tell me what you ate or how you feel, or type `!help` to see everything I can do.'
+        );
+        return member;
+    } catch (error) {
+        // Fall through: the message is still handled, entries go to General until the next try
+        console.error(`[ONBOARDING] Failed to onboard ${userId}:`, error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    ensureOnboarded,
+    describeFeatures,
+    featureDisabledMessage
+};
@@ -1,6 +1,8 @@
 /**
  * User Authorization & Feature Scoping
- * Controls which users have access to calorie tracking features
+ * Controls which users have access to calorie tracking features.
+ * ALLOWED_CAL_USERS sets the default; a household member's own calorie flag
+ * (src/auth/household.js) takes precedence.
  */
 
 // Parse allowed calorie users from environment variable
@@ -36,7 +38,8 @@ function getCalorieUsers() {
  * @returns {boolean} - True if calorie features should be enabled
  */
 function shouldEnableCalorieFeatures(userId) {
-    return isCalorieUser(userId);
+    // Required lazily: the household registry builds its defaults from this module
+    return require('./household').hasCapability(userId, 'calories');
 }
 
 module.exports = {
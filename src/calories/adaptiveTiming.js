@@ -194,6 +194,7 @@ function generateTimingExplanation(timing) {
 
 module.exports = {
     analyzeMealPatterns,
+    inferMealType,
     calculateOptimalTiming,
     updateLearnedPatterns,
     generateTimingExplanation
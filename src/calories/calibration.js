@@ -0,0 +1,136 @@
+/**
+ * Calorie Calibration
+ * User corrections to calorie estimates ("Fix calories" chip, "that was more
+ * like 600"), kept per user in the profile (profile.calorieCorrections) and
+ * keyed by item + sides + portion, so "pizza" and "pizza (2 slices)" learn
+ * separately.
+ *
+ * Each correction pulls later estimates of the same entry toward what the
+ * user said: two-thirds of the way after one correction, further with each
+ * one after that (never more than 90%, so a one-off typo can be outvoted).
+ * The same records drive the !calibration report of the worst estimates.
+ */
+
+const { getToken } = require('../utils/notes');
+const { recordEstimateFeedback } = require('./confidence');
+
+const MAX_WEIGHT = 0.9;
+
+/**
+ * Correction key for an entry
+ * @param {string} item - Item
+ * @param {string} [sides] - Sides
+ * @param {string} [portion] - Portion as typed ("2 slices")
+ * @returns {string} - "pizza, salad|2 slices"
+ */
+function correctionKey(item, sides, portion) {
+    const name = (String(item || '') + (sides ? `, ${sides}` : '')).toLowerCase().trim();
+    return portion ? `${name}|${String(portion).toLowerCase().trim()}` : name;
+}
+
+/**
+ * The entry a logged row is for, and what was estimated before any correction
+ * @param {Object} row - Log row (keyed by header)
+ * @returns {Object} - { item, sides, portion, estimated }
+ */
+function correctionFromRow(row) {
+    const original = getToken(row.Notes, 'cal_estimate');
+    const calories = parseFloat(String(row.Calories || '').replace(/[^\d.]/g, ''));
+    const sides = getToken(row.Notes, 'sides');
+    const portion = getToken(row.Notes, 'portion');
+    return {
+        item: String(row.Item || ''),
+        sides: sides != null ? String(sides) : null,
+        portion: portion != null ? String(portion) : null,
+        estimated: original != null ? Number(original) : (isNaN(calories) ? null : calories)
+    };
+}
+
+/**
+ * Record a correction on the user's profile (caller saves the profile)
+ * @param {Object} profile - User profile
+ * @param {Object} correction - { item, sides, portion, estimated, actual }
+ * @returns {Object} - Updated record
+ */
+function recordCorrection(profile, { item, sides, portion, estimated, actual }) {
+    profile.calorieCorrections = profile.calorieCorrections || {};
+    const key = correctionKey(item, sides, portion);
+    const record = profile.calorieCorrections[key] || { count: 0, estimatedTotal: 0, actualTotal: 0, errorTotal: 0, estimatedCount: 0 };
+
+    record.count++;
+    record.actualTotal += actual;
+    if (estimated > 0) {
+        record.estimatedCount++;
+        record.estimatedTotal += estimated;
+        record.errorTotal += Math.abs(actual - estimated);
+    }
+    record.last = actual;
+    record.updated = new Date().toISOString();
+    profile.calorieCorrections[key] = record;
+
+    recordEstimateFeedback(key, 'edited', actual, portion);
+    return record;
+}
+
+/**
+ * Blend an estimate with the user's corrections for the same entry
+ * @param {Object|null} estimate - estimateEntry() result (or null if nothing could be estimated)
+ * @param {Object} corrections - profile.calorieCorrections
+ * @param {Object} entry - { item, sides, portion }
+ * @returns {Object|null} - Estimate with corrected calories (and macros rescaled), or the input
+ */
+function applyCorrections(estimate, corrections, { item, sides, portion }) {
+    const record = corrections?.[correctionKey(item, sides, portion)];
+    if (!record || !record.count) return estimate;
+
+    const said = record.actualTotal / record.count;
+    const weight = Math.min(MAX_WEIGHT, record.count / (record.count + 0.5));
+    const calories = Math.round(estimate ? weight * said + (1 - weight) * estimate.calories : said);
+    const scale = estimate?.calories > 0 ? calories / estimate.calories : null;
+    const rescale = (value) => (value !== null && value !== undefined && scale ? Math.round(value * scale * 10) / 10 : null);
+
+    return {
+        ...(estimate || { components: [] }),
+        calories,
+        protein: rescale(estimate?.protein),
+        carbs: rescale(estimate?.carbs),
+        fat: rescale(estimate?.fat),
+        confidence: record.count >= 2 ? 'high' : 'medium',
+        source: estimate ? `${estimate.source}+corrected` : 'corrected'
+    };
+}
+
+/**
+ * Entries with the largest average estimate error
+ * @param {Object} corrections - profile.calorieCorrections
+ * @param {number} limit - Max entries
+ * @returns {Array<Object>} - [{ item, portion, count, estimated, actual, error, errorPct }] worst first
+ */
+function calibrationReport(corrections, limit = 10) {
+    return Object.entries(corrections || {})
+        .filter(([, r]) => r.estimatedCount > 0)
+        .map(([key, r]) => {
+            const [item, portion = null] = key.split('|');
+            const estimated = r.estimatedTotal / r.estimatedCount;
+            const error = r.errorTotal / r.estimatedCount;
+            return {
+                item,
+                portion,
+                count: r.count,
+                estimated: Math.round(estimated),
+                actual: Math.round(r.actualTotal / r.count),
+                error: Math.round(error),
+                errorPct: Math.round((error / estimated) * 100)
+            };
+        })
+        .sort((a, b) => b.error - a.error)
+        .slice(0, limit);
+}
+
+module.exports = {
+    correctionKey,
+    correctionFromRow,
+    recordCorrection,
+    applyCorrections,
+    calibrationReport
+};
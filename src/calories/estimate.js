@@ -1,9 +1,13 @@
 /**
  * Fast Calorie Estimation
- * Deterministic calorie estimation using local lookup table
+ * Deterministic calorie estimation using the offline nutrition database
+ * (scripts/importNutrition.js), then the small local lookup table
  */
 
 const LUT = require('./lookup.json');
+const foodDatabase = require('../nutrition/foodDatabase');
+const { giTotals, formatGiLoad } = require('../nutrition/giLoad');
+const { hasDeleted } = require('../utils/notes');
 
 // Unit conversion factors (to grams)
 const UNIT_CONVERSIONS = {
@@ -74,6 +78,22 @@ function convertToGrams(quantity, unit) {
  * @returns {Object|null} - Estimation result or null if not found
  */
 function estimate({ item, quantity, units }) {
+    const match = foodDatabase.lookup(item, quantity);
+    if (match) {
+        return {
+            calories: match.calories,
+            protein: match.protein,
+            carbs: match.carbs,
+            fat: match.fat,
+            fiber: match.fiber,
+            sugarAlcohols: match.sugarAlcohols,
+            sodium: match.sodium,
+            note: `${match.portion} (${match.grams} g of "${match.name}", FDC ${match.id})`,
+            confidence: match.score >= 1 ? 'high' : 'medium',
+            source: 'fdc'
+        };
+    }
+
     const key = item.toLowerCase().trim();
     const base = LUT[key];
     
@@ -169,10 +189,11 @@ async function getDailyKcalTarget(userId, userGoals = null, googleSheets = null)
 
 /**
  * Calculate daily totals from entries
- * @param {Array} entries - Array of food entries
- * @returns {Object} - Daily totals
+ * @param {Array} entries - Array of food entries (soft-deleted rows are skipped)
+ * @returns {Object} - Daily totals, with the GI load from Notes tokens under gi (see nutrition/giLoad.js)
  */
 function calculateDailyTotals(entries) {
+    entries = entries.filter(entry => !hasDeleted(entry.Notes || entry.notes));
     const totals = {
         calories: 0,
         protein: 0,
@@ -187,7 +208,8 @@ function calculateDailyTotals(entries) {
         if (entry.Carbs) totals.carbs += Number(entry.Carbs) || 0;
         if (entry.Fat) totals.fat += Number(entry.Fat) || 0;
     }
-    
+
+    totals.gi = giTotals(entries);
     return totals;
 }
 
@@ -210,7 +232,8 @@ function formatDailyProgress(totals, target) {
         status = '(exactly on target!)';
     }
     
-    return `Today: ${totals.calories.toLocaleString()} / ${target.toLocaleString()} kcal ${status}`;
+    const giLoad = formatGiLoad(totals);
+    return `Today: ${totals.calories.toLocaleString()} / ${target.toLocaleString()} kcal ${status}${giLoad ? `\n${giLoad}` : ''}`;
 }
 
 /**
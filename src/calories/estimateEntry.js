@@ -0,0 +1,342 @@
+/**
+ * Calorie Estimation Pipeline
+ * The one estimator for logged food and drink. A calorie value the user
+ * taught us for the whole entry (profile.learnedCalorieMap) wins; an item
+ * that is a saved recipe (profile.recipes) uses its per-serving values;
+ * otherwise the item and each side are estimated separately, each trying in order:
+ *
+ *   brand  - brandLexicon variants ("oatly barista", "cheerios", "latte"), scaled to the portion
+ *   db     - the offline nutrition database, via estimate(); comes with macros
+ *   lookup - the small hand-written tables (calories/lookup.json, nutrition/calorieLookup.json)
+ *   llm    - a provider estimate, only with CAL_EST_USE_LLM=true
+ *
+ * The result says where the number came from (source, e.g. "db+llm") and
+ * how far to trust it (confidence high/medium/low); logFromNLU writes both
+ * into Notes as cal_source= and cal_conf=. Fiber and sodium come from the
+ * database only, and like macros are reported only when every estimated
+ * part has them; sugar alcohols come from the database or, failing that,
+ * the rough polyol table in fodmap.js, and are summed over the parts that
+ * are known sources (most foods have none). Corrections the user made to
+ * earlier estimates of the same entry are blended in last (calibration.js),
+ * which adds "+corrected" to the source.
+ */
+
+const provider = require('../llm/provider'); // budget + shared cache
+const { estimate } = require('./estimate');
+const { findBrandInfo } = require('../nutrition/brandLexicon');
+const { VOLUME_TO_ML } = require('../nutrition/portionParser');
+const { parseAmount } = require('../nutrition/foodDatabase');
+const { DENSITY_MAP } = require('../nlu/ontology-v2');
+const { applyCorrections } = require('./calibration');
+const { recipeNamed, servingsFrom } = require('../nutrition/recipes');
+const { polyolGrams } = require('../nutrition/fodmap');
+const SERVING_LOOKUP = require('../nutrition/calorieLookup.json');
+
+// Common foods per serving, behind calorieLookup.json
+const SERVING_CALORIES = {
+    'life cereal': 160,
+    'banana': 100,
+    'oat milk': 120,
+    'cheerios': 140,
+    'oatmeal': 150,
+    'greek yogurt': 130,
+    'chicken': 180,
+    'salad': 120,
+    'pizza': 280,
+    'sandwich': 350,
+    'rice': 200,
+    'pasta': 220,
+    'eggs': 140,
+    'toast': 80,
+    'avocado': 160,
+    'apple': 95,
+    'orange': 62,
+    'berries': 50,
+    'nuts': 160,
+    'peanut butter': 190,
+    'bread': 80,
+    'cheese': 110,
+    'yogurt': 100,
+    'milk': 150,
+    'coffee': 5,
+    'tea': 2,
+    'water': 0,
+    'soda': 140,
+    'juice': 110,
+    'smoothie': 200,
+    'burrito': 400,
+    'taco': 180,
+    'soup': 150,
+    'stir fry': 300,
+    'noodles': 200,
+    ...SERVING_LOOKUP
+};
+
+// Serving size (ml) brandLexicon calories are given for; cereals are per 100 g
+const BRAND_SERVING_ML = {
+    oat_milk: 240,
+    almond_milk: 240,
+    dairy_milk: 240,
+    chai: 240,
+    coffee: 473
+};
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+// GI-relevant nutrients carried alongside the macros (g, g, mg)
+const GI_NUTRIENTS = ['fiber', 'sugarAlcohols', 'sodium'];
+
+/**
+ * Normalize text for lookups and cache keys
+ * @param {string} s - Text to normalize
+ * @returns {string}
+ */
+function norm(s) {
+    return (s || '').toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * LLM estimate for a single food item
+ * @param {string} food - Food item name
+ * @returns {Promise<number|null>} Estimated calories or null
+ */
+async function llmEstimateOne(food) {
+    const result = await provider.complete({
+        task: 'calorie_estimate',
+        temperature: 0,
+        messages: [{ role: 'user', content: `Estimate the average calories for one serving of ${food}. Respond with only a number.` }],
+        validate: (text) => (parseInt(String(text).match(/\d+/)?.[0], 10) > 0 ? null : 'no calorie number in reply'),
+        cacheKey: norm(food)
+    });
+
+    return result.ok ? parseInt(result.text.match(/\d+/)[0], 10) : null;
+}
+
+/**
+ * How many servings a portion is, when it isn't a weight or volume ("2", "2 servings")
+ * @param {Object|null} portion - parsePortion() result
+ * @returns {number}
+ */
+function servingsOf(portion) {
+    if (!portion || portion.normalized_g || portion.normalized_ml) return 1;
+    return portion.multiplier || 1;
+}
+
+/**
+ * Calories for a brandLexicon match, scaled to the portion
+ * @param {Object} brandInfo - findBrandInfo() result
+ * @param {Object|null} portion - parsePortion() result
+ * @returns {number}
+ */
+function brandCalories(brandInfo, portion) {
+    if (brandInfo.type === 'cereal') {
+        const cups = portion?.normalized_ml ? portion.normalized_ml / VOLUME_TO_ML.cup : servingsOf(portion);
+        const grams = portion?.normalized_g || cups * DENSITY_MAP.cereal;
+        return brandInfo.calories * grams / 100;
+    }
+    if (portion?.normalized_ml) return brandInfo.calories * portion.normalized_ml / (BRAND_SERVING_ML[brandInfo.type] || 240);
+    return brandInfo.calories * servingsOf(portion);
+}
+
+/**
+ * Estimate one part of an entry (the item, or one side)
+ * @param {string} text - Item or side text, may start with an amount ("2 slices toast")
+ * @param {Object|null} portion - parsePortion() result that applies to this part
+ * @param {Object} options - { allowLlm }
+ * @returns {Promise<Object>} - { text, calories|null, protein, carbs, fat, fiber, sugarAlcohols, sodium, source, confidence }
+ */
+async function estimateComponent(text, portion, options = {}) {
+    const part = await valueComponent(text, portion, options);
+    if (part.calories === null || part.sugarAlcohols !== null) return part;
+
+    const amount = parseAmount(text);
+    const servings = amount.qty !== null && !amount.unit ? amount.qty : servingsOf(portion);
+    return { ...part, sugarAlcohols: polyolGrams(amount.rest || text, servings) };
+}
+
+/**
+ * Calories and macros for one part, from the first source that knows it
+ * @param {string} text - Item or side text
+ * @param {Object|null} portion - parsePortion() result that applies to this part
+ * @param {Object} options - { allowLlm }
+ * @returns {Promise<Object>}
+ */
+async function valueComponent(text, portion, { allowLlm = true } = {}) {
+    const part = { text, calories: null, protein: null, carbs: null, fat: null, fiber: null, sugarAlcohols: null, sodium: null, source: null, confidence: 'low' };
+    const amount = parseAmount(text);
+    const hasAmount = Boolean(portion) || amount.qty !== null;
+
+    const brandInfo = findBrandInfo(text);
+    if (brandInfo) {
+        return { ...part, calories: brandCalories(brandInfo, portion), source: 'brand', confidence: hasAmount ? 'high' : 'medium' };
+    }
+
+    const fromTables = estimate({ item: text, quantity: portion?.raw || null });
+    if (fromTables?.source === 'fdc') {
+        return {
+            ...part,
+            calories: fromTables.calories,
+            protein: fromTables.protein,
+            carbs: fromTables.carbs,
+            fat: fromTables.fat,
+            fiber: fromTables.fiber ?? null,
+            sugarAlcohols: fromTables.sugarAlcohols ?? null,
+            sodium: fromTables.sodium ?? null,
+            source: 'db',
+            confidence: hasAmount ? fromTables.confidence : 'medium'
+        };
+    }
+
+    const perServing = SERVING_CALORIES[norm(amount.rest)] ?? SERVING_CALORIES[norm(text)];
+    if (perServing !== undefined && !fromTables) {
+        const servings = amount.qty !== null && !amount.unit ? amount.qty : servingsOf(portion);
+        return { ...part, calories: perServing * servings, source: 'lookup', confidence: 'medium' };
+    }
+    if (fromTables) {
+        return { ...part, calories: fromTables.calories, protein: fromTables.protein, carbs: fromTables.carbs, fat: fromTables.fat, source: 'lookup', confidence: 'medium' };
+    }
+
+    if (allowLlm && process.env.CAL_EST_USE_LLM === 'true') {
+        const calories = await llmEstimateOne(portion?.raw ? `${portion.raw} ${text}` : text);
+        if (calories) return { ...part, calories, source: 'llm', confidence: 'low' };
+    }
+
+    return part;
+}
+
+/**
+ * A saved recipe as one part of an entry, scaled to the servings eaten
+ * @param {Object} recipe - Saved recipe (buildRecipe result)
+ * @param {Object|null} portion - parsePortion() result ("2 servings")
+ * @returns {Object} - { text, calories, protein, carbs, fat, fiber, sugarAlcohols, sodium, source: 'recipe', confidence }
+ */
+function recipeComponent(recipe, portion) {
+    const servings = servingsFrom(portion?.raw);
+    const scaled = (value) => (value !== null && value !== undefined ? Math.round(value * servings * 10) / 10 : null);
+    return {
+        text: recipe.name,
+        calories: recipe.perServing.calories > 0 ? recipe.perServing.calories * servings : null,
+        protein: scaled(recipe.perServing.protein),
+        carbs: scaled(recipe.perServing.carbs),
+        fat: scaled(recipe.perServing.fat),
+        fiber: scaled(recipe.perServing.fiber),
+        sugarAlcohols: scaled(recipe.perServing.sugarAlcohols),
+        sodium: scaled(recipe.perServing.sodium),
+        source: 'recipe',
+        confidence: recipe.confidence
+    };
+}
+
+/**
+ * Item and sides as separately estimated parts
+ * @param {string} item - Main item
+ * @param {string} [sides] - Sides ("toast, butter")
+ * @returns {string[]}
+ */
+function splitComponents(item, sides) {
+    return [item, sides].filter(Boolean).join(', ').split(/\s*,\s*|\s+with\s+/).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Estimate calories and macros for a food or drink entry
+ * @param {Object} params
+ * @param {string} params.item - Main item
+ * @param {string} [params.sides] - Sides
+ * @param {Object} [params.portion] - parsePortion() result for the main item
+ * @param {Object} [params.learned] - profile.learnedCalorieMap ("item, sides" -> kcal)
+ * @param {Object} [params.corrections] - profile.calorieCorrections, blended in last (see calibration.js)
+ * @param {Object} [params.recipes] - profile.recipes (see nutrition/recipes.js)
+ * @param {boolean} [params.allowLlm] - false to skip the LLM estimate (callers that only need GI nutrients)
+ * @returns {Promise<Object|null>} - { calories, protein, carbs, fat, fiber, sugarAlcohols, sodium, confidence, source, components } or null
+ *
+ * @example
+ * await estimateEntry({ item: 'oatmeal', sides: 'oatly barista', portion: parsePortion('1 cup') })
+ * // { calories: 300, protein: 6, ..., confidence: 'medium', source: 'lookup+brand', components: [...] }
+ */
+async function estimateEntry({ item, sides = null, portion = null, learned = null, corrections = null, recipes = null, allowLlm = true }) {
+    // Skip junk like "you" and user replies
+    const txt = (item || '').toLowerCase().trim();
+    if (!txt || txt.length < 3) return null;
+    if (/\b(you|thanks|thank you|ok|okay|fine|solid)\b/.test(txt)) return null;
+
+    const result = await estimateFromSources(item, sides, portion, learned, recipeNamed(recipes, item), allowLlm);
+    return corrections
+        ? applyCorrections(result, corrections, { item, sides, portion: portion?.raw })
+        : result;
+}
+
+/**
+ * Combine per-part estimates (or the learned total) into one entry estimate
+ * @param {string} item - Main item
+ * @param {string|null} sides - Sides
+ * @param {Object|null} portion - parsePortion() result for the main item
+ * @param {Object|null} learned - profile.learnedCalorieMap
+ * @param {Object|null} recipe - Saved recipe the item is, if any
+ * @param {boolean} allowLlm - Whether parts may fall back to an LLM estimate
+ * @returns {Promise<Object|null>}
+ */
+async function estimateFromSources(item, sides, portion, learned, recipe, allowLlm) {
+    const learnedCalories = learned?.[(item + (sides ? `, ${sides}` : '')).toLowerCase().trim()];
+    // A recipe name is one part even if it reads like a list ("rice and beans")
+    const parts = recipe ? [item, ...splitComponents(sides)] : splitComponents(item, sides);
+    const components = [];
+    for (const [i, text] of parts.entries()) {
+        components.push(recipe && i === 0
+            ? recipeComponent(recipe, portion)
+            : await estimateComponent(text, i === 0 ? portion : null, { allowLlm: allowLlm && !learnedCalories }));
+    }
+
+    const resolved = components.filter(c => c.calories !== null);
+    const total = resolved.reduce((sum, c) => sum + c.calories, 0);
+    // Macros only when every estimated part has them; brand and LLM parts don't, and
+    // macros from the rest alone would be written as if they covered the whole entry
+    const hasMacros = resolved.length > 0 && resolved.every(c => c.protein !== null);
+    const macro = (key, scale = 1) => hasMacros
+        ? Math.round(resolved.reduce((sum, c) => sum + (c[key] || 0), 0) * scale * 10) / 10
+        : null;
+    // Fiber and sodium follow the same rule; a part that isn't a polyol source just has no sugar alcohols
+    const nutrients = (scale = 1) => Object.fromEntries(GI_NUTRIENTS.map(key => {
+        const known = resolved.filter(c => c[key] !== null && c[key] !== undefined);
+        const covered = key === 'sugarAlcohols' || known.length === resolved.length;
+        return [key, known.length && covered && scale ? Math.round(known.reduce((sum, c) => sum + c[key], 0) * scale * 10) / 10 : null];
+    }));
+
+    if (learnedCalories > 0) {
+        // Macros from the parts we can estimate, rescaled to the learned total
+        const scale = total > 0 && hasMacros && resolved.length === components.length ? learnedCalories / total : 0;
+        return {
+            calories: Math.round(learnedCalories),
+            protein: scale ? macro('protein', scale) : null,
+            carbs: scale ? macro('carbs', scale) : null,
+            fat: scale ? macro('fat', scale) : null,
+            ...nutrients(scale),
+            confidence: 'high',
+            source: 'learned',
+            components
+        };
+    }
+
+    if (!resolved.length || Math.round(total) <= 0) return null;
+
+    // The entry is only as trustworthy as its weakest part, and low if a part is missing
+    const confidence = resolved.length < components.length
+        ? 'low'
+        : CONFIDENCE_LEVELS[Math.min(...resolved.map(c => CONFIDENCE_LEVELS.indexOf(c.confidence)))];
+
+    return {
+        calories: Math.round(total),
+        protein: macro('protein'),
+        carbs: macro('carbs'),
+        fat: macro('fat'),
+        ...nutrients(),
+        confidence,
+        source: [...new Set(resolved.map(c => c.source))].join('+'),
+        components
+    };
+}
+
+module.exports = {
+    estimateEntry,
+    llmEstimateOne,
+    splitComponents
+};
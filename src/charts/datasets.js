@@ -8,6 +8,7 @@ const moment = require('moment-timezone');
 const { parseNotes } = require('../utils/notes');
 const { google } = require('googleapis');
 const time = require('../utils/time');
+const { labelExposure, outcomeRate } = require('../insights/metrics');
 
 // In-memory cache (5-min TTL)
 const cache = new Map();
@@ -60,10 +61,10 @@ async function loadIntakeBurnSeries({ googleSheets, userId, sheetName, healthShe
             return { labels: [], intake: [], burn: [] };
         }
 
-        // Load health rows (for burn)
+        // Load health rows (for burn; null healthSheet = no health data for this user)
         let healthRows = [];
         try {
-            const healthResult = await googleSheets.getRows({}, healthSheet);
+            const healthResult = healthSheet ? await googleSheets.getRows({}, healthSheet) : { success: false };
             if (healthResult.success) {
                 healthRows = healthResult.rows;
             }
@@ -319,39 +320,22 @@ async function loadTriggerLiftBars({ googleSheets, userId, sheetName, tz = 'Amer
                 late: notes.get('meal') === 'late'
             };
 
-            // Check for symptom within 6h
-            const mealTime = new Date(row.Timestamp);
-            let hasOutcome = false;
-
-            for (let j = i + 1; j < rows.length; j++) {
-                const futureRow = rows[j];
-                const futureTime = new Date(futureRow.Timestamp);
-                const diffMin = (futureTime - mealTime) / 60000;
-
-                if (diffMin > 360) break;
-
-                if (futureRow.Type === 'symptom' || futureRow.Type === 'reflux') {
-                    hasOutcome = true;
-                    break;
-                }
-            }
-
-            exposures.push({ features, hasOutcome });
+            exposures.push({ features, ...labelExposure(rows, i) });
         }
 
         if (exposures.length === 0) {
             return { labels: [], lift: [], counts: [] };
         }
 
-        // Calculate baseline and lifts
-        const baseline = exposures.filter(e => e.hasOutcome).length / exposures.length;
+        // Calculate baseline and lifts (meals confirmed by a symptom-free check-in weigh more)
+        const baseline = outcomeRate(exposures);
 
         const triggers = [];
 
         // Caffeine
         const caffeineExp = exposures.filter(e => e.features.caffeine);
         if (caffeineExp.length >= 3) {
-            const rate = caffeineExp.filter(e => e.hasOutcome).length / caffeineExp.length;
+            const rate = outcomeRate(caffeineExp);
             const lift = baseline > 0 ? rate / baseline : 0;
             if (lift >= 1.3) {
                 triggers.push({ label: 'Caffeine', lift, count: caffeineExp.length });
@@ -361,7 +345,7 @@ async function loadTriggerLiftBars({ googleSheets, userId, sheetName, tz = 'Amer
         // Dairy
         const dairyExp = exposures.filter(e => e.features.dairy);
         if (dairyExp.length >= 3) {
-            const rate = dairyExp.filter(e => e.hasOutcome).length / dairyExp.length;
+            const rate = outcomeRate(dairyExp);
             const lift = baseline > 0 ? rate / baseline : 0;
             if (lift >= 1.3) {
                 triggers.push({ label: 'Dairy', lift, count: dairyExp.length });
@@ -371,7 +355,7 @@ async function loadTriggerLiftBars({ googleSheets, userId, sheetName, tz = 'Amer
         // Late meals
         const lateExp = exposures.filter(e => e.features.late);
         if (lateExp.length >= 3) {
-            const rate = lateExp.filter(e => e.hasOutcome).length / lateExp.length;
+            const rate = outcomeRate(lateExp);
             const lift = baseline > 0 ? rate / baseline : 0;
             if (lift >= 1.3) {
                 triggers.push({ label: 'Late meals', lift, count: lateExp.length });
@@ -381,7 +365,7 @@ async function loadTriggerLiftBars({ googleSheets, userId, sheetName, tz = 'Amer
         // Caffeine + Dairy combo
         const comboExp = exposures.filter(e => e.features.caffeine && e.features.dairy);
         if (comboExp.length >= 3) {
-            const rate = comboExp.filter(e => e.hasOutcome).length / comboExp.length;
+            const rate = outcomeRate(comboExp);
             const lift = baseline > 0 ? rate / baseline : 0;
             if (lift >= 1.3) {
                 triggers.push({ label: 'Caffeine+Dairy', lift, count: comboExp.length });
@@ -0,0 +1,37 @@
+/**
+ * !calibration Command
+ * The entries whose calorie estimates the user has had to fix the most,
+ * from the corrections kept on their profile (src/calories/calibration.js)
+ */
+
+const household = require('../auth/household');
+const onboarding = require('../auth/onboarding');
+const { calibrationReport } = require('../calories/calibration');
+
+/**
+ * Handle !calibration
+ * @param {Object} message - Discord message (or interaction adapter)
+ * @param {Object} deps - { googleSheets, getUserProfile }
+ */
+async function handleCalibration(message, deps) {
+    const userId = message.author.id;
+    if (!household.hasCapability(userId, 'calories')) {
+        return message.reply(onboarding.featureDisabledMessage('calories'));
+    }
+
+    const profile = await deps.getUserProfile(userId, deps.googleSheets);
+    const report = calibrationReport(profile.calorieCorrections);
+    if (report.length === 0) {
+        return message.reply('🎯 No calorie corrections yet. Tap **Fix calories** on a log (or say "that was more like 600") when an estimate is off, and I\'ll learn from it.');
+    }
+
+    const lines = report.map((r, i) => {
+        const name = r.portion ? `${r.item} (${r.portion})` : r.item;
+        const times = r.count === 1 ? '1 fix' : `${r.count} fixes`;
+        return `${i + 1}. **${name}** — estimated ~${r.estimated}, you said ~${r.actual} (off by ${r.error} kcal, ${r.errorPct}%; ${times})`;
+    });
+
+    return message.reply(`🎯 **Calorie calibration** — estimates with the largest error\n${lines.join('\n')}\n\nFuture estimates for these are adjusted toward your numbers.`);
+}
+
+module.exports = { handleCalibration };
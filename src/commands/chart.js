@@ -21,26 +21,33 @@ const {
 } = require('../charts/builders');
 const { ChartService } = require('../charts/ChartService');
 const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const household = require('../auth/household');
+const { featureDisabledMessage } = require('../auth/onboarding');
 
 /**
  * Main handler for chart generation
  * @param {Message|import('discord.js').CommandInteraction} source - The message or interaction that triggered the command
  * @param {string[]} args - Command arguments
- * @param {Object} deps - { googleSheets, getUserProfile, getLogSheetNameForUser, PEYTON_ID }
+ * @param {Object} deps - { googleSheets, getUserProfile, getLogSheetNameForUser }
  */
 async function handleChart(source, args, deps) {
-    const { googleSheets, getUserProfile, getLogSheetNameForUser, PEYTON_ID } = deps;
+    const { googleSheets, getUserProfile, getLogSheetNameForUser } = deps;
     const isInteraction = !!source.isCommand;
     const userId = isInteraction ? source.user.id : source.author.id;
     const userTag = isInteraction ? source.user.tag : source.author.tag;
 
-    const isPeyton = (userId === PEYTON_ID);
+    if (!household.hasCapability(userId, 'charts')) {
+        return source.reply(featureDisabledMessage('charts'));
+    }
+
+    const healthSheet = household.getHealthTab(userId);
     const sheetName = getLogSheetNameForUser(userId);
 
     // Parse args: !chart <type> [period]
     const parts = (args || '').trim().toLowerCase().split(/\s+/);
     const chartType = parts[0];
     const period = parts[1] || 'today';
+    const days = period === 'today' ? 1 : (parseInt(period, 10) || 7);
 
     if (!chartType) {
         return source.reply('Usage: `!chart <type> [period]`\n\nTypes: budget, intake, reflux, latency, triggers\nPeriods: today, 7d, 14d, 28d, 30d\n\nExample: `!chart budget today`');
@@ -65,11 +72,11 @@ async function handleChart(source, args, deps) {
 
         switch (chartType) {
             case 'budget':
-                ({ buffer, caption } = await renderBudgetChart({ googleSheets, userId, isPeyton, sheetName, tz, days }));
+                ({ buffer, caption } = await renderBudgetChart({ googleSheets, userId, healthSheet, sheetName, tz, days }));
                 break;
 
             case 'intake':
-                ({ buffer, caption } = await renderIntakeChart({ googleSheets, userId, isPeyton, sheetName, tz, days }));
+                ({ buffer, caption } = await renderIntakeChart({ googleSheets, userId, healthSheet, sheetName, tz, days }));
                 break;
 
             case 'reflux':
@@ -109,12 +116,12 @@ async function handleChart(source, args, deps) {
 /**
  * Render budget chart
  */
-async function renderBudgetChart({ googleSheets, userId, isPeyton, sheetName, tz, days }) {
+async function renderBudgetChart({ googleSheets, userId, healthSheet, sheetName, tz, days }) {
     const data = await loadIntakeBurnSeries({
         googleSheets,
         userId,
         sheetName,
-        healthSheet: 'Health_Peyton',
+        healthSheet,
         tz,
         days
     });
@@ -129,7 +136,7 @@ async function renderBudgetChart({ googleSheets, userId, isPeyton, sheetName, tz
     const config = buildBudgetBar({
         labels: data.labels,
         intake: data.intake,
-        burn: isPeyton ? data.burn : null,
+        burn: healthSheet ? data.burn : null,
         target: null // Could add user goal here
     });
 
@@ -158,12 +165,12 @@ async function renderBudgetChart({ googleSheets, userId, isPeyton, sheetName, tz
 /**
  * Render intake vs burn area chart
  */
-async function renderIntakeChart({ googleSheets, userId, isPeyton, sheetName, tz, days }) {
+async function renderIntakeChart({ googleSheets, userId, healthSheet, sheetName, tz, days }) {
     const data = await loadIntakeBurnSeries({
         googleSheets,
         userId,
         sheetName,
-        healthSheet: 'Health_Peyton',
+        healthSheet,
         tz,
         days
     });
@@ -178,7 +185,7 @@ async function renderIntakeChart({ googleSheets, userId, isPeyton, sheetName, tz
     const config = buildIntakeBurnArea({
         labels: data.labels,
         intake: data.intake,
-        burn: isPeyton ? data.burn : null
+        burn: healthSheet ? data.burn : null
     });
 
     const buffer = await renderToBuffer(config);
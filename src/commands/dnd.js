@@ -1,12 +1,15 @@
 /**
- * DND, Timezone, and Snooze Commands
- * User control over reminder timing and suppression
+ * DND, Timezone, Language, and Snooze Commands
+ * User control over reminder timing and suppression, and the language messages are parsed in
  */
 
 const moment = require('moment-timezone');
 const { isValid, find } = require('moment-timezone');
 const time = require('../utils/time');
 const { computeNextSend } = require('../reminders/adaptive');
+const { SUPPORTED_LOCALES, resolveLocale } = require('../nlu/locales');
+
+const LANGUAGE_NAMES = { en: 'English', es: 'Español' };
 
 /**
  * Handle !dnd command
@@ -100,6 +103,38 @@ async function handleTimezone(message, args, deps) {
     console.log(`[TZ] User ${userId} set timezone: ${tz}`);
 }
 
+/**
+ * Handle !language command
+ * @param {Object} message - Discord message
+ * @param {string} args - Command arguments
+ * @param {Object} deps - { getUserProfile, updateUserProfile, googleSheets }
+ */
+async function handleLanguage(message, args, deps) {
+    const { getUserProfile, updateUserProfile, googleSheets } = deps;
+    const userId = message.author.id;
+    const profile = await getUserProfile(userId, googleSheets);
+    const current = profile.prefs.Language || 'en';
+
+    if (!args || !args.trim()) {
+        const options = SUPPORTED_LOCALES.map(code => `\`${code}\` (${LANGUAGE_NAMES[code]})`).join(', ');
+        return message.reply(`🗣️ You're logging in **${LANGUAGE_NAMES[current]}**. Options: ${options}.`);
+    }
+
+    const locale = resolveLocale(args);
+    if (!locale) {
+        return message.reply(`❌ Unknown language. Use one of: ${SUPPORTED_LOCALES.join(', ')}.`);
+    }
+
+    profile.prefs.Language = locale;
+    await updateUserProfile(userId, profile, googleSheets);
+
+    await message.reply(locale === 'es'
+        ? '✅ Listo, puedes anotar en **español** (p. ej. "desayuné avena"). Tus registros se guardan con los nombres en inglés para que los análisis no cambien.'
+        : '✅ Language set to **English**.');
+
+    console.log(`[LANG] User ${userId} set language: ${locale}`);
+}
+
 /**
  * Handle !snooze command
  * @param {Object} message - Discord message
@@ -137,4 +172,4 @@ async function handleSnooze(message, args, deps) {
     console.log(`[SNOOZE] User ${userId} snoozed until ${snoozeUntil.toISOString()}`);
 }
 
-module.exports = { handleDND, handleTimezone, handleSnooze };
+module.exports = { handleDND, handleTimezone, handleLanguage, handleSnooze };
@@ -0,0 +1,78 @@
+/**
+ * !export Command
+ * Sends the user's own tab as a CSV attachment (deleted rows excluded; on the
+ * shared General tab, only the rows they logged)
+ */
+
+const moment = require('moment-timezone');
+const { AttachmentBuilder } = require('discord.js');
+const household = require('../auth/household');
+const { hasDeleted } = require('../utils/notes');
+
+/**
+ * Quote a value for CSV
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function csvCell(value) {
+    const s = String(value ?? '');
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Build CSV text from header-keyed rows
+ * @param {Array<string>} headers - Column order
+ * @param {Array<Object>} rows - Rows keyed by header
+ * @returns {string}
+ */
+function toCSV(headers, rows) {
+    const lines = [headers.map(csvCell).join(',')];
+    for (const row of rows) {
+        lines.push(headers.map(h => csvCell(row[h])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Handle !export [days]
+ * @param {Object} message - Discord message (or interaction adapter)
+ * @param {string} args - Optional number of days to include
+ * @param {Object} deps - { googleSheets, getLogSheetNameForUser }
+ */
+async function handleExport(message, args, deps) {
+    const { googleSheets, getLogSheetNameForUser } = deps;
+    const userId = message.author.id;
+    const sheetName = getLogSheetNameForUser(userId);
+
+    const days = parseInt(args, 10);
+    if (args && (isNaN(days) || days < 1)) {
+        return message.reply('Usage: `!export [days]` — e.g. `!export 30` for the last 30 days, or `!export` for everything.');
+    }
+
+    const result = await googleSheets.getRows({}, sheetName);
+    if (!result.success) {
+        return message.reply('❌ Could not read your entries. Please try again later.');
+    }
+
+    const cutoff = days ? moment().subtract(days, 'days').toISOString() : null;
+    const shared = household.isSharedTab(sheetName);
+    const rows = result.rows.filter(r => !hasDeleted(r.Notes) &&
+        (!cutoff || (r.Timestamp || '') >= cutoff) &&
+        (!shared || r.User === message.author.tag));
+
+    if (rows.length === 0) {
+        return message.reply(days ? `📭 No entries in the last ${days} days.` : '📭 No entries to export yet.');
+    }
+
+    const headers = await googleSheets.getHeadersFor(sheetName);
+    const csv = toCSV(headers.length ? headers : googleSheets.columnSchema, rows);
+    const fileName = `${sheetName.toLowerCase()}-${moment().format('YYYY-MM-DD')}${days ? `-${days}d` : ''}.csv`;
+
+    await message.reply({
+        content: `📦 Exported ${rows.length} entr${rows.length === 1 ? 'y' : 'ies'}${days ? ` from the last ${days} days` : ''}.`,
+        files: [new AttachmentBuilder(Buffer.from(csv, 'utf8'), { name: fileName })]
+    });
+    console.log(`[EXPORT] Sent ${rows.length} rows from ${sheetName} to ${userId}`);
+}
+
+module.exports = { handleExport };
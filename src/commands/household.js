@@ -0,0 +1,86 @@
+/**
+ * !household Command
+ * Shows household members and their features; admins turn features on/off.
+ *
+ *   !household                              - your membership (admins: everyone)
+ *   !household enable <feature> [@user]     - admin only
+ *   !household disable <feature> [@user]    - admin only
+ */
+
+const household = require('../auth/household');
+const { describeFeatures } = require('../auth/onboarding');
+const { HEALTH_HEADERS } = require('../constants/sheets');
+
+const USAGE = 'Usage: `!household`, `!household enable <feature> [@user]`, `!household disable <feature> [@user]`\n' +
+    `Features: ${household.FEATURES.join(', ')}`;
+
+/**
+ * Pull a user ID out of a mention (<@123>, <@!123>) or a bare ID
+ * @param {string} token - Argument text
+ * @returns {string|null}
+ */
+function parseUserRef(token) {
+    const match = /^<@!?(\d+)>$|^(\d{15,20})$/.exec(String(token || '').trim());
+    return match ? (match[1] || match[2]) : null;
+}
+
+/**
+ * One-line summary of a member
+ * @param {Object} member - Household member
+ * @returns {string}
+ */
+function formatMember(member) {
+    const on = household.FEATURES.filter(f => member.features[f]);
+    return `• **${member.name}** → \`${member.tab}\`${member.admin ? ' (admin)' : ''} — ${on.length ? on.join(', ') : 'no features'}`;
+}
+
+/**
+ * Handle !household
+ * @param {Object} message - Discord message
+ * @param {string} args - Raw arguments
+ * @param {Object} deps - { googleSheets, getUserProfile, updateUserProfile }
+ */
+async function handleHousehold(message, args, deps) {
+    const userId = message.author.id;
+    const [action, feature, target] = (args || '').trim().split(/\s+/).filter(Boolean);
+
+    if (!action) {
+        if (household.isAdmin(userId)) {
+            return message.reply(`🏠 **Household**\n${household.list().map(formatMember).join('\n')}`);
+        }
+        const member = household.getMember(userId);
+        if (!member) {
+            return message.reply('You are not registered yet — send me a DM to get your own log.');
+        }
+        return message.reply(`🏠 You log to **${member.tab}**.\n\n${describeFeatures(member.features)}`);
+    }
+
+    if (action !== 'enable' && action !== 'disable') {
+        return message.reply(USAGE);
+    }
+    if (!household.isAdmin(userId)) {
+        return message.reply('🔒 Only household admins can change features.');
+    }
+    if (!household.FEATURES.includes(feature)) {
+        return message.reply(`❌ Unknown feature \`${feature || ''}\`.\n${USAGE}`);
+    }
+
+    const targetId = target ? parseUserRef(target) : userId;
+    const member = targetId && household.getMember(targetId);
+    if (!member) {
+        return message.reply('❌ That user is not in the household yet. They need to DM me first.');
+    }
+
+    const enabled = action === 'enable';
+    const updated = await household.setFeature(targetId, feature, enabled, deps);
+
+    if (feature === 'health' && enabled) {
+        await deps.googleSheets.ensureSheetAndHeaders(updated.healthTab, HEALTH_HEADERS);
+    }
+
+    console.log(`[HOUSEHOLD] ${userId} ${action}d ${feature} for ${targetId}`);
+    return message.reply(`✅ ${feature} ${enabled ? 'enabled' : 'disabled'} for **${updated.name}**.` +
+        (feature === 'health' && enabled ? ` Health data goes to \`${updated.healthTab}\`.` : ''));
+}
+
+module.exports = { handleHousehold };
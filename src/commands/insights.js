@@ -5,6 +5,7 @@
 
 const { EmbedBuilder } = require('discord.js');
 const { loadUserRows, loadHealthRows, todayWindow } = require('../insights/loaders');
+const household = require('../auth/household');
 const {
     sumIntakeKcal,
     getBurnForDate,
@@ -19,15 +20,15 @@ const { trendChip, num, pct } = require('../insights/format');
 /**
  * Handle !insights command
  * @param {Object} message - Discord message
- * @param {Object} deps - Dependencies { googleSheets, getUserName, getLogSheetNameForUser, PEYTON_ID }
+ * @param {Object} deps - Dependencies { googleSheets, getUserName, getLogSheetNameForUser }
  */
 async function handleInsights(message, deps) {
-    const { googleSheets, getUserName, getLogSheetNameForUser, PEYTON_ID } = deps;
+    const { googleSheets, getUserName, getLogSheetNameForUser } = deps;
 
     const userId = message.author.id;
     const userName = getUserName(message.author.username);
     const sheetName = getLogSheetNameForUser(userId);
-    const isPeyton = (userId === PEYTON_ID);
+    const healthSheet = household.getHealthTab(userId);
 
     console.log(`[INSIGHTS] Starting insights for ${userName} (${sheetName})`);
     const overallStart = Date.now();
@@ -38,7 +39,7 @@ async function handleInsights(message, deps) {
 
         const [userRows, healthMap] = await Promise.all([
             loadUserRows(googleSheets, userName, sheetName, { sinceDays: 30 }),
-            isPeyton ? loadHealthRows(googleSheets, { sinceDays: 30 }) : Promise.resolve(new Map())
+            healthSheet ? loadHealthRows(googleSheets, { sinceDays: 30, healthSheet }) : Promise.resolve(new Map())
         ]);
 
         console.log(`[INSIGHTS] Loaded data in ${Date.now() - loadStart}ms`);
@@ -55,7 +56,7 @@ async function handleInsights(message, deps) {
 
         // Budget (today)
         const intake = sumIntakeKcal(userRows, today);
-        const burn = isPeyton ? getBurnForDate(healthMap, today) : null;
+        const burn = healthSheet ? getBurnForDate(healthMap, today) : null;
         const budget = budgetBar(intake, burn);
 
         // Latency
@@ -114,7 +114,8 @@ async function handleNLUStats(message) {
                 `**Acceptance**: Strict ${v2Report.acceptance.strict}, Lenient ${v2Report.acceptance.lenient}\n` +
                 `**Rescued**: ${v2Report.rescued.total} (${v2Report.rescued.pct}) - swap:${v2Report.rescued.swap}, beverage:${v2Report.rescued.beverage}, llm:${v2Report.rescued.llm}\n` +
                 `**Clarified**: ${v2Report.clarified} | **Rejected**: ${v2Report.rejected}\n` +
-                `**LLM Rate**: ${v2Report.llm.rate} (target: ${v2Report.llm.target})`;
+                `**LLM Rate**: ${v2Report.llm.rate} (target: ${v2Report.llm.target})\n` +
+                `**LLM Schema**: ${v2Report.schema.failed}/${v2Report.schema.checked} failed (${v2Report.schema.failRate}) - repaired:${v2Report.schema.repaired}, partial:${v2Report.schema.salvaged}, rejected:${v2Report.schema.rejected}`;
 
             embed.addFields({
                 name: '🚀 NLU V2 Coverage',
@@ -123,6 +124,21 @@ async function handleNLUStats(message) {
             });
         }
 
+        // LLM backend and token usage (all tasks share the provider)
+        const llmUsage = require('../llm/provider').getUsage();
+        const llmTasks = Object.entries(llmUsage.tasks)
+            .map(([task, t]) => `• **${task}**: ${t.ok}/${t.calls} ok • ${t.cacheHits} cached • ${t.promptTokens + t.completionTokens} tok` +
+                (t.timeouts + t.errors + t.invalid > 0 ? ` • ${t.timeouts} timeout, ${t.errors} error, ${t.invalid} invalid` : ''))
+            .join('\n');
+        const llmBudget = llmUsage.today.budget ? ` / ${llmUsage.today.budget}` : '';
+        embed.addFields({
+            name: '🤖 LLM Usage',
+            value: `Backend: ${llmUsage.backend}${llmUsage.model ? ` (${llmUsage.model})` : ''}\n` +
+                `Tokens today: ${llmUsage.today.tokens}${llmBudget}\n` +
+                (llmTasks || 'No LLM calls yet'),
+            inline: false
+        });
+
         embed.setFooter({ text: 'Use /reset-stats to clear metrics' });
 
         await message.reply({ embeds: [embed] });
@@ -0,0 +1,108 @@
+/**
+ * !recipe Command
+ * Save home-cooked dishes with their ingredients so logging them uses a fixed
+ * per-serving value (src/nutrition/recipes.js).
+ *
+ *   !recipe add "<name>" <ingredient>, <ingredient>, ...; serves <n>
+ *   !recipe list
+ *   !recipe show <name>
+ *   !recipe remove <name>
+ */
+
+const { parseRecipeArgs, buildRecipe, recipeKey } = require('../nutrition/recipes');
+
+const USAGE = 'Usage: `!recipe add "chicken congee" 1 cup jasmine rice, 200 g chicken thigh, 1 tbsp ginger, 6 cups chicken broth; serves 4`, ' +
+    '`!recipe list`, `!recipe show <name>`, `!recipe remove <name>`';
+
+/**
+ * Per-serving line for a recipe
+ * @param {Object} recipe - Saved recipe
+ * @returns {string}
+ */
+function formatPerServing(recipe) {
+    const { calories, protein, carbs, fat } = recipe.perServing;
+    const macros = protein !== null ? ` · P ${protein} g · C ${carbs ?? '—'} g · F ${fat ?? '—'} g` : '';
+    return `${calories} kcal${macros} per serving (${recipe.servings} ${recipe.servings === 1 ? 'serving' : 'servings'})`;
+}
+
+/**
+ * Full description of a recipe: per-serving values, ingredients and inherited tokens
+ * @param {Object} recipe - Saved recipe
+ * @returns {string}
+ */
+function formatRecipe(recipe) {
+    const lines = recipe.ingredients.map(i => `• ${i.text} — ${i.calories !== null ? `${i.calories} kcal (${i.source})` : '❓ not found'}`);
+    const tags = Object.keys(recipe.tags || {}).map(t => (t === 'category' ? recipe.tags.category : t));
+    const tagLine = tags.length ? `\nTagged: ${tags.join(', ')}` : '';
+    const warning = recipe.unresolved.length
+        ? `\n⚠️ I couldn't value ${recipe.unresolved.join(', ')}, so the total is low. Re-add it with more specific ingredients to fix.`
+        : '';
+    return `🍲 **${recipe.name}** — ${formatPerServing(recipe)}\n${lines.join('\n')}${tagLine}${warning}`;
+}
+
+/**
+ * Handle !recipe
+ * @param {Object} message - Discord message
+ * @param {string} args - Raw arguments
+ * @param {Object} deps - { googleSheets, getUserProfile, updateUserProfile, estimateEntry }
+ */
+async function handleRecipe(message, args, deps) {
+    const userId = message.author.id;
+    const text = (args || '').trim();
+    const [action = ''] = text.split(/\s+/, 1);
+    const rest = text.slice(action.length).trim();
+
+    const profile = await deps.getUserProfile(userId, deps.googleSheets);
+    profile.recipes = profile.recipes || {};
+
+    switch (action.toLowerCase()) {
+        case 'add':
+        case 'save': {
+            const parsed = parseRecipeArgs(rest);
+            if (!parsed) return message.reply(USAGE);
+
+            const recipe = await buildRecipe(parsed, deps);
+            const key = recipeKey(recipe.name);
+            const replaced = Boolean(profile.recipes[key]);
+            profile.recipes[key] = recipe;
+            await deps.updateUserProfile(userId, profile, deps.googleSheets);
+
+            console.log(`[RECIPE] ${replaced ? 'Updated' : 'Saved'} "${recipe.name}" for ${userId}: ${recipe.perServing.calories} kcal/serving`);
+            return message.reply(`${replaced ? '✏️ Updated' : '✅ Saved'} ${formatRecipe(recipe)}\n\nJust say "had a bowl of ${recipe.name}" to log it.`);
+        }
+
+        case 'list':
+        case '': {
+            const recipes = Object.values(profile.recipes);
+            if (recipes.length === 0) {
+                return message.reply(`📖 No saved recipes yet.\n${USAGE}`);
+            }
+            const lines = recipes
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map(r => `• **${r.name}** — ${formatPerServing(r)}`);
+            return message.reply(`📖 **Your recipes**\n${lines.join('\n')}`);
+        }
+
+        case 'show': {
+            const recipe = profile.recipes[recipeKey(rest.replace(/^"|"$/g, ''))];
+            return message.reply(recipe ? formatRecipe(recipe) : `🤔 No recipe called "${rest}". Try \`!recipe list\`.`);
+        }
+
+        case 'remove':
+        case 'delete': {
+            const key = recipeKey(rest.replace(/^"|"$/g, ''));
+            if (!profile.recipes[key]) {
+                return message.reply(`🤔 No recipe called "${rest}". Try \`!recipe list\`.`);
+            }
+            const { name } = profile.recipes[key];
+            delete profile.recipes[key];
+            await deps.updateUserProfile(userId, profile, deps.googleSheets);
+            return message.reply(`🗑️ Removed **${name}**. Entries already logged keep their calories.`);
+        }
+
+        default:
+            return message.reply(USAGE);
+    }
+}
+
+module.exports = { handleRecipe };
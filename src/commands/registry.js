@@ -0,0 +1,239 @@
+/**
+ * Command Registry
+ * Single table of `!commands`: name, aliases, usage, help text and argument
+ * spec. The router dispatches through here instead of a hard-coded switch, and
+ * `!help` / `!help <command>` are generated from the same metadata.
+ *
+ * Command definition:
+ *   {
+ *     name: 'chart',
+ *     aliases: ['graph'],
+ *     category: 'Insights',
+ *     description: 'One-line summary',
+ *     usage: '!chart <type> [period]',
+ *     examples: ['!chart budget today'],
+ *     args: [{ name: 'type', required: true, choices: [...] }, { name: 'period', choices: [...] }],
+ *     handler: async (message, args, deps) => {}   // args: { raw, list, named }
+ *   }
+ */
+
+const { EmbedBuilder } = require('discord.js');
+
+const commands = new Map();   // name -> definition
+const aliases = new Map();    // alias -> name
+
+/**
+ * Register a command (re-registering a name replaces it)
+ * @param {Object} definition - Command definition (see header)
+ * @returns {Object} - The definition
+ */
+function register(definition) {
+    if (!definition?.name || typeof definition.handler !== 'function') {
+        throw new Error('Command definitions need a name and a handler');
+    }
+
+    const def = {
+        aliases: [],
+        args: [],
+        examples: [],
+        category: 'General',
+        usage: `!${definition.name}`,
+        ...definition
+    };
+
+    commands.set(def.name, def);
+    for (const alias of def.aliases) aliases.set(alias, def.name);
+    return def;
+}
+
+/**
+ * Look up a command by name or alias
+ * @param {string} name - Command name (without the leading !)
+ * @returns {Object|null}
+ */
+function get(name) {
+    const key = String(name || '').toLowerCase();
+    return commands.get(key) || commands.get(aliases.get(key)) || null;
+}
+
+/**
+ * All registered commands (registration order)
+ * @returns {Array<Object>}
+ */
+function list() {
+    return Array.from(commands.values());
+}
+
+/**
+ * Split a command line into name and arguments (double quotes group words)
+ * @param {string} text - Raw message text, e.g. `!chart reflux 14d`
+ * @returns {Object} - { name, raw, list }
+ */
+function parseCommandLine(text) {
+    const trimmed = String(text || '').trim().replace(/^[!/]/, '');
+    const [name = ''] = trimmed.split(/\s+/, 1);
+    const raw = trimmed.slice(name.length).trim();
+
+    const tokens = [];
+    const re = /"([^"]*)"|(\S+)/g;
+    let m;
+    while ((m = re.exec(raw)) !== null) {
+        tokens.push(m[1] !== undefined ? m[1] : m[2]);
+    }
+
+    return { name: name.toLowerCase(), raw, list: tokens };
+}
+
+/**
+ * Validate arguments against a command's spec
+ * @param {Object} def - Command definition
+ * @param {Array<string>} tokens - Positional arguments
+ * @returns {Object} - { ok, named, error }
+ */
+function bindArgs(def, tokens) {
+    const named = {};
+
+    for (let i = 0; i < def.args.length; i++) {
+        const spec = def.args[i];
+        const value = spec.rest ? tokens.slice(i).join(' ') : tokens[i];
+
+        if (value === undefined || value === '') {
+            if (spec.required) return { ok: false, error: `Missing \`${spec.name}\`.` };
+            if (spec.default !== undefined) named[spec.name] = spec.default;
+            continue;
+        }
+
+        if (spec.choices && !spec.choices.includes(value.toLowerCase())) {
+            return { ok: false, error: `\`${value}\` isn't a valid ${spec.name}. Options: ${spec.choices.join(', ')}` };
+        }
+
+        named[spec.name] = spec.choices ? value.toLowerCase() : value;
+    }
+
+    return { ok: true, named };
+}
+
+/**
+ * Closest command name for typos (edit distance ≤ 2)
+ * @param {string} name - Unknown command
+ * @returns {string|null}
+ */
+function suggest(name) {
+    const distance = (a, b) => {
+        const dp = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+        for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+        }
+        return dp[a.length][b.length];
+    };
+
+    let best = null;
+    let bestScore = 3;
+    for (const candidate of [...commands.keys(), ...aliases.keys()]) {
+        const score = distance(name, candidate);
+        if (score < bestScore) {
+            best = aliases.get(candidate) || candidate;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * Build the help reply: overview of all commands, or details for one
+ * @param {string} [name] - Command to describe
+ * @returns {Object|string} - Discord reply payload
+ */
+function buildHelp(name) {
+    if (name) {
+        const def = get(name);
+        if (!def) return `❓ No command called \`${name}\`. Try \`!help\` for the full list.`;
+
+        const lines = [def.description, '', `**Usage:** \`${def.usage}\``];
+        for (const spec of def.args) {
+            const choices = spec.choices ? ` — ${spec.choices.join(', ')}` : '';
+            lines.push(`• \`${spec.name}\`${spec.required ? '' : ' (optional)'}${spec.help ? `: ${spec.help}` : ''}${choices}`);
+        }
+        if (def.aliases.length) lines.push(`**Aliases:** ${def.aliases.map(a => `\`!${a}\``).join(', ')}`);
+        if (def.examples.length) lines.push(`**Examples:** ${def.examples.map(e => `\`${e}\``).join('  ')}`);
+
+        return {
+            embeds: [new EmbedBuilder()
+                .setColor(0x5865F2)
+                .setTitle(`!${def.name}`)
+                .setDescription(lines.join('\n'))]
+        };
+    }
+
+    const byCategory = new Map();
+    for (const def of list()) {
+        if (def.hidden) continue;
+        if (!byCategory.has(def.category)) byCategory.set(def.category, []);
+        byCategory.get(def.category).push(`\`${def.usage}\` — ${def.description}`);
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle('📖 Commands')
+        .setDescription('You can also just talk to me — "had oatmeal for breakfast", "how was my reflux this week?"')
+        .setFooter({ text: 'Use !help <command> for details' });
+    for (const [category, lines] of byCategory) {
+        embed.addFields({ name: category, value: lines.join('\n'), inline: false });
+    }
+
+    return { embeds: [embed] };
+}
+
+/**
+ * Dispatch a `!command` message
+ * @param {Object} message - Discord message
+ * @param {string} text - Message text (starting with !)
+ * @param {Object} deps - Router dependencies
+ * @returns {Promise<boolean>} - True if a command ran (or usage/unknown reply was sent)
+ */
+async function dispatch(message, text, deps) {
+    const { name, raw, list: tokens } = parseCommandLine(text);
+    if (!name) return false;
+
+    const def = get(name);
+    console.log(`[CMD] Command received: ${name}, Args: ${raw}`);
+
+    if (!def) {
+        const guess = suggest(name);
+        const hint = guess ? ` Did you mean \`!${guess}\`?` : '';
+        await message.reply(`🤔 I don't recognize \`!${name}\`.${hint} Try \`!help\`.`);
+        return true;
+    }
+
+    // `!today help` / `!chart ?` → per-command help
+    if (tokens.length === 1 && (tokens[0] === 'help' || tokens[0] === '?')) {
+        await message.reply(buildHelp(def.name));
+        return true;
+    }
+
+    const bound = bindArgs(def, tokens);
+    if (!bound.ok) {
+        await message.reply(`❌ ${bound.error}\nUsage: \`${def.usage}\``);
+        return true;
+    }
+
+    try {
+        await def.handler(message, { raw, list: tokens, named: bound.named }, deps);
+    } catch (error) {
+        console.error(`[CMD] !${def.name} failed:`, error);
+        await message.reply(`❌ \`!${def.name}\` failed. Please try again.`);
+    }
+    return true;
+}
+
+module.exports = {
+    register,
+    get,
+    list,
+    parseCommandLine,
+    buildHelp,
+    dispatch
+};
@@ -0,0 +1,274 @@
+/**
+ * Slash Commands
+ * Registers /log, /chart, /goal, /dnd, /timezone, /export as application
+ * commands and routes each interaction through the same command registry the
+ * `!` text commands use, via a message-shaped adapter.
+ *
+ * Commands are registered per guild when DISCORD_GUILD_ID is set (instant
+ * updates), otherwise globally (can take up to an hour to appear).
+ */
+
+const moment = require('moment-timezone');
+const { REST } = require('@discordjs/rest');
+const { Routes, SlashCommandBuilder } = require('discord.js');
+const commandRegistry = require('./registry');
+const { loadUserRows } = require('../insights/loaders');
+
+const CHART_TYPES = ['budget', 'intake', 'reflux', 'latency', 'triggers'];
+const PERIODS = ['today', '7d', '14d', '28d', '30d'];
+const MAX_CHOICES = 25; // Discord limit for autocomplete responses
+
+/**
+ * Build the application command definitions
+ * @returns {Array<Object>} - JSON payloads for the REST API
+ */
+function buildSlashCommands() {
+    const log = new SlashCommandBuilder()
+        .setName('log')
+        .setDescription('Log an entry')
+        .addSubcommand(sub => sub
+            .setName('food')
+            .setDescription('Log food')
+            .addStringOption(o => o.setName('item').setDescription('What you ate').setRequired(true).setAutocomplete(true))
+            .addStringOption(o => o.setName('meal').setDescription('Which meal')
+                .addChoices(...['breakfast', 'lunch', 'dinner', 'snack'].map(m => ({ name: m, value: m })))))
+        .addSubcommand(sub => sub
+            .setName('drink')
+            .setDescription('Log a drink')
+            .addStringOption(o => o.setName('item').setDescription('What you drank').setRequired(true).setAutocomplete(true)))
+        .addSubcommand(sub => sub
+            .setName('symptom')
+            .setDescription('Log a symptom')
+            .addStringOption(o => o.setName('description').setDescription('e.g. stomach pain, bloating').setRequired(true))
+            .addIntegerOption(o => o.setName('severity').setDescription('1 (mild) to 10 (severe)').setMinValue(1).setMaxValue(10)))
+        .addSubcommand(sub => sub
+            .setName('reflux')
+            .setDescription('Log a reflux episode')
+            .addIntegerOption(o => o.setName('severity').setDescription('1 (mild) to 10 (severe)').setMinValue(1).setMaxValue(10)))
+        .addSubcommand(sub => sub
+            .setName('bm')
+            .setDescription('Log a bowel movement')
+            .addIntegerOption(o => o.setName('bristol').setDescription('Bristol stool scale 1-7').setMinValue(1).setMaxValue(7)));
+
+    const chart = new SlashCommandBuilder()
+        .setName('chart')
+        .setDescription('Render a chart of your data')
+        .addStringOption(o => o.setName('type').setDescription('Chart type').setRequired(true)
+            .addChoices(...CHART_TYPES.map(t => ({ name: t, value: t }))))
+        .addStringOption(o => o.setName('period').setDescription('Time window')
+            .addChoices(...PERIODS.map(p => ({ name: p, value: p }))));
+
+    const goal = new SlashCommandBuilder()
+        .setName('goal')
+        .setDescription('Show or set your daily calorie goal')
+        .addIntegerOption(o => o.setName('kcal').setDescription('New goal (1000-5000)').setMinValue(1000).setMaxValue(5000));
+
+    const dnd = new SlashCommandBuilder()
+        .setName('dnd')
+        .setDescription('Quiet hours for proactive messages')
+        .addStringOption(o => o.setName('window').setDescription('HH:MM-HH:MM, or "off"').setRequired(true));
+
+    const timezone = new SlashCommandBuilder()
+        .setName('timezone')
+        .setDescription('Show or set your timezone')
+        .addStringOption(o => o.setName('zone').setDescription('IANA timezone, e.g. America/New_York').setAutocomplete(true));
+
+    const exportCmd = new SlashCommandBuilder()
+        .setName('export')
+        .setDescription('Download your entries as CSV')
+        .addIntegerOption(o => o.setName('days').setDescription('Only include the last N days').setMinValue(1));
+
+    return [log, chart, goal, dnd, timezone, exportCmd].map(c => c.toJSON());
+}
+
+/**
+ * Register the application commands with Discord
+ * @param {Object} client - Ready Discord client
+ * @returns {Promise<boolean>} - True if registration succeeded
+ */
+async function registerSlashCommands(client) {
+    const guildId = process.env.DISCORD_GUILD_ID;
+    const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+    const route = guildId
+        ? Routes.applicationGuildCommands(client.user.id, guildId)
+        : Routes.applicationCommands(client.user.id);
+
+    try {
+        const body = buildSlashCommands();
+        await rest.put(route, { body });
+        console.log(`[SLASH] Registered ${body.length} commands ${guildId ? `in guild ${guildId}` : 'globally'}`);
+        return true;
+    } catch (error) {
+        console.error('[SLASH] Failed to register commands:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Wrap an interaction so text-command handlers can treat it like a message.
+ * The interaction is deferred up front (handlers may take longer than Discord's
+ * 3s window); the first reply fills the deferred response, later ones follow up.
+ * @param {Object} interaction - ChatInputCommandInteraction
+ * @param {string} content - Equivalent text command
+ * @returns {Object} - Message-shaped adapter
+ */
+function messageFromInteraction(interaction, content) {
+    const send = (payload) => {
+        const options = typeof payload === 'string' ? { content: payload } : payload;
+        if (interaction.deferred && !interaction.replied) return interaction.editReply(options);
+        if (interaction.replied) return interaction.followUp(options);
+        return interaction.reply(options);
+    };
+
+    return {
+        id: interaction.id,
+        isInteraction: true,
+        content,
+        author: interaction.user,
+        member: interaction.member,
+        guildId: interaction.guildId,
+        channelId: interaction.channelId,
+        channel: interaction.channel || {
+            id: interaction.channelId,
+            send,
+            sendTyping: async () => {}
+        },
+        reply: send,
+        react: async () => {}
+    };
+}
+
+/**
+ * Translate a slash interaction into the equivalent text command
+ * @param {Object} interaction - ChatInputCommandInteraction
+ * @returns {Object} - { text, presetSlots }
+ */
+function toCommandLine(interaction) {
+    const opts = interaction.options;
+
+    switch (interaction.commandName) {
+        case 'log': {
+            const sub = opts.getSubcommand();
+            if (sub === 'food' || sub === 'drink') {
+                const meal = opts.getString('meal');
+                return { text: `!${sub} ${opts.getString('item')}${meal ? ` for ${meal}` : ''}`, presetSlots: meal ? { meal_time: meal } : null };
+            }
+            if (sub === 'symptom' || sub === 'reflux') {
+                const severity = opts.getInteger('severity');
+                return { text: `!${sub} ${opts.getString('description') || ''}`.trim(), presetSlots: severity ? { severity } : null };
+            }
+            const bristol = opts.getInteger('bristol');
+            return { text: `!bm${bristol ? ` bristol ${bristol}` : ''}`, presetSlots: bristol ? { bristol: String(bristol) } : null };
+        }
+        case 'chart':
+            return { text: `!chart ${opts.getString('type')} ${opts.getString('period') || 'today'}` };
+        case 'goal':
+            return { text: `!goal ${opts.getInteger('kcal') ?? ''}`.trim() };
+        case 'dnd':
+            return { text: `!dnd ${opts.getString('window')}` };
+        case 'timezone':
+            return { text: `!timezone ${opts.getString('zone') || ''}`.trim() };
+        case 'export':
+            return { text: `!export ${opts.getInteger('days') ?? ''}`.trim() };
+        default:
+            return { text: null };
+    }
+}
+
+/**
+ * Handle a slash command interaction
+ * @param {Object} interaction - ChatInputCommandInteraction
+ * @param {Object} deps - Router dependencies (same object handleMessage receives)
+ */
+async function handleSlashCommand(interaction, deps) {
+    const { text, presetSlots } = toCommandLine(interaction);
+    if (!text) {
+        await interaction.reply({ content: '❓ Unknown command.', ephemeral: true });
+        return;
+    }
+
+    console.log(`[SLASH] /${interaction.commandName} → ${text}`);
+    await interaction.deferReply();
+
+    const message = messageFromInteraction(interaction, text);
+    if (presetSlots) message.presetSlots = presetSlots;
+
+    await commandRegistry.dispatch(message, text, deps);
+
+    // Logging runs through NLU and may end without replying (e.g. dialog started)
+    if (interaction.deferred && !interaction.replied) {
+        await interaction.editReply({ content: '👍' });
+    }
+}
+
+/**
+ * Autocomplete suggestions for /log food|drink item: learned items first, then recent entries
+ * @param {string} userId - Discord user ID
+ * @param {string} type - food | drink
+ * @param {string} typed - What the user has typed so far
+ * @param {Object} deps - { googleSheets, getUserProfile, getLogSheetNameForUser }
+ * @returns {Promise<Array<string>>}
+ */
+async function suggestItems(userId, type, typed, deps) {
+    const needle = typed.toLowerCase().trim();
+    const seen = new Set();
+    const out = [];
+    const add = (item) => {
+        const value = String(item || '').trim();
+        const key = value.toLowerCase();
+        if (!value || seen.has(key) || value.length > 100) return;
+        if (needle && !key.includes(needle)) return;
+        seen.add(key);
+        out.push(value);
+    };
+
+    // Recent entries, most recent first
+    const sheetName = deps.getLogSheetNameForUser(userId);
+    const rows = await loadUserRows(deps.googleSheets, null, sheetName, { sinceDays: 30, userId, getUserProfile: deps.getUserProfile });
+    rows.filter(r => r.Type === type)
+        .sort((a, b) => String(b.Timestamp).localeCompare(String(a.Timestamp)))
+        .forEach(r => add(r.Details));
+
+    // Saved recipes and items with learned calories (food only)
+    if (type === 'food') {
+        const profile = await deps.getUserProfile(userId, deps.googleSheets);
+        Object.values(profile.recipes || {}).forEach(r => add(r.name));
+        Object.keys(profile.learnedCalorieMap || {}).forEach(add);
+    }
+
+    return out.slice(0, MAX_CHOICES);
+}
+
+/**
+ * Handle an autocomplete interaction
+ * @param {Object} interaction - AutocompleteInteraction
+ * @param {Object} deps - Router dependencies
+ */
+async function handleAutocomplete(interaction, deps) {
+    const focused = interaction.options.getFocused(true);
+    let choices = [];
+
+    try {
+        if (interaction.commandName === 'log' && focused.name === 'item') {
+            const items = await suggestItems(interaction.user.id, interaction.options.getSubcommand(), focused.value, deps);
+            choices = items.map(item => ({ name: item, value: item }));
+        } else if (interaction.commandName === 'timezone' && focused.name === 'zone') {
+            const needle = focused.value.toLowerCase();
+            choices = moment.tz.names()
+                .filter(name => name.toLowerCase().includes(needle))
+                .slice(0, MAX_CHOICES)
+                .map(name => ({ name, value: name }));
+        }
+    } catch (error) {
+        console.warn('[SLASH] Autocomplete failed:', error.message);
+    }
+
+    await interaction.respond(choices);
+}
+
+module.exports = {
+    buildSlashCommands,
+    registerSlashCommands,
+    handleSlashCommand,
+    handleAutocomplete
+};
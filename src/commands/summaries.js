@@ -0,0 +1,245 @@
+/**
+ * !today, !week, !streak and !patterns Commands
+ * Summaries over the user's own tab, loaded through the insights loaders
+ * (deleted rows excluded)
+ */
+
+const moment = require('moment-timezone');
+const { EmbedBuilder } = require('discord.js');
+const { loadUserRows, todayWindow, weekWindow } = require('../insights/loaders');
+const { computeLatencyMinutes, computeRefluxStats, mineCombinations, computeStreak } = require('../insights/metrics');
+const { trendChip, num } = require('../insights/format');
+const { getToken } = require('../utils/notes');
+
+const TYPE_EMOJI = {
+    food: '🍽️',
+    drink: '🥤',
+    symptom: '🩺',
+    reflux: '🔥',
+    bm: '🚽',
+    checkin: '✅'
+};
+
+/**
+ * Resolve the caller's tab and timezone
+ * @param {Object} message - Discord message
+ * @param {Object} deps - { googleSheets, getUserProfile, getLogSheetNameForUser }
+ * @returns {Promise<Object>} - { userId, sheetName, tz }
+ */
+async function userContext(message, deps) {
+    const userId = message.author.id;
+    const sheetName = deps.getLogSheetNameForUser(userId);
+    let tz = process.env.TIMEZONE || 'America/Los_Angeles';
+    try {
+        const profile = await deps.getUserProfile(userId, deps.googleSheets);
+        tz = profile.prefs?.TZ || tz;
+    } catch (e) {
+        console.warn(`[SUMMARY] Could not load profile for ${userId}, using default timezone:`, e.message);
+    }
+    return { userId, sheetName, tz };
+}
+
+/**
+ * Load rows whose Timestamp falls inside a window
+ * @returns {Promise<Array>}
+ */
+async function loadWindow(message, deps, { sinceDays, startISO, endISO, fresh = false }) {
+    const { userId, sheetName } = await userContext(message, deps);
+    const rows = await loadUserRows(deps.googleSheets, message.author.username, sheetName, {
+        sinceDays,
+        userId,
+        getUserProfile: deps.getUserProfile,
+        fresh
+    });
+    return rows.filter(r => r.Timestamp >= startISO && r.Timestamp <= endISO);
+}
+
+/**
+ * Count rows by Type
+ * @param {Array} rows - Rows
+ * @returns {Object} - { type: count }
+ */
+function countByType(rows) {
+    return rows.reduce((acc, r) => {
+        acc[r.Type] = (acc[r.Type] || 0) + 1;
+        return acc;
+    }, {});
+}
+
+/**
+ * Handle !today — every entry logged today plus totals
+ * @param {Object} message - Discord message
+ * @param {Object} deps - Router dependencies
+ */
+async function handleToday(message, deps) {
+    const { tz } = await userContext(message, deps);
+    const { startISO, endISO, dateStr } = todayWindow(tz);
+    const rows = await loadWindow(message, deps, { sinceDays: 2, startISO, endISO, fresh: true });
+
+    if (rows.length === 0) {
+        return message.reply('📭 Nothing logged yet today. Tell me what you ate or how you feel!');
+    }
+
+    rows.sort((a, b) => a.Timestamp.localeCompare(b.Timestamp));
+    const lines = rows.map(r => {
+        const at = moment(r.Timestamp).tz(tz).format('h:mm A');
+        const severity = getToken(r.Notes, 'severity');
+        const extra = [
+            r.Calories ? `${num(r.Calories)} kcal` : null,
+            severity ? `severity ${severity}` : null
+        ].filter(Boolean).join(', ');
+        return `\`${at}\` ${TYPE_EMOJI[r.Type] || '•'} ${r.Details || r.Type}${extra ? ` (${extra})` : ''}`;
+    });
+
+    const counts = countByType(rows);
+    const intake = rows.filter(r => r.Type === 'food' || r.Type === 'drink').reduce((sum, r) => sum + r.Calories, 0);
+    const summary = Object.entries(counts).map(([type, n]) => `${TYPE_EMOJI[type] || '•'} ${n}`).join('  ');
+
+    const embed = new EmbedBuilder()
+        .setColor(0x57F287)
+        .setTitle(`📅 Today — ${moment.tz(dateStr, tz).format('ddd MMM D')}`)
+        .setDescription(lines.join('\n').slice(0, 4000))
+        .addFields({ name: 'Totals', value: `${summary}${intake > 0 ? `\n🍽 Intake: ${num(intake)} kcal` : ''}` });
+
+    await message.reply({ embeds: [embed] });
+}
+
+/**
+ * Handle !week — this week's counts, symptom days, intake and top foods
+ * @param {Object} message - Discord message
+ * @param {Object} deps - Router dependencies
+ */
+async function handleWeek(message, deps) {
+    const { tz } = await userContext(message, deps);
+    const { startISO, endISO } = weekWindow(tz);
+    const rows = await loadWindow(message, deps, { sinceDays: 8, startISO, endISO, fresh: true });
+
+    if (rows.length === 0) {
+        return message.reply('📭 No entries this week yet.');
+    }
+
+    const counts = countByType(rows);
+    const dayOf = (r) => moment(r.Timestamp).tz(tz).format('YYYY-MM-DD');
+    const loggedDays = new Set(rows.map(dayOf));
+    const symptomDays = new Set(rows.filter(r => r.Type === 'symptom' || r.Type === 'reflux').map(dayOf));
+
+    const intakeRows = rows.filter(r => (r.Type === 'food' || r.Type === 'drink') && r.Calories > 0);
+    const intakeDays = new Set(intakeRows.map(dayOf));
+    const avgIntake = intakeDays.size > 0 ? intakeRows.reduce((s, r) => s + r.Calories, 0) / intakeDays.size : null;
+
+    const foodCounts = new Map();
+    for (const r of rows) {
+        if (r.Type !== 'food' && r.Type !== 'drink') continue;
+        const item = (r.Details || '').toLowerCase().trim();
+        if (item) foodCounts.set(item, (foodCounts.get(item) || 0) + 1);
+    }
+    const topFoods = [...foodCounts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 5);
+
+    const trends = computeRefluxStats(rows, { days: 7 });
+
+    const lines = [
+        `📝 **Entries**: ${rows.length} across ${loggedDays.size} day${loggedDays.size === 1 ? '' : 's'}`,
+        `${TYPE_EMOJI.food} ${counts.food || 0} meals • ${TYPE_EMOJI.drink} ${counts.drink || 0} drinks • ${TYPE_EMOJI.symptom} ${counts.symptom || 0} symptoms • ${TYPE_EMOJI.reflux} ${counts.reflux || 0} reflux • ${TYPE_EMOJI.bm} ${counts.bm || 0} BMs`,
+        `🌤 **Symptom-free days**: ${loggedDays.size - symptomDays.size} of ${loggedDays.size}`,
+        `📈 **Trend**: ${trendChip(trends.labelCount)}`
+    ];
+    if (avgIntake !== null) lines.push(`🍽 **Avg intake**: ${num(avgIntake)} kcal/day (${intakeDays.size} day${intakeDays.size === 1 ? '' : 's'} with calories)`);
+    if (topFoods.length) lines.push(`🥇 **Most logged**: ${topFoods.map(([item, n]) => `${item} (${n})`).join(', ')}`);
+
+    const embed = new EmbedBuilder()
+        .setColor(0x4A90E2)
+        .setTitle(`🗓 This Week — since ${moment(startISO).tz(tz).format('ddd MMM D')}`)
+        .setDescription(lines.join('\n'));
+
+    await message.reply({ embeds: [embed] });
+}
+
+/**
+ * Handle !streak — symptom-free streak and consecutive logging days
+ * @param {Object} message - Discord message
+ * @param {Object} deps - Router dependencies
+ */
+async function handleStreak(message, deps) {
+    const { userId, sheetName, tz } = await userContext(message, deps);
+    const rows = await loadUserRows(deps.googleSheets, message.author.username, sheetName, {
+        sinceDays: 90,
+        userId,
+        getUserProfile: deps.getUserProfile,
+        fresh: true
+    });
+
+    if (rows.length === 0) {
+        return message.reply('📭 No entries yet — your streak starts with your first log!');
+    }
+
+    const streak = computeStreak(rows);
+
+    // Consecutive days (ending today or yesterday) with at least one entry
+    const loggedDays = new Set(rows.map(r => moment(r.Timestamp).tz(tz).format('YYYY-MM-DD')));
+    let loggingStreak = 0;
+    const start = loggedDays.has(moment().tz(tz).format('YYYY-MM-DD')) ? 0 : 1;
+    for (let i = start; i < 90; i++) {
+        if (!loggedDays.has(moment().tz(tz).subtract(i, 'days').format('YYYY-MM-DD'))) break;
+        loggingStreak++;
+    }
+
+    const lines = [
+        `🏁 **Symptom-free**: ${streak.symptomFreeDays} day${streak.symptomFreeDays === 1 ? '' : 's'}${streak.milestones.length ? ` (milestones: ${streak.milestones.join(', ')})` : ''}`,
+        ...(streak.confirmedDays > 0 ? [`✅ **Confirmed by check-in**: ${streak.confirmedDays} of those days`] : []),
+        `📝 **Logging streak**: ${loggingStreak} day${loggingStreak === 1 ? '' : 's'} in a row`
+    ];
+    if (streak.lastSymptomDate) lines.push(`Last symptom: ${moment.tz(streak.lastSymptomDate, tz).format('ddd MMM D')}`);
+
+    await message.reply(lines.join('\n'));
+}
+
+/**
+ * Handle !patterns — trigger combinations and meal→symptom latency (30 days)
+ * @param {Object} message - Discord message
+ * @param {Object} deps - Router dependencies
+ */
+async function handlePatterns(message, deps) {
+    const { userId, sheetName } = await userContext(message, deps);
+    const rows = await loadUserRows(deps.googleSheets, message.author.username, sheetName, {
+        sinceDays: 30,
+        userId,
+        getUserProfile: deps.getUserProfile
+    });
+
+    const symptoms = rows.filter(r => r.Type === 'symptom' || r.Type === 'reflux');
+    if (symptoms.length < 3) {
+        return message.reply(`🔍 Not enough data for patterns yet (${symptoms.length} symptom${symptoms.length === 1 ? '' : 's'} in 30 days). Keep tracking!`);
+    }
+
+    const combos = mineCombinations(rows);
+    const latency = computeLatencyMinutes(rows);
+    const trends = computeRefluxStats(rows, { days: 14 });
+
+    const lines = [];
+    if (combos.length) {
+        lines.push('🧩 **Most associated with symptoms (within 6h):**');
+        combos.forEach((c, i) => lines.push(`${i + 1}. ${c.label} — ${c.count} times, lift ${c.lift}`));
+    } else {
+        lines.push('🧩 No strong food/symptom combinations yet.');
+    }
+    lines.push('');
+    lines.push(latency.medianMinutes !== null
+        ? `⏱ Symptoms typically show up **${latency.medianMinutes} min** after eating (n=${latency.samples})`
+        : '⏱ Not enough meal→symptom pairs to estimate timing');
+    lines.push(`📈 14-day trend: count ${trendChip(trends.labelCount)} • severity ${trendChip(trends.labelSeverity)}`);
+
+    const embed = new EmbedBuilder()
+        .setColor(0xE67E22)
+        .setTitle('🔍 Patterns — last 30 days')
+        .setDescription(lines.join('\n'))
+        .setFooter({ text: 'Associations, not diagnoses • !chart triggers for a visual' });
+
+    await message.reply({ embeds: [embed] });
+}
+
+module.exports = {
+    handleToday,
+    handleWeek,
+    handleStreak,
+    handlePatterns
+};
@@ -0,0 +1,147 @@
+/**
+ * !undo, !redo, !trash and !restore
+ * Undo/redo walk the per-user operation history (src/utils/undoHistory.js);
+ * the trash lists soft-deleted rows so any of them can be brought back.
+ *
+ *   !undo            - reverse your last log, delete, restore or edit
+ *   !redo            - re-apply the last thing you undid
+ *   !trash [days]    - recently deleted entries (default 14 days)
+ *   !restore [n]     - restore entry n as numbered by your last !trash (default: the first)
+ */
+
+const history = require('../utils/undoHistory');
+const household = require('../auth/household');
+const { getToken } = require('../utils/notes');
+
+const DEFAULT_TRASH_DAYS = 14;
+const TRASH_LIST_LIMIT = 15;
+
+// Each user's last !trash listing ({ days, timestamps } of the rows shown), so !restore n is the row they saw
+const lastListing = new Map();
+
+/**
+ * Handle !undo (and the "undo" / "oops" intent)
+ * @param {Object} message - Discord message
+ * @param {Object} deps - { googleSheets, getLogSheetNameForUser }
+ */
+async function handleUndo(message, deps) {
+    const userId = message.author.id;
+    const sheetName = deps.getLogSheetNameForUser(userId);
+
+    try {
+        const result = await history.undo(userId, deps, household.isSharedTab(sheetName) ? message.author.tag : null);
+        if (result.success) {
+            await message.react('↩️');
+            await message.reply(`✅ ${result.message}\n\`!redo\` brings it back · \`!trash\` lists deleted entries`);
+        } else {
+            await message.reply(`❌ ${result.message}`);
+        }
+    } catch (error) {
+        console.error('[UNDO] Error undoing entry:', error);
+        await message.reply('❌ Failed to undo last entry. Please try again.');
+    }
+}
+
+/**
+ * Handle !redo
+ * @param {Object} message - Discord message
+ * @param {Object} deps - { googleSheets }
+ */
+async function handleRedo(message, deps) {
+    try {
+        const result = await history.redo(message.author.id, deps);
+        await message.reply(`${result.success ? '✅' : '❌'} ${result.message}`);
+    } catch (error) {
+        console.error('[UNDO] Error redoing:', error);
+        await message.reply('❌ Failed to redo. Please try again.');
+    }
+}
+
+/**
+ * Deleted rows for the user, newest deletion first
+ * @param {Object} message - Discord message
+ * @param {Object} deps - { googleSheets, getLogSheetNameForUser }
+ * @param {number} days - Look-back window
+ * @returns {Promise<Object>} - { sheetName, rows }
+ */
+async function loadTrash(message, deps, days) {
+    const sheetName = deps.getLogSheetNameForUser(message.author.id);
+    const rows = await history.listDeleted(deps.googleSheets, sheetName, {
+        days,
+        userTag: household.isSharedTab(sheetName) ? message.author.tag : null
+    });
+    return { sheetName, rows };
+}
+
+/**
+ * Handle !trash [days]
+ * @param {Object} message - Discord message
+ * @param {string} args - Optional number of days
+ * @param {Object} deps - { googleSheets, getLogSheetNameForUser }
+ */
+async function handleTrash(message, args, deps) {
+    const days = parseInt(args, 10) || DEFAULT_TRASH_DAYS;
+    const { rows } = await loadTrash(message, deps, days);
+    const shown = rows.slice(0, TRASH_LIST_LIMIT);
+    lastListing.set(message.author.id, { days, timestamps: shown.map(row => row.Timestamp) });
+
+    if (rows.length === 0) {
+        return message.reply(`🗑️ Nothing deleted in the last ${days} days.`);
+    }
+
+    const lines = shown.map((row, i) => {
+        const deletedAt = getToken(row.Notes, 'deleted_at');
+        const when = deletedAt ? ` — deleted ${String(deletedAt).slice(0, 10)}` : '';
+        return `\`${i + 1}.\` ${row.Date} ${String(row.Time || '').slice(0, 5)} · ${history.describeRow(row)}${when}`;
+    });
+    const more = rows.length > TRASH_LIST_LIMIT ? `\n…and ${rows.length - TRASH_LIST_LIMIT} more` : '';
+
+    return message.reply(`🗑️ **Recently deleted** (last ${days} days)\n${lines.join('\n')}${more}\n\nUse \`!restore <n>\` to bring one back.`);
+}
+
+/**
+ * Handle !restore [n]
+ * @param {Object} message - Discord message
+ * @param {string} args - Position in the user's last !trash listing (without one, a default !trash)
+ * @param {Object} deps - { googleSheets, getLogSheetNameForUser }
+ */
+async function handleRestore(message, args, deps) {
+    const n = args ? parseInt(args, 10) : 1;
+    if (isNaN(n) || n < 1) {
+        return message.reply('Usage: `!restore [n]` — n is the number shown by `!trash`.');
+    }
+
+    const listing = lastListing.get(message.author.id);
+    const { sheetName, rows } = await loadTrash(message, deps, listing?.days || DEFAULT_TRASH_DAYS);
+    const shown = listing
+        ? listing.timestamps.map(timestamp => rows.find(row => row.Timestamp === timestamp))
+        : rows.slice(0, TRASH_LIST_LIMIT);
+
+    if (shown.length === 0) {
+        return message.reply('🗑️ Nothing to restore.');
+    }
+    if (n > shown.length) {
+        return message.reply(`❌ There's no entry ${n} in \`!trash\`.`);
+    }
+    const row = shown[n - 1];
+    if (!row) {
+        return message.reply(`❌ Entry ${n} isn't in the trash anymore. Run \`!trash\` to see what is.`);
+    }
+
+    const result = await history.restore(deps.googleSheets, sheetName, row._rawData.rowIndex + 1, row);
+    if (!result.success) {
+        return message.reply('❌ Failed to restore that entry. Please try again.');
+    }
+
+    const label = history.describeRow(row);
+    history.record(message.author.id, { type: 'restore', sheetName, timestamp: row.Timestamp, label });
+    console.log(`[UNDO] ${message.author.id} restored ${label} in ${sheetName}`);
+    return message.reply(`♻️ Restored: ${label}`);
+}
+
+module.exports = {
+    handleUndo,
+    handleRedo,
+    handleTrash,
+    handleRestore
+};
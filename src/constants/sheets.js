@@ -0,0 +1,13 @@
+// Sheet Layout Constants: headers of the tabs every storage backend creates
+// Shared by the storage services and the commands that set up new tabs
+
+// Per-user health tab (Health_<name>): daily energy and activity from a tracker
+const HEALTH_HEADERS = ['Date', 'Total_kcal', 'Active_kcal', 'Basal_kcal', 'Steps', 'Source'];
+
+// User_Profiles tab: one JSON profile per user
+const PROFILE_HEADERS = ['UserID', 'ProfileJSON', 'LastUpdated'];
+
+module.exports = {
+    HEALTH_HEADERS,
+    PROFILE_HEADERS
+};
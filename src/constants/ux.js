@@ -169,9 +169,64 @@ const PHRASES = {
         '😅 Oops, I had trouble saving that. Mind trying again?',
         '😅 Something went wrong on my end. Could you retry?',
         '😅 Hmm, that didn\'t save. Let\'s give it another shot?'
-    ]
+    ],
+
+    greeting: ['Morning! 🌞', 'Hey! 👋', 'Hi there! 👋', 'Hello! 😊'],
+    greetingFollowup: 'How are you feeling?',
+    thanks: ['You\'re welcome! 😊', 'Anytime! 👍', 'Happy to help! ✨', 'No problem! 😊'],
+    chitChat: ['👍', '😊', '✨', '👌'],
+    farewell: ['Goodnight! 🌙', 'See you later! 👋', 'Bye! Take care! 💙', 'Talk to you soon! ✨'],
+
+    // Log confirmations (single templates)
+    logged: '{emoji} Logged **{details}**.',
+    loggedKcal: '✅ Logged **{details}** — ≈{kcal} kcal.',
+    notLogging: 'not logging {items}',
+    corrected: 'corrected from {original}',
+    skipped: '👍 Noted — not logging {items}.'
+};
+
+// Spanish replies; anything missing falls back to English
+const PHRASES_ES = {
+    success: [
+        '✅ ¡Anotado! Estás creando muy buenos hábitos 💪',
+        '✅ ¡Listo! Vas muy bien con tu registro 💪',
+        '✅ ¡Guardado! Sigue así de constante 💪'
+    ],
+
+    caution: [
+        '⚠️ Ojo — **{trigger}** se relacionó con síntomas {count}× últimamente.',
+        '⚠️ Cuidado — **{trigger}** aparece en {count} episodios de síntomas.'
+    ],
+
+    improvement: [
+        '🎉 ¡Esta semana vas **{percent}% mejor**! Sigue cuidando tu pancita 🫶',
+        '🎉 ¡Increíble! **{percent}% de mejora** — vas por buen camino 🫶'
+    ],
+
+    roughPatch: [
+        '👀 Día difícil — tomar agua y descansar puede ayudar.',
+        '👀 Ánimo — comidas suaves y descanso pueden ayudar.'
+    ],
+
+    error: [
+        '😅 Uy, no pude guardar eso. ¿Lo intentas de nuevo?',
+        '😅 Algo falló de mi lado. ¿Puedes repetirlo?'
+    ],
+
+    greeting: ['¡Buenos días! 🌞', '¡Hola! 👋', '¡Qué tal! 😊'],
+    greetingFollowup: '¿Cómo te sientes?',
+    thanks: ['¡De nada! 😊', '¡Cuando quieras! 👍', '¡Con gusto! ✨'],
+    farewell: ['¡Buenas noches! 🌙', '¡Hasta luego! 👋', '¡Cuídate! 💙'],
+
+    logged: '{emoji} Anotado **{details}**.',
+    loggedKcal: '✅ Anotado **{details}** — ≈{kcal} kcal.',
+    notLogging: 'sin anotar {items}',
+    corrected: 'corregido de {original}',
+    skipped: '👍 Entendido — no anoto {items}.'
 };
 
+const LOCALE_PHRASES = { es: PHRASES_ES };
+
 // UX Configuration
 const UX = {
     MAX_SECTION_LINES: 8,
@@ -188,6 +243,11 @@ function getRandomPhrase(phraseArray) {
     return phraseArray[Math.floor(Math.random() * phraseArray.length)];
 }
 
+// Utility: Phrases for a user's language (see src/nlu/locales), English as fallback
+function phrasesFor(locale) {
+    return LOCALE_PHRASES[locale] ? { ...PHRASES, ...LOCALE_PHRASES[locale] } : PHRASES;
+}
+
 // Utility: Format phrase with variables
 function formatPhrase(phrase, vars = {}) {
     let result = phrase;
@@ -226,6 +286,7 @@ module.exports = {
     PHRASES,
     UX,
     getRandomPhrase,
+    phrasesFor,
     formatPhrase,
     getSeverityColor,
     getTypeEmoji
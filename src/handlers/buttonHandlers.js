@@ -1,7 +1,6 @@
 // Button Interaction Handlers
 // Processes all button clicks from clarifications, check-ins, and actions
 
-const { handleNaturalLanguage } = require('../../index');
 const { EMOJI, BUTTON_IDS, PHRASES, getRandomPhrase } = require('../constants/ux');
 const { successEmbed, errorEmbed, buttonsSeverity, buttonsMealTime, buttonsBristol, buttonsSymptomType } = require('../ui/components');
 const { EmbedBuilder } = require('discord.js');
@@ -30,10 +29,9 @@ const contextMemory = require('../utils/contextMemory');
 /**
  * Main handler for all button interactions.
  * @param {import('discord.js').ButtonInteraction} interaction - The button interaction.
- * @param {Object} googleSheets - Google Sheets service
- * @param {Object} digests - Digests module
+ * @param {Object} deps - Router dependencies (used to replay clarified messages)
  */
-async function handleButtonInteraction(interaction) {
+async function handleButtonInteraction(interaction, deps) {
     const { customId, user } = interaction;
     const userId = user.id;
 
@@ -53,31 +51,31 @@ async function handleButtonInteraction(interaction) {
         switch (namespace) {
             case 'severity':
                 if (pendingClarification && pendingClarification.type === 'nlu_clarification') {
-                    pendingClarification.parseResult.slots.severity = parseInt(value, 10);
-                    await handleNLUClarification(interaction, pendingClarification);
+                    pendingClarification.presetSlots.severity = parseInt(value, 10);
+                    await handleNLUClarification(interaction, pendingClarification, deps);
                 }
                 break;
             case 'meal':
                 if (pendingClarification && pendingClarification.type === 'nlu_clarification') {
-                    pendingClarification.parseResult.slots.meal_time = value;
-                    await handleNLUClarification(interaction, pendingClarification);
+                    pendingClarification.presetSlots.meal_time = value;
+                    await handleNLUClarification(interaction, pendingClarification, deps);
                 }
                 break;
             case 'symptom':
                  if (pendingClarification && pendingClarification.type === 'nlu_clarification') {
-                    pendingClarification.parseResult.slots.symptom_type = value;
-                    await handleNLUClarification(interaction, pendingClarification);
+                    pendingClarification.presetSlots.symptom_type = value;
+                    await handleNLUClarification(interaction, pendingClarification, deps);
                 }
                 break;
             case 'bristol':
                 if (pendingClarification && pendingClarification.type === 'nlu_clarification') {
-                    pendingClarification.parseResult.slots.bristol = parseInt(value, 10);
-                    await handleNLUClarification(interaction, pendingClarification);
+                    pendingClarification.presetSlots.bristol = parseInt(value, 10);
+                    await handleNLUClarification(interaction, pendingClarification, deps);
                 }
                 break;
             case 'intent':
                 if (pendingClarification && pendingClarification.type === 'intent_clarification') {
-                    await handleIntentClarification(interaction, pendingClarification);
+                    await handleIntentClarification(interaction, deps);
                 }
                 break;
             case 'help':
@@ -122,11 +120,58 @@ async function handleButtonInteraction(interaction) {
     }
 }
 
+/**
+ * Re-run a message through the router on behalf of a button press.
+ * Replies go out as follow-ups to the interaction.
+ * @param {Interaction} interaction - Discord button interaction
+ * @param {string} content - Original message text
+ * @param {Object} extra - Router flags (forcedIntent, presetSlots, clarifiedIntent, referent, entryTimeChoice)
+ * @param {Object} deps - Router dependencies
+ */
+async function replayMessage(interaction, content, extra, deps) {
+    const replay = {
+        id: interaction.id,
+        content,
+        author: interaction.user,
+        member: interaction.member,
+        guildId: interaction.guildId,
+        channelId: interaction.channelId,
+        channel: interaction.channel || { id: interaction.channelId, send: (o) => interaction.followUp(o), sendTyping: async () => {} },
+        reply: (options) => interaction.followUp(options),
+        react: async () => {},
+        ...extra
+    };
+    await require('../router/handleMessage')(replay, deps);
+}
+
+/**
+ * Handles a missing-slot answer (severity, symptom type, meal, Bristol):
+ * the original message is replayed with the answered slots preset.
+ * @param {Interaction} interaction - Discord button interaction
+ * @param {Object} state - Pending nlu_clarification state
+ * @param {Object} deps - Router dependencies
+ */
+async function handleNLUClarification(interaction, state, deps) {
+    await pending.clear(pending.keyFrom({
+        guildId: interaction.guildId || 'dm',
+        channelId: interaction.channel.id,
+        authorId: interaction.user.id
+    }));
+    await interaction.update({ components: [] });
+
+    console.log(`[ButtonHandler] Re-parsing with slots: ${JSON.stringify(state.presetSlots)}`);
+    await replayMessage(interaction, state.originalMessage, { forcedIntent: state.intent, presetSlots: state.presetSlots, referent: state.referent }, deps);
+}
+
 /**
  * Handles the user's choice from the intent clarification buttons.
+ * The original message is replayed through the router with the chosen intent;
+ * the router then teaches the phrasing to the user's lexicon so the same
+ * message isn't asked about again.
  * @param {Interaction} interaction - Discord button interaction
+ * @param {Object} deps - Router dependencies
  */
-async function handleIntentClarification(interaction) {
+async function handleIntentClarification(interaction, deps) {
     const userId = interaction.user.id;
     const customId = interaction.customId;
 
@@ -149,7 +194,7 @@ async function handleIntentClarification(interaction) {
     // Clear the pending clarification
     await pending.clear(pending.keyFrom(ctx));
 
-    if (customId === BUTTON_IDS.intent.cancel) {
+    if (customId === BUTTON_IDS.intentCancel) {
         await interaction.update({
             content: 'Ok, action cancelled.',
             components: []
@@ -158,38 +203,18 @@ async function handleIntentClarification(interaction) {
     }
 
     let forcedIntent = null;
-    if (customId === BUTTON_IDS.intent.log_food) {
+    if (customId === BUTTON_IDS.intentLogFood) {
         forcedIntent = 'food';
-    } else if (customId === BUTTON_IDS.intent.log_symptom) {
+    } else if (customId === BUTTON_IDS.intentLogSymptom) {
         forcedIntent = 'symptom';
     }
 
-    if (forcedIntent) {
-        // We need to re-process the original message with the forced intent.
-        // This requires access to the `handleNaturalLanguage` function from `index.js`.
-        // To avoid circular dependencies, we'll get it from the module cache.
-        const { handleNaturalLanguage } = require('../../index');
-
-        // Create a fake message object to pass to the handler
-        const fakeMessage = {
-            ...interaction.message,
-            author: interaction.user,
-            content: pendingClarification.originalMessage,
-            // Re-parsing, so we need a reply method.
-            // Let's edit the interaction reply.
-            reply: (options) => {
-                // First time we just update the original "how should I log this" message
-                return interaction.update({ ...options, components: [] });
-            }
-        };
+    if (!forcedIntent) return;
 
-        // Add a flag to the fake message to indicate it's a re-parse
-        fakeMessage.isReparse = true;
-        fakeMessage.forcedIntent = forcedIntent;
+    await interaction.update({ components: [] });
 
-        console.log(`[ButtonHandler] Re-parsing with forced intent: '${forcedIntent}'`);
-        await handleNaturalLanguage(fakeMessage);
-    }
+    console.log(`[ButtonHandler] Re-parsing with forced intent: '${forcedIntent}'`);
+    await replayMessage(interaction, pendingClarification.originalMessage, { forcedIntent, clarifiedIntent: true }, deps);
 }
 
 /**
@@ -757,6 +782,7 @@ module.exports = {
     requestMealTimeClarification,
     requestBristolClarification,
     handleHelpButton,
+    replayMessage,
 };
 
 // Deprecated export removed - use services/pending.js instead
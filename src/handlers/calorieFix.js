@@ -0,0 +1,151 @@
+/**
+ * Calorie Corrections
+ * The "Fix calories" chip (ux:fixcal:<timestamp>) asks for the right number;
+ * the user's next message in the channel is taken as the answer. Every
+ * correction (here or through a "that was more like 600" edit) is written to
+ * the row and recorded on the profile, so later estimates for the same entry
+ * move toward it (src/calories/calibration.js).
+ */
+
+const pending = require('../../services/pending');
+const { getToken, hasDeleted, setTokens } = require('../utils/notes');
+const { correctionFromRow, recordCorrection } = require('../calories/calibration');
+const { invalidateUserCharts } = require('../charts/datasets');
+const undoHistory = require('../utils/undoHistory');
+
+const FIX_TTL_MS = 5 * 60 * 1000;
+const MAX_KCAL = 5000;
+
+/**
+ * Calories from a reply or edit value ("600", "about 600 kcal", "450 cal")
+ * @param {string} text - Value text
+ * @param {number} minBare - Smallest number accepted without a calorie unit
+ * @returns {number|null}
+ */
+function parseCalorieValue(text, minBare = 1) {
+    const match = /^(?:about|around|roughly|~)?\s*(\d{1,4}(?:\.\d+)?)\s*(kcals?|cals?|calories)?\.?$/i.exec(String(text || '').trim());
+    if (!match) return null;
+    const kcal = parseFloat(match[1]);
+    if (kcal <= 0 || kcal > MAX_KCAL) return null;
+    return match[2] || kcal >= minBare ? Math.round(kcal) : null;
+}
+
+/**
+ * Notes tokens for a row whose calories the user corrected
+ * Keeps the first estimate (cal_estimate) so repeat fixes are measured against it.
+ * @param {Object} row - Row before the correction
+ * @returns {Object} - Tokens for setTokens
+ */
+function correctionTokens(row) {
+    const tokens = { cal_source: 'user', cal_conf: 'high' };
+    if (getToken(row.Notes, 'cal_estimate') == null && row.Calories !== '' && row.Calories != null) {
+        tokens.cal_estimate = row.Calories;
+    }
+    return tokens;
+}
+
+/**
+ * Record corrections on the user's profile and save it
+ * @param {string} userId - Discord user ID
+ * @param {Array<Object>} corrections - [{ row, actual }], rows as they were before the correction
+ * @param {Object} deps - { getUserProfile, updateUserProfile, googleSheets }
+ */
+async function saveCorrections(userId, corrections, deps) {
+    try {
+        const profile = await deps.getUserProfile(userId, deps.googleSheets);
+        for (const { row, actual } of corrections) {
+            recordCorrection(profile, { ...correctionFromRow(row), actual });
+        }
+        await deps.updateUserProfile(userId, profile, deps.googleSheets);
+    } catch (error) {
+        console.error(`[CAL-FIX] Could not save corrections for ${userId}: ${error.message}`);
+    }
+}
+
+/**
+ * Handle the "Fix calories" chip: ask for the right number
+ * @param {ButtonInteraction} interaction - Discord button interaction
+ * @param {Object} deps - { getLogSheetNameForUser }
+ */
+async function handleFixCaloriesButton(interaction, deps) {
+    const userId = interaction.user.id;
+    const timestamp = interaction.customId.slice('ux:fixcal:'.length);
+
+    pending.set(pending.keyFrom({
+        guildId: interaction.guildId || 'dm',
+        channelId: interaction.channelId,
+        authorId: userId
+    }), { type: 'fix_calories', data: { sheetName: deps.getLogSheetNameForUser(userId), timestamp } }, FIX_TTL_MS);
+
+    await interaction.reply({ content: '🔢 How many calories was it? Just send the number, e.g. `600`.', ephemeral: true });
+}
+
+/**
+ * Apply a reply to a pending "Fix calories"
+ * A multi-item meal was shown with one total, so its rows are rescaled to the new total.
+ * @param {Object} message - Discord message
+ * @param {Object} state - Pending state { type: 'fix_calories', data: { sheetName, timestamp } }
+ * @param {Object} deps - Router dependencies
+ * @returns {Promise<boolean>} - false if the message wasn't a calorie count (the pending fix is dropped)
+ */
+async function handleFixCaloriesReply(message, state, deps) {
+    const userId = message.author.id;
+    const key = pending.keyFrom({ guildId: message.guildId || 'dm', channelId: message.channelId, authorId: userId });
+    pending.clear(key);
+
+    const actual = parseCalorieValue(message.content);
+    if (actual === null) return false;
+
+    const { sheetName, timestamp } = state.data;
+    const result = await deps.googleSheets.getRows({}, sheetName);
+    const row = result.success ? result.rows.find(r => r.Timestamp === timestamp && !hasDeleted(r.Notes)) : null;
+    if (!row) {
+        await message.reply('❌ That entry no longer exists.');
+        return true;
+    }
+
+    const mealId = getToken(row.Notes, 'meal_id');
+    const rows = mealId
+        ? result.rows.filter(r => getToken(r.Notes, 'meal_id') === mealId && !hasDeleted(r.Notes))
+        : [row];
+    const kcalOf = r => parseFloat(String(r.Calories || '').replace(/[^\d.]/g, '')) || 0;
+    const estimated = rows.reduce((sum, r) => sum + kcalOf(r), 0);
+
+    const corrections = [];
+    for (const [i, target] of rows.entries()) {
+        // Split the new total like the estimate was split (evenly if nothing was estimated)
+        const share = estimated > 0 ? kcalOf(target) / estimated : 1 / rows.length;
+        const calories = i === rows.length - 1
+            ? actual - corrections.reduce((sum, c) => sum + c.actual, 0)
+            : Math.round(actual * share);
+        const updates = { Calories: calories, Notes: setTokens(target.Notes, correctionTokens(target)) };
+
+        await deps.googleSheets.updateRow(sheetName, target._rawData.rowIndex + 1, updates);
+        undoHistory.record(userId, {
+            type: 'edit',
+            sheetName,
+            timestamp: target.Timestamp,
+            label: `${target.Item} → ${calories} kcal`,
+            before: { Calories: target.Calories ?? '', Notes: target.Notes },
+            after: updates
+        });
+        corrections.push({ row: target, actual: calories });
+    }
+
+    await saveCorrections(userId, corrections, deps);
+    invalidateUserCharts(userId);
+
+    const items = rows.map(r => r.Item).join(', ');
+    const from = estimated > 0 ? ` (was ~${Math.round(estimated)})` : '';
+    await message.reply(`✅ Updated **${items}** to **${actual} kcal**${from}. I'll estimate it closer to that next time.`);
+    console.log(`[CAL-FIX] ${userId} corrected ${items}: ${Math.round(estimated)} → ${actual} kcal`);
+    return true;
+}
+
+module.exports = {
+    parseCalorieValue,
+    correctionTokens,
+    saveCorrections,
+    handleFixCaloriesButton,
+    handleFixCaloriesReply
+};
@@ -0,0 +1,311 @@
+/**
+ * Natural-Language Entry Edits
+ * "actually that was 2 slices", "change my lunch to a burrito",
+ * "the latte was actually oat milk, not whole milk", "that was more like 600".
+ *
+ * The edit intent (rules-v2 / llmPinch) is resolved to a recent row, turned
+ * into a set of cell updates, and shown as a diff preview. Nothing is written
+ * until the user presses Apply (ux:edit:confirm).
+ */
+
+const { parsePortion, extractPortion } = require('../nutrition/portionParser');
+const { parseNotes, setTokens } = require('../utils/notes');
+const { resolveEditTarget } = require('../utils/contextMemory');
+const { ADJECTIVE_SEVERITY } = require('../nlu/ontology-v2');
+const { buildEditConfirmButtons } = require('../ui/chips');
+const { invalidateUserCharts } = require('../charts/datasets');
+const household = require('../auth/household');
+const undoHistory = require('../utils/undoHistory');
+const pending = require('../../services/pending');
+const { parseCalorieValue, correctionTokens, saveCorrections } = require('./calorieFix');
+const { fodmapOf } = require('../nutrition/giLoad');
+
+const EDIT_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Pending-state key for a message or interaction
+ * @param {Object} source - Discord message or interaction
+ * @param {string} userId - Discord user ID
+ * @returns {string}
+ */
+function pendingKey(source, userId) {
+    return pending.keyFrom({
+        guildId: source.guildId || 'dm',
+        channelId: source.channelId || source.channel?.id,
+        authorId: userId
+    });
+}
+
+/**
+ * Numeric amount behind a portion, for scaling calories between two portions
+ * @param {Object} portion - parsePortion result
+ * @returns {Object|null} - { unit: 'g'|'ml'|'n', amount }
+ */
+function portionAmount(portion) {
+    if (!portion || !portion.raw) return null;
+    if (portion.normalized_g) return { unit: 'g', amount: portion.normalized_g };
+    if (portion.normalized_ml) return { unit: 'ml', amount: portion.normalized_ml };
+    const n = parseFloat(portion.raw);
+    return isNaN(n) ? null : { unit: 'n', amount: n };
+}
+
+/**
+ * Severity from a bare value ("7", "7/10", "severe")
+ * @param {string} value - New value text
+ * @returns {number|null}
+ */
+function parseSeverityValue(value) {
+    const t = value.trim().toLowerCase();
+    const match = /^(\d{1,2})(\s*\/\s*10)?$/.exec(t);
+    if (match) {
+        const n = parseInt(match[1], 10);
+        return n >= 1 && n <= 10 ? n : null;
+    }
+    return ADJECTIVE_SEVERITY[t] ?? null;
+}
+
+/**
+ * Work out the cell updates for an edit
+ * @param {Object} row - Current row (keyed by header)
+ * @param {Object} slots - { new_value, old_value? }
+ * @param {Object} options - { userId, deps }
+ * @returns {Promise<Object|null>} - { updates, changes[], correction? } or null if nothing would change;
+ *                                   correction ({ actual }) when the user gave the calories themselves
+ */
+async function planEdit(row, slots, { userId, deps }) {
+    const notes = parseNotes(row.Notes);
+    const tokens = {};
+    const changes = [];
+    const oldItem = String(row.Item || '');
+    const value = slots.new_value.trim().replace(/^(?:a|an|the)\s+/i, '');
+    const statedCalories = parseCalorieValue(value, 50);
+    let correction = null;
+
+    // Symptoms and reflux: the only thing to correct is severity
+    if (row.Type === 'symptom' || row.Type === 'reflux') {
+        const severity = parseSeverityValue(value);
+        if (severity === null) return null;
+        changes.push({ field: 'Severity', from: notes.get('severity') ?? '—', to: `${severity}/10` });
+        tokens.severity = severity;
+    } else if (statedCalories !== null) {
+        // "that was more like 600": the user's own number, remembered for later estimates
+        if (!household.hasCapability(userId, 'calories')) return null;
+        const oldCalories = parseFloat(String(row.Calories || '').replace(/[^\d.]/g, ''));
+        if (statedCalories === oldCalories) return null;
+        changes.push({ field: 'Calories', from: isNaN(oldCalories) ? '—' : oldCalories, to: statedCalories });
+        Object.assign(tokens, correctionTokens(row));
+        correction = { actual: statedCalories };
+    } else {
+        // Split "2 slices of pepperoni pizza" into portion + item
+        const portion = extractPortion(value, row.Type);
+        const itemText = (portion ? value.replace(new RegExp(portion.raw.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i'), '') : value)
+            .replace(/^\s*(?:of\s+)?/i, '')
+            .trim();
+
+        let newItem = oldItem;
+        if (itemText) {
+            const oldValue = slots.old_value && !extractPortion(slots.old_value, row.Type) ? slots.old_value : null;
+            const idx = oldValue ? oldItem.toLowerCase().indexOf(oldValue.toLowerCase()) : -1;
+            newItem = idx >= 0
+                ? oldItem.slice(0, idx) + itemText + oldItem.slice(idx + oldValue.length)
+                : itemText;
+        }
+
+        if (newItem.toLowerCase() !== oldItem.toLowerCase()) {
+            changes.push({ field: 'Item', from: oldItem, to: newItem });
+        }
+
+        const oldPortionRaw = notes.get('portion');
+        if (portion && String(oldPortionRaw || '').toLowerCase() !== portion.raw.toLowerCase()) {
+            changes.push({ field: 'Portion', from: oldPortionRaw || '—', to: portion.raw });
+            tokens.portion = portion.raw;
+            tokens.portion_g = portion.normalized_g;
+            tokens.portion_ml = portion.normalized_ml;
+        }
+
+        if (changes.length === 0) return null;
+
+        // A different item has a different FODMAP level (the meal's fodmap_meal is left as logged)
+        if (newItem !== oldItem && ['food', 'drink'].includes(String(row.Type).toLowerCase())) {
+            const sides = notes.get('sides');
+            const fodmap = fodmapOf({ item: newItem, sides: sides ? String(sides) : null });
+            tokens.fodmap = fodmap?.level ?? null;
+            tokens.fodmap_groups = fodmap?.groups.length ? fodmap.groups.join('|') : null;
+        }
+
+        // Calories: re-estimate a new item, rescale a new portion of the same item
+        if (household.hasCapability(userId, 'calories')) {
+            const oldCalories = parseFloat(String(row.Calories || '').replace(/[^\d.]/g, ''));
+            let newCalories = null;
+
+            if (newItem !== oldItem) {
+                const profile = await deps.getUserProfile(userId, deps.googleSheets);
+                const sides = notes.get('sides');
+                try {
+                    const estimate = await deps.estimateEntry({
+                        item: newItem,
+                        sides: sides ? String(sides) : null,
+                        portion: portion || (oldPortionRaw ? parsePortion(String(oldPortionRaw), row.Type) : null),
+                        learned: profile.learnedCalorieMap,
+                        corrections: profile.calorieCorrections,
+                        recipes: profile.recipes
+                    });
+                    if (estimate) {
+                        newCalories = estimate.calories;
+                        tokens.cal_source = estimate.source;
+                        tokens.cal_conf = estimate.confidence;
+                        tokens.fiber_g = estimate.fiber ?? null;
+                        tokens.sugar_alcohol_g = estimate.sugarAlcohols ?? null;
+                        tokens.sodium_mg = estimate.sodium !== null && estimate.sodium !== undefined ? Math.round(estimate.sodium) : null;
+                    }
+                } catch (e) {
+                    console.error(`[EDIT] Calorie estimation failed for "${newItem}": ${e.message}`);
+                }
+            } else if (portion && !isNaN(oldCalories)) {
+                const before = portionAmount(oldPortionRaw ? parsePortion(String(oldPortionRaw), row.Type) : null);
+                const after = portionAmount(portion);
+                if (before && after && before.unit === after.unit && before.amount > 0) {
+                    newCalories = oldCalories * (after.amount / before.amount);
+                } else if (!oldPortionRaw && after?.unit === 'n') {
+                    newCalories = oldCalories * after.amount;
+                }
+            }
+
+            if (newCalories !== null && newCalories > 0 && Math.round(newCalories) !== oldCalories) {
+                changes.push({ field: 'Calories', from: isNaN(oldCalories) ? '—' : oldCalories, to: Math.round(newCalories) });
+            }
+        }
+    }
+
+    if (changes.length === 0) return null;
+
+    const updates = {};
+    for (const change of changes) {
+        if (change.field === 'Item') updates.Item = change.to;
+        if (change.field === 'Calories') updates.Calories = change.to;
+    }
+    tokens.edited = new Date().toISOString();
+    updates.Notes = setTokens(row.Notes, tokens);
+
+    return { updates, changes, correction };
+}
+
+/**
+ * Diff preview text for an edit
+ * @param {Object} row - Current row
+ * @param {Array<Object>} changes - [{ field, from, to }]
+ * @returns {string}
+ */
+function formatPreview(row, changes) {
+    const when = row.Time ? ` (${row.Date} ${String(row.Time).slice(0, 5)})` : '';
+    const lines = changes.map(c => `• ${c.field}: ~~${c.from}~~ → **${c.to}**`);
+    return `✏️ Edit your ${row.Type} entry **${row.Item}**${when}?\n${lines.join('\n')}`;
+}
+
+/**
+ * Handle an edit intent: resolve the target row and show a preview
+ * @param {Object} message - Discord message
+ * @param {Object} parseResult - NLU result with intent 'edit'
+ * @param {Object} deps - Router dependencies
+ */
+async function handleEditRequest(message, parseResult, deps) {
+    const userId = message.author.id;
+    const slots = parseResult.slots || {};
+    const sheetName = deps.getLogSheetNameForUser(userId);
+
+    if (!slots.new_value) {
+        await message.reply('✏️ What should I change it to? e.g. "actually that was 2 slices"');
+        return;
+    }
+
+    const target = await resolveEditTarget(userId, slots, deps.googleSheets, sheetName);
+    if (!target) {
+        await message.reply('🤔 I couldn\'t find a recent entry to change. Try naming it, e.g. "change my lunch to a burrito".');
+        return;
+    }
+
+    const plan = await planEdit(target.row, slots, { userId, deps });
+    if (!plan) {
+        await message.reply(`🤔 I'm not sure what to change on **${target.row.Item}** — it already looks like that.`);
+        return;
+    }
+
+    pending.set(pendingKey(message, userId), {
+        type: 'edit_entry',
+        data: {
+            sheetName,
+            timestamp: target.row.Timestamp,
+            rowIndex: target.rowIndex,
+            updates: plan.updates,
+            correction: plan.correction,
+            summary: plan.changes.map(c => `${c.field} → ${c.to}`).join(', ')
+        }
+    }, EDIT_TTL_MS);
+
+    await message.reply({
+        content: formatPreview(target.row, plan.changes),
+        components: buildEditConfirmButtons()
+    });
+    console.log(`[EDIT] Proposed edit for ${userId} on ${sheetName} row ${target.rowIndex}: ${JSON.stringify(plan.updates)}`);
+}
+
+/**
+ * Handle ux:edit:confirm / ux:edit:cancel
+ * @param {ButtonInteraction} interaction - Discord button interaction
+ * @param {Object} deps - { googleSheets }
+ */
+async function handleEditButton(interaction, deps) {
+    const userId = interaction.user.id;
+    const key = pendingKey(interaction, userId);
+    const state = pending.get(key);
+
+    if (!state || state.type !== 'edit_entry') {
+        await interaction.reply({ content: '⌛ That edit has expired. Just tell me the correction again.', ephemeral: true });
+        return;
+    }
+
+    if (interaction.customId === 'ux:edit:cancel') {
+        pending.clear(key);
+        await interaction.update({ content: `${interaction.message.content}\n\n↩️ Edit cancelled.`, components: [] });
+        return;
+    }
+
+    const { sheetName, timestamp, updates, summary, correction } = state.data;
+
+    // Re-find the row by Timestamp: rows may have moved since the preview
+    const result = await deps.googleSheets.getRows({}, sheetName);
+    const row = result.success ? result.rows.find(r => r.Timestamp === timestamp) : null;
+    if (!row) {
+        pending.clear(key);
+        await interaction.update({ content: `${interaction.message.content}\n\n❌ That entry no longer exists.`, components: [] });
+        return;
+    }
+
+    // The edit stays pending until it is written, so Apply can be pressed again after a failure
+    let write;
+    try {
+        write = await deps.googleSheets.updateRow(sheetName, row._rawData.rowIndex + 1, updates);
+    } catch (e) {
+        console.error(`[EDIT] Failed to write edit for ${userId} on ${sheetName}: ${e.message}`);
+        write = { success: false };
+    }
+    if (write && write.success === false) {
+        await interaction.reply({ content: '❌ Failed to save the edit. Please try again.', ephemeral: true });
+        return;
+    }
+    pending.clear(key);
+
+    const before = Object.fromEntries(Object.keys(updates).map(k => [k, row[k] ?? '']));
+    undoHistory.record(userId, { type: 'edit', sheetName, timestamp, label: summary, before, after: updates });
+    if (correction) await saveCorrections(userId, [{ row, actual: correction.actual }], deps);
+
+    invalidateUserCharts(userId);
+    await interaction.update({ content: `${interaction.message.content}\n\n✅ Updated (${summary}).`, components: [] });
+    console.log(`[EDIT] ✅ Applied edit for ${userId} on ${sheetName}: ${summary}`);
+}
+
+module.exports = {
+    handleEditRequest,
+    handleEditButton,
+    planEdit
+};
@@ -0,0 +1,126 @@
+/**
+ * Entry Time (backdated / time-shifted logging)
+ * "had eggs at 7am yesterday" is stored at 7am yesterday in the user's
+ * timezone instead of when the message arrived. Rows whose time was shifted
+ * keep the moment they were actually logged in a logged_at= note.
+ *
+ * Times in the future, or further back than BACKDATE_CONFIRM_DAYS, are
+ * confirmed with buttons first (ux:when:*); the choice replays the original
+ * message through the router.
+ */
+
+const time = require('../utils/time');
+const pending = require('../../services/pending');
+const { buildEntryTimeButtons } = require('../ui/chips');
+const { replayMessage } = require('./buttonHandlers');
+
+const SHIFT_THRESHOLD_MS = 5 * 60 * 1000;   // closer than this counts as "now"
+const FUTURE_GRACE_MS = 15 * 60 * 1000;     // clock skew / "in a minute"
+const BACKDATE_CONFIRM_DAYS = 3;
+const CONFIRM_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Read the time slot (ISO from rules, sometimes free text from the LLM)
+ * @param {string} value - slots.time
+ * @param {string} tz - IANA timezone
+ * @returns {moment.Moment|null}
+ */
+function parseTimeSlot(value, tz) {
+    if (!value) return null;
+    const iso = time.moment(String(value), time.moment.ISO_8601, true);
+    if (iso.isValid()) return iso.tz(tz);
+    const parsed = time.parse(String(value), tz);
+    return parsed ? time.moment(parsed).tz(tz) : null;
+}
+
+/**
+ * When an entry happened, and whether that needs confirming
+ * @param {Object} slots - NLU slots
+ * @param {string} tz - User's timezone
+ * @returns {Object} - { at: moment, loggedAt: moment, shifted, needsConfirm: 'future'|'far_past'|null }
+ */
+function resolveEntryTime(slots, tz) {
+    const loggedAt = time.now(tz);
+    const parsed = parseTimeSlot(slots.time, tz);
+
+    if (!parsed || Math.abs(parsed.diff(loggedAt)) < SHIFT_THRESHOLD_MS) {
+        return { at: loggedAt, loggedAt, shifted: false, needsConfirm: null };
+    }
+
+    let needsConfirm = null;
+    if (parsed.diff(loggedAt) > FUTURE_GRACE_MS) {
+        needsConfirm = 'future';
+    } else if (loggedAt.diff(parsed, 'days', true) > BACKDATE_CONFIRM_DAYS) {
+        needsConfirm = 'far_past';
+    }
+
+    return { at: parsed, loggedAt, shifted: true, needsConfirm };
+}
+
+/**
+ * Ask the user to confirm an unusual entry time
+ * @param {Object} message - Discord message
+ * @param {Object} when - resolveEntryTime result
+ */
+async function requestEntryTimeConfirmation(message, when) {
+    const label = when.at.format('ddd MMM D, h:mm A');
+    const question = when.needsConfirm === 'future'
+        ? `🕒 That's in the future (**${label}**). Log it for then anyway?`
+        : `🕒 That was a while ago (**${label}**). Log it for then?`;
+
+    pending.set(pending.keyFrom({
+        guildId: message.guildId || 'dm',
+        channelId: message.channelId || message.channel?.id,
+        authorId: message.author.id
+    }), { type: 'confirm_entry_time', data: { text: message.content, forcedIntent: message.forcedIntent || null } }, CONFIRM_TTL_MS);
+
+    await message.reply({ content: question, components: buildEntryTimeButtons() });
+}
+
+/**
+ * Log an entry at the moment it was sent ("Log as now"): drop the parsed time from every row
+ * @param {Object} result - NLU result (mutated), with any meal_components
+ */
+function logAsNow(result) {
+    delete result.slots.time;
+    for (const component of result.meal_components || []) delete component.slots.time;
+}
+
+/**
+ * Handle ux:when:confirm / ux:when:now / ux:when:cancel
+ * @param {ButtonInteraction} interaction - Discord button interaction
+ * @param {Object} deps - Router dependencies
+ */
+async function handleEntryTimeButton(interaction, deps) {
+    const userId = interaction.user.id;
+    const key = pending.keyFrom({ guildId: interaction.guildId || 'dm', channelId: interaction.channelId, authorId: userId });
+    const state = pending.get(key);
+
+    if (!state || state.type !== 'confirm_entry_time') {
+        await interaction.update({ content: 'This action has expired. Please send your message again.', components: [] });
+        return;
+    }
+    pending.clear(key);
+
+    const choice = interaction.customId.split(':')[2];
+    if (choice === 'cancel') {
+        await interaction.update({ content: 'Ok, not logged.', components: [] });
+        return;
+    }
+
+    await interaction.update({ components: [] });
+
+    // Replay the original message with the choice attached
+    const extra = { entryTimeChoice: choice === 'now' ? 'now' : 'confirmed' };
+    if (state.data.forcedIntent) extra.forcedIntent = state.data.forcedIntent;
+
+    console.log(`[ENTRY_TIME] ${userId} chose "${choice}" for: ${state.data.text}`);
+    await replayMessage(interaction, state.data.text, extra, deps);
+}
+
+module.exports = {
+    resolveEntryTime,
+    logAsNow,
+    requestEntryTimeConfirmation,
+    handleEntryTimeButton
+};
@@ -0,0 +1,152 @@
+/**
+ * Reference Follow-ups
+ * Wires the conversational reference resolver (src/nlu/references.js) into
+ * the router: "that made me bloated" is parsed as a symptom linked to the
+ * last food or drink, and "had it again" / "double it" / "same as yesterday"
+ * become copies of the rows they point at.
+ *
+ * When "it" could mean more than one row, the user picks with buttons
+ * (ux:ref:*); the choice replays the original message through the router.
+ */
+
+const pending = require('../../services/pending');
+const references = require('../nlu/references');
+const { resolveReference } = require('../utils/contextMemory');
+const { hasDeleted } = require('../utils/notes');
+const { buildReferenceButtons } = require('../ui/chips');
+const { replayMessage } = require('./buttonHandlers');
+
+const CHOICE_TTL_MS = 5 * 60 * 1000;
+const SHEET_LOOKBACK_MS = 6 * 60 * 60 * 1000;
+
+const QUESTIONS = {
+    cause: '🤔 Which one do you think did it?',
+    double: '🤔 Double which one?'
+};
+
+/**
+ * Recent rows from the user's tab, for when channel memory is empty (e.g. after a restart)
+ * @param {string} userId - Discord user ID
+ * @param {Object} deps - Router dependencies
+ * @returns {Promise<Array<Object>>} - Entities, newest first
+ */
+async function recentFromSheet(userId, deps) {
+    try {
+        const result = await deps.googleSheets.getRows({}, deps.getLogSheetNameForUser(userId));
+        if (!result.success) return [];
+
+        const cutoff = new Date(Date.now() - SHEET_LOOKBACK_MS).toISOString();
+        return result.rows
+            .filter(row => (row.Timestamp || '') >= cutoff && !hasDeleted(row.Notes))
+            .sort((a, b) => String(b.Timestamp).localeCompare(String(a.Timestamp)))
+            .slice(0, references.MEMORY_SIZE)
+            .map(references.entityFromRow);
+    } catch (error) {
+        console.error('[REFERENCE] Could not read recent rows:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Ask which row a reference means
+ * @param {Object} message - Discord message
+ * @param {Object} reference - detectReference result
+ * @param {Array<Object>} options - resolveReferent options
+ */
+async function requestReferenceChoice(message, reference, options) {
+    pending.set(pending.keyFrom({
+        guildId: message.guildId || 'dm',
+        channelId: message.channelId || message.channel?.id,
+        authorId: message.author.id
+    }), { type: 'confirm_reference', data: { text: message.content, options } }, CHOICE_TTL_MS);
+
+    await message.reply({
+        content: QUESTIONS[reference.kind] || '🤔 Which one do you mean?',
+        components: buildReferenceButtons(options)
+    });
+}
+
+/**
+ * Resolve a message that refers back to an earlier entry
+ * @param {Object} message - Discord message (message.referent is set when replaying a choice)
+ * @param {string} text - Message text
+ * @param {Object} context - { userId, tz }
+ * @param {Object} deps - Router dependencies
+ * @returns {Promise<Object|null>} - null when the message isn't a reference; { handled: true } when
+ *   the user was asked or told something; { text, forcedIntent, slots } to parse a linked symptom;
+ *   { result } to log copies of earlier rows
+ */
+async function resolveFollowUp(message, text, { userId, tz }, deps) {
+    const reference = references.detectReference(text);
+    if (!reference) return null;
+
+    let resolved = null;
+    if (message.referent) {
+        resolved = { entities: message.referent };
+    } else if (reference.kind === 'yesterday') {
+        const found = await resolveReference(userId, text, deps.googleSheets, deps.getLogSheetNameForUser(userId), tz);
+        if (found) resolved = { entities: found.rows.map(references.entityFromRow) };
+    } else {
+        let entities = references.recent(message);
+        if (!entities.length) entities = await recentFromSheet(userId, deps);
+        resolved = references.resolveReferent(reference, entities);
+    }
+
+    console.log(`[REFERENCE] ${reference.kind} → ${resolved?.options ? `${resolved.options.length} options`
+        : resolved ? resolved.entities.map(e => e.item).join(' + ') : 'nothing'}`);
+
+    if (resolved?.options) {
+        await requestReferenceChoice(message, reference, resolved.options);
+        return { handled: true };
+    }
+
+    // A symptom is still worth logging when there's nothing to pin it on
+    if (reference.kind === 'cause') {
+        return { text: reference.symptom, forcedIntent: 'symptom', slots: resolved ? references.linkSlots(resolved.entities) : {} };
+    }
+
+    if (!resolved) {
+        await message.reply(reference.kind === 'yesterday'
+            ? "🤔 I couldn't find that meal yesterday. What did you have?"
+            : "🤔 I'm not sure what you mean — I don't see anything logged here recently. What did you have?");
+        return { handled: true };
+    }
+
+    return { result: references.cloneResult(resolved.entities, reference.mealTime ? { meal_time: reference.mealTime } : {}) };
+}
+
+/**
+ * Handle ux:ref:<index> / ux:ref:cancel
+ * @param {ButtonInteraction} interaction - Discord button interaction
+ * @param {Object} deps - Router dependencies
+ */
+async function handleReferenceButton(interaction, deps) {
+    const userId = interaction.user.id;
+    const key = pending.keyFrom({ guildId: interaction.guildId || 'dm', channelId: interaction.channelId, authorId: userId });
+    const state = pending.get(key);
+
+    if (!state || state.type !== 'confirm_reference') {
+        await interaction.update({ content: 'This action has expired. Please send your message again.', components: [] });
+        return;
+    }
+
+    pending.clear(key);
+
+    const choice = interaction.customId.split(':')[2];
+    const option = state.data.options[Number(choice)];
+    if (choice === 'cancel' || !option) {
+        await interaction.update({ content: 'Ok, not logged.', components: [] });
+        return;
+    }
+
+    await interaction.update({ content: `👉 ${option.label}`, components: [] });
+
+    // Replay the original message with the chosen rows attached
+    console.log(`[REFERENCE] ${userId} chose "${option.label}" for: ${state.data.text}`);
+    await replayMessage(interaction, state.data.text, { referent: option.entities }, deps);
+}
+
+module.exports = {
+    resolveFollowUp,
+    handleReferenceButton
+};
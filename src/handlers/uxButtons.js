@@ -7,6 +7,13 @@ const { buildPortionPicker, buildBrandPicker, getBrandsForCategory } = require('
 const { parsePortion } = require('../nutrition/portionParser');
 const { findBrandInfo } = require('../nutrition/brandLexicon');
 const { estimateCaloriesForItemAndSides } = require('../nutrition/estimateCalories');
+const { handleEditButton } = require('./editEntry');
+const { handleEntryTimeButton } = require('./entryTime');
+const { handleReferenceButton } = require('./referenceFollowUp');
+const { handleFixCaloriesButton } = require('./calorieFix');
+const undoHistory = require('../utils/undoHistory');
+const { hasDeleted, getToken, setTokens } = require('../utils/notes');
+const { recordItem } = require('../nlu/vocabulary');
 
 /**
  * Detect category from row details to show appropriate brand options
@@ -80,6 +87,16 @@ async function handleUxButton(interaction, deps) {
             await handlePortionSelection(interaction, deps);
         } else if (customId.startsWith('ux:brand:')) {
             await handleBrandSelection(interaction, deps);
+        } else if (customId.startsWith('ux:edit:')) {
+            await handleEditButton(interaction, deps);
+        } else if (customId.startsWith('ux:when:')) {
+            await handleEntryTimeButton(interaction, deps);
+        } else if (customId.startsWith('ux:spell:')) {
+            await handleKeepSpelling(interaction, deps);
+        } else if (customId.startsWith('ux:ref:')) {
+            await handleReferenceButton(interaction, deps);
+        } else if (customId.startsWith('ux:fixcal:')) {
+            await handleFixCaloriesButton(interaction, deps);
         } else {
             await interaction.reply({
                 content: '❌ Unknown action.',
@@ -146,13 +163,30 @@ async function handleUndo(interaction, deps) {
         }
 
         const row = result.rows[rowIndex - 2];
-        const currentNotes = row.Notes || '';
-        const updatedNotes = currentNotes + (currentNotes ? ', ' : '') + 'deleted=true';
+        if (hasDeleted(row.Notes)) {
+            await interaction.reply({ content: '❌ Entry not found or already removed.', ephemeral: true });
+            return;
+        }
 
-        await googleSheets.updateRow(sheetName, rowIndex, { Notes: updatedNotes });
+        // The chip removes this exact row, or every row of its multi-item meal; !undo can bring them back
+        const mealId = getToken(row.Notes, 'meal_id');
+        const rows = mealId
+            ? result.rows.filter(r => getToken(r.Notes, 'meal_id') === mealId && !hasDeleted(r.Notes))
+            : [row];
+        for (const target of rows) {
+            await undoHistory.softDelete(googleSheets, sheetName, target._rawData.rowIndex + 1, target);
+            undoHistory.forgetLog(userId, target.Timestamp);
+        }
+        undoHistory.record(userId, {
+            type: 'delete',
+            sheetName,
+            timestamp: row.Timestamp,
+            timestamps: rows.map(r => r.Timestamp),
+            label: mealId ? undoHistory.describeMeal(rows) : undoHistory.describeRow(row)
+        });
 
         await interaction.reply({
-            content: '✅ Entry undone successfully!',
+            content: '✅ Entry undone! Type `!undo` to bring it back, or `!trash` to see deleted entries.',
             ephemeral: true
         });
 
@@ -163,7 +197,7 @@ async function handleUndo(interaction, deps) {
             });
         }
 
-        console.log(`[UNDO] ✅ Marked row ${rowIndex} as deleted in ${sheetName}`);
+        console.log(`[UNDO] ✅ Soft-deleted ${rows.length} row(s) from row ${rowIndex} in ${sheetName}`);
     } catch (error) {
         console.error('[UNDO] Error:', error);
         await interaction.reply({
@@ -616,6 +650,54 @@ async function handleCustomInput(message, deps) {
     return false;
 }
 
+/**
+ * Handle "Keep <spelling>" chip (ux:spell:<timestamp>): put back what the user
+ * typed on a spell-corrected entry (every corrected row of a multi-item meal),
+ * and add it to their vocabulary so it isn't corrected again
+ */
+async function handleKeepSpelling(interaction, deps) {
+    const userId = interaction.user.id;
+    const sheetName = deps.getLogSheetNameForUser(userId);
+    const timestamp = interaction.customId.slice('ux:spell:'.length);
+
+    const result = await deps.googleSheets.getRows({}, sheetName);
+    const row = result.success ? result.rows.find(r => r.Timestamp === timestamp && !hasDeleted(r.Notes)) : null;
+    if (!row) {
+        await interaction.reply({ content: '❌ Entry not found or already removed.', ephemeral: true });
+        return;
+    }
+
+    const mealId = getToken(row.Notes, 'meal_id');
+    const targets = result.rows.filter(r =>
+        (r === row || (mealId && getToken(r.Notes, 'meal_id') === mealId)) &&
+        getToken(r.Notes, 'corrected_from') && !hasDeleted(r.Notes)
+    );
+    if (targets.length === 0) {
+        await interaction.reply({ content: 'Already using your spelling. ✅', ephemeral: true });
+        return;
+    }
+
+    const kept = [];
+    for (const target of targets) {
+        const typed = String(getToken(target.Notes, 'corrected_from'));
+        const updates = { Item: typed, Notes: setTokens(target.Notes, { corrected_from: null }) };
+        await deps.googleSheets.updateRow(sheetName, target._rawData.rowIndex + 1, updates);
+        undoHistory.record(userId, {
+            type: 'edit',
+            sheetName,
+            timestamp: target.Timestamp,
+            label: `${target.Item} → ${typed}`,
+            before: { Item: target.Item, Notes: target.Notes },
+            after: updates
+        });
+        recordItem(userId, typed);
+        kept.push(typed);
+    }
+
+    await interaction.reply({ content: `✏️ Kept your spelling: **${kept.join(', ')}**. I won't correct it next time.`, ephemeral: true });
+    console.log(`[UX] Reverted spelling correction for ${userId}: ${kept.join(', ')}`);
+}
+
 module.exports = {
     handleUxButton,
     handlePhotoMessage,
@@ -1,17 +1,5 @@
 // src/insights/AIAnalyst.js
-const { OpenAI } = require('openai');
-
-// Initialize OpenAI client (lazy)
-let client = null;
-function getClient() {
-    if (!client && process.env.OPENAI_API_KEY) {
-        client = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY,
-            timeout: 5000 // 5 second timeout for query generation
-        });
-    }
-    return client;
-}
+const provider = require('../llm/provider');
 
 const SYSTEM_PROMPT_QUERY_GENERATOR = `You are an expert data analyst that converts natural language questions into a structured JSON query.
 The user is querying their personal GI health data, which is stored in a table with the following columns:
@@ -56,33 +44,27 @@ Rules:
  * @returns {Promise<Object>} The structured JSON query or an error object.
  */
 async function generateQuery(question) {
-    const openai = getClient();
-    if (!openai) {
-        return { error: "AI Analyst is not configured. Missing OpenAI API key." };
+    if (!provider.isEnabled()) {
+        return { error: "AI Analyst is not configured. No LLM backend is set up." };
     }
 
-    try {
-        const response = await openai.chat.completions.create({
-            model: 'gpt-4o-mini',
-            temperature: 0,
-            messages: [
-                { role: 'system', content: SYSTEM_PROMPT_QUERY_GENERATOR },
-                { role: 'user', content: question }
-            ],
-            response_format: { type: 'json_object' }
-        });
-
-        const content = response.choices[0]?.message?.content;
-        if (!content) {
-            return { error: "AI Analyst returned an empty response." };
-        }
-
-        return JSON.parse(content);
-
-    } catch (error) {
-        console.error("[AIAnalyst] Error generating query:", error);
+    const result = await provider.complete({
+        task: 'analyst_query',
+        temperature: 0,
+        messages: [
+            { role: 'system', content: SYSTEM_PROMPT_QUERY_GENERATOR },
+            { role: 'user', content: question }
+        ],
+        json: true,
+        validate: (parsed) => (parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? null : 'query is not an object')
+    });
+
+    if (!result.ok) {
+        console.error("[AIAnalyst] Error generating query:", result.detail || result.error);
         return { error: "I had trouble understanding that question. Could you try rephrasing it?" };
     }
+
+    return result.json;
 }
 
 const SYSTEM_PROMPT_ANSWER_SYNTHESIZER = `You are a friendly and helpful GI health assistant.
@@ -105,8 +87,7 @@ Rules:
  * @returns {Promise<string>} The synthesized natural language answer.
  */
 async function synthesizeAnswer(originalQuestion, queryResult) {
-    const openai = getClient();
-    if (!openai) {
+    if (!provider.isEnabled()) {
         return "I can't seem to access my analysis brain right now. Please try again later.";
     }
 
@@ -120,23 +101,21 @@ ${dataString}
 
 Please answer the user's question based on this data.`;
 
-    try {
-        const response = await openai.chat.completions.create({
-            model: 'gpt-4o-mini',
-            temperature: 0.2, // A little creative for friendlier tone
-            messages: [
-                { role: 'system', content: SYSTEM_PROMPT_ANSWER_SYNTHESIZER },
-                { role: 'user', content: userMessage }
-            ]
-        });
-
-        const answer = response.choices[0]?.message?.content;
-        return answer || "I found the data, but I'm having trouble putting it into words. Please try asking in a different way.";
-
-    } catch (error) {
-        console.error("[AIAnalyst] Error synthesizing answer:", error);
+    const result = await provider.complete({
+        task: 'analyst_answer',
+        temperature: 0.2, // A little creative for friendlier tone
+        messages: [
+            { role: 'system', content: SYSTEM_PROMPT_ANSWER_SYNTHESIZER },
+            { role: 'user', content: userMessage }
+        ]
+    });
+
+    if (!result.ok) {
+        console.error("[AIAnalyst] Error synthesizing answer:", result.detail || result.error);
         return "I ran into an issue while analyzing your data. Sorry about that!";
     }
+
+    return result.text || "I found the data, but I'm having trouble putting it into words. Please try asking in a different way.";
 }
 
 
@@ -18,15 +18,15 @@ const CACHE_TTL_MS = 5 * 60 * 1000;
  * @param {Object} googleSheets - Sheets service
  * @param {string} userName - User name
  * @param {string} sheetName - Sheet name (Peyton/Louis)
- * @param {Object} options - { sinceDays: 30, userId: string, getUserProfile: function }
+ * @param {Object} options - { sinceDays: 30, userId: string, getUserProfile: function, fresh: false }
  * @returns {Promise<Array>} - Filtered rows
  */
-async function loadUserRows(googleSheets, userName, sheetName, { sinceDays = 30, userId = null, getUserProfile = null } = {}) {
+async function loadUserRows(googleSheets, userName, sheetName, { sinceDays = 30, userId = null, getUserProfile = null, fresh = false } = {}) {
     const cacheKey = `user:${sheetName}:${sinceDays}`;
 
-    // Check cache
+    // Check cache (skipped for views that must reflect the entry just logged)
     const cached = cache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
+    if (!fresh && cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
         console.log(`[INSIGHTS] Cache hit for ${cacheKey}`);
         return cached.data;
     }
@@ -69,7 +69,7 @@ async function loadUserRows(googleSheets, userName, sheetName, { sinceDays = 30,
             .map(row => ({
                 Timestamp: row.Timestamp,
                 Type: row.Type,
-                Details: row.Details || '',
+                Details: row.Details || row.Item || '',
                 Severity: row.Severity || '',
                 Notes: row.Notes || '',
                 Date: row.Date,
@@ -93,19 +93,19 @@ async function loadUserRows(googleSheets, userName, sheetName, { sinceDays = 30,
 }
 
 /**
- * Load Health_Peyton rows with burn calories
+ * Load a health tab's rows with burn calories
  * @param {Object} googleSheets - Sheets service
- * @param {Object} options - { sinceDays: 30, userId: string, getUserProfile: function }
+ * @param {Object} options - { sinceDays: 30, healthSheet: 'Health_Peyton', userId: string, getUserProfile: function }
  * @returns {Promise<Map>} - Map keyed by Date
  */
-async function loadHealthRows(googleSheets, { sinceDays = 30, userId = null, getUserProfile = null } = {}) {
+async function loadHealthRows(googleSheets, { sinceDays = 30, healthSheet = 'Health_Peyton', userId = null, getUserProfile = null } = {}) {
     // Feature flag check - return empty if health disabled
     if (!HEALTH_ENABLED) {
         console.log(`[INSIGHTS] Health integration disabled (no burn data available)`);
         return new Map();
     }
 
-    const cacheKey = `health:${sinceDays}`;
+    const cacheKey = `health:${healthSheet}:${sinceDays}`;
 
     // Check cache
     const cached = cache.get(cacheKey);
@@ -114,13 +114,13 @@ async function loadHealthRows(googleSheets, { sinceDays = 30, userId = null, get
         return cached.data;
     }
 
-    console.log(`[INSIGHTS] Loading Health_Peyton rows...`);
+    console.log(`[INSIGHTS] Loading ${healthSheet} rows...`);
     const startTime = Date.now();
 
     try {
-        const result = await googleSheets.getRows({}, 'Health_Peyton');
+        const result = await googleSheets.getRows({}, healthSheet);
         if (!result.success) {
-            console.log(`[INSIGHTS] Health_Peyton not available`);
+            console.log(`[INSIGHTS] ${healthSheet} not available`);
             return new Map();
         }
 
@@ -161,7 +161,7 @@ async function loadHealthRows(googleSheets, { sinceDays = 30, userId = null, get
 
         return healthMap;
     } catch (error) {
-        console.error(`[INSIGHTS] Error loading Health_Peyton:`, error);
+        console.error(`[INSIGHTS] Error loading ${healthSheet}:`, error);
         return new Map();
     }
 }
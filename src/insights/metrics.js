@@ -224,6 +224,65 @@ function computeRefluxStats(rows, { days = 14 } = {}) {
     };
 }
 
+/**
+ * Whether a row is a symptom-free check-in ("no reflux today")
+ * @param {Object} row - Row object
+ * @returns {boolean}
+ */
+function isSymptomFreeCheckin(row) {
+    return row.Type === 'checkin' && parseNotes(row.Notes).has('symptom_free');
+}
+
+// A meal confirmed symptom-free by a check-in weighs this many unconfirmed ones in the lift rates
+const CONFIRMED_CLEAR_WEIGHT = 2;
+
+/**
+ * Outcome of the meal/drink at sorted[i]: a symptom within 6h, or a
+ * symptom-free check-in the same day (before or after it: "no reflux today"
+ * covers the whole day). Meals with neither are unconfirmed, not dropped.
+ * @param {Array} sorted - Rows in chronological order
+ * @param {number} i - Index of the meal/drink row
+ * @returns {Object} - { hasOutcome, confirmedClear, weight }
+ */
+function labelExposure(sorted, i) {
+    const row = sorted[i];
+    const mealTime = new Date(row.Timestamp);
+    let hasOutcome = false;
+    let confirmedClear = false;
+
+    for (let j = i - 1; j >= 0 && row.Date && sorted[j].Date === row.Date; j--) {
+        if (isSymptomFreeCheckin(sorted[j])) confirmedClear = true;
+    }
+
+    for (let j = i + 1; j < sorted.length; j++) {
+        const futureRow = sorted[j];
+        const diffMin = (new Date(futureRow.Timestamp) - mealTime) / 60000;
+        const inWindow = diffMin <= 360;
+
+        if (!inWindow && futureRow.Date !== row.Date) break;
+
+        if (inWindow && (futureRow.Type === 'symptom' || futureRow.Type === 'reflux')) {
+            hasOutcome = true;
+            break;
+        }
+        if (isSymptomFreeCheckin(futureRow) && futureRow.Date === row.Date) confirmedClear = true;
+    }
+
+    confirmedClear = confirmedClear && !hasOutcome;
+    return { hasOutcome, confirmedClear, weight: confirmedClear ? CONFIRMED_CLEAR_WEIGHT : 1 };
+}
+
+/**
+ * Weighted share of exposures followed by a symptom
+ * @param {Array} exposures - labelExposure() results
+ * @returns {number} - 0..1 (0 for no exposures)
+ */
+function outcomeRate(exposures) {
+    const total = exposures.reduce((sum, e) => sum + e.weight, 0);
+    const outcomes = exposures.reduce((sum, e) => sum + (e.hasOutcome ? e.weight : 0), 0);
+    return total > 0 ? outcomes / total : 0;
+}
+
 /**
  * Mine combinations (features) associated with symptoms
  * @param {Array} rows - User rows (assumed chronological)
@@ -246,34 +305,15 @@ function mineCombinations(rows) {
         // Extract features
         const features = extractFeatures(row);
 
-        // Check if symptom occurred within next 6h
-        let hasOutcome = false;
-        const mealTime = new Date(row.Timestamp);
-
-        for (let j = i + 1; j < sorted.length; j++) {
-            const futureRow = sorted[j];
-            const futureTime = new Date(futureRow.Timestamp);
-            const diffMin = (futureTime - mealTime) / 60000;
-
-            if (diffMin > 360) break; // Beyond 6h window
-
-            if (futureRow.Type === 'symptom' || futureRow.Type === 'reflux') {
-                hasOutcome = true;
-                break;
-            }
-        }
-
-        exposures.push({ features, hasOutcome });
+        exposures.push({ features, ...labelExposure(sorted, i) });
     }
 
     if (exposures.length === 0) {
         return [];
     }
 
-    // Calculate baseline outcome rate
-    const totalExposures = exposures.length;
-    const totalOutcomes = exposures.filter(e => e.hasOutcome).length;
-    const baseline = totalOutcomes / totalExposures;
+    // Calculate baseline outcome rate (symptom-free check-ins weigh in as positive evidence)
+    const baseline = outcomeRate(exposures);
 
     if (baseline === 0) {
         return []; // No outcomes, can't compute lift
@@ -289,9 +329,7 @@ function mineCombinations(rows) {
         if (filtered.length < 3) continue; // Min threshold
 
         const count = filtered.length;
-        const outcomes = filtered.filter(e => e.hasOutcome).length;
-        const rate = outcomes / count;
-        const lift = rate / baseline;
+        const lift = outcomeRate(filtered) / baseline;
 
         if (lift > 1.0) {
             combinations.push({
@@ -312,9 +350,7 @@ function mineCombinations(rows) {
             if (filtered.length < 3) continue;
 
             const count = filtered.length;
-            const outcomes = filtered.filter(e => e.hasOutcome).length;
-            const rate = outcomes / count;
-            const lift = rate / baseline;
+            const lift = outcomeRate(filtered) / baseline;
 
             if (lift > 1.0) {
                 combinations.push({
@@ -337,7 +373,7 @@ function mineCombinations(rows) {
  * @returns {Object} - Features { caffeine, dairy, spicy, pizza, timeBucket }
  */
 function extractFeatures(row) {
-    const details = row.Details.toLowerCase();
+    const details = (row.Item || row.Details || '').toLowerCase();
     const notes = parseNotes(row.Notes);
 
     const features = {
@@ -362,7 +398,7 @@ function extractFeatures(row) {
     const hasDairy = dairyItems.some(item => details.includes(item));
     const isNonDairy = nonDairyItems.some(item => details.includes(item));
 
-    features.dairy = hasDairy && !isNonDairy;
+    features.dairy = notes.has('dairy') || (hasDairy && !isNonDairy && !notes.has('non_dairy'));
 
     // Spicy
     const spicyItems = ['spicy', 'hot sauce', 'jalapeno', 'sriracha', 'chili', 'pepper'];
@@ -409,24 +445,29 @@ function formatFeatureLabel(key1, key2) {
 }
 
 /**
- * Compute symptom-free streak
+ * Compute symptom-free streak. Days in it with a symptom-free check-in are
+ * counted as confirmed (rather than just unlogged).
  * @param {Array} rows - User rows
- * @returns {Object} - { symptomFreeDays, milestones, lastSymptomDate }
+ * @returns {Object} - { symptomFreeDays, confirmedDays, milestones, lastSymptomDate }
  */
 function computeStreak(rows) {
     const tz = process.env.TIMEZONE || 'America/Los_Angeles';
     const today = moment().tz(tz).format('YYYY-MM-DD');
 
-    // Build set of dates with symptoms
+    // Build sets of dates with symptoms and with symptom-free check-ins
     const symptomDates = new Set();
+    const checkinDates = new Set();
     rows.forEach(row => {
         if ((row.Type === 'symptom' || row.Type === 'reflux') && row.Date) {
             symptomDates.add(row.Date);
+        } else if (isSymptomFreeCheckin(row) && row.Date) {
+            checkinDates.add(row.Date);
         }
     });
 
     // Count backward from today
     let streakDays = 0;
+    let confirmedDays = 0;
     let lastSymptomDate = null;
 
     for (let i = 0; i < 365; i++) { // Max 1 year
@@ -438,6 +479,7 @@ function computeStreak(rows) {
         }
 
         streakDays++;
+        if (checkinDates.has(checkDate)) confirmedDays++;
     }
 
     // Determine milestones reached
@@ -446,6 +488,7 @@ function computeStreak(rows) {
 
     return {
         symptomFreeDays: streakDays,
+        confirmedDays,
         milestones,
         lastSymptomDate
     };
@@ -458,5 +501,8 @@ module.exports = {
     computeLatencyMinutes,
     computeRefluxStats,
     mineCombinations,
-    computeStreak
+    computeStreak,
+    isSymptomFreeCheckin,
+    labelExposure,
+    outcomeRate
 };
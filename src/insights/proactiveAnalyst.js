@@ -14,7 +14,7 @@ const ProactiveAnalyst = {
         const sheetName = googleSheets.getLogSheetNameForUser(userId);
 
         // 1. Fetch the last 28 days of data for analysis.
-        const allEntries = await googleSheets.getRows({ days: 28 }, sheetName);
+        const { rows: allEntries = [] } = await googleSheets.getRows({ days: 28 }, sheetName);
         if (allEntries.length < 10) {
             console.log(`[PROACTIVE] Not enough data to analyze for user ${userId}.`);
             return [];
@@ -32,7 +32,7 @@ const ProactiveAnalyst = {
         // 2. For each symptom, look for preceding foods within a time window.
         for (const symptom of symptoms) {
             const symptomTime = time.moment(symptom.Timestamp).tz(tz);
-            const symptomType = symptom.Details.toLowerCase().trim();
+            const symptomType = (symptom.Item || symptom.Details || '').toLowerCase().trim();
 
             const windowStart = symptomTime.clone().subtract(4, 'hours');
 
@@ -43,7 +43,7 @@ const ProactiveAnalyst = {
 
             // 3. For each preceding food, increment its correlation count.
             for (const food of precedingFoods) {
-                const foodItem = food.Details.toLowerCase().trim();
+                const foodItem = (food.Item || food.Details || '').toLowerCase().trim();
                 const key = `${foodItem}:${symptomType}`;
 
                 const current = correlations.get(key) || { count: 0, dates: [] };
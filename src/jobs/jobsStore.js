@@ -1,11 +1,121 @@
 /**
  * Persistent Job Queue Store
- * Manages scheduled jobs in SQLite with automatic cleanup
+ * Scheduled jobs live in their own SQLite table (.data/jobs.sqlite) so they
+ * survive restarts. Workers claim due jobs with a lease; a job whose worker
+ * dies is picked up again once the lease expires. Failed jobs are retried with
+ * exponential backoff and moved to the dead-letter state after JOBS_MAX_ATTEMPTS.
+ *
+ * Status lifecycle: pending → running → done
+ *                                     ↘ pending (retry, backoff) → ... → dead
+ *                   pending → cancelled
  */
 
-const db = require('../../services/sqliteBridge');
+let Database;
+try {
+    Database = require('better-sqlite3');
+} catch {
+    Database = null;
+}
+
+const path = require('path');
+const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 
+const DB_PATH = process.env.JOBS_DB_PATH || path.join(process.cwd(), '.data', 'jobs.sqlite');
+const MAX_ATTEMPTS = parseInt(process.env.JOBS_MAX_ATTEMPTS, 10) || 5;
+const LEASE_MS = 2 * 60 * 1000;          // A claimed job is reclaimable after 2 minutes
+const BACKOFF_BASE_MS = 30 * 1000;       // 30s, 1m, 2m, 4m, ...
+const BACKOFF_MAX_MS = 60 * 60 * 1000;   // capped at 1 hour
+const DONE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const DEAD_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const WORKER_ID = `${process.pid}`;
+
+let db = null;
+
+/**
+ * Open the jobs database and create the table
+ * @param {string} dbPath - SQLite file path (':memory:' for tests)
+ */
+function init(dbPath = DB_PATH) {
+    if (db) return;
+    if (!Database) {
+        console.warn('[JOBS] better-sqlite3 not available - scheduled jobs are disabled');
+        return;
+    }
+
+    try {
+        if (dbPath !== ':memory:') {
+            fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        }
+
+        db = new Database(dbPath);
+        db.pragma('journal_mode = WAL');
+
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS jobs (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                type TEXT NOT NULL,
+                payload TEXT NOT NULL DEFAULT '{}',
+                due_at INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                max_attempts INTEGER NOT NULL,
+                last_error TEXT,
+                locked_by TEXT,
+                lease_until INTEGER,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL,
+                done_at INTEGER
+            )
+        `).run();
+
+        db.prepare(`CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(status, due_at)`).run();
+        db.prepare(`CREATE INDEX IF NOT EXISTS idx_jobs_user ON jobs(user_id, type, status)`).run();
+    } catch (error) {
+        console.error('[JOBS] Failed to open jobs database:', error.message);
+        db = null;
+    }
+}
+
+/**
+ * Close the jobs database (tests, graceful shutdown)
+ */
+function close() {
+    if (db) db.close();
+    db = null;
+}
+
+/**
+ * Convert a table row to the job object handed to the runner
+ * @param {Object} row - jobs row
+ * @returns {Object}
+ */
+function toJob(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        type: row.type,
+        payload: JSON.parse(row.payload || '{}'),
+        dueAtISO: new Date(row.due_at).toISOString(),
+        status: row.status,
+        attempts: row.attempts,
+        maxAttempts: row.max_attempts,
+        lastError: row.last_error,
+        createdAtISO: new Date(row.created_at).toISOString(),
+        doneAtISO: row.done_at ? new Date(row.done_at).toISOString() : null
+    };
+}
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} - Milliseconds
+ */
+function backoffMs(attempts) {
+    return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_MS);
+}
+
 /**
  * Enqueue a new job
  * @param {Object} params - Job parameters
@@ -13,48 +123,66 @@ const { v4: uuidv4 } = require('uuid');
  * @param {string} params.dueAtISO - When the job should run (ISO string)
  * @param {string} params.type - Job type (e.g., 'after_meal_ping')
  * @param {Object} params.payload - Job-specific data
- * @returns {Promise<string>} - Job ID
+ * @param {number} params.maxAttempts - Attempts before dead-lettering (default JOBS_MAX_ATTEMPTS)
+ * @returns {Promise<string|null>} - Job ID (null if the store is unavailable)
  */
-async function enqueue({ userId, dueAtISO, type, payload }) {
+async function enqueue({ userId, dueAtISO, type, payload = {}, maxAttempts = MAX_ATTEMPTS }) {
+    init();
+    if (!db) return null;
+
     const jobId = uuidv4();
-    const jobData = {
-        id: jobId,
-        userId,
-        dueAtISO,
-        type,
-        payload,
-        createdAtISO: new Date().toISOString(),
-        doneAtISO: null
-    };
-    
-    // Store with 7-day TTL (jobs should complete within a week)
-    const ttlSeconds = 7 * 24 * 60 * 60; // 7 days
-    db.set(`job:${jobId}`, jobData, ttlSeconds);
-    
+    const now = Date.now();
+    const dueAt = dueAtISO ? new Date(dueAtISO).getTime() : now;
+
+    db.prepare(`
+        INSERT INTO jobs (id, user_id, type, payload, due_at, max_attempts, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(jobId, String(userId), type, JSON.stringify(payload), Number.isFinite(dueAt) ? dueAt : now, maxAttempts, now, now);
+
     console.log(`[JOBS] Enqueued ${type} job for user ${userId} due at ${dueAtISO}`);
     return jobId;
 }
 
 /**
- * Pull all jobs that are due to run
+ * Claim all jobs that are due to run. Claimed jobs are leased to this worker;
+ * jobs left running by a crashed worker are reclaimed once their lease expires.
  * @param {string} nowISO - Current time in ISO format
- * @returns {Promise<Array>} - Array of due jobs
+ * @param {Object} options
+ * @param {number} options.limit - Max jobs to claim
+ * @param {number} options.leaseMs - Lease length
+ * @returns {Promise<Array>} - Array of claimed jobs
  */
-async function pullDue(nowISO) {
-    // This is a simplified implementation
-    // In a production system, you'd want a more sophisticated query
-    const allJobs = [];
-    
-    // Get all job keys (this is a limitation of our simple key-value store)
-    // In a real implementation, you'd want a proper SQL query
-    const stats = db.getStats();
-    if (stats.totalKeys === 0) return allJobs;
-    
-    // For now, we'll implement a simple scan
-    // This could be optimized with a proper SQLite table
-    console.log(`[JOBS] Scanning for due jobs (current time: ${nowISO})`);
-    
-    return allJobs; // Placeholder - would need proper implementation
+async function pullDue(nowISO, { limit = 25, leaseMs = LEASE_MS } = {}) {
+    init();
+    if (!db) return [];
+
+    const now = new Date(nowISO).getTime();
+
+    const claim = db.transaction(() => {
+        const rows = db.prepare(`
+            SELECT * FROM jobs
+            WHERE (status = 'pending' AND due_at <= @now)
+               OR (status = 'running' AND lease_until < @now)
+            ORDER BY due_at
+            LIMIT @limit
+        `).all({ now, limit });
+
+        const lease = db.prepare(`
+            UPDATE jobs
+            SET status = 'running', attempts = attempts + 1, locked_by = ?, lease_until = ?, updated_at = ?
+            WHERE id = ?
+        `);
+
+        return rows.map(row => {
+            if (row.status === 'running') {
+                console.warn(`[JOBS] Reclaiming job ${row.id} (lease held by ${row.locked_by} expired)`);
+            }
+            lease.run(WORKER_ID, now + leaseMs, now, row.id);
+            return toJob({ ...row, status: 'running', attempts: row.attempts + 1 });
+        });
+    });
+
+    return claim();
 }
 
 /**
@@ -63,16 +191,22 @@ async function pullDue(nowISO) {
  * @returns {Promise<boolean>} - Success status
  */
 async function markDone(jobId) {
+    init();
+    if (!db) return false;
+
     try {
-        const job = db.get(`job:${jobId}`);
-        if (!job) {
+        const now = Date.now();
+        const result = db.prepare(`
+            UPDATE jobs
+            SET status = 'done', done_at = ?, updated_at = ?, locked_by = NULL, lease_until = NULL, last_error = NULL
+            WHERE id = ?
+        `).run(now, now, jobId);
+
+        if (result.changes === 0) {
             console.warn(`[JOBS] Job ${jobId} not found`);
             return false;
         }
-        
-        job.doneAtISO = new Date().toISOString();
-        db.set(`job:${jobId}`, job, 7 * 24 * 60 * 60); // Update with same TTL
-        
+
         console.log(`[JOBS] Marked job ${jobId} as completed`);
         return true;
     } catch (error) {
@@ -81,44 +215,123 @@ async function markDone(jobId) {
     }
 }
 
+/**
+ * Record a failed attempt: reschedule with exponential backoff, or dead-letter
+ * the job once it has used up its attempts
+ * @param {string} jobId - Job ID
+ * @param {Error|string} error - Failure reason
+ * @returns {Promise<Object|null>} - { status, nextDueAtISO } or null if not found
+ */
+async function markFailed(jobId, error) {
+    init();
+    if (!db) return null;
+
+    const row = db.prepare(`SELECT attempts, max_attempts FROM jobs WHERE id = ?`).get(jobId);
+    if (!row) {
+        console.warn(`[JOBS] Job ${jobId} not found`);
+        return null;
+    }
+
+    const now = Date.now();
+    const message = String(error?.message || error || 'unknown error').slice(0, 500);
+
+    if (row.attempts >= row.max_attempts) {
+        db.prepare(`
+            UPDATE jobs
+            SET status = 'dead', last_error = ?, updated_at = ?, locked_by = NULL, lease_until = NULL
+            WHERE id = ?
+        `).run(message, now, jobId);
+        console.error(`[JOBS] Job ${jobId} dead-lettered after ${row.attempts} attempts: ${message}`);
+        return { status: 'dead', nextDueAtISO: null };
+    }
+
+    const nextDueAt = now + backoffMs(row.attempts);
+    db.prepare(`
+        UPDATE jobs
+        SET status = 'pending', due_at = ?, last_error = ?, updated_at = ?, locked_by = NULL, lease_until = NULL
+        WHERE id = ?
+    `).run(nextDueAt, message, now, jobId);
+
+    const nextDueAtISO = new Date(nextDueAt).toISOString();
+    console.warn(`[JOBS] Job ${jobId} failed (attempt ${row.attempts}/${row.max_attempts}), retrying at ${nextDueAtISO}: ${message}`);
+    return { status: 'pending', nextDueAtISO };
+}
+
 /**
  * Get all pending jobs for a user
  * @param {string} userId - Discord user ID
- * @returns {Promise<Array>} - Array of pending jobs
+ * @returns {Promise<Array>} - Array of pending/running jobs, soonest first
  */
 async function getUserJobs(userId) {
-    // This would need proper implementation with SQLite queries
-    // For now, return empty array
-    return [];
+    init();
+    if (!db) return [];
+
+    return db.prepare(`
+        SELECT * FROM jobs
+        WHERE user_id = ? AND status IN ('pending', 'running')
+        ORDER BY due_at
+    `).all(String(userId)).map(toJob);
 }
 
 /**
- * Cancel all jobs of a specific type for a user
+ * Cancel all pending jobs of a specific type for a user
  * @param {string} userId - Discord user ID
  * @param {string} type - Job type to cancel
  * @returns {Promise<number>} - Number of jobs cancelled
  */
 async function cancelUserJobs(userId, type) {
-    // This would need proper implementation
-    console.log(`[JOBS] Cancelling ${type} jobs for user ${userId}`);
-    return 0; // Placeholder
+    init();
+    if (!db) return 0;
+
+    const result = db.prepare(`
+        UPDATE jobs SET status = 'cancelled', updated_at = ?
+        WHERE user_id = ? AND type = ? AND status = 'pending'
+    `).run(Date.now(), String(userId), type);
+
+    console.log(`[JOBS] Cancelled ${result.changes} ${type} jobs for user ${userId}`);
+    return result.changes;
 }
 
 /**
- * Clean up old completed jobs
+ * Get dead-lettered jobs for inspection
+ * @param {number} limit - Max jobs
+ * @returns {Promise<Array>}
+ */
+async function getDeadJobs(limit = 50) {
+    init();
+    if (!db) return [];
+
+    return db.prepare(`SELECT * FROM jobs WHERE status = 'dead' ORDER BY updated_at DESC LIMIT ?`)
+        .all(limit).map(toJob);
+}
+
+/**
+ * Clean up old finished jobs (done/cancelled after 7 days, dead after 30)
  * @returns {Promise<number>} - Number of jobs cleaned up
  */
 async function cleanup() {
-    // The sqliteBridge already handles TTL cleanup
-    // This is just for any additional cleanup logic
-    return 0;
+    init();
+    if (!db) return 0;
+
+    const now = Date.now();
+    const result = db.prepare(`
+        DELETE FROM jobs
+        WHERE (status IN ('done', 'cancelled') AND updated_at < ?)
+           OR (status = 'dead' AND updated_at < ?)
+    `).run(now - DONE_RETENTION_MS, now - DEAD_RETENTION_MS);
+
+    return result.changes;
 }
 
 module.exports = {
+    init,
+    close,
     enqueue,
     pullDue,
     markDone,
+    markFailed,
     getUserJobs,
     cancelUserJobs,
+    getDeadJobs,
     cleanup
 };
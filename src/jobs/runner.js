@@ -7,7 +7,80 @@ const jobsStore = require('./jobsStore');
 const { shouldEnableCalorieFeatures } = require('../auth/scope');
 
 /**
- * Send after-meal calorie reminder
+ * Build the calorie reminder embed and buttons
+ * @param {Object} job - Job data
+ * @param {string} description - Embed description
+ * @returns {Object} - { embeds, components }
+ */
+function buildCalorieReminder(job, description) {
+    const embed = {
+        title: "🍽️ Calorie Reminder",
+        description,
+        color: 0x57F287, // Green
+        fields: [
+            {
+                name: "Options",
+                value: "• **+Estimate** - I'll estimate calories\n• **Enter Calories** - Manual entry\n• **Skip** - No calories needed",
+                inline: false
+            }
+        ],
+        footer: {
+            text: "This helps track your daily nutrition goals"
+        }
+    };
+    
+    const components = [
+        {
+            type: 1, // ActionRow
+            components: [
+                {
+                    type: 2, // Button
+                    style: 1, // Primary
+                    label: "+Estimate",
+                    custom_id: `calorie:estimate:${job.id}`,
+                    emoji: { name: "🧮" }
+                },
+                {
+                    type: 2, // Button
+                    style: 2, // Secondary
+                    label: "Enter Calories",
+                    custom_id: `calorie:manual:${job.id}`,
+                    emoji: { name: "✏️" }
+                },
+                {
+                    type: 2, // Button
+                    style: 3, // Success
+                    label: "Skip",
+                    custom_id: `calorie:skip:${job.id}`,
+                    emoji: { name: "⏭️" }
+                }
+            ]
+        }
+    ];
+    
+    return { embeds: [embed], components };
+}
+
+/**
+ * Post the reminder in a channel, pinging the user
+ * @param {Object} job - Job data
+ * @param {Object} client - Discord client
+ * @param {string} channelId - Discord channel ID
+ */
+async function sendChannelReminder(job, client, channelId) {
+    const { userId, payload } = job;
+    const channel = await client.channels.fetch(channelId);
+    if (!channel) {
+        throw new Error(`Channel ${channelId} not found for calorie reminder`);
+    }
+    
+    await channel.send(buildCalorieReminder(job, `<@${userId}> Want to add calories for **${payload.item}** from ${payload.mealType}?`));
+    console.log(`[JOBS] Sent channel calorie reminder to user ${userId} for ${payload.item}`);
+}
+
+/**
+ * Send after-meal calorie reminder (DM by default, or the channel the user
+ * subscribed from when their DMs are closed)
  * @param {Object} job - Job data
  * @param {Object} client - Discord client
  */
@@ -20,6 +93,13 @@ async function sendAfterMealDM(job, client) {
         return;
     }
     
+    const fallbackChannelId = payload.channelId || process.env.DISCORD_CHANNEL_ID;
+    
+    if (payload.channel === 'channel' && fallbackChannelId) {
+        await sendChannelReminder(job, client, fallbackChannelId);
+        return;
+    }
+    
     try {
         const user = await client.users.fetch(userId);
         if (!user) {
@@ -27,126 +107,26 @@ async function sendAfterMealDM(job, client) {
             return;
         }
         
-        const { item, mealType, originalMessage } = payload;
-        
-        // Create reminder message
-        const embed = {
-            title: "🍽️ Calorie Reminder",
-            description: `Want to add calories for **${item}** from ${mealType}?`,
-            color: 0x57F287, // Green
-            fields: [
-                {
-                    name: "Options",
-                    value: "• **+Estimate** - I'll estimate calories\n• **Enter Calories** - Manual entry\n• **Skip** - No calories needed",
-                    inline: false
-                }
-            ],
-            footer: {
-                text: "This helps track your daily nutrition goals"
-            }
-        };
-        
-        // Create buttons
-        const components = [
-            {
-                type: 1, // ActionRow
-                components: [
-                    {
-                        type: 2, // Button
-                        style: 1, // Primary
-                        label: "+Estimate",
-                        custom_id: `calorie:estimate:${job.id}`,
-                        emoji: { name: "🧮" }
-                    },
-                    {
-                        type: 2, // Button
-                        style: 2, // Secondary
-                        label: "Enter Calories",
-                        custom_id: `calorie:manual:${job.id}`,
-                        emoji: { name: "✏️" }
-                    },
-                    {
-                        type: 2, // Button
-                        style: 3, // Success
-                        label: "Skip",
-                        custom_id: `calorie:skip:${job.id}`,
-                        emoji: { name: "⏭️" }
-                    }
-                ]
-            }
-        ];
-        
-        await user.send({ embeds: [embed], components });
-        console.log(`[JOBS] Sent calorie reminder to user ${userId} for ${item}`);
+        await user.send(buildCalorieReminder(job, `Want to add calories for **${payload.item}** from ${payload.mealType}?`));
+        console.log(`[JOBS] Sent calorie reminder to user ${userId} for ${payload.item}`);
         
     } catch (error) {
         if (error.code === 50007) { // Cannot send messages to this user
             console.log(`[JOBS] Cannot send DM to user ${userId} - DMs may be disabled`);
             
             // Fall back to channel notification
+            if (!fallbackChannelId) {
+                console.error(`[JOBS] No DISCORD_CHANNEL_ID configured for fallback notification`);
+                return;
+            }
             try {
-                const channelId = process.env.DISCORD_CHANNEL_ID;
-                if (channelId) {
-                    const channel = await client.channels.fetch(channelId);
-                    if (channel) {
-                        const fallbackEmbed = {
-                            title: "🍽️ Calorie Reminder",
-                            description: `<@${userId}> Want to add calories for **${payload.item}** from ${payload.mealType}?`,
-                            color: 0x57F287, // Green
-                            fields: [
-                                {
-                                    name: "Options",
-                                    value: "• **+Estimate** - I'll estimate calories\n• **Enter Calories** - Manual entry\n• **Skip** - No calories needed",
-                                    inline: false
-                                }
-                            ],
-                            footer: {
-                                text: "This helps track your daily nutrition goals"
-                            }
-                        };
-                        
-                        const fallbackComponents = [
-                            {
-                                type: 1, // ActionRow
-                                components: [
-                                    {
-                                        type: 2, // Button
-                                        style: 1, // Primary
-                                        label: "+Estimate",
-                                        custom_id: `calorie:estimate:${job.id}`,
-                                        emoji: { name: "🧮" }
-                                    },
-                                    {
-                                        type: 2, // Button
-                                        style: 2, // Secondary
-                                        label: "Enter Calories",
-                                        custom_id: `calorie:manual:${job.id}`,
-                                        emoji: { name: "✏️" }
-                                    },
-                                    {
-                                        type: 2, // Button
-                                        style: 3, // Success
-                                        label: "Skip",
-                                        custom_id: `calorie:skip:${job.id}`,
-                                        emoji: { name: "⏭️" }
-                                    }
-                                ]
-                            }
-                        ];
-                        
-                        await channel.send({ embeds: [fallbackEmbed], components: fallbackComponents });
-                        console.log(`[JOBS] Sent fallback channel notification to user ${userId} for ${payload.item}`);
-                    } else {
-                        console.error(`[JOBS] Channel ${channelId} not found for fallback notification`);
-                    }
-                } else {
-                    console.error(`[JOBS] No DISCORD_CHANNEL_ID configured for fallback notification`);
-                }
+                await sendChannelReminder(job, client, fallbackChannelId);
             } catch (fallbackError) {
                 console.error(`[JOBS] Fallback channel notification also failed:`, fallbackError);
             }
         } else {
             console.error(`[JOBS] Failed to send reminder to user ${userId}:`, error);
+            throw error; // let the queue retry with backoff
         }
     }
 }
@@ -173,8 +153,29 @@ async function processJob(job, client) {
         
     } catch (error) {
         console.error(`[JOBS] Error processing job ${id}:`, error);
-        // Don't mark as done if there was an error
+        // Reschedule with backoff (or dead-letter once attempts are used up)
+        await jobsStore.markFailed(id, error);
+    }
+}
+
+/**
+ * Claim and process every job that is due
+ * @param {Object} client - Discord client
+ * @returns {Promise<number>} - Number of jobs processed
+ */
+async function runDueJobs(client) {
+    const now = new Date().toISOString();
+    const dueJobs = await jobsStore.pullDue(now);
+    
+    if (dueJobs.length > 0) {
+        console.log(`[JOBS] Processing ${dueJobs.length} due jobs`);
+        
+        for (const job of dueJobs) {
+            await processJob(job, client);
+        }
     }
+    
+    return dueJobs.length;
 }
 
 /**
@@ -184,21 +185,25 @@ async function processJob(job, client) {
 function start(client) {
     console.log('[JOBS] Starting job runner...');
     
-    // Run every 15 seconds
+    let running = false;
+    let ticks = 0;
+    
+    // Run every 15 seconds (skip a tick if the previous batch is still sending)
     const interval = setInterval(async () => {
+        if (running) return;
+        running = true;
         try {
-            const now = new Date().toISOString();
-            const dueJobs = await jobsStore.pullDue(now);
+            await runDueJobs(client);
             
-            if (dueJobs.length > 0) {
-                console.log(`[JOBS] Processing ${dueJobs.length} due jobs`);
-                
-                for (const job of dueJobs) {
-                    await processJob(job, client);
-                }
+            // Prune finished jobs roughly once an hour
+            if (++ticks % 240 === 0) {
+                const removed = await jobsStore.cleanup();
+                if (removed > 0) console.log(`[JOBS] Cleaned up ${removed} finished jobs`);
             }
         } catch (error) {
             console.error('[JOBS] Error in job runner:', error);
+        } finally {
+            running = false;
         }
     }, 15000);
     
@@ -227,15 +232,9 @@ async function processOverdueJobs(client) {
     console.log('[JOBS] Processing overdue jobs on startup...');
     
     try {
-        const now = new Date().toISOString();
-        const overdueJobs = await jobsStore.pullDue(now);
-        
-        if (overdueJobs.length > 0) {
-            console.log(`[JOBS] Found ${overdueJobs.length} overdue jobs`);
-            
-            for (const job of overdueJobs) {
-                await processJob(job, client);
-            }
+        const processed = await runDueJobs(client);
+        if (processed > 0) {
+            console.log(`[JOBS] Caught up on ${processed} overdue jobs`);
         }
     } catch (error) {
         console.error('[JOBS] Error processing overdue jobs:', error);
@@ -245,5 +244,6 @@ async function processOverdueJobs(client) {
 module.exports = {
     start,
     stop,
-    processOverdueJobs
+    processOverdueJobs,
+    processJob
 };
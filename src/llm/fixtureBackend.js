@@ -0,0 +1,100 @@
+/**
+ * Fixture Backend
+ * Deterministic replies for tests and offline runs, keyed by task and the
+ * last user message. A recording wrapper captures a live backend's replies
+ * into the same file format, so a real session can be replayed later.
+ *
+ * Fixture file (LLM_FIXTURE_PATH):
+ *   { "<task>": { "<user message>": <reply>, "*": <fallback reply> } }
+ * A reply is a string, or any other JSON value (sent back serialized).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Rough token count (about four characters a token) for fixture accounting
+ * @param {string} text - Text
+ * @returns {number}
+ */
+function approxTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {string} - Content of the last user message
+ */
+function lastUserMessage(messages) {
+    return [...messages].reverse().find(m => m.role === 'user')?.content || '';
+}
+
+/**
+ * Read a fixture file (missing file → no fixtures)
+ * @param {string} filePath - JSON file
+ * @returns {Object}
+ */
+function loadFixtures(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        console.warn(`[LLM] Fixture file not found (${filePath || 'LLM_FIXTURE_PATH unset'}), every call will miss`);
+        return {};
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * @param {Object} fixtures - { task: { message: reply } }
+ * @returns {Object} - Backend { name, model, chat() }
+ */
+function createFixtureBackend(fixtures = {}) {
+    return {
+        name: 'fixture',
+        model: 'fixture',
+
+        async chat({ task, messages }) {
+            const userText = lastUserMessage(messages);
+            const table = fixtures[task] || {};
+            const reply = userText in table ? table[userText] : table['*'];
+            if (reply === undefined) {
+                throw new Error(`No fixture for ${task}: "${userText.slice(0, 60)}"`);
+            }
+
+            const text = typeof reply === 'string' ? reply : JSON.stringify(reply);
+            const prompt = messages.map(m => m.content).join('\n');
+            return { text, usage: { promptTokens: approxTokens(prompt), completionTokens: approxTokens(text) } };
+        }
+    };
+}
+
+/**
+ * Wrap a live backend so each reply is also written to a fixture file
+ * @param {Object} inner - Backend to record
+ * @param {string} filePath - Fixture file to update
+ * @returns {Object} - Backend
+ */
+function recordTo(inner, filePath) {
+    return {
+        ...inner,
+        name: `${inner.name}+record`,
+
+        async chat(request) {
+            const reply = await inner.chat(request);
+            try {
+                const fixtures = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+                fixtures[request.task] = fixtures[request.task] || {};
+                fixtures[request.task][lastUserMessage(request.messages)] = reply.text;
+                fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                fs.writeFileSync(filePath, JSON.stringify(fixtures, null, 2) + '\n', 'utf8');
+            } catch (error) {
+                console.error('[LLM] Failed to record fixture (non-fatal):', error.message);
+            }
+            return reply;
+        }
+    };
+}
+
+module.exports = {
+    createFixtureBackend,
+    loadFixtures,
+    recordTo
+};
@@ -0,0 +1,48 @@
+/**
+ * OpenAI Backend
+ * Chat completions against api.openai.com or any OpenAI-compatible server
+ * (pass baseURL). Timeouts are the provider's job, via the abort signal.
+ */
+
+const { OpenAI } = require('openai');
+
+/**
+ * @param {Object} config - { apiKey, baseURL?, model }
+ * @returns {Object} - Backend { name, model, chat() }
+ */
+function createOpenAIBackend({ apiKey, baseURL, model }) {
+    const client = new OpenAI({
+        // Local servers usually ignore the key, but the SDK requires one
+        apiKey: apiKey || 'local',
+        ...(baseURL && { baseURL })
+    });
+
+    return {
+        name: baseURL ? 'local' : 'openai',
+        model,
+
+        /**
+         * @param {Object} request - { model, messages, temperature, maxTokens, json, signal }
+         * @returns {Promise<Object>} - { text, usage: { promptTokens, completionTokens } }
+         */
+        async chat({ model: requestModel, messages, temperature, maxTokens, json, signal }) {
+            const response = await client.chat.completions.create({
+                model: requestModel,
+                temperature,
+                max_tokens: maxTokens,
+                messages,
+                ...(json && { response_format: { type: 'json_object' } })
+            }, { signal });
+
+            return {
+                text: response.choices[0]?.message?.content || '',
+                usage: {
+                    promptTokens: response.usage?.prompt_tokens || 0,
+                    completionTokens: response.usage?.completion_tokens || 0
+                }
+            };
+        }
+    };
+}
+
+module.exports = { createOpenAIBackend };
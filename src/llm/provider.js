@@ -0,0 +1,333 @@
+/**
+ * LLM Provider
+ * Every model call in the bot (NLU pinch, AI analyst, calorie estimates) goes
+ * through complete(): backend selection, per-call budgets, token accounting,
+ * a shared cache and structured-output validation (with one optional repair
+ * round-trip) in one place.
+ *
+ * LLM_BACKEND:
+ *   openai  - api.openai.com with OPENAI_API_KEY (default when the key is set)
+ *   local   - any OpenAI-compatible server at LLM_BASE_URL (Ollama, llama.cpp,
+ *             vLLM, LM Studio); LLM_API_KEY only if the server wants one
+ *   fixture - deterministic replies from LLM_FIXTURE_PATH (tests, offline runs)
+ *   none    - every call fails soft, as if no key were set (default without a key)
+ *
+ * LLM_MODEL overrides the model (default gpt-4o-mini; set it for local servers).
+ * LLM_TIMEOUT_SCALE multiplies every task's timeout (local models are slower).
+ * LLM_DAILY_TOKEN_BUDGET caps prompt+completion tokens per UTC day (0 = no cap).
+ * LLM_FIXTURE_RECORD=true with a live backend appends each reply to LLM_FIXTURE_PATH.
+ *
+ * complete() never throws: failures come back as { ok: false, error } and
+ * callers fall back to rules, exactly as they did without an API key.
+ */
+
+const { llmCache } = require('../nlu/cache');
+const { createOpenAIBackend } = require('./openaiBackend');
+const { createFixtureBackend, loadFixtures, recordTo } = require('./fixtureBackend');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+// Per-call budgets by task; options passed to complete() override them
+const TASKS = {
+    nlu_pinch: { timeoutMs: 800, maxTokens: 256 },
+    analyst_query: { timeoutMs: 5000, maxTokens: 512 },
+    analyst_answer: { timeoutMs: 5000, maxTokens: 512 },
+    calorie_estimate: { timeoutMs: 800, maxTokens: 10 }
+};
+const DEFAULT_BUDGET = { timeoutMs: 2000, maxTokens: 256 };
+
+let backend;
+let usage = freshUsage();
+
+/**
+ * @returns {Object} - Empty usage ledger
+ */
+function freshUsage() {
+    return { since: new Date().toISOString(), day: null, dayTokens: 0, tasks: {} };
+}
+
+/**
+ * Build the backend named by LLM_BACKEND
+ * @param {string} name - 'openai' | 'local' | 'fixture' | 'none'
+ * @returns {Object|null} - Backend { name, model, chat() } or null when disabled
+ */
+function createBackend(name) {
+    const model = process.env.LLM_MODEL || DEFAULT_MODEL;
+    let created = null;
+
+    switch (name) {
+        case 'openai':
+            if (!process.env.OPENAI_API_KEY) {
+                console.log('[LLM] ⚠️  OPENAI_API_KEY not set, LLM calls disabled');
+                return null;
+            }
+            created = createOpenAIBackend({ apiKey: process.env.OPENAI_API_KEY, model });
+            break;
+        case 'local':
+            if (!process.env.LLM_MODEL) {
+                console.warn(`[LLM] LLM_MODEL not set for the local backend, asking for "${model}"`);
+            }
+            created = createOpenAIBackend({
+                apiKey: process.env.LLM_API_KEY,
+                baseURL: process.env.LLM_BASE_URL || LOCAL_BASE_URL,
+                model
+            });
+            break;
+        case 'fixture':
+            return createFixtureBackend(loadFixtures(process.env.LLM_FIXTURE_PATH));
+        case 'none':
+            return null;
+        default:
+            console.warn(`[LLM] Unknown LLM_BACKEND "${name}", LLM calls disabled`);
+            return null;
+    }
+
+    if (process.env.LLM_FIXTURE_RECORD === 'true' && process.env.LLM_FIXTURE_PATH) {
+        created = recordTo(created, process.env.LLM_FIXTURE_PATH);
+    }
+    return created;
+}
+
+/**
+ * The active backend (created on first use)
+ * @returns {Object|null}
+ */
+function getBackend() {
+    if (backend === undefined) {
+        const name = String(process.env.LLM_BACKEND || (process.env.OPENAI_API_KEY ? 'openai' : 'none')).toLowerCase();
+        backend = createBackend(name);
+        if (backend) console.log(`[LLM] Using ${backend.name} backend (model ${backend.model})`);
+    }
+    return backend;
+}
+
+/**
+ * Swap the backend (tests use a fixture backend); null disables LLM calls,
+ * undefined goes back to the environment's choice
+ * @param {Object|null|undefined} next - Backend
+ */
+function setBackend(next) {
+    backend = next;
+}
+
+/**
+ * Whether calls can reach a model at all
+ * @returns {boolean}
+ */
+function isEnabled() {
+    return getBackend() !== null;
+}
+
+/**
+ * @param {string} task - Task name
+ * @returns {Object} - Counters for the task
+ */
+function taskUsage(task) {
+    if (!usage.tasks[task]) {
+        usage.tasks[task] = {
+            calls: 0, ok: 0, cacheHits: 0, disabled: 0, overBudget: 0,
+            timeouts: 0, errors: 0, invalid: 0, repaired: 0, promptTokens: 0, completionTokens: 0, totalMs: 0
+        };
+    }
+    return usage.tasks[task];
+}
+
+/**
+ * Tokens used today, resetting at the UTC day boundary
+ * @returns {number}
+ */
+function tokensToday() {
+    const today = new Date().toISOString().slice(0, 10);
+    if (usage.day !== today) {
+        usage.day = today;
+        usage.dayTokens = 0;
+    }
+    return usage.dayTokens;
+}
+
+/**
+ * Parse a JSON reply, tolerating the ```json fences local models like to add
+ * @param {string} text - Reply text
+ * @returns {*} - Parsed value, or undefined if it isn't JSON
+ */
+function parseJSON(text) {
+    const unfenced = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    try {
+        return JSON.parse(unfenced);
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Run one chat completion
+ * @param {Object} request
+ * @param {string} request.task - Task name (budgets, accounting, fixture lookup)
+ * @param {Array<Object>} request.messages - Chat messages
+ * @param {number} request.temperature - Sampling temperature (default 0)
+ * @param {number} request.maxTokens - Override the task's completion budget
+ * @param {number} request.timeoutMs - Override the task's timeout
+ * @param {boolean} request.json - Ask for a JSON object and parse it
+ * @param {Function} request.validate - (output) => problem string or null; a problem fails the call
+ * @param {boolean} request.repair - On a problem, send it back to the model once and take the corrected reply
+ *   (the repair gets its own timeout; if it fails too, the first reply's problem and JSON are returned)
+ * @param {string} request.cacheKey - Cache the successful result under this key (per task and model)
+ * @returns {Promise<Object>} - { ok: true, text, json, usage, ms, cached, repaired } or { ok: false, error, detail?, json? }
+ */
+async function complete({ task, messages, temperature = 0, maxTokens, timeoutMs, json = false, validate = null, repair = false, cacheKey = null }) {
+    const counters = taskUsage(task);
+    counters.calls++;
+
+    const active = getBackend();
+    if (!active) {
+        counters.disabled++;
+        return { ok: false, error: 'disabled' };
+    }
+
+    const key = cacheKey !== null ? `llm:${task}:${active.model}:${cacheKey}` : null;
+    const hit = key ? llmCache.get(key) : undefined;
+    if (hit) {
+        counters.cacheHits++;
+        return { ...hit, cached: true };
+    }
+
+    const dailyBudget = parseInt(process.env.LLM_DAILY_TOKEN_BUDGET || '0', 10);
+    if (dailyBudget > 0 && tokensToday() >= dailyBudget) {
+        counters.overBudget++;
+        console.log(`[LLM] 💸 Daily token budget (${dailyBudget}) used up, skipping ${task}`);
+        return { ok: false, error: 'over_budget' };
+    }
+
+    const budget = { ...DEFAULT_BUDGET, ...TASKS[task] };
+    if (maxTokens) budget.maxTokens = maxTokens;
+    if (timeoutMs) budget.timeoutMs = timeoutMs;
+    const limitMs = budget.timeoutMs * (parseFloat(process.env.LLM_TIMEOUT_SCALE) || 1);
+
+    const started = Date.now();
+    let conversation = messages;
+    let repaired = false;
+    let firstFailure = null;
+    let controller = null;
+    let timer = null;
+
+    try {
+        for (;;) {
+            // Each attempt gets the whole timeout, so a repair isn't cut short by the first call's time
+            controller = new AbortController();
+            timer = setTimeout(() => controller.abort(), limitMs);
+            const reply = await active.chat({
+                task,
+                model: active.model,
+                messages: conversation,
+                temperature,
+                maxTokens: budget.maxTokens,
+                json,
+                signal: controller.signal
+            });
+            clearTimeout(timer);
+            const ms = Date.now() - started;
+            counters.promptTokens += reply.usage.promptTokens;
+            counters.completionTokens += reply.usage.completionTokens;
+            tokensToday();
+            usage.dayTokens += reply.usage.promptTokens + reply.usage.completionTokens;
+
+            const parsed = json ? parseJSON(reply.text) : undefined;
+            const problem = json && parsed === undefined
+                ? 'reply is not JSON'
+                : (validate ? validate(json ? parsed : reply.text) : null);
+
+            if (!problem) {
+                counters.ok++;
+                counters.totalMs += ms;
+                if (repaired) counters.repaired++;
+                const result = { ok: true, text: reply.text, json: parsed, usage: reply.usage, ms, cached: false, repaired };
+                if (key) llmCache.set(key, result);
+                return result;
+            }
+
+            // One repair attempt: show the model its reply and what was wrong with it
+            if (repair && !repaired) {
+                console.log(`[LLM] 🔧 ${task}: ${problem}, asking for a repair`);
+                repaired = true;
+                firstFailure = {
+                    ok: false,
+                    error: parsed === undefined && json ? 'invalid_json' : 'invalid_output',
+                    detail: problem,
+                    json: parsed,
+                    repaired: false
+                };
+                conversation = [
+                    ...messages,
+                    { role: 'assistant', content: reply.text },
+                    { role: 'user', content: `Your reply did not match the required format: ${problem}. Reply again with only the corrected JSON.` }
+                ];
+                continue;
+            }
+
+            counters.invalid++;
+            counters.totalMs += ms;
+            console.log(`[LLM] ❌ ${task}: ${problem}`);
+            return {
+                ok: false,
+                error: parsed === undefined && json ? 'invalid_json' : 'invalid_output',
+                detail: problem,
+                ms,
+                // Last parsed reply, so callers can salvage the valid part
+                json: parsed,
+                repaired
+            };
+        }
+    } catch (error) {
+        const timedOut = controller.signal.aborted;
+        if (timedOut) {
+            counters.timeouts++;
+            console.log(`[LLM] ⏱️  ${task} timed out (${Math.round(limitMs)}ms)`);
+        } else {
+            counters.errors++;
+            console.log(`[LLM] ❌ ${task}: ${error.message}`);
+        }
+
+        // The repair didn't come back: report the first reply's problem, with its JSON to salvage
+        if (firstFailure) {
+            const ms = Date.now() - started;
+            counters.invalid++;
+            counters.totalMs += ms;
+            return { ...firstFailure, ms };
+        }
+        return timedOut ? { ok: false, error: 'timeout' } : { ok: false, error: 'request_failed', detail: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Token and call accounting since start (or the last reset)
+ * @returns {Object} - { backend, model, since, today: { tokens, budget }, tasks }
+ */
+function getUsage() {
+    const active = getBackend();
+    return {
+        backend: active ? active.name : 'none',
+        model: active ? active.model : null,
+        since: usage.since,
+        today: { tokens: tokensToday(), budget: parseInt(process.env.LLM_DAILY_TOKEN_BUDGET || '0', 10) || null },
+        tasks: JSON.parse(JSON.stringify(usage.tasks))
+    };
+}
+
+/**
+ * Clear the usage ledger
+ */
+function resetUsage() {
+    usage = freshUsage();
+}
+
+module.exports = {
+    TASKS,
+    complete,
+    isEnabled,
+    setBackend,
+    getUsage,
+    resetUsage
+};
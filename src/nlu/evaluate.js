@@ -0,0 +1,299 @@
+/**
+ * NLU V2 Golden-Set Evaluator
+ * Runs the same pipeline as the router (understand → postprocess → disambiguate)
+ * over a versioned corpus (tests/nlu-test-cases.json) and scores it:
+ * per-intent precision/recall, slot accuracy and a confusion matrix.
+ *
+ * LLM calls are disabled and the clock is frozen at the corpus's
+ * `clock` so results are offline and deterministic (meal_time is inferred
+ * from the time of day); what's measured is the rules + ontology path.
+ *
+ * A saved baseline (tests/nlu-baseline.json) records which cases passed.
+ * diffAgainstBaseline() reports cases that used to pass and now fail, so an
+ * ontology change that regresses parsing fails the test run.
+ */
+
+const SCORED_SLOTS = ['item', 'sides', 'severity', 'bristol', 'meal_time'];
+const EVAL_TZ = 'America/Los_Angeles';
+const DEFAULT_CLOCK = '2025-01-15T15:30:00-08:00';
+
+let pipeline = null;
+
+/**
+ * Load the NLU pipeline with LLM calls disabled and the miss log off,
+ * so scores measure the rules alone
+ * @returns {Object} - { understand, postprocess, disambiguate }
+ */
+function loadPipeline() {
+    if (pipeline) return pipeline;
+
+    require('../llm/provider').setBackend(null);
+    require('./missLog').setEnabled(false);
+
+    pipeline = {
+        understand: require('./understand-v2').understand,
+        postprocess: require('./postprocess').postprocess,
+        disambiguate: require('./disambiguate').disambiguate
+    };
+    return pipeline;
+}
+
+/**
+ * Freeze Date (and so moment and chrono) at a fixed instant, in a fixed
+ * process timezone (some meal windows read local hours)
+ * @param {string} iso - Instant to freeze at
+ * @param {string} tz - IANA timezone
+ * @returns {Function} - Restores the real Date and timezone
+ */
+function freezeClock(iso, tz) {
+    const RealDate = Date;
+    const realTz = process.env.TZ;
+    process.env.TZ = tz;
+    const fixed = new RealDate(iso).getTime();
+    class FrozenDate extends RealDate {
+        constructor(...args) {
+            super(...(args.length > 0 ? args : [fixed]));
+        }
+        static now() {
+            return fixed;
+        }
+    }
+    global.Date = FrozenDate;
+    return () => {
+        global.Date = RealDate;
+        if (realTz === undefined) delete process.env.TZ;
+        else process.env.TZ = realTz;
+    };
+}
+
+/**
+ * Cases from the corpus file (versioned object, or a bare array)
+ * @param {Object|Array} corpus - Parsed nlu-test-cases.json
+ * @returns {Object} - { version, clock, cases }
+ */
+function readCorpus(corpus) {
+    const cases = Array.isArray(corpus) ? corpus : corpus.cases;
+    return {
+        version: Array.isArray(corpus) ? 0 : corpus.version,
+        clock: corpus.clock || DEFAULT_CLOCK,
+        cases: cases.map(c => ({ ...c, id: c.id || c.description }))
+    };
+}
+
+/**
+ * Comparable form of a slot value
+ * @param {*} value - Slot value
+ * @returns {string}
+ */
+function normalizeSlot(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse one input the way handleMessage does
+ * @param {string} input - Message text
+ * @returns {Promise<Object>} - NLU result
+ */
+async function parseCase(input) {
+    const { understand, postprocess, disambiguate } = loadPipeline();
+    const result = await understand(input, { tz: EVAL_TZ });
+    postprocess(result);
+    // The router keeps the original object; disambiguate's slot fixes land on the shared slots
+    disambiguate(result, { tz: EVAL_TZ });
+    return result;
+}
+
+/**
+ * Parse and check one case
+ * @param {Object} testCase - { id, input, expected: { intent, slots? } }
+ * @returns {Promise<Object>} - { id, input, pass, expectedIntent, intent, slots, slotErrors[] }
+ */
+async function scoreCase(testCase) {
+    const result = await parseCase(testCase.input);
+    const expected = testCase.expected;
+
+    const slotErrors = [];
+    for (const [slot, want] of Object.entries(expected.slots || {})) {
+        const got = result.slots[slot];
+        if (normalizeSlot(got) !== normalizeSlot(want)) {
+            slotErrors.push({ slot, expected: want, got: got ?? null });
+        }
+    }
+
+    return {
+        id: testCase.id,
+        input: testCase.input,
+        pass: result.intent === expected.intent && slotErrors.length === 0,
+        expectedIntent: expected.intent,
+        intent: result.intent,
+        expectedSlots: Object.keys(expected.slots || {}),
+        slotErrors
+    };
+}
+
+/**
+ * Evaluate the corpus
+ * @param {Object|Array} corpus - Parsed nlu-test-cases.json
+ * @returns {Promise<Object>} - Report { version, total, passed, intentAccuracy, intents, slots, confusion, cases }
+ */
+async function evaluate(corpus) {
+    const { version, clock, cases } = readCorpus(corpus);
+    const results = [];
+
+    loadPipeline();
+    const restoreClock = freezeClock(clock, EVAL_TZ);
+    try {
+        for (const testCase of cases) {
+            results.push(await scoreCase(testCase));
+        }
+    } finally {
+        restoreClock();
+    }
+
+    const intents = {};
+    const slots = Object.fromEntries(SCORED_SLOTS.map(s => [s, { correct: 0, total: 0, accuracy: null }]));
+    const confusion = {};
+    const counts = (intent) => (intents[intent] = intents[intent] || { tp: 0, fp: 0, fn: 0 });
+
+    for (const r of results) {
+        confusion[r.expectedIntent] = confusion[r.expectedIntent] || {};
+        confusion[r.expectedIntent][r.intent] = (confusion[r.expectedIntent][r.intent] || 0) + 1;
+
+        if (r.intent === r.expectedIntent) {
+            counts(r.intent).tp++;
+        } else {
+            counts(r.expectedIntent).fn++;
+            counts(r.intent).fp++;
+        }
+
+        for (const slot of r.expectedSlots.filter(s => slots[s])) {
+            slots[slot].total++;
+            if (!r.slotErrors.some(e => e.slot === slot)) slots[slot].correct++;
+        }
+    }
+
+    for (const c of Object.values(intents)) {
+        c.precision = c.tp + c.fp > 0 ? c.tp / (c.tp + c.fp) : null;
+        c.recall = c.tp + c.fn > 0 ? c.tp / (c.tp + c.fn) : null;
+    }
+    for (const s of Object.values(slots)) {
+        s.accuracy = s.total > 0 ? s.correct / s.total : null;
+    }
+
+    const intentHits = results.filter(r => r.intent === r.expectedIntent).length;
+
+    return {
+        version,
+        total: results.length,
+        passed: results.filter(r => r.pass).length,
+        intentAccuracy: results.length > 0 ? intentHits / results.length : null,
+        intents,
+        slots,
+        confusion,
+        cases: results
+    };
+}
+
+/**
+ * Baseline to save: only what later runs are compared against
+ * @param {Object} report - evaluate() result
+ * @returns {Object}
+ */
+function toBaseline(report) {
+    return {
+        version: report.version,
+        passed: report.passed,
+        total: report.total,
+        cases: Object.fromEntries(report.cases.map(r => [r.id, { pass: r.pass, intent: r.intent }]))
+    };
+}
+
+/**
+ * Compare a report with the saved baseline
+ * @param {Object} report - evaluate() result
+ * @param {Object|null} baseline - Saved toBaseline() output
+ * @returns {Object} - { regressions[], fixed[], added[] }
+ */
+function diffAgainstBaseline(report, baseline) {
+    const diff = { regressions: [], fixed: [], added: [] };
+    const before = baseline?.cases || {};
+
+    for (const r of report.cases) {
+        const was = before[r.id];
+        if (!was) {
+            diff.added.push(r);
+        } else if (was.pass && !r.pass) {
+            diff.regressions.push(r);
+        } else if (!was.pass && r.pass) {
+            diff.fixed.push(r);
+        }
+    }
+    return diff;
+}
+
+/**
+ * @param {number|null} value - 0..1
+ * @returns {string}
+ */
+function pct(value) {
+    return value === null ? '  —  ' : `${(value * 100).toFixed(1)}%`.padStart(6);
+}
+
+/**
+ * Human-readable report
+ * @param {Object} report - evaluate() result
+ * @param {Object} diff - diffAgainstBaseline() result (optional)
+ * @returns {string}
+ */
+function formatReport(report, diff = null) {
+    let out = '\n📊 NLU Golden-Set Report\n';
+    out += '='.repeat(50) + '\n\n';
+    out += `Corpus v${report.version}: ${report.passed}/${report.total} cases pass, intent accuracy ${pct(report.intentAccuracy).trim()}\n\n`;
+
+    out += '🎯 Intents (precision / recall):\n';
+    for (const [intent, c] of Object.entries(report.intents).sort()) {
+        out += `  ${intent.padEnd(10)} P ${pct(c.precision)}  R ${pct(c.recall)}  (tp ${c.tp}, fp ${c.fp}, fn ${c.fn})\n`;
+    }
+
+    out += '\n🧩 Slots (accuracy):\n';
+    for (const [slot, s] of Object.entries(report.slots)) {
+        out += `  ${slot.padEnd(10)} ${pct(s.accuracy)}  (${s.correct}/${s.total})\n`;
+    }
+
+    const labels = [...new Set([...Object.keys(report.confusion), ...Object.values(report.confusion).flatMap(Object.keys)])].sort();
+    out += '\n🔀 Confusion (rows = expected, columns = got):\n';
+    out += `  ${''.padEnd(10)}${labels.map(l => l.slice(0, 8).padStart(9)).join('')}\n`;
+    for (const expected of Object.keys(report.confusion).sort()) {
+        const row = labels.map(l => String(report.confusion[expected][l] || '.').padStart(9)).join('');
+        out += `  ${expected.padEnd(10)}${row}\n`;
+    }
+
+    const failures = report.cases.filter(r => !r.pass);
+    if (failures.length > 0) {
+        out += '\n❌ Failing cases:\n';
+        for (const r of failures) {
+            const why = r.intent !== r.expectedIntent
+                ? `intent ${r.intent} (want ${r.expectedIntent})`
+                : r.slotErrors.map(e => `${e.slot}=${JSON.stringify(e.got)} (want ${JSON.stringify(e.expected)})`).join(', ');
+            out += `  • ${r.id}: ${why}\n`;
+        }
+    }
+
+    if (diff) {
+        out += `\n📈 Against baseline: ${diff.regressions.length} regressed, ${diff.fixed.length} fixed, ${diff.added.length} new\n`;
+        for (const r of diff.regressions) out += `  ⚠️ REGRESSED: ${r.id} ("${r.input}")\n`;
+        for (const r of diff.fixed) out += `  ✅ fixed: ${r.id}\n`;
+    }
+
+    out += '\n' + '='.repeat(50) + '\n';
+    return out;
+}
+
+module.exports = {
+    SCORED_SLOTS,
+    evaluate,
+    toBaseline,
+    diffAgainstBaseline,
+    formatReport
+};
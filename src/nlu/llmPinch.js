@@ -1,36 +1,30 @@
 // LLM Pinch - Tiny, Fast, JSON-Only Fallback for Ambiguous Messages
 // Only called when rules-based NLU has low confidence or missing critical slots
-// Hard timeout: 800ms, Temperature: 0, Max tokens: 64
+// Budget (800ms, 256 tokens), cache and backend come from src/llm/provider
+// Replies are checked against pinchSchema, with one repair round-trip
 
-const { OpenAI } = require('openai');
+const provider = require('../llm/provider');
 const { llmCache } = require('./cache');
-
-// Initialize OpenAI client (lazy - only if API key exists)
-let client = null;
-function getClient() {
-    if (!client && process.env.OPENAI_API_KEY) {
-        client = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY,
-            timeout: 800 // Hard 800ms timeout
-        });
-    }
-    return client;
-}
+const { MEALS } = require('./ontologyNotes');
+const { SYMPTOM_TYPES, PINCH_INTENTS, checkPinchOutput } = require('./pinchSchema');
+const { recordSchemaCheck } = require('./metrics-v2');
 
 // System prompt - strict JSON extractor, no prose
 const SYSTEM_PROMPT = `You are a strict information extractor for GI tracking. Return ONLY strict JSON based on the user's message.
 The JSON output should be an object containing a single key "actions", which is an array of logging actions.
 
 Schema for each action in the array:
-{"intent":"food|drink|symptom|reflux|bm|checkin|other","slots":{...},"confidence":0.0,"missing":[]}
+{"intent":"${PINCH_INTENTS.join('|')}","slots":{...},"confidence":0.0,"missing":[]}
 
 Rules:
 - ALWAYS return an array, even for a single action: {"actions": [{...}]}
 - Extract ALL actions from the message. E.g., "had pizza and felt bloated" -> 2 actions.
-- For food/drink: slots {item, meal_time?, quantity?, brand?, time?}
-- For symptom: slots {symptom_type ∈ "reflux"|"pain"|"bloat"|"nausea"|"general", severity 1..10?, time?}
+- For food/drink: slots {item, meal_time ∈ ${MEALS.map(m => `"${m}"`).join('|')}?, quantity?, brand?, sides?, time?}
+- For symptom: slots {symptom_type ∈ ${SYMPTOM_TYPES.map(t => `"${t}"`).join('|')} or its own name ("headache"), severity 1..10?, time?}
 - For reflux: slots {severity 1..10?, time?}
 - For bm: slots {bristol 1..7?, time?}
+- severity and bristol are integers; leave a slot out rather than guess.
+- For edit (correcting an earlier entry, e.g. "actually that was 2 slices"): slots {new_value, old_value?, edit_target ∈ "breakfast"|"lunch"|"dinner"|"snack"|"drink"|"food"|"symptom"|"reflux"?}
 - Confidence is your certainty of the extraction (0.0-1.0).
 - List missing critical slots in the "missing" array for each action.
 - NO prose, NO explanations, NO markdown.
@@ -51,81 +45,39 @@ function normalizeForCache(text) {
  * @returns {Promise<Object|null>} Parsed result or null on failure
  */
 async function llmPinch(text) {
-    // Check if OpenAI is configured
-    const openai = getClient();
-    if (!openai) {
-        console.log('[LLM-PINCH] ⚠️  OPENAI_API_KEY not set, skipping LLM fallback');
+    const result = await provider.complete({
+        task: 'nlu_pinch',
+        messages: [
+            { role: 'system', content: SYSTEM_PROMPT },
+            { role: 'user', content: text }
+        ],
+        json: true,
+        validate: (parsed) => checkPinchOutput(parsed).problems.join('; ') || null,
+        repair: true,
+        cacheKey: normalizeForCache(text)
+    });
+
+    if (result.error === 'disabled') {
+        console.log('[LLM-PINCH] ⚠️  No LLM backend configured, skipping LLM fallback');
         return null;
     }
-
-    // Check cache first
-    const cacheKey = normalizeForCache(text);
-    const cached = llmCache.get(cacheKey);
-    if (cached) {
+    if (result.cached) {
         console.log('[LLM-PINCH] ⚡ Cache hit');
-        return cached;
+        return checkPinchOutput(result.json).actions;
     }
 
-    // Create abort controller for hard timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => {
-        console.log('[LLM-PINCH] ⏱️  Timeout (800ms exceeded)');
-        controller.abort();
-    }, 800);
-
-    try {
-        console.log('[LLM-PINCH] 🤖 Calling gpt-4o-mini...');
-        const startTime = Date.now();
-
-        const response = await openai.chat.completions.create({
-            model: 'gpt-4o-mini',           // Fast & cheap
-            temperature: 0,                  // Deterministic
-            max_tokens: 256,                 // Increased for multi-action
-            messages: [
-                { role: 'system', content: SYSTEM_PROMPT },
-                { role: 'user', content: text }
-            ],
-            response_format: { type: 'json_object' }  // Force JSON
-        }, {
-            signal: controller.signal
-        });
-
-        const elapsed = Date.now() - startTime;
-        clearTimeout(timeoutId);
-
-        // Parse JSON response
-        const content = response.choices[0]?.message?.content;
-        if (!content) {
-            console.log('[LLM-PINCH] ❌ Empty response');
-            return null;
-        }
-
-        const parsed = JSON.parse(content);
-
-        // Validate response structure
-        if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.actions)) {
-            console.log('[LLM-PINCH] ❌ Invalid JSON structure - "actions" array not found');
-            return null;
-        }
-
-        console.log(`[LLM-PINCH] ✅ Success (${elapsed}ms) - found ${parsed.actions.length} actions.`);
-
-        // Cache the result
-        llmCache.set(cacheKey, parsed.actions);
-
-        return parsed.actions;
-
-    } catch (error) {
-        clearTimeout(timeoutId);
-
-        if (error.name === 'AbortError') {
-            console.log('[LLM-PINCH] ⏱️  Request aborted (timeout)');
-        } else {
-            console.log(`[LLM-PINCH] ❌ Error: ${error.message}`);
-        }
+    // Still invalid after the repair: keep whatever actions and slots passed
+    const { actions, problems } = result.json !== undefined ? checkPinchOutput(result.json) : { actions: [], problems: [] };
+    if (result.ok || result.error === 'invalid_output') {
+        recordSchemaCheck({ problems: result.ok ? [] : problems, repaired: result.repaired, salvaged: !result.ok && actions.length > 0 });
+    }
 
+    if (actions.length === 0) {
         return null; // Fail soft - continue with rules-only result
     }
+
+    console.log(`[LLM-PINCH] ✅ ${result.ok ? 'Success' : 'Partial'} (${result.ms}ms) - found ${actions.length} actions.`);
+    return actions;
 }
 
 /**
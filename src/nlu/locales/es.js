@@ -0,0 +1,126 @@
+/**
+ * Spanish Language Pack
+ * Turns Spanish logging phrases into the English the rules parser already
+ * understands, so "desayuné avena" is parsed (and stored) as oatmeal for
+ * breakfast and "me duele el estómago" as stomach pain.
+ *
+ * Matching runs on lowercased text with accents stripped, so entries are
+ * written without accents ("cafe", "estomago"). Phrases run first, in
+ * order, then single words. Anything not listed passes through unchanged.
+ */
+
+// Multi-word patterns and reorderings: [pattern, replacement]
+const PHRASES = [
+    // Meal verbs: "desayuné avena" → "avena for breakfast"
+    [/^(?:hoy\s+)?(?:desayune|desayunamos)\s+(.+)$/, '$1 for breakfast'],
+    [/^(?:hoy\s+)?(?:almorce|almorzamos)\s+(.+)$/, '$1 for lunch'],
+    [/^(?:hoy\s+)?(?:cene|cenamos)\s+(.+)$/, '$1 for dinner'],
+    [/^(?:hoy\s+)?(?:merende|merendamos)\s+(.+)$/, '$1 for snack'],
+    // A leading "comí"/"tomé" says nothing the item doesn't (like English "had")
+    [/^(?:hoy\s+)?(?:me\s+)?(?:comi|comimos|tome|tomamos|bebi)\s+(?:(?:un|una|unos|unas|el|la|los|las)\s+)?/, ''],
+    [/\b(?:en el|de|para el)\s+desayuno\b/g, 'for breakfast'],
+    [/\b(?:en el|de|para el)\s+almuerzo\b/g, 'for lunch'],
+    [/\b(?:en la|de|para la)\s+cena\b/g, 'for dinner'],
+    [/\b(?:de|para la)\s+merienda\b/g, 'for snack'],
+
+    // Symptoms
+    [/\bme\s+(?:duele|dolia|dolio)\s+(mucho\s+|un\s+poco\s+)?(?:el|la|mi)\s+(?:estomago|panza|barriga|pancita)\b/g,
+        (m, amount) => `${amount ? (/^mucho/.test(amount) ? 'bad ' : 'mild ') : ''}stomach pain`],
+    [/\bdolor\s+de\s+(?:estomago|panza|barriga)\b/g, 'stomach pain'],
+    [/\bme\s+(?:siento|senti)\s+/g, 'feeling '],
+    [/\btengo\s+(?:mucha\s+|un\s+poco\s+de\s+)?/g, ''],
+    [/\bmuy\s+fuerte\b/g, 'severe'],
+    [/\bun\s+poco\s+de\b/g, 'a little'],
+
+    // Bowel movements
+    [/\b(?:hice|fui\s+al\s+bano\s+e\s+hice)\s+(?:popo|caca)\b/g, 'pooped'],
+    [/\bfui\s+al\s+bano\b/g, 'had a bm'],
+
+    // Negation
+    [/\bno\s+(?:tome|bebi)\b/g, "didn't drink"],
+    [/\bno\s+comi\b/g, "didn't eat"],
+    [/\bno\s+(?:tuve|senti)\b/g, "didn't have"],
+    [/\bno\s+he\s+tenido\b/g, "haven't had"],
+    [/\bsin\s+(reflujo|acidez|agruras|sintomas|dolor)\b/g, 'no $1'],
+
+    // Time
+    [/\bhace\s+(\d+|una?)\s+horas?\b/g, (m, n) => `${/^un/.test(n) ? 1 : n} hours ago`],
+    [/\bhace\s+(\d+)\s+minutos?\b/g, '$1 minutes ago'],
+    [/\besta\s+manana\b/g, 'this morning'],
+    [/\besta\s+tarde\b/g, 'this afternoon'],
+    [/\besta\s+noche\b/g, 'tonight'],
+    [/\ba\s+las\s+(\d{1,2}(?::\d{2})?)\b/g, 'at $1'],
+
+    // Greetings
+    [/\bbuenos\s+dias\b/g, 'good morning'],
+    [/\bbuenas\s+noches\b/g, 'goodnight'],
+    [/\bhasta\s+luego\b/g, 'bye'],
+
+    // Compound foods and drinks (before their single words)
+    [/\bleche\s+de\s+avena\b/g, 'oat milk'],
+    [/\bleche\s+de\s+almendras?\b/g, 'almond milk'],
+    [/\bleche\s+de\s+soya\b/g, 'soy milk'],
+    [/\bte\s+de\s+manzanilla\b/g, 'chamomile tea'],
+    [/\bte\s+de\s+jengibre\b/g, 'ginger tea'],
+    [/\bte\s+verde\b/g, 'green tea'],
+    [/\bpan\s+tostado\b/g, 'toast'],
+    [/\bpapas\s+fritas\b/g, 'fries'],
+    [/\bcomida\s+picante\b/g, 'spicy food'],
+    [/\bhuevos\s+revueltos\b/g, 'scrambled eggs'],
+    [/\bcafe\s+con\s+leche\b/g, 'latte'],
+    [/\bagua\s+mineral\b/g, 'sparkling water']
+];
+
+// Single words: Spanish → English
+const WORDS = {
+    // Verbs and connectors
+    comi: 'ate', comimos: 'ate', tome: 'drank', bebi: 'drank', tomamos: 'drank',
+    con: 'with', y: 'and', sin: 'without', o: 'or', pero: 'but', de: 'of',
+    un: 'a', una: 'a', unos: 'some', unas: 'some', el: 'the', la: 'the', los: 'the', las: 'the', mi: 'my',
+    hoy: 'today', anoche: 'last night', ayer: 'yesterday', ahorita: 'just now',
+    taza: 'cup', vaso: 'glass', plato: 'plate', tazon: 'bowl', rebanada: 'slice', rebanadas: 'slices', pedazo: 'piece',
+    dos: '2', tres: '3', cuatro: '4', cinco: '5',
+
+    // Meals
+    desayuno: 'breakfast', almuerzo: 'lunch', cena: 'dinner', merienda: 'snack', botana: 'snack',
+
+    // Symptoms and severity
+    reflujo: 'reflux', acidez: 'heartburn', agruras: 'heartburn', ardor: 'heartburn',
+    hinchado: 'bloated', hinchada: 'bloated', inflamado: 'bloated', inflamada: 'bloated',
+    hinchazon: 'bloating', inflamacion: 'bloating', gases: 'gas',
+    nauseas: 'nausea', nausea: 'nausea', mareado: 'nauseous', mareada: 'nauseous', asco: 'nausea',
+    colicos: 'cramps', colico: 'cramp', dolor: 'pain', sintomas: 'symptoms',
+    leve: 'mild', poco: 'slight', moderado: 'moderate', moderada: 'moderate',
+    fuerte: 'bad', severo: 'severe', severa: 'severe', terrible: 'terrible', horrible: 'horrible',
+    mal: 'bad', bien: 'fine',
+
+    // Bowel movements
+    popo: 'poop', caca: 'poop', evacue: 'pooped', diarrea: 'diarrhea',
+    estrenido: 'constipated', estrenida: 'constipated', estrenimiento: 'constipation',
+    suelto: 'loose', suelta: 'loose', aguado: 'watery', aguada: 'watery', duro: 'hard', dura: 'hard',
+
+    // Foods
+    avena: 'oatmeal', huevo: 'egg', huevos: 'eggs', pan: 'bread', tostada: 'toast', tostadas: 'toast',
+    arroz: 'rice', frijoles: 'beans', pollo: 'chicken', carne: 'beef', res: 'beef', cerdo: 'pork',
+    pescado: 'fish', atun: 'tuna', salmon: 'salmon', camarones: 'shrimp',
+    ensalada: 'salad', sopa: 'soup', caldo: 'broth', verduras: 'vegetables', queso: 'cheese',
+    yogur: 'yogurt', yogurt: 'yogurt', fruta: 'fruit', platano: 'banana', manzana: 'apple',
+    fresas: 'strawberries', naranja: 'orange', aguacate: 'avocado', tomate: 'tomato', papas: 'potatoes',
+    jamon: 'ham', tocino: 'bacon', salchicha: 'sausage', mantequilla: 'butter', galletas: 'cookies',
+    pastel: 'cake', helado: 'ice cream', hamburguesa: 'burger', sandwich: 'sandwich', torta: 'sandwich',
+    tortillas: 'tortillas', picante: 'spicy', comida: 'food', cereal: 'cereal', granola: 'granola',
+
+    // Drinks
+    cafe: 'coffee', te: 'tea', leche: 'milk', agua: 'water', jugo: 'juice', refresco: 'soda',
+    cerveza: 'beer', vino: 'wine', licuado: 'smoothie',
+
+    // Chit-chat
+    hola: 'hi', gracias: 'thanks', adios: 'bye'
+};
+
+module.exports = {
+    code: 'es',
+    name: 'Español',
+    PHRASES,
+    WORDS
+};
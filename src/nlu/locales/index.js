@@ -0,0 +1,91 @@
+/**
+ * Language Packs
+ * Per-locale keyword/ontology packs for the rules parser. A pack maps the
+ * user's language onto the English the parser and ontology are built on, so
+ * rows keep canonical English items and symptoms and analytics don't change.
+ *
+ * English is the base language and has no pack.
+ */
+
+const PACKS = {
+    es: require('./es')
+};
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = [DEFAULT_LOCALE, ...Object.keys(PACKS)];
+
+/**
+ * Normalize a locale name ("es-MX", "ES", "spanish", "español") to a supported code
+ * @param {string} locale - Locale name
+ * @returns {string|null} - Supported code, or null if unknown
+ */
+function resolveLocale(locale) {
+    const raw = String(locale || '').trim().toLowerCase();
+    if (!raw) return null;
+    if (['english', 'ingles', 'inglés'].includes(raw)) return 'en';
+    if (['spanish', 'espanol', 'español'].includes(raw)) return 'es';
+    const code = raw.split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(code) ? code : null;
+}
+
+/**
+ * @param {string} locale - Locale code
+ * @returns {Object|null} - Language pack, or null for English/unknown
+ */
+function getPack(locale) {
+    return PACKS[locale] || null;
+}
+
+/**
+ * Strip accents so packs can match "desayuné" and "desayune" alike
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function stripAccents(text) {
+    return text.normalize('NFD').replace(/[̀-ͯ]/g, '');
+}
+
+/**
+ * Translate a message into the parser's English using a language pack
+ * @param {string} text - User message
+ * @param {string} locale - Locale code
+ * @returns {Object} - { text, translated: [{ from, to }] } (text unchanged when there's no pack)
+ *
+ * @example
+ * toCanonical('Desayuné avena con plátano', 'es')
+ * // { text: 'oatmeal with banana for breakfast', translated: [...] }
+ */
+function toCanonical(text, locale) {
+    const pack = getPack(locale);
+    if (!pack) return { text, translated: [] };
+
+    const translated = [];
+    let out = stripAccents(String(text).toLowerCase()).replace(/¿|¡/g, '').trim();
+
+    for (const [pattern, replacement] of pack.PHRASES) {
+        out = out.replace(pattern, (...match) => {
+            const to = typeof replacement === 'function'
+                ? replacement(...match)
+                : replacement.replace(/\$(\d)/g, (_, n) => match[Number(n)] || '');
+            translated.push({ from: match[0], to });
+            return to;
+        });
+    }
+
+    out = out.replace(/[a-zñ]+/g, (word) => {
+        const to = pack.WORDS[word];
+        if (to === undefined) return word;
+        translated.push({ from: word, to });
+        return to;
+    });
+
+    return { text: out.replace(/\s+/g, ' ').trim(), translated };
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    resolveLocale,
+    getPack,
+    toCanonical
+};
@@ -1,8 +1,17 @@
 /**
  * NLU Metrics & Coverage Tracking V2
- * Monitors acceptance rates, LLM usage, rescue effectiveness
+ * Monitors acceptance rates, LLM usage, rescue effectiveness, pinch schema failures
  */
 
+const { problemKind } = require('./pinchSchema');
+
+/**
+ * Counters for LLM pinch schema checks
+ */
+function freshSchemaStats() {
+    return { checked: 0, failed: 0, repaired: 0, salvaged: 0, rejected: 0, byProblem: {} };
+}
+
 const metrics = {
     total: 0,
     accepted: { strict: 0, lenient: 0, minimal: 0 },
@@ -11,6 +20,7 @@ const metrics = {
     rejected: 0,
     llmCalls: 0,
     llmCacheHits: 0,
+    schema: freshSchemaStats(),
     byIntent: {},
     startTime: Date.now()
 };
@@ -46,6 +56,28 @@ function recordLLMCall(cacheHit = false) {
     if (cacheHit) metrics.llmCacheHits++;
 }
 
+/**
+ * Record one schema check of an LLM pinch reply
+ * @param {Object} check - { problems: [string] left after any repair, repaired, salvaged }
+ */
+function recordSchemaCheck({ problems = [], repaired = false, salvaged = false }) {
+    const schema = metrics.schema;
+    schema.checked++;
+    // A repair means the first reply failed, whether or not the second passed
+    if (repaired || problems.length > 0) schema.failed++;
+    if (problems.length === 0) {
+        if (repaired) schema.repaired++;
+    } else if (salvaged) {
+        schema.salvaged++;
+    } else {
+        schema.rejected++;
+    }
+    for (const problem of problems) {
+        const kind = problemKind(problem);
+        schema.byProblem[kind] = (schema.byProblem[kind] || 0) + 1;
+    }
+}
+
 function getReport() {
     const total = metrics.total || 1; // Avoid division by zero
 
@@ -77,6 +109,18 @@ function getReport() {
             target: '≤25%'
         },
 
+        schema: {
+            checked: metrics.schema.checked,
+            failed: metrics.schema.failed,
+            repaired: metrics.schema.repaired,
+            salvaged: metrics.schema.salvaged,
+            rejected: metrics.schema.rejected,
+            failRate: metrics.schema.checked > 0
+                ? ((metrics.schema.failed / metrics.schema.checked) * 100).toFixed(1) + '%'
+                : '0.0%',
+            byProblem: { ...metrics.schema.byProblem }
+        },
+
         byIntent: Object.entries(metrics.byIntent)
             .sort((a, b) => b[1].count - a[1].count)
             .slice(0, 10)
@@ -97,6 +141,7 @@ function reset() {
     metrics.rejected = 0;
     metrics.llmCalls = 0;
     metrics.llmCacheHits = 0;
+    metrics.schema = freshSchemaStats();
     metrics.byIntent = {};
     metrics.startTime = Date.now();
 }
@@ -104,6 +149,7 @@ function reset() {
 module.exports = {
     record,
     recordLLMCall,
+    recordSchemaCheck,
     getReport,
     reset
 };
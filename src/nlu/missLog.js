@@ -0,0 +1,138 @@
+/**
+ * NLU Miss Log
+ * Append-only JSONL record of parses the rules couldn't handle on their own:
+ * rejected, sent to clarification, or rescued by the LLM pinch. When the user
+ * later says what they meant (an intent clarification button), a correction
+ * line is appended and joined back onto the miss when the log is read.
+ *
+ * scripts/trainFromMisses.js mines this file for ontology additions.
+ *
+ * Line shapes:
+ *   { kind: 'miss', at, userId, text, decision, rules: { intent, confidence, slots, missing }, final: { intent, confidence, slots } }
+ *   { kind: 'correction', at, userId, text, intent, slots }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIDENCE_THRESHOLDS } = require('./ontology-v2');
+
+const MISS_LOG_PATH = process.env.NLU_MISS_LOG_PATH || path.join(process.cwd(), '.data', 'nlu-misses.jsonl');
+
+// Decisions that count as a miss
+const MISS_DECISIONS = ['needs_clarification', 'rejected', 'rescued_llm', 'rescued_llm_multi'];
+
+let enabled = true;
+
+/**
+ * Turn recording on or off (the offline evaluator turns it off)
+ * @param {boolean} value
+ */
+function setEnabled(value) {
+    enabled = value;
+}
+
+/**
+ * Comparable form of a message, for joining corrections to misses
+ * @param {string} text - Message text
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Append one line (fail-safe: logging must never break parsing)
+ * @param {Object} entry - Line to write
+ * @param {string} filePath - JSONL file
+ */
+function append(entry, filePath = MISS_LOG_PATH) {
+    if (!enabled) return;
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.appendFileSync(filePath, JSON.stringify(entry) + '\n', 'utf8');
+    } catch (error) {
+        console.error('[MISSLOG] Failed to append (non-fatal):', error.message);
+    }
+}
+
+/**
+ * Record a parse if it's a miss: a miss decision, nothing recognised at all,
+ * or confidence low enough that the router will ask what it was
+ * @param {Object} miss - { text, userId, rules, final }
+ * @param {string} filePath - JSONL file
+ */
+function recordMiss({ text, userId, rules, final }, filePath = MISS_LOG_PATH) {
+    const isMiss = MISS_DECISIONS.includes(final.decision) ||
+        final.intent === 'other' ||
+        final.confidence < CONFIDENCE_THRESHOLDS.rescue;
+    if (!userId || !isMiss) return;
+
+    append({
+        kind: 'miss',
+        at: new Date().toISOString(),
+        userId,
+        text,
+        decision: final.decision,
+        rules: {
+            intent: rules.intent,
+            confidence: rules.confidence,
+            slots: rules.slots,
+            missing: rules.missing
+        },
+        final: { intent: final.intent, confidence: final.confidence, slots: final.slots }
+    }, filePath);
+}
+
+/**
+ * Record what the user said a message meant
+ * @param {string} userId - Discord user ID
+ * @param {string} text - Original message text
+ * @param {Object} correction - { intent, slots }
+ * @param {string} filePath - JSONL file
+ */
+function recordCorrection(userId, text, { intent, slots = {} }, filePath = MISS_LOG_PATH) {
+    append({ kind: 'correction', at: new Date().toISOString(), userId, text, intent, slots }, filePath);
+}
+
+/**
+ * Read misses, newest last, each with its correction (if any) attached
+ * @param {Object} options - { since: ISO string, filePath }
+ * @returns {Array<Object>} - Miss lines plus `correction`
+ */
+function readMisses({ since = null, filePath = MISS_LOG_PATH } = {}) {
+    if (!fs.existsSync(filePath)) return [];
+
+    const misses = [];
+    const lastMissByKey = new Map();
+
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch {
+            continue; // A torn write; skip it
+        }
+
+        const key = `${entry.userId}|${normalizeText(entry.text)}`;
+        if (entry.kind === 'miss') {
+            if (since && entry.at < since) continue;
+            const miss = { ...entry, correction: null };
+            misses.push(miss);
+            lastMissByKey.set(key, miss);
+        } else if (entry.kind === 'correction' && lastMissByKey.has(key)) {
+            lastMissByKey.get(key).correction = { intent: entry.intent, slots: entry.slots, at: entry.at };
+        }
+    }
+
+    return misses;
+}
+
+module.exports = {
+    MISS_LOG_PATH,
+    MISS_DECISIONS,
+    setEnabled,
+    recordMiss,
+    recordCorrection,
+    readMisses
+};
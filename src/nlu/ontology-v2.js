@@ -17,7 +17,7 @@ const CONFIDENCE_THRESHOLDS = {
     reject: 0.50      // Below this, always clarify
 };
 
-const INTENTS = ["food", "drink", "symptom", "reflux", "bm", "mood", "checkin", "greeting", "thanks", "chit_chat", "farewell", "other"];
+const INTENTS = ["food", "drink", "symptom", "reflux", "bm", "mood", "checkin", "skip", "greeting", "thanks", "chit_chat", "farewell", "other"];
 
 // ========== EXPANDED HEAD NOUNS ==========
 const HEAD_NOUNS = [
@@ -308,6 +308,9 @@ const BM_BRISTOL_MAP = {
 };
 
 // ========== SYMPTOM TYPE CANONICALIZATION ==========
+// Words that make a message a symptom; the first one found becomes its symptom_type
+const SYMPTOM_KEYWORDS = ["pain", "ache", "cramp", "hurt", "bloat", "bloated", "nausea", "nauseous", "queasy", "sick"];
+
 const SYMPTOM_CANONICAL = {
     'heartburn': 'reflux',
     'acid': 'reflux',
@@ -337,6 +340,16 @@ const NEGATION_PATTERNS = [
     /\b(without|minus)\b/i
 ];
 
+// Negator plus the article after it; everything after it in the same clause is negated
+// ("no reflux or bloating today", "skipped the coffee", "didn't have any dairy")
+const NEGATION_SCOPE_RE = /\b(?:no|zero|without|minus|skipped|skipping|skip|avoided|avoiding|(?:didn'?t|did\s+not)\s+(?:have|eat|drink|get|feel|take)|(?:haven'?t|have\s+not)\s+(?:had|felt|eaten)|cut\s+out|gave\s+up)\s+(?:any\s+|the\s+|my\s+|an?\s+)?/i;
+
+// Time words that trail a negated item ("no reflux today", "no coffee yet")
+const NEGATION_FILLER_RE = /\b(?:today|tonight|yet|so\s+far|at\s+all|either|anymore|lately|all\s+day|this\s+(?:morning|afternoon|evening|week)|since\s+\w+)\b/gi;
+
+// A whole-day all-clear without a negator
+const SYMPTOM_FREE_RE = /\bsymptom[\s-]*free\b/i;
+
 // ========== MINIMAL CORE FOODS (always accept even if short) ==========
 const MINIMAL_CORE_FOODS = [
     'egg', 'eggs', 'rice', 'tea', 'toast', 'soup', 'salad', 'fish',
@@ -455,7 +468,11 @@ module.exports = {
     BRISTOL_ADJ,
     BM_BRISTOL_MAP,
     SYMPTOM_CANONICAL,
+    SYMPTOM_KEYWORDS,
     NEGATION_PATTERNS,
+    NEGATION_SCOPE_RE,
+    NEGATION_FILLER_RE,
+    SYMPTOM_FREE_RE,
     MINIMAL_CORE_FOODS,
     STOPWORDS,
     MEAL_WINDOWS,
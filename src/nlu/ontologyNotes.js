@@ -91,6 +91,15 @@ const TIME_APPROX = [
     'late'
 ];
 
+/**
+ * FODMAP levels (per row and per meal, see src/nutrition/fodmap.js)
+ */
+const FODMAP_LEVELS = [
+    'low',
+    'medium',
+    'high'
+];
+
 // ========== CANONICAL KEY ORDERING ==========
 // Defines the order in which tokens appear in Notes string
 const CANONICAL_ORDER = [
@@ -99,6 +108,7 @@ const CANONICAL_ORDER = [
 
     // Time & Meal
     'meal',
+    'meal_id',
     'time',
     'time≈',
 
@@ -129,6 +139,14 @@ const CANONICAL_ORDER = [
     'sides',
     'sweetener',
 
+    // GI load (per row; fodmap_meal is the whole meal's level)
+    'fiber_g',
+    'sugar_alcohol_g',
+    'sodium_mg',
+    'fodmap',
+    'fodmap_groups',
+    'fodmap_meal',
+
     // Symptoms (if applicable)
     'severity',
     'bristol',
@@ -176,7 +194,12 @@ function isValidValue(key, value) {
         bristol: (v) => {
             const num = parseInt(v, 10);
             return !isNaN(num) && num >= 1 && num <= 7;
-        }
+        },
+        fodmap: (v) => FODMAP_LEVELS.includes(v),
+        fodmap_meal: (v) => FODMAP_LEVELS.includes(v),
+        fiber_g: (v) => Number(v) >= 0,
+        sugar_alcohol_g: (v) => Number(v) >= 0,
+        sodium_mg: (v) => Number(v) >= 0
     };
 
     const validator = validators[key];
@@ -203,6 +226,7 @@ module.exports = {
     CONTEXTS,
     CONFIDENCE_SOURCES,
     TIME_APPROX,
+    FODMAP_LEVELS,
     CANONICAL_ORDER,
     isValidValue,
     getCanonicalPosition
@@ -0,0 +1,163 @@
+/**
+ * LLM Pinch Output Schema
+ * A strict per-intent schema for the actions llmPinch gets back, built on the
+ * enums the rest of the NLU already uses (ontologyNotes, ontology-v2).
+ *
+ * Values that mean the same thing are coerced ("7" → 7, "severe" → 9,
+ * "heartburn" → reflux, "Lunch" → lunch). Values that can't be made valid
+ * (severity "very", bristol 9, an unknown intent) are problems: the pinch
+ * sends them back for one repair attempt, and whatever still fails is
+ * dropped before it reaches logFromNLU. Slots an intent doesn't use are
+ * stripped silently.
+ */
+
+const { MEALS } = require('./ontologyNotes');
+const { INTENTS, ADJECTIVE_SEVERITY, BRISTOL_ADJ, SYMPTOM_CANONICAL, SYMPTOM_KEYWORDS } = require('./ontology-v2');
+
+const SYMPTOM_TYPES = [...new Set(Object.values(SYMPTOM_CANONICAL)), 'general'];
+// Every symptom type the rules path logs: its keywords, their synonyms and canonical forms
+const KNOWN_SYMPTOMS = new Set([...SYMPTOM_KEYWORDS, ...Object.keys(SYMPTOM_CANONICAL), ...SYMPTOM_TYPES]);
+const EDIT_TARGETS = [...MEALS, 'drink', 'food', 'symptom', 'reflux'];
+
+/**
+ * Slot validators: (value) → coerced value, or undefined if it can't be made valid
+ */
+const SLOT_TYPES = {
+    text: (v) => (typeof v === 'string' || typeof v === 'number') && String(v).trim() ? String(v).trim() : undefined,
+    meal_time: (v) => {
+        const meal = String(v).trim().toLowerCase();
+        return MEALS.includes(meal) ? meal : undefined;
+    },
+    symptom_type: (v) => {
+        const type = String(v).trim().toLowerCase().replace(/\s+/g, ' ');
+        const singular = type.replace(/([^s])s$/, '$1'); // "cramps", "headaches"
+        for (const form of [type, singular]) {
+            if (SYMPTOM_CANONICAL[form]) return SYMPTOM_CANONICAL[form];
+            if (KNOWN_SYMPTOMS.has(form)) return form;
+        }
+        // Like the rules path, anything naming a symptom keyword ("headache", "back pain")
+        return SYMPTOM_KEYWORDS.some(k => singular.includes(k)) ? singular : undefined;
+    },
+    severity: (v) => scale(v, 10, ADJECTIVE_SEVERITY),
+    bristol: (v) => scale(v, 7, BRISTOL_ADJ),
+    edit_target: (v) => {
+        const target = String(v).trim().toLowerCase();
+        return EDIT_TARGETS.includes(target) ? target : undefined;
+    }
+};
+
+// Slots each intent may carry, and the validator for each slot
+const FOOD_SLOTS = { item: 'text', meal_time: 'meal_time', quantity: 'text', brand: 'text', sides: 'text', time: 'text' };
+const INTENT_SCHEMA = {
+    food: FOOD_SLOTS,
+    drink: FOOD_SLOTS,
+    symptom: { symptom_type: 'symptom_type', severity: 'severity', time: 'text' },
+    reflux: { severity: 'severity', time: 'text' },
+    bm: { bristol: 'bristol', time: 'text' },
+    checkin: { time: 'text' },
+    edit: { new_value: 'text', old_value: 'text', edit_target: 'edit_target' },
+    other: {}
+};
+
+// Every schema intent is an ontology intent, except edit (routed before the ontology)
+const PINCH_INTENTS = Object.keys(INTENT_SCHEMA).filter(intent => INTENTS.includes(intent) || intent === 'edit');
+
+/**
+ * Coerce a 1..max scale value from a number, numeric string or adjective
+ * @param {*} value - Raw value
+ * @param {number} max - Top of the scale
+ * @param {Object} adjectives - word → number
+ * @returns {number|undefined}
+ */
+function scale(value, max, adjectives) {
+    const word = String(value).trim().toLowerCase();
+    const num = adjectives[word] !== undefined ? adjectives[word] : Number(word);
+    return Number.isInteger(num) && num >= 1 && num <= max ? num : undefined;
+}
+
+/**
+ * Check one action against the schema
+ * @param {Object} action - Raw action from the model
+ * @returns {Object} - { action (coerced, or null if rejected), problems: [string] }
+ */
+function checkAction(action) {
+    if (!action || typeof action !== 'object') {
+        return { action: null, problems: ['action is not an object'] };
+    }
+
+    const intent = String(action.intent || '').trim().toLowerCase();
+    if (!PINCH_INTENTS.includes(intent)) {
+        return { action: null, problems: [`intent "${action.intent}" is not one of ${PINCH_INTENTS.join('|')}`] };
+    }
+
+    const schema = INTENT_SCHEMA[intent];
+    const problems = [];
+    const slots = {};
+    for (const [key, raw] of Object.entries(action.slots || {})) {
+        if (!schema[key] || raw === null || raw === undefined || raw === '') continue;
+        const value = SLOT_TYPES[schema[key]](raw);
+        if (value === undefined) {
+            problems.push(`${intent}.${key} ${JSON.stringify(raw)} is invalid`);
+        } else {
+            slots[key] = value;
+        }
+    }
+
+    const confidence = Number(action.confidence);
+    return {
+        action: {
+            intent,
+            slots,
+            confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0.5,
+            missing: (Array.isArray(action.missing) ? action.missing : []).filter(key => schema[key] && slots[key] === undefined)
+        },
+        problems
+    };
+}
+
+/**
+ * Check a whole pinch reply ({ actions: [...] })
+ * @param {Object} parsed - Parsed JSON from the model
+ * @returns {Object} - { actions: [coerced, valid actions], problems: [string] }
+ *
+ * @example
+ * checkPinchOutput({ actions: [{ intent: 'bm', slots: { bristol: 9 } }] })
+ * // { actions: [{ intent: 'bm', slots: {}, confidence: 0.5, missing: [] }],
+ * //   problems: ['bm.bristol 9 is invalid'] }
+ */
+function checkPinchOutput(parsed) {
+    if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.actions)) {
+        return { actions: [], problems: ['"actions" array not found'] };
+    }
+
+    const actions = [];
+    const problems = [];
+    for (const raw of parsed.actions) {
+        const checked = checkAction(raw);
+        if (checked.action) actions.push(checked.action);
+        problems.push(...checked.problems);
+    }
+    if (parsed.actions.length === 0) problems.push('"actions" is empty');
+
+    return { actions, problems };
+}
+
+/**
+ * Schema kind of a problem, for metrics ("bm.bristol 9 is invalid" → "bm.bristol")
+ * @param {string} problem - Problem string from checkPinchOutput
+ * @returns {string}
+ */
+function problemKind(problem) {
+    if (problem.startsWith('intent ')) return 'intent';
+    const slot = problem.match(/^(\w+\.\w+) /);
+    return slot ? slot[1] : 'structure';
+}
+
+module.exports = {
+    SYMPTOM_TYPES,
+    INTENT_SCHEMA,
+    PINCH_INTENTS,
+    checkAction,
+    checkPinchOutput,
+    problemKind
+};
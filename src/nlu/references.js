@@ -0,0 +1,251 @@
+/**
+ * Conversational References
+ * Resolves follow-ups that point at something just logged instead of naming it:
+ *   "that made me bloated"  → a symptom linked to the last food/drink (linked_to=)
+ *   "had it again"          → a copy of the last food/drink (or whole meal) (cloned_from=)
+ *   "double it"             → one more portion of the last item
+ *
+ * The last few logged entities are kept per channel (and author), newest
+ * first. When "it" could mean more than one thing — the last message was a
+ * multi-item meal — the router asks which one before logging.
+ */
+
+const { getToken } = require('../utils/notes');
+
+const MEMORY_SIZE = 5;
+const MEMORY_TTL_MS = 6 * 60 * 60 * 1000;
+const MEALS = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+// Slots that belong to the original row, not to what a copy of it describes
+const ROW_ONLY_SLOTS = ['meal_id', 'meal_part', 'time', 'time_approx', 'linked_item', 'linked_row', 'cloned_from', '_validatedNotes', '_secondary'];
+
+// Note tokens carried over when a row is rebuilt from the sheet
+const NOTE_SLOTS = { meal: 'meal_time', sides: 'sides', portion: 'portion', portion_g: 'portion_g', portion_ml: 'portion_ml', brand: 'brand', brand_variant: 'brand_variant', variant: 'variant' };
+
+const PRONOUN = '(?:that|it|this|those|these)';
+const NAMED = '(?:the|my|that|this)\\s+(?<named>[a-z][a-z\'\\s-]{1,30}?)';
+const MEAL_SUFFIX = `(?:\\s+for\\s+(?<meal>${MEALS.join('|')}))?`;
+
+const CAUSE_PATTERNS = [
+    new RegExp(`^(?:i\\s+think\\s+)?(?:${PRONOUN}|${NAMED})\\s+(?:made|makes|is making|has made|gave|gives|has given|left|got)\\s+me\\s+(?:feel(?:ing)?\\s+)?(?<symptom>.+)$`),
+    new RegExp(`^(?:i(?:'m|\\s+am)\\s+|feeling\\s+|felt\\s+)?(?<symptom>.+?)\\s+(?:from|after|because of)\\s+${PRONOUN}$`),
+    new RegExp(`^${PRONOUN}\\s+(?:upset|hurt)\\s+my\\s+(?<symptom>stomach)$`)
+];
+
+const REPEAT_PATTERNS = [
+    new RegExp(`^(?:i\\s+)?(?:had|ate|drank|having|eating|drinking|got)\\s+(?:${PRONOUN}|the same(?:\\s+thing)?|(?:the|my|that)\\s+(?<named>[a-z][a-z'\\s-]{1,30}?))\\s+again${MEAL_SUFFIX}$`),
+    new RegExp(`^(?:the\\s+)?same(?:\\s+(?:thing|one|again|as before))*${MEAL_SUFFIX}$`),
+    /^(?:another|one more)(?:\s+(?:one|of those|of them|of that))?$/
+];
+
+// "same as yesterday", "my usual breakfast": looked up in the sheet, not in channel memory
+const YESTERDAY_PATTERN = /^(?:(?:i\s+)?had\s+)?(?:the\s+|my\s+)?(?:same\s+(?:as\s+)?(?:yesterday|last time)|(?:usual|regular)\s+(?:breakfast|lunch|dinner))$/;
+
+// "had toast after that" is a new meal, not a symptom
+const LOGGING_VERB = /^(?:i\s+)?(?:had|ate|drank|have|having|eating|drinking|took)\b/;
+
+const DOUBLE_PATTERN = /^double\s+(?:it|that|this)$/;
+
+// Entities per channel: key -> [{ type, item, slots, timestamp, mealId, at }]
+const memory = new Map();
+
+/**
+ * Memory key for a message's channel and author
+ * @param {Object} message - Discord message (or replayed interaction)
+ * @returns {string}
+ */
+function channelKey(message) {
+    return `${message.guildId || 'dm'}:${message.channelId || message.channel?.id}:${message.author.id}`;
+}
+
+/**
+ * Copy slots without the ones tied to the original row
+ * @param {Object} slots - NLU slots
+ * @returns {Object}
+ */
+function reusableSlots(slots = {}) {
+    const copy = { ...slots };
+    for (const slot of ROW_ONLY_SLOTS) delete copy[slot];
+    return copy;
+}
+
+/**
+ * Remember a logged row so later messages can refer to it
+ * @param {Object} message - Message that logged it
+ * @param {Object} entity - { type, item, slots, timestamp }
+ */
+function remember(message, entity) {
+    const key = channelKey(message);
+    const entities = recent(message).filter(e => e.timestamp !== entity.timestamp);
+
+    entities.unshift({
+        type: entity.type,
+        item: entity.item,
+        slots: reusableSlots(entity.slots),
+        timestamp: entity.timestamp,
+        mealId: entity.slots?.meal_id || null,
+        at: Date.now()
+    });
+    memory.set(key, entities.slice(0, MEMORY_SIZE));
+}
+
+/**
+ * Recently logged entities for a channel, newest first
+ * @param {Object} message - Discord message
+ * @returns {Array<Object>}
+ */
+function recent(message) {
+    const key = channelKey(message);
+    const fresh = (memory.get(key) || []).filter(e => Date.now() - e.at <= MEMORY_TTL_MS);
+    if (fresh.length) memory.set(key, fresh);
+    else memory.delete(key);
+    return fresh;
+}
+
+/**
+ * Forget everything remembered for a channel
+ * @param {Object} message - Discord message
+ */
+function forget(message) {
+    memory.delete(channelKey(message));
+}
+
+/**
+ * Rebuild an entity from a stored row (when memory is empty, e.g. after a restart)
+ * @param {Object} row - Sheet row
+ * @returns {Object}
+ */
+function entityFromRow(row) {
+    const slots = { item: row.Item };
+    for (const [token, slot] of Object.entries(NOTE_SLOTS)) {
+        const value = getToken(row.Notes, token);
+        if (value !== null && value !== undefined && value !== '') slots[slot] = value;
+    }
+    return {
+        type: row.Type,
+        item: row.Item,
+        slots,
+        timestamp: row.Timestamp,
+        mealId: getToken(row.Notes, 'meal_id') || null,
+        at: Date.now()
+    };
+}
+
+/**
+ * Spot a message that refers back to an earlier entry
+ * @param {string} text - User message
+ * @returns {Object|null} - { kind: 'cause'|'repeat'|'double'|'yesterday', named?, symptom?, mealTime? }
+ *
+ * @example
+ * detectReference('that made me bloated')    // { kind: 'cause', symptom: 'bloated', named: null }
+ * detectReference('had the latte again')     // { kind: 'repeat', named: 'latte', mealTime: null }
+ */
+function detectReference(text) {
+    const lower = String(text || '').toLowerCase().replace(/\s+/g, ' ').replace(/[\s.!?]+$/, '').trim();
+    if (!lower) return null;
+
+    if (YESTERDAY_PATTERN.test(lower)) return { kind: 'yesterday' };
+    if (DOUBLE_PATTERN.test(lower)) return { kind: 'double', named: null };
+
+    for (const pattern of REPEAT_PATTERNS) {
+        const m = lower.match(pattern);
+        if (m) return { kind: 'repeat', named: m.groups?.named?.trim() || null, mealTime: m.groups?.meal || null };
+    }
+
+    for (const pattern of CAUSE_PATTERNS) {
+        const m = lower.match(pattern);
+        if (m && !LOGGING_VERB.test(m.groups.symptom)) {
+            const symptom = m.groups.symptom.trim();
+            return { kind: 'cause', symptom: symptom === 'stomach' ? 'stomach ache' : symptom, named: m.groups.named?.trim() || null };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Group entities that were logged as one meal (shared meal_id), oldest row first
+ * @param {Object} newest - Entity the group is built around
+ * @param {Array<Object>} entities - Candidate entities
+ * @returns {Array<Object>}
+ */
+function mealGroup(newest, entities) {
+    if (!newest.mealId) return [newest];
+    return entities
+        .filter(e => e.mealId === newest.mealId)
+        .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+}
+
+/**
+ * Resolve a reference against what was logged recently
+ * @param {Object} reference - detectReference result
+ * @param {Array<Object>} entities - Recent entities, newest first
+ * @returns {Object|null} - { entities } when clear, { options: [{ label, entities }] } when
+ *                          ambiguous, or null when nothing fits
+ */
+function resolveReferent(reference, entities) {
+    let candidates = entities.filter(e => e.type === 'food' || e.type === 'drink');
+
+    if (reference.named) {
+        const needle = reference.named.replace(/^(?:the|my)\s+/, '');
+        const named = candidates.find(e =>
+            String(e.item).toLowerCase().includes(needle) ||
+            needle.includes(String(e.item).toLowerCase()) ||
+            String(e.slots.sides || '').toLowerCase().includes(needle)
+        );
+        return named ? { entities: [named] } : null;
+    }
+
+    if (!candidates.length) return null;
+    candidates = mealGroup(candidates[0], candidates);
+
+    // "had it again" repeats the whole meal; anything else has to pick one row of it
+    if (reference.kind === 'repeat' || candidates.length === 1) return { entities: candidates };
+
+    return {
+        options: [
+            ...candidates.slice(0, 4).map(e => ({ label: e.item, entities: [e] })),
+            { label: 'Whole meal', entities: candidates }
+        ]
+    };
+}
+
+/**
+ * Turn a resolved reference into slots linking a symptom to its cause
+ * @param {Array<Object>} entities - Referenced rows
+ * @returns {Object} - { linked_item, linked_row? }
+ */
+function linkSlots(entities) {
+    const slots = { linked_item: entities.map(e => e.item).join(' + ') };
+    if (entities.length === 1) slots.linked_row = entities[0].timestamp;
+    return slots;
+}
+
+/**
+ * Build a parse result that logs copies of the referenced rows
+ * @param {Array<Object>} entities - Referenced rows, oldest first
+ * @param {Object} overrides - Slots to set on every copy (e.g. { meal_time })
+ * @returns {Object} - NLU-shaped result; extra rows go in meal_components
+ */
+function cloneResult(entities, overrides = {}) {
+    const [first, ...rest] = entities.map(e => ({
+        intent: e.type,
+        slots: { ...e.slots, item: e.slots.item || e.item, ...overrides, cloned_from: e.timestamp },
+        confidence: 1.0,
+        missing: []
+    }));
+    return { ...first, decision: 'reference', meal_components: rest };
+}
+
+module.exports = {
+    MEMORY_SIZE,
+    channelKey,
+    remember,
+    recent,
+    forget,
+    entityFromRow,
+    detectReference,
+    resolveReferent,
+    linkSlots,
+    cloneResult
+};
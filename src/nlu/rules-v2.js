@@ -36,8 +36,11 @@ const {
     BRISTOL_ADJ,
     BM_BRISTOL_MAP,
     SYMPTOM_CANONICAL,
+    SYMPTOM_KEYWORDS,
     NEGATION_PATTERNS,
-    MINIMAL_CORE_FOODS,
+    NEGATION_SCOPE_RE,
+    NEGATION_FILLER_RE,
+    SYMPTOM_FREE_RE,
     STOPWORDS,
     containsSynonym,
     findSynonymGroup,
@@ -48,12 +51,54 @@ const {
     isMinimalCoreFood
 } = require('./ontology-v2');
 
-const { safeCorrectToken, correctTokens, safeCorrect } = require('../utils/spell');
+const { correctWithVocabulary } = require('../utils/spell');
+const { vocabularyFor } = require('./vocabulary');
 const { extractPortion } = require('../nutrition/portionParser');
+const { inferCategory, inferPrep } = require('../utils/categoryMapper');
 const { EMOJI, PHRASES } = require('../constants/ux');
+const { getPack, toCanonical } = require('./locales');
 const { getMealTime, getSeverity, getBristol, normalizeItem } = require('./ontology');
 const time = require('../utils/time');
 
+// Calorie values in a correction: a bare number needs a cue ("more like 600"), otherwise a unit ("800 cal")
+const KCAL_CUE = String.raw`(?:more\s+like|closer\s+to|nearer|probably)`;
+const KCAL_BARE = String.raw`(?<value>\d{2,4}(?:\.\d+)?(?:\s*(?:kcals?|cals?|calories))?)`;
+const KCAL_UNIT = String.raw`(?<value>\d{1,4}(?:\.\d+)?\s*(?:kcals?|cals?|calories))`;
+const KCAL_SUBJECT = String.raw`^(?:actually\s+|no\s+|nah\s+)?(?:my\s+|the\s+)?(?<subject>[a-z][a-z\s'-]{1,40}?)\s+(?:was|were)\s+(?:actually\s+)?`;
+
+// Corrections to an earlier entry with an explicit cue ("actually that was 2 slices"). Named groups:
+// value = the new content, target = meal/type word, subject = what is being corrected
+const EDIT_PATTERNS = [
+    new RegExp(String.raw`^(?:actually\s+)?${KCAL_CUE}\s+${KCAL_BARE}$`),
+    new RegExp(`${KCAL_SUBJECT}${KCAL_CUE}\\s+${KCAL_BARE}$`),
+    new RegExp(`${KCAL_SUBJECT}(?:about\\s+|around\\s+|roughly\\s+)?${KCAL_UNIT}$`),
+    /^(?:actually|oops|wait|no wait|sorry|correction)[,:!.]?\s+(?:that|it)\s+(?:was|were)\s+(?:actually\s+)?(?<value>.+)$/,
+    /^(?:change|edit|update|fix|correct)\s+(?:my\s+|the\s+)?(?:last\s+)?(?<target>breakfast|lunch|dinner|snack|drink|food|symptom|reflux|entry|meal|one|that|it)\s+to\s+(?<value>.+)$/,
+    /^make\s+(?:that|it)\s+(?<value>.+)$/,
+    /^(?:correction|edit)\s*[:,-]\s*(?<value>.+)$/
+];
+// "actually" mid-sentence is also how people describe their day ("dinner was actually great"),
+// so these are edits only when the value reads as a correction of what they named (isCorrectionValue)
+const LOOSE_EDIT_PATTERNS = [
+    /^(?:that|it)\s+(?:was|were)\s+actually\s+(?<value>.+)$/,
+    /^(?:my\s+|the\s+)?(?<subject>[a-z][a-z\s'-]{1,40}?)\s+(?:was|were)\s+actually\s+(?<value>.+)$/
+];
+const EDIT_SWAP_RE = /^(.+?),?\s+(?:not|instead of)\s+(.+)$/;
+const EDIT_TARGETS = ['breakfast', 'lunch', 'dinner', 'snack', 'drink', 'food', 'symptom', 'reflux'];
+
+// Framing around a list of foods ("had ... for breakfast", "lunch was ...")
+const MEAL_SUFFIX_RE = /\s+(?:for|at|during)\s+(breakfast|lunch|dinner|snack)\b.*$/i;
+const MEAL_PREFIX_RE = /^(breakfast|lunch|dinner|snack)\s*(?:was|were|:)\s+/i;
+const LEADING_VERB_RE = /^(?:i\s+)?(?:just\s+)?(?:ate|had|having|drank|drinking|sipped)\s+/i;
+const LEADING_ARTICLE_RE = /^(?:a|an|the|some)\s+/i;
+// How someone feels ("feeling fine", "me siento bien"), which never names a food by itself
+const FEELING_RE = /^(?:i\s*(?:'?m|am)?\s+)?(?:feel|feels|feeling|felt)\b/i;
+
+const REFLUX_KEYWORDS = ["reflux", "heartburn", "acid", "acid reflux", "gerd", "burning chest"];
+// Set phrases after a negator that don't negate anything ("no thanks", "no worries")
+const NOT_A_TARGET = /^(?:thanks|thank you|worries|problem|idea|clue|way|rush|big deal)$/;
+const QUESTION_STARTERS = /^(what|how many|how much|show me|did I|am I|can you tell me|list all)/i;
+
 // Legacy ontology for backward compatibility
 const INTENT_KEYWORDS = {
     bm: ["bm", "bowel", "bathroom", "poop", "poo", "stool", "toilet", "pooped"],
@@ -64,11 +109,22 @@ const INTENT_KEYWORDS = {
 /**
  * Parse natural language text into structured intent and slots
  * @param {string} text - User input
- * @param {Object} options - { tz: 'America/Los_Angeles' }
+ * @param {Object} options - { tz: 'America/Los_Angeles', forcedIntent, locale: 'es', userId } (userId adds their logged items to spell correction)
  * @returns {ParseResult}
  */
 function rulesParse(text, options = {}) {
-    const { tz, forcedIntent } = options;
+    const { tz, forcedIntent, locale } = options;
+
+    // ========== LANGUAGE PACK ==========
+    // Other languages are parsed as their English canonical form, so rows keep English keys
+    if (getPack(locale)) {
+        const canonical = toCanonical(text, locale);
+        const parsed = rulesParse(canonical.text, { ...options, locale: null });
+        parsed.meta.locale = locale;
+        if (canonical.translated.length > 0) parsed.meta.translatedFrom = text;
+        return parsed;
+    }
+
     const originalText = text;
     let t = text.toLowerCase();
 
@@ -86,6 +142,39 @@ function rulesParse(text, options = {}) {
         }
     };
 
+    // ========== 0a. EDIT OF A PREVIOUS ENTRY ==========
+    const edit = parseEditRequest(t);
+    if (edit) {
+        result.intent = "edit";
+        result.confidence = 0.9;
+        result.slots = edit;
+        return result;
+    }
+
+    // ========== 0b. NEGATION (scoped to its clause) ==========
+    // "no reflux today" is a symptom-free check-in, "skipped coffee" logs nothing,
+    // and "eggs and toast, no coffee" logs just the eggs and toast
+    const isQuestion = QUESTION_STARTERS.test(t) || t.endsWith('?');
+    const negation = !forcedIntent && !isQuestion ? parseNegation(t) : null;
+    if (negation) {
+        if (hasLoggableContent(negation.rest)) {
+            const parsed = rulesParse(negation.rest, options);
+            parsed.meta.negated = { symptoms: negation.symptoms, skipped: negation.skipped };
+            return parsed;
+        }
+
+        result.confidence = 0.9;
+        if (negation.skipped.length > 0) result.slots.skipped = negation.skipped.join(', ');
+        if (negation.symptoms.length > 0) {
+            result.intent = "checkin";
+            result.slots.symptom_free = true;
+            result.slots.symptom_type = negation.symptoms.join(', ');
+        } else {
+            result.intent = "skip";
+        }
+        return result;
+    }
+
     // ========== 0. BM EARLY ROUTE (BEFORE SPELL CORRECTION) ==========
     // Check for BM keywords FIRST to prevent spell-correction disasters
     const tokens = t.split(/\s+/);
@@ -127,25 +216,9 @@ function rulesParse(text, options = {}) {
 
     // ========== 1. PRE-CLEAN (Only for non-BM domains) ==========
     // Spell correction for known brands/foods with noun expansion prevention
-    const spellingResult = correctTokens(originalText, {
-        brands: CEREAL_BRANDS,
-        foods: MINIMAL_CORE_FOODS,
-        beverages: ALL_BEVERAGES
-    });
-
-    // Apply safe correction to prevent noun expansion
-    const words = spellingResult.corrected.split(/\s+/);
-    const safeCorrectedWords = words.map(word => {
-        // Find the original correction for this word
-        const correction = spellingResult.corrections.find(c => c.original === word);
-        if (correction) {
-            // Use safeCorrect to prevent multi-word expansions
-            return safeCorrect(word, correction.corrected);
-        }
-        return word;
-    });
-
-    const cleanedText = safeCorrectedWords.join(' ');
+    const vocabulary = vocabularyFor(options.userId);
+    const spellingResult = spellCorrect(originalText, vocabulary);
+    const cleanedText = spellingResult.text;
     const cleanedLower = cleanedText.toLowerCase();
 
     if (spellingResult.corrections.length > 0) {
@@ -184,7 +257,6 @@ function rulesParse(text, options = {}) {
     }
 
     // Question Detection (must happen before loggable intents)
-    const QUESTION_STARTERS = /^(what|how many|how much|show me|did I|am I|can you tell me|list all)/i;
     if (QUESTION_STARTERS.test(t) || t.endsWith('?')) {
         result.intent = "question";
         result.confidence = 0.90;
@@ -209,34 +281,19 @@ function rulesParse(text, options = {}) {
     }
 
 
-    // Negation check (skip, no, avoided)
-    if (hasNegation(cleanedText)) {
-        if (/\b(skip|avoided|didn't\s+have|no\s+\w+\s+today)\b/i.test(t)) {
-            result.intent = "checkin";
-            result.confidence = 0.85;
-            result.slots.note = cleanedText;
-            return result;
-        }
-    }
-
     // ========== 3. TIME PARSING (Early - Affects Confidence) ==========
-    const explicitTime = time.parse(t, tz);
+    const explicitTime = time.parseDetailed(t, tz);
     if (explicitTime) {
-        result.slots.time = explicitTime.toISOString();
-        // A rough removal of the time phrase to help item extraction
-        // This is imperfect but good enough for many cases.
-        const timePhrase = t.match(/(\bat\s)?(\d{1,2}(:\d{2})?(\s?am|pm)?|yesterday|today|last night)/);
-        if (timePhrase) {
-            t = t.replace(timePhrase[0], '').trim();
-        }
+        result.slots.time = explicitTime.date.toISOString();
+        // Drop the matched time phrase ("at 7am yesterday") so it doesn't end up in the item
+        t = t.replace(explicitTime.text, ' ').replace(/\s+(at|on|around|about)\s*$/, '').replace(/\s+/g, ' ').trim();
     }
 
     // ========== 4. LOGGABLE INTENTS (Priority Order) ==========
     // NOTE: BM detection handled by early route (step 0) - if we're here, it's not BM
 
     // 4a. Reflux Detection
-    const refluxKeywords = ["reflux", "heartburn", "acid", "acid reflux", "gerd", "burning chest"];
-    if (containsSynonym(cleanedLower, refluxKeywords)) {
+    if (containsSynonym(cleanedLower, REFLUX_KEYWORDS)) {
         result.intent = "reflux";
         result.confidence = 0.9;
 
@@ -252,14 +309,13 @@ function rulesParse(text, options = {}) {
     }
 
     // 4c. Symptom Detection
-    const symptomKeywords = ["pain", "ache", "cramp", "hurt", "bloat", "bloated", "nausea", "nauseous", "queasy", "sick"];
-    if (containsSynonym(cleanedLower, symptomKeywords)) {
+    if (containsSynonym(cleanedLower, SYMPTOM_KEYWORDS)) {
         result.intent = "symptom";
         result.confidence = 0.8;
 
         // Canonicalize symptom type
         let symptomType = null;
-        for (const keyword of symptomKeywords) {
+        for (const keyword of SYMPTOM_KEYWORDS) {
             if (cleanedLower.includes(keyword)) {
                 symptomType = SYMPTOM_CANONICAL[keyword] || keyword;
                 break;
@@ -319,24 +375,36 @@ function rulesParse(text, options = {}) {
         result.slots.portion_multiplier = portion.multiplier || 1.0;
     }
 
-    // 5d. Metadata tagging
-    // Dairy detection
-    const hasDairy = DAIRY_ITEMS.some(item => cleanedLower.includes(item));
-    const hasNonDairy = NON_DAIRY_ITEMS.some(item => cleanedLower.includes(item));
-    if (hasDairy && !hasNonDairy) {
-        result.slots.dairy = true;
-    } else if (hasNonDairy) {
-        result.slots.non_dairy = true;
-    }
+    // 5d. Metadata tagging (dairy / caffeine)
+    tagDietFlags(cleanedLower, result.slots);
+
+    // 5e. Multi-item meal ("eggs, toast and a latte") → one component per food/drink.
+    // The first becomes this result; the router logs the rest as linked rows.
+    // Each keeps the words it came from (text), so a saved recipe can find the part that names it
+    // Split the spell-corrected text (commas survive correction) so "chiken, rice" splits too
+    const meal = splitMealComponents(cleanedLower, vocabulary);
+    if (meal.components.length > 1) {
+        const shared = {};
+        if (result.slots.time) shared.time = result.slots.time;
+        if (meal.meal_time) {
+            shared.meal_time = meal.meal_time;
+        } else if (!shared.time) {
+            shared.meal_time = getCurrentWindow();
+            shared.meal_time_note = "inferred from current time";
+        }
 
-    // Caffeine detection
-    const hasCaffeine = CAFFEINATED_ITEMS.some(item => cleanedLower.includes(item));
-    const hasDecaf = DECAF_FLAGS.some(flag => cleanedLower.includes(flag));
-    if (hasCaffeine && !hasDecaf) {
-        result.slots.caffeine = true;
-    } else if (hasDecaf) {
-        result.slots.decaf = true;
+        const [first, ...rest] = meal.components.map(c => ({ ...c, slots: { ...c.slots, ...shared } }));
+        result.intent = first.intent;
+        result.confidence = 0.85;
+        result.slots = first.slots;
+        result.text = first.text;
+        result.meta.hasHeadNoun = true;
+        result.meal_components = rest;
+        console.log(`[NLU-V2] Meal split into ${meal.components.length} components`);
+        return result;
     }
+    // A single item keeps an explicit meal ("oatmeal for breakfast") over the time-of-day guess
+    if (meal.meal_time && !result.slots.meal_time) result.slots.meal_time = meal.meal_time;
 
     // ========== 6. INTENT CLASSIFICATION (Food vs Drink) ==========
     // Special case: smoothies/shakes are FOOD (not drink), even though they're liquid
@@ -592,7 +660,8 @@ function extractItemAndSides(text, originalText) {
         }
 
         // ========== STEP 8: Fallback to Compromise Noun Extraction ==========
-        if (!result.item && mainChunk) {
+        // (not for feelings: compromise tags "fine" in "feeling fine" as a noun)
+        if (!result.item && mainChunk && !FEELING_RE.test(mainChunk)) {
             const doc = compromise(mainChunk);
             const nouns = doc.nouns().out('array');
 
@@ -621,6 +690,190 @@ function extractItemAndSides(text, originalText) {
     }
 }
 
+/**
+ * Symptom a phrase names, canonicalised ("heartburn" → reflux, "symptoms" → any)
+ * @param {string} text - Lowercased phrase
+ * @returns {string|null} - Symptom type or null
+ */
+function symptomTypeOf(text) {
+    if (containsSynonym(text, REFLUX_KEYWORDS)) return 'reflux';
+    const keyword = SYMPTOM_KEYWORDS.find(k => text.includes(k));
+    if (keyword) return SYMPTOM_CANONICAL[keyword] || keyword;
+    if (/\b(symptoms?|issues|problems|flare[\s-]?ups?)\b/.test(text)) return 'any';
+    return null;
+}
+
+/**
+ * Split a message into what it negates and what's left. Negation covers the
+ * rest of its clause (clauses end at punctuation or "but"), including lists:
+ * "no reflux or bloating today" negates both.
+ *
+ * @param {string} text - Lowercased text
+ * @returns {Object|null} - { symptoms: [type], skipped: [item], rest } or null if nothing is negated
+ *
+ * @example
+ * parseNegation('had eggs and toast, skipped the coffee')
+ * // { symptoms: [], skipped: ['coffee'], rest: 'had eggs and toast' }
+ */
+function parseNegation(text) {
+    if (!hasNegation(text) && !SYMPTOM_FREE_RE.test(text)) return null;
+
+    const symptoms = [];
+    const skipped = [];
+    const kept = [];
+
+    for (const clause of text.split(/\s*(?:[,;.!]+|\bbut\b)\s*/)) {
+        if (SYMPTOM_FREE_RE.test(clause)) {
+            symptoms.push('any');
+            continue;
+        }
+
+        const match = clause.match(NEGATION_SCOPE_RE);
+        if (!match) {
+            if (clause) kept.push(clause);
+            continue;
+        }
+
+        const before = clause.slice(0, match.index).replace(/\s*\b(?:and|or|with)\s*$|\s*&\s*$/i, '').trim();
+        if (before) kept.push(before);
+
+        const span = clause.slice(match.index + match[0].length)
+            .replace(MEAL_SUFFIX_RE, '')
+            .replace(NEGATION_FILLER_RE, ' ');
+        for (const target of span.split(/\s+(?:and|or|nor|&)\s+/i)) {
+            const phrase = target.replace(LEADING_ARTICLE_RE, '').replace(/\s+/g, ' ').trim();
+            if (!phrase || NOT_A_TARGET.test(phrase)) continue;
+            const type = symptomTypeOf(phrase);
+            if (type) symptoms.push(type);
+            else skipped.push(phrase);
+        }
+    }
+
+    if (symptoms.length === 0 && skipped.length === 0) return null;
+    return { symptoms: [...new Set(symptoms)], skipped, rest: kept.join(', ') };
+}
+
+/**
+ * Whether text left over after negation still names something to log
+ * @param {string} text - Lowercased text
+ * @returns {boolean}
+ */
+function hasLoggableContent(text) {
+    if (!text) return false;
+    return hasHeadNoun(text) || isBeverage(text) || symptomTypeOf(text) !== null ||
+        text.split(/\s+/).some(tok => BM_KEYWORDS.has(tok));
+}
+
+/**
+ * Spell-correct against the shared food vocabulary and the user's own logged items
+ * @param {string} text - Raw text
+ * @param {Object} vocabulary - vocabularyFor() result
+ * @returns {Object} - { text, corrections: [{ original, corrected }] }
+ */
+function spellCorrect(text, vocabulary = vocabularyFor()) {
+    const { corrected, corrections } = correctWithVocabulary(text, vocabulary);
+    return { text: corrected, corrections };
+}
+
+/**
+ * Set dairy/non_dairy and caffeine/decaf flags from text
+ * @param {string} lower - Lowercased text
+ * @param {Object} slots - Slots to tag (mutated)
+ */
+function tagDietFlags(lower, slots) {
+    const hasDairy = DAIRY_ITEMS.some(item => lower.includes(item));
+    const hasNonDairy = NON_DAIRY_ITEMS.some(item => lower.includes(item));
+    if (hasDairy && !hasNonDairy) {
+        slots.dairy = true;
+    } else if (hasNonDairy) {
+        slots.non_dairy = true;
+    }
+
+    const hasCaffeine = CAFFEINATED_ITEMS.some(item => lower.includes(item));
+    const hasDecaf = DECAF_FLAGS.some(flag => lower.includes(flag));
+    if (hasCaffeine && !hasDecaf) {
+        slots.caffeine = true;
+    } else if (hasDecaf) {
+        slots.decaf = true;
+    }
+}
+
+/**
+ * Split a list of foods/drinks eaten together into one component each.
+ * Commas always separate items; "and"/"&" only outside a with-clause, which
+ * stays on its item as sides ("oatmeal with berries and nuts" is one item).
+ * Only splits when every piece is a food or drink on its own, so
+ * "mac and cheese" stays one dish.
+ *
+ * @param {string} text - Cleaned text
+ * @param {Object} [vocabulary] - Spell-correction vocabulary for item names
+ * @returns {Object} - { meal_time, components: [{ intent, confidence, slots, missing, text }] } (text = the words the item came from)
+ *
+ * @example
+ * splitMealComponents('eggs, toast and a latte for breakfast')
+ * // { meal_time: 'breakfast', components: [eggs (food), toast (food), latte (drink)] }
+ */
+function splitMealComponents(text, vocabulary) {
+    let body = text.trim().replace(/[.!]+$/, '');
+    let mealTime = null;
+
+    const suffix = body.match(MEAL_SUFFIX_RE);
+    if (suffix) {
+        mealTime = suffix[1].toLowerCase();
+        body = body.slice(0, suffix.index);
+    }
+    const prefix = body.match(MEAL_PREFIX_RE);
+    if (prefix) {
+        mealTime = prefix[1].toLowerCase();
+        body = body.slice(prefix[0].length);
+    }
+    body = body.replace(LEADING_VERB_RE, '');
+
+    const parts = body.split(/\s*,\s*(?:and\s+|&\s+)?/)
+        .flatMap(chunk => /\bwith\b/i.test(chunk) ? [chunk] : chunk.split(/\s+(?:and|&)\s+/i))
+        .map(part => part.replace(LEADING_ARTICLE_RE, '').trim())
+        .filter(Boolean)
+        .map(part => {
+            const [main, ...rest] = part.split(/\s+with\s+/i);
+            return { main: main.trim(), sides: rest.join(' with ').trim() || null };
+        });
+
+    if (parts.length < 2 || !parts.every(({ main }) => hasHeadNoun(main) || isBeverage(main))) {
+        return { meal_time: mealTime, components: [] };
+    }
+
+    const components = parts.map(({ main, sides }) => {
+        const lower = main.toLowerCase();
+        const isDrink = isBeverage(lower) && !/\b(smoothie|shake)\b/.test(lower);
+        // Drinks keep their full name ("iced oat latte"); foods go through the usual item extraction
+        const slots = { item: isDrink ? main : (extractItemAndSides(spellCorrect(main, vocabulary).text, main).item || main) };
+
+        if (sides) slots.sides = sides;
+        const category = inferCategory(slots.item);
+        if (category) slots.category = category;
+        const prep = inferPrep(lower);
+        if (prep) slots.prep = prep;
+        tagDietFlags(`${lower} ${sides || ''}`, slots);
+
+        const portion = extractPortion(main, 'food');
+        if (portion) {
+            slots.portion = portion.raw;
+            if (portion.normalized_g) slots.portion_g = portion.normalized_g;
+            if (portion.normalized_ml) slots.portion_ml = portion.normalized_ml;
+        }
+
+        return {
+            intent: isDrink ? 'drink' : 'food',
+            confidence: 0.85,
+            slots,
+            missing: [],
+            text: main
+        };
+    });
+
+    return { meal_time: mealTime, components };
+}
+
 /**
  * Choose item from head noun with 2-token context
  * @param {string} src - Source text chunk
@@ -655,6 +908,71 @@ function hasHeadNoun(text) {
     return HEAD_NOUNS.some(noun => lower.includes(noun));
 }
 
+/**
+ * Detect a correction to an earlier entry
+ * @param {string} text - Lowercased user input
+ * @returns {Object|null} - { new_value, old_value?, edit_target? } or null
+ *
+ * @example
+ * parseEditRequest('actually it was oat milk, not whole milk')
+ * // { new_value: 'oat milk', old_value: 'whole milk' }
+ * parseEditRequest('change my lunch to a burrito')
+ * // { new_value: 'a burrito', edit_target: 'lunch' }
+ */
+function parseEditRequest(text) {
+    const t = text.trim().replace(/[.!]+$/, '');
+
+    for (const pattern of [...EDIT_PATTERNS, ...LOOSE_EDIT_PATTERNS]) {
+        const match = pattern.exec(t);
+        if (!match) continue;
+
+        const { value, target, subject } = match.groups;
+        if (LOOSE_EDIT_PATTERNS.includes(pattern) && !isCorrectionValue(value.trim(), (subject || '').trim())) return null;
+        const slots = {};
+
+        // "X, not Y" / "X instead of Y"
+        const swap = EDIT_SWAP_RE.exec(value.trim());
+        slots.new_value = (swap ? swap[1] : value).trim();
+        if (swap) slots.old_value = swap[2].trim();
+
+        const ref = (target || subject || '').trim();
+        if (EDIT_TARGETS.includes(ref)) {
+            slots.edit_target = ref;
+        } else if (ref && !['that', 'it', 'entry', 'meal', 'one'].includes(ref) && !slots.old_value) {
+            slots.old_value = ref;
+        }
+
+        return slots.new_value ? slots : null;
+    }
+
+    return null;
+}
+
+/**
+ * Whether "<subject> was actually <value>" corrects an entry: an explicit swap
+ * ("oat milk, not whole milk"), a new severity for a symptom, or a new food,
+ * drink, amount or calorie count for a food/drink or meal
+ * @param {string} value - Text after "actually"
+ * @param {string} subject - What was named before "was" ('' for "that"/"it")
+ * @returns {boolean}
+ *
+ * @example
+ * isCorrectionValue('2 slices', 'pizza')              // true
+ * isCorrectionValue('great, no symptoms', 'dinner')   // false
+ * isCorrectionValue('worse after dinner', 'reflux')   // false
+ */
+function isCorrectionValue(value, subject) {
+    if (EDIT_SWAP_RE.test(value)) return true;
+
+    const isSeverity = /^\d{1,2}(\s*\/\s*10)?$/.test(value) || ADJECTIVE_SEVERITY[value] !== undefined;
+    if (['symptom', 'reflux'].includes(subject) || symptomTypeOf(subject) !== null) return isSeverity;
+
+    const isFood = (text) => hasHeadNoun(text) || isBeverage(text);
+    const isAmount = /^\d/.test(value) || extractPortion(value) !== null;
+    if (!subject || EDIT_TARGETS.includes(subject)) return isFood(value) || isAmount || (!subject && isSeverity);
+    return isFood(subject) && (isFood(value) || isAmount);
+}
+
 /**
  * Calculate a simple complexity score for a user's message.
  * @param {string} text - The user input.
@@ -688,7 +1006,11 @@ function calculateComplexity(text) {
 module.exports = {
     rulesParse,
     extractItemAndSides,
+    splitMealComponents,
+    parseNegation,
     chooseItemFromHeadNoun,
     hasHeadNoun,
-    calculateComplexity
+    calculateComplexity,
+    parseEditRequest,
+    tagDietFlags
 };
@@ -2,6 +2,9 @@
  * NLU Understanding Layer V2
  * Decision logic with strict/lenient gating, LLM pinch, and secondary intent support
  *
+ * A phrase the user has already clarified (contextMemory lexicon) is parsed
+ * with its learned intent and accepted without asking again.
+ *
  * Confidence Tiers:
  * - Strict (≥0.80): Accept immediately
  * - Lenient (≥0.72): Accept if has head noun + time/meal
@@ -12,11 +15,15 @@
 const { rulesParse, calculateComplexity } = require('./rules-v2');
 const { CONFIDENCE_THRESHOLDS, isMinimalCoreFood } = require('./ontology-v2');
 const { llmPinch } = require('./llmPinch');
+const { INTENT_SCHEMA } = require('./pinchSchema');
 const { record } = require('./metrics-v2');
+const { lookupPhrase } = require('../utils/contextMemory');
+const missLog = require('./missLog');
 
 // Metrics tracking
 let metrics = {
     total: 0,
+    lexicon: 0,
     strict: 0,
     lenient: 0,
     rescued: { swap: 0, beverage: 0, llm: 0 },
@@ -27,16 +34,19 @@ let metrics = {
 /**
  * Main NLU entry point
  * @param {string} text - The user's message
- * @param {Object} options - { userId, tz, forcedIntent }
+ * @param {Object} options - { userId, tz, forcedIntent, locale }
  * @param {Object} contextMemory - The user's context memory
  * @returns {Promise<Object>} The final parse result
  */
 async function understand(text, options = {}, contextMemory) {
-    const { userId, tz = 'America/Los_Angeles', forcedIntent } = options;
+    const { userId, tz = 'America/Los_Angeles', forcedIntent, locale } = options;
     const startTime = Date.now();
 
+    // 0. Learned phrasing from the user's own clarification answers
+    const learned = userId && !forcedIntent ? lookupPhrase(userId, text) : null;
+
     // 1. Rules-based parse (always runs)
-    const rulesResult = rulesParse(text, { tz, forcedIntent });
+    const rulesResult = rulesParse(text, { tz, forcedIntent: forcedIntent || learned?.intent, locale, userId });
 
     // Verify V2 is active
     if (metrics.total === 1) {
@@ -45,20 +55,43 @@ async function understand(text, options = {}, contextMemory) {
 
     console.log(`[NLU-V2] Rules parse: intent=${rulesResult.intent}, conf=${rulesResult.confidence.toFixed(2)}, hasHeadNoun=${rulesResult.meta.hasHeadNoun}`);
 
+    // Snapshot before any merge, for the miss log
+    const rulesSnapshot = { ...rulesResult, slots: { ...rulesResult.slots }, missing: [...rulesResult.missing] };
+    const miss = (final) => {
+        missLog.recordMiss({ text, userId, rules: rulesSnapshot, final });
+        return final;
+    };
+
     // Critical slots per intent
     const CRITICAL_SLOTS = {
         food: ['item'],
         drink: ['item'],
         symptom: ['severity'],
         reflux: ['severity'],
-        bm: ['bristol']
+        bm: ['bristol'],
+        edit: ['new_value']
     };
 
+    if (learned) {
+        // Some rules paths return before the forced-intent override
+        rulesResult.intent = learned.intent;
+        Object.assign(rulesResult.slots, learned.slots);
+        rulesResult.missing = rulesResult.missing.filter(slot => !rulesResult.slots[slot]);
+    }
+
     const criticalMissing = CRITICAL_SLOTS[rulesResult.intent] || [];
     const hasCriticalMissing = criticalMissing.some(slot => rulesResult.missing.includes(slot));
 
     // ========== DECISION TREE ==========
 
+    // 0. Learned phrase: the user already told us what this means
+    if (learned && !hasCriticalMissing) {
+        metrics.lexicon++;
+        rulesResult.confidence = Math.max(rulesResult.confidence, 0.85);
+        console.log(`[NLU-V2] Lexicon accept: "${text}" → ${learned.intent}`);
+        return formatResult(rulesResult, 'lexicon');
+    }
+
     // 1. Strict Accept (≥0.80 confidence, no missing critical)
     if (rulesResult.confidence >= CONFIDENCE_THRESHOLDS.strict && !hasCriticalMissing) {
         metrics.strict++;
@@ -112,12 +145,12 @@ async function understand(text, options = {}, contextMemory) {
                 if (llmActions.length > 1) {
                     const primaryAction = llmActions[0];
                     primaryAction.multi_actions = llmActions.slice(1);
-                    return formatResult(primaryAction, 'rescued_llm_multi');
+                    return miss(formatResult(primaryAction, 'rescued_llm_multi'));
                 }
 
                 // Otherwise, merge the single action with the rules result
                 const merged = mergeLLMResults(rulesResult, llmActions[0]);
-                return formatResult(merged, 'rescued_llm');
+                return miss(formatResult(merged, 'rescued_llm'));
             }
         } catch (error) {
             console.log(`[NLU-V2] LLM pinch failed:`, error.message);
@@ -129,18 +162,18 @@ async function understand(text, options = {}, contextMemory) {
     if (hasCriticalMissing) {
         metrics.clarified++;
         console.log(`[NLU-V2] Requesting clarification for: ${rulesResult.missing.join(', ')}`);
-        return formatResult(rulesResult, 'needs_clarification');
+        return miss(formatResult(rulesResult, 'needs_clarification'));
     }
 
     // 7. Low Confidence Reject
     if (rulesResult.confidence < CONFIDENCE_THRESHOLDS.reject) {
         metrics.rejected++;
         console.log(`[NLU-V2] Rejected (conf=${rulesResult.confidence.toFixed(2)} < ${CONFIDENCE_THRESHOLDS.reject})`);
-        return formatResult(rulesResult, 'rejected');
+        return miss(formatResult(rulesResult, 'rejected'));
     }
 
     // Default: return as-is
-    return formatResult(rulesResult, 'default');
+    return miss(formatResult(rulesResult, 'default'));
 }
 
 /**
@@ -155,14 +188,17 @@ function formatResult(rulesResult, decision) {
 }
 
 /**
- * Merge LLM results with rules results (rules win on conflicts)
+ * Merge LLM results with rules results (rules win on conflicts).
+ * LLM actions arrive schema-checked; only slots the rules intent uses are taken.
  */
 function mergeLLMResults(rulesResult, llmResult) {
     const merged = { ...rulesResult };
+    const schema = INTENT_SCHEMA[rulesResult.intent] || {};
+    const llmSlots = Object.fromEntries(Object.entries(llmResult.slots || {}).filter(([key]) => schema[key]));
 
     // Merge slots (rules override)
     merged.slots = {
-        ...llmResult.slots,
+        ...llmSlots,
         ...rulesResult.slots // Rules win
     };
 
@@ -172,7 +208,8 @@ function mergeLLMResults(rulesResult, llmResult) {
         drink: ['item'],
         symptom: ['severity'],
         reflux: ['severity'],
-        bm: ['bristol']
+        bm: ['bristol'],
+        edit: ['new_value']
     };
 
     const criticalForIntent = CRITICAL_SLOTS[merged.intent] || [];
@@ -206,6 +243,7 @@ function getMetrics() {
 function resetMetrics() {
     metrics = {
         total: 0,
+        lexicon: 0,
         strict: 0,
         lenient: 0,
         rescued: { swap: 0, beverage: 0, llm: 0 },
@@ -0,0 +1,179 @@
+/**
+ * Correction Vocabulary
+ * The words spell correction may correct *to*: ontology foods and drinks,
+ * brand lexicon variants, calorie lookup keys, and every item the user has
+ * logged. Each word is weighted by how often the user has logged it, so the
+ * user's own "chai" wins over a generic "chia".
+ *
+ * Known words (stopwords, units, symptoms, meal and time words) are never
+ * corrected and never suggested, which keeps everyday English out of it.
+ */
+
+const ontology = require('./ontology-v2');
+const brandLexicon = require('../nutrition/brandLexicon');
+const LOOKUP = require('../calories/lookup.json');
+const { hasDeleted, getToken } = require('../utils/notes');
+
+const MIN_WORD_LENGTH = 3;
+
+// Everyday words that look like food words ("had" ~ "ham", "tea" ~ "tex")
+const COMMON_WORDS = [
+    'breakfast', 'lunch', 'dinner', 'snack', 'brunch', 'dessert', 'meal', 'meals',
+    'morning', 'afternoon', 'evening', 'night', 'tonight', 'today', 'yesterday', 'now', 'just', 'ago', 'earlier', 'later',
+    'hour', 'hours', 'minute', 'minutes', 'half', 'around', 'about',
+    'this', 'that', 'these', 'those', 'them', 'then', 'than', 'they', 'there', 'what', 'when', 'which',
+    'was', 'were', 'have', 'has', 'drink', 'eat', 'ate', 'another', 'again', 'same', 'more', 'less', 'much', 'many',
+    'without', 'plus', 'also', 'too', 'very', 'really', 'bit', 'little', 'lot', 'feel', 'feeling', 'felt',
+    'home', 'made', 'homemade', 'leftover', 'leftovers', 'side', 'sides', 'extra', 'large', 'medium', 'regular',
+    'hot', 'cold', 'iced', 'fresh', 'fried', 'baked', 'grilled', 'roasted', 'raw', 'plain', 'sweet', 'spicy',
+    'one', 'two', 'three', 'four', 'five', 'six', 'ten', 'dozen', 'couple', 'few'
+];
+
+// Per-user logged words: userId -> Map(word -> count)
+const userWords = new Map();
+const loadedUsers = new Set();
+
+let baseWords = null;
+let knownWords = null;
+
+/**
+ * Lowercase alphabetic words of a phrase, long enough to correct
+ * @param {string} phrase - Item, brand or lookup key
+ * @returns {string[]}
+ */
+function wordsOf(phrase) {
+    return String(phrase || '').toLowerCase().match(/[a-z][a-z']*/g)?.filter(w => w.length >= MIN_WORD_LENGTH) || [];
+}
+
+/**
+ * Words from the ontology, brand lexicon and calorie lookup (built once)
+ * @returns {Set<string>}
+ */
+function getBaseWords() {
+    if (baseWords) return baseWords;
+
+    const phrases = [
+        ...ontology.HEAD_NOUNS,
+        ...ontology.CEREAL_BRANDS,
+        ...Object.values(ontology.CEREAL_VARIANTS),
+        ...ontology.ALL_BEVERAGES,
+        ...ontology.OAT_MILK_BRANDS,
+        ...ontology.ALMOND_MILK_BRANDS,
+        ...ontology.CHAI_BRANDS,
+        ...ontology.RICE_VARIANTS,
+        ...ontology.GRAINS,
+        ...ontology.DAIRY_ITEMS,
+        ...ontology.NON_DAIRY_ITEMS,
+        ...ontology.CAFFEINATED_ITEMS,
+        ...ontology.MINIMAL_CORE_FOODS,
+        ...Object.keys(brandLexicon.OAT_MILK_VARIANTS),
+        ...Object.keys(brandLexicon.ALMOND_MILK_VARIANTS),
+        ...Object.keys(brandLexicon.DAIRY_MILK_VARIANTS),
+        ...Object.keys(brandLexicon.CHAI_VARIANTS),
+        ...Object.keys(brandLexicon.COFFEE_DRINKS),
+        ...Object.keys(brandLexicon.CEREAL_CALORIES),
+        ...Object.keys(LOOKUP)
+    ];
+
+    const known = getKnownWords();
+    baseWords = new Set(phrases.flatMap(wordsOf).filter(w => !known.has(w)));
+    return baseWords;
+}
+
+/**
+ * Words that are never corrected or suggested
+ * @returns {Set<string>}
+ */
+function getKnownWords() {
+    if (knownWords) return knownWords;
+
+    const units = Object.values(ontology.UNITS).flatMap(Object.keys);
+    knownWords = new Set([
+        ...ontology.STOPWORDS,
+        ...COMMON_WORDS,
+        ...units,
+        ...Object.keys(ontology.CAFE_SIZES),
+        ...Object.keys(ontology.ADJECTIVE_SEVERITY),
+        ...Object.keys(ontology.BRISTOL_ADJ),
+        ...Object.keys(ontology.BM_DESCRIPTORS),
+        ...ontology.BM_KEYWORDS,
+        ...Object.keys(ontology.SYMPTOM_CANONICAL).flatMap(wordsOf),
+        ...Object.values(ontology.SYMPTOM_CANONICAL).flatMap(wordsOf)
+    ].map(w => w.toLowerCase()));
+    return knownWords;
+}
+
+/**
+ * Count an item's words toward the user's vocabulary
+ * @param {string} userId - Discord user ID
+ * @param {string} item - Logged item (sides too)
+ * @param {number} times - How many times it was logged
+ */
+function recordItem(userId, item, times = 1) {
+    if (!userId) return;
+    if (!userWords.has(userId)) userWords.set(userId, new Map());
+    const counts = userWords.get(userId);
+    for (const word of wordsOf(item)) {
+        if (getKnownWords().has(word)) continue;
+        counts.set(word, (counts.get(word) || 0) + times);
+    }
+}
+
+/**
+ * Seed a user's vocabulary from their log (once per process)
+ * @param {string} userId - Discord user ID
+ * @param {Object} googleSheets - Storage service
+ * @param {string} sheetName - User's log tab
+ */
+async function loadUserVocabulary(userId, googleSheets, sheetName) {
+    if (!userId || loadedUsers.has(userId)) return;
+    loadedUsers.add(userId);
+
+    try {
+        const result = await googleSheets.getRows({}, sheetName);
+        if (!result.success) return;
+
+        let logged = 0;
+        for (const row of result.rows) {
+            if ((row.Type !== 'food' && row.Type !== 'drink') || hasDeleted(row.Notes)) continue;
+            recordItem(userId, row.Item);
+            const sides = getToken(row.Notes, 'sides');
+            if (sides) recordItem(userId, String(sides));
+            logged++;
+        }
+        console.log(`[VOCAB] Loaded ${userWords.get(userId)?.size || 0} words from ${logged} entries for ${userId}`);
+    } catch (error) {
+        loadedUsers.delete(userId);
+        console.warn('[VOCAB] Could not load user vocabulary:', error.message);
+    }
+}
+
+/**
+ * Correction dictionary for a user
+ * @param {string} [userId] - Discord user ID (omit for the shared vocabulary only)
+ * @returns {Object} - { words: Map(word -> weight), known: Set }; weight is 1 + times the user logged it
+ */
+function vocabularyFor(userId) {
+    const words = new Map([...getBaseWords()].map(w => [w, 1]));
+    for (const [word, count] of userWords.get(userId) || []) {
+        words.set(word, (words.get(word) || 1) + count);
+    }
+    return { words, known: getKnownWords() };
+}
+
+/**
+ * Forget a user's logged words (tests)
+ * @param {string} userId - Discord user ID
+ */
+function resetUser(userId) {
+    userWords.delete(userId);
+    loadedUsers.delete(userId);
+}
+
+module.exports = {
+    wordsOf,
+    recordItem,
+    loadUserVocabulary,
+    vocabularyFor,
+    resetUser
+};
@@ -0,0 +1,304 @@
+/**
+ * FODMAP Classification
+ * Low/medium/high FODMAP level for a logged item from a keyword table of
+ * common foods at a typical serving (after the Monash University lists),
+ * and which FODMAP groups put it there: fructans, GOS, lactose, fructose,
+ * polyols. Levels are per row (the item, its sides and a recipe's
+ * ingredients) and per multi-item meal, where FODMAPs stack: two
+ * moderate foods together count as a high meal.
+ *
+ * Also a rough sugar-alcohol (polyol) amount for items the nutrition
+ * database has no value for: sugar-free sweets and the fruits and
+ * vegetables that carry sorbitol or mannitol naturally.
+ */
+
+const { FODMAP_LEVELS: LEVELS } = require('../nlu/ontologyNotes');
+
+// term -> [level, group]; groups only matter for medium/high
+const FODMAP_FOODS = {
+    // Fructans
+    'garlic': ['high', 'fructans'],
+    'onion': ['high', 'fructans'],
+    'onions': ['high', 'fructans'],
+    'shallot': ['high', 'fructans'],
+    'leek': ['high', 'fructans'],
+    'wheat': ['high', 'fructans'],
+    'bread': ['high', 'fructans'],
+    'toast': ['high', 'fructans'],
+    'bagel': ['high', 'fructans'],
+    'pasta': ['high', 'fructans'],
+    'spaghetti': ['high', 'fructans'],
+    'noodles': ['medium', 'fructans'],
+    'couscous': ['high', 'fructans'],
+    'pizza': ['high', 'fructans'],
+    'sandwich': ['high', 'fructans'],
+    'burrito': ['high', 'fructans'],
+    'croissant': ['high', 'fructans'],
+    'cereal': ['medium', 'fructans'],
+    'rye': ['high', 'fructans'],
+    'barley': ['high', 'fructans'],
+    'inulin': ['high', 'fructans'],
+    'chicory': ['high', 'fructans'],
+    'artichoke': ['high', 'fructans'],
+    'asparagus': ['high', 'fructans'],
+    'watermelon': ['high', 'fructans'],
+    'pistachios': ['high', 'fructans'],
+    'cashews': ['high', 'fructans'],
+    'beetroot': ['medium', 'fructans'],
+    'brussels sprouts': ['medium', 'fructans'],
+    // GOS
+    'almonds': ['medium', 'gos'],
+    'beans': ['high', 'gos'],
+    'black beans': ['high', 'gos'],
+    'kidney beans': ['high', 'gos'],
+    'baked beans': ['high', 'gos'],
+    'chickpeas': ['high', 'gos'],
+    'hummus': ['high', 'gos'],
+    'lentils': ['medium', 'gos'],
+    'soy milk': ['high', 'gos'],
+    'falafel': ['high', 'gos'],
+    // Lactose
+    'milk': ['high', 'lactose'],
+    'ice cream': ['high', 'lactose'],
+    'yogurt': ['high', 'lactose'],
+    'yoghurt': ['high', 'lactose'],
+    'greek yogurt': ['medium', 'lactose'],
+    'cream cheese': ['medium', 'lactose'],
+    'ricotta': ['high', 'lactose'],
+    'cottage cheese': ['high', 'lactose'],
+    'custard': ['high', 'lactose'],
+    'latte': ['high', 'lactose'],
+    'cappuccino': ['high', 'lactose'],
+    'milkshake': ['high', 'lactose'],
+    // Fructose
+    'apple': ['high', 'fructose'],
+    'apples': ['high', 'fructose'],
+    'apple juice': ['high', 'fructose'],
+    'pear': ['high', 'fructose'],
+    'mango': ['high', 'fructose'],
+    'honey': ['high', 'fructose'],
+    'agave': ['high', 'fructose'],
+    'high fructose corn syrup': ['high', 'fructose'],
+    'figs': ['high', 'fructose'],
+    'juice': ['medium', 'fructose'],
+    'smoothie': ['medium', 'fructose'],
+    'soda': ['medium', 'fructose'],
+    // Polyols
+    'cauliflower': ['high', 'polyols'],
+    'mushroom': ['high', 'polyols'],
+    'mushrooms': ['high', 'polyols'],
+    'avocado': ['medium', 'polyols'],
+    'sweet potato': ['medium', 'polyols'],
+    'celery': ['medium', 'polyols'],
+    'cherries': ['high', 'polyols'],
+    'peach': ['high', 'polyols'],
+    'peaches': ['high', 'polyols'],
+    'plum': ['high', 'polyols'],
+    'plums': ['high', 'polyols'],
+    'prunes': ['high', 'polyols'],
+    'apricot': ['high', 'polyols'],
+    'nectarine': ['high', 'polyols'],
+    'blackberries': ['high', 'polyols'],
+    'sorbitol': ['high', 'polyols'],
+    'mannitol': ['high', 'polyols'],
+    'xylitol': ['high', 'polyols'],
+    'maltitol': ['high', 'polyols'],
+    'isomalt': ['high', 'polyols'],
+    'sugar free gum': ['high', 'polyols'],
+    'sugar free mints': ['high', 'polyols'],
+    'sugar free candy': ['high', 'polyols'],
+    'sugar free chocolate': ['high', 'polyols'],
+    'erythritol': ['low', null],
+    // Low at a normal serving
+    'rice': ['low', null],
+    'jasmine rice': ['low', null],
+    'oats': ['low', null],
+    'oatmeal': ['low', null],
+    'quinoa': ['low', null],
+    'potato': ['low', null],
+    'potatoes': ['low', null],
+    'sourdough': ['low', null],
+    'rice noodles': ['low', null],
+    'corn tortilla': ['low', null],
+    'eggs': ['low', null],
+    'egg': ['low', null],
+    'chicken': ['low', null],
+    'beef': ['low', null],
+    'pork': ['low', null],
+    'fish': ['low', null],
+    'salmon': ['low', null],
+    'tuna': ['low', null],
+    'shrimp': ['low', null],
+    'tofu': ['low', null],
+    'tempeh': ['low', null],
+    'carrot': ['low', null],
+    'carrots': ['low', null],
+    'spinach': ['low', null],
+    'lettuce': ['low', null],
+    'salad': ['low', null],
+    'cucumber': ['low', null],
+    'tomato': ['low', null],
+    'zucchini': ['low', null],
+    'bell pepper': ['low', null],
+    'bok choy': ['low', null],
+    'green beans': ['low', null],
+    'eggplant': ['low', null],
+    'ginger': ['low', null],
+    'banana': ['low', null],
+    'blueberries': ['low', null],
+    'strawberries': ['low', null],
+    'berries': ['low', null],
+    'orange': ['low', null],
+    'grapes': ['low', null],
+    'kiwi': ['low', null],
+    'pineapple': ['low', null],
+    'cheddar': ['low', null],
+    'parmesan': ['low', null],
+    'mozzarella': ['low', null],
+    'feta': ['low', null],
+    'butter': ['low', null],
+    'peanut butter': ['low', null],
+    'peanuts': ['low', null],
+    'walnuts': ['low', null],
+    'almond milk': ['low', null],
+    'oat milk': ['low', null],
+    'lactose free milk': ['low', null],
+    'coffee': ['low', null],
+    'espresso': ['low', null],
+    'tea': ['low', null],
+    'water': ['low', null],
+    'maple syrup': ['low', null],
+    'olive oil': ['low', null],
+    'broth': ['low', null]
+};
+
+// Modifiers that take a group out of everything else in the text ("lactose-free yogurt", "gluten free bread")
+const FREE_FROM = [
+    [/\blactose free\b/, 'lactose'],
+    [/\b(?:gluten free|gf)\b/, 'fructans']
+];
+
+// Rough grams of sugar alcohols per serving, for items the database has no value for
+const POLYOL_GRAMS = {
+    'sugar free gum': 1.5,
+    'sugar free mints': 2,
+    'sugar free candy': 10,
+    'sugar free chocolate': 12,
+    'sugar free syrup': 5,
+    'keto bar': 10,
+    'protein bar': 5,
+    'pear': 3,
+    'apple': 1,
+    'peach': 1,
+    'plum': 1,
+    'prunes': 6,
+    'cherries': 1,
+    'mushrooms': 1,
+    'cauliflower': 1,
+    'avocado': 0.5
+};
+
+const FOOD_TERMS = Object.keys(FODMAP_FOODS).sort((a, b) => b.length - a.length);
+
+/**
+ * Lowercase, with hyphens and extra spaces flattened ("Sugar-Free  gum" -> "sugar free gum")
+ * @param {string} text - Item text
+ * @returns {string}
+ */
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/[-_]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Escape a term for use in a RegExp
+ * @param {string} term - Lexicon term
+ * @returns {string}
+ */
+function escapeTerm(term) {
+    return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Combine levels the way FODMAPs add up in one sitting: any high, or two
+ * mediums, makes it high
+ * @param {Array<string|null>} levels - Item levels (null = unknown)
+ * @returns {string|null} - 'low' | 'medium' | 'high', or null if none are known
+ */
+function combineLevels(levels) {
+    const known = levels.filter(l => LEVELS.includes(l));
+    if (known.length === 0) return null;
+    if (known.includes('high')) return 'high';
+    const mediums = known.filter(l => l === 'medium').length;
+    if (mediums >= 2) return 'high';
+    return mediums ? 'medium' : 'low';
+}
+
+/**
+ * FODMAP level of an item, its sides and (for recipes) its ingredients
+ * @param {Array<string>|string} texts - Item text(s)
+ * @returns {Object|null} - { level, groups: string[] } or null if nothing in it is known
+ *
+ * @example
+ * classifyFodmap(['toast', 'peanut butter'])   // { level: 'high', groups: ['fructans'] }
+ * classifyFodmap('lactose-free yogurt')        // { level: 'low', groups: [] }
+ */
+function classifyFodmap(texts) {
+    const levels = [];
+    const groups = new Set();
+
+    for (const raw of [].concat(texts || [])) {
+        let text = normalize(raw);
+        const freeFrom = FREE_FROM.filter(([pattern]) => pattern.test(text)).map(([, group]) => group);
+
+        // Longest terms first, and each match blanked out, so "oat milk" isn't also "milk"
+        for (const term of FOOD_TERMS) {
+            const pattern = new RegExp(`\\b${escapeTerm(term)}\\b`, 'g');
+            if (!pattern.test(text)) continue;
+            text = text.replace(pattern, ' ');
+
+            const [level, group] = FODMAP_FOODS[term];
+            if (group && freeFrom.includes(group)) {
+                levels.push('low');
+            } else {
+                levels.push(level);
+                if (group && level !== 'low') groups.add(group);
+            }
+        }
+    }
+
+    const level = combineLevels(levels);
+    return level ? { level, groups: [...groups] } : null;
+}
+
+/**
+ * FODMAP level of a meal from its rows' levels
+ * @param {Array<Object|null>} classified - classifyFodmap() results, one per row
+ * @returns {Object|null} - { level, groups } or null if no row is known
+ */
+function mealFodmap(classified) {
+    const known = classified.filter(Boolean);
+    const level = combineLevels(known.map(c => c.level));
+    return level ? { level, groups: [...new Set(known.flatMap(c => c.groups))] } : null;
+}
+
+/**
+ * Rough sugar-alcohol grams for an item the database had no value for
+ * @param {string} text - Item text
+ * @param {number} servings - Servings eaten
+ * @returns {number|null} - Grams, or null if it isn't a known polyol source
+ */
+function polyolGrams(text, servings = 1) {
+    const t = normalize(text);
+    const term = Object.keys(POLYOL_GRAMS)
+        .sort((a, b) => b.length - a.length)
+        .find(k => new RegExp(`\\b${escapeTerm(k)}s?\\b`).test(t));
+    return term ? Math.round(POLYOL_GRAMS[term] * servings * 10) / 10 : null;
+}
+
+module.exports = {
+    LEVELS,
+    combineLevels,
+    classifyFodmap,
+    mealFodmap,
+    polyolGrams
+};
@@ -0,0 +1,319 @@
+/**
+ * Offline Nutrition Database
+ * Indexed local food table built by scripts/importNutrition.js from a USDA
+ * FoodData Central dump. Each food has macros per 100 g and the standard
+ * portions FDC lists for it ("1 cup, chopped" = 150 g), so an item like
+ * "2 slices whole wheat bread" can be turned into grams and calories
+ * without the LLM.
+ *
+ * Table file (.data/nutrition.json, override with NUTRITION_DB_PATH):
+ *   { source, importedAt, count, foods: [{ id, name, dataType, per100g: { kcal, protein, carbs, fat, fiber, sugar, sugarAlcohols, sodium }, portions: [{ amount, unit, label, grams }] }] }
+ *
+ * Lookups are fuzzy: every word of the item must match a word of the food's
+ * description (plural-insensitive, small typos allowed), and among the
+ * matches the closest, plainest description wins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { jaroWinkler } = require('../utils/spell');
+const { UNITS, UNICODE_FRACTIONS } = require('../nlu/ontology-v2');
+const { PORTION_TO_GRAMS } = require('./portionParser');
+
+const DEFAULT_DB_PATH = process.env.NUTRITION_DB_PATH || path.join(process.cwd(), '.data', 'nutrition.json');
+
+// Words that say nothing about which food it is
+const QUERY_NOISE = new Set(['a', 'an', 'the', 'of', 'some', 'with', 'and', 'my', 'bowl', 'plate', 'serving', 'piece']);
+
+// Description words that usually mean "not what the user ate" unless they said so
+const UNLIKELY_FORMS = ['dry', 'dried', 'dehydrated', 'powder', 'frozen', 'canned', 'babyfood', 'infant', 'toddler', 'unprepared', 'concentrate', 'raw'];
+
+// Spoken quantities at the start of an item
+const WORD_NUMBERS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, half: 0.5, couple: 2 };
+
+// Count words that also name the food ("2 eggs")
+const NAMING_UNITS = new Set(['egg', 'eggs', 'muffin', 'muffins', 'bar', 'bars']);
+
+const FUZZY_MATCH = 0.92;
+
+let table = null;
+let index = null;
+let opened = false;
+
+/**
+ * Singular, lowercase form of a word ("berries" -> "berry", "eggs" -> "egg")
+ * @param {string} word
+ * @returns {string}
+ */
+function stem(word) {
+    const w = word.toLowerCase();
+    if (w.length > 4 && w.endsWith('ies')) return w.slice(0, -3) + 'y';
+    if (w.length > 4 && /(?:oes|ches|shes|xes)$/.test(w)) return w.slice(0, -2);
+    if (w.length > 3 && w.endsWith('s') && !w.endsWith('ss')) return w.slice(0, -1);
+    return w;
+}
+
+/**
+ * Stemmed words of a description or query
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[a-z][a-z']*/g) || []).map(stem);
+}
+
+/**
+ * Build the word -> food positions index for a table
+ * @param {Object} data - Table object
+ * @returns {Map<string, number[]>}
+ */
+function buildIndex(data) {
+    const built = new Map();
+    data.foods.forEach((food, i) => {
+        for (const word of new Set(tokenize(food.name))) {
+            if (!built.has(word)) built.set(word, []);
+            built.get(word).push(i);
+        }
+    });
+    return built;
+}
+
+/**
+ * Use a table (from a file path or an object); later lookups go against it
+ * @param {string|Object|null} source - Table file, table object, or null to unload
+ * @returns {boolean} - True if a table with foods is loaded
+ */
+function open(source) {
+    opened = true;
+    table = null;
+    index = null;
+    if (!source) return false;
+
+    try {
+        const data = typeof source === 'string' ? JSON.parse(fs.readFileSync(source, 'utf8')) : source;
+        if (!Array.isArray(data?.foods)) return false;
+        table = data;
+        index = buildIndex(data);
+        console.log(`[FOODDB] Loaded ${data.foods.length} foods (${data.source || 'unknown source'})`);
+        return data.foods.length > 0;
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.warn('[FOODDB] Could not load nutrition table:', error.message);
+        return false;
+    }
+}
+
+/**
+ * The loaded table, opening the default file on first use
+ * @returns {Object|null}
+ */
+function getTable() {
+    if (!opened) open(DEFAULT_DB_PATH);
+    return table;
+}
+
+/**
+ * Write a table to disk
+ * @param {Object} data - Table object
+ * @param {string} filePath - Destination (default: the bot's table)
+ */
+function save(data, filePath = DEFAULT_DB_PATH) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data), 'utf8');
+}
+
+/**
+ * Index words matching one query word: exact, or a close spelling
+ * @param {string} word - Stemmed query word
+ * @returns {number[]} - Food positions
+ */
+function positionsFor(word) {
+    if (index.has(word)) return index.get(word);
+
+    const positions = [];
+    for (const [key, foods] of index) {
+        if (key[0] !== word[0] || Math.abs(key.length - word.length) > 2) continue;
+        if (jaroWinkler(word, key) >= FUZZY_MATCH) positions.push(...foods);
+    }
+    return positions;
+}
+
+/**
+ * Rank a candidate description against the query
+ * @param {Object} food - Table food
+ * @param {string[]} queryWords - Stemmed query words
+ * @returns {number}
+ */
+function scoreFood(food, queryWords) {
+    const nameWords = tokenize(food.name);
+    const head = tokenize(food.name.split(',')[0]);
+
+    let score = 1 - 0.03 * Math.max(0, nameWords.length - queryWords.length);
+    // "Bananas, raw" for "banana": the food's own name is what was asked for
+    if (head.every(w => queryWords.includes(w))) score += 0.3;
+    else if (queryWords.includes(head[0])) score += 0.15;
+    if (nameWords.includes('cooked')) score += 0.05;
+    for (const form of UNLIKELY_FORMS) {
+        if (nameWords.includes(form) && !queryWords.includes(form)) score -= form === 'raw' ? 0.02 : 0.2;
+    }
+    return score;
+}
+
+/**
+ * Fuzzy search the table
+ * @param {string} query - Food name ("greek yogurt", "chiken breast")
+ * @param {number} limit - Max results
+ * @returns {Array<Object>} - [{ food, score }] best first
+ */
+function search(query, limit = 5) {
+    if (!getTable()) return [];
+
+    const words = [...new Set(tokenize(query).filter(w => !QUERY_NOISE.has(w)))];
+    if (!words.length) return [];
+
+    // Every query word has to appear in the description
+    let candidates = null;
+    for (const word of words) {
+        const found = new Set(positionsFor(word));
+        candidates = candidates ? new Set([...candidates].filter(i => found.has(i))) : found;
+        if (!candidates.size) return [];
+    }
+
+    return [...candidates]
+        .map(i => ({ food: table.foods[i], score: scoreFood(table.foods[i], words) }))
+        .sort((a, b) => b.score - a.score || a.food.name.length - b.food.name.length)
+        .slice(0, limit);
+}
+
+/**
+ * Split a leading amount off an item ("2 cups rice", "200g chicken", "half an avocado")
+ * @param {string} text - Item text, possibly with a quantity
+ * @returns {Object} - { qty: number|null, unit: string|null, rest: string }
+ */
+function parseAmount(text) {
+    let rest = String(text || '').toLowerCase().trim();
+    let qty = null;
+
+    const number = rest.match(/^(\d+\/\d+|\d+(?:\.\d+)?|[¼½¾⅓⅔⅛⅜⅝⅞⅕⅖⅗⅘])\s*/);
+    const spoken = rest.match(/^([a-z]+)\s+/);
+    if (number) {
+        const raw = number[1];
+        qty = UNICODE_FRACTIONS[raw] || (raw.includes('/') ? raw.split('/').reduce((n, d) => n / d) : parseFloat(raw));
+        rest = rest.slice(number[0].length);
+    } else if (spoken && WORD_NUMBERS[spoken[1]] !== undefined) {
+        qty = WORD_NUMBERS[spoken[1]];
+        rest = rest.slice(spoken[0].length).replace(/^(?:an?|of)\s+/, '');
+    }
+
+    let unit = null;
+    const unitMatch = rest.match(/^(fl oz|[a-z]+)\b\.?\s*(?:of\s+)?/);
+    if (qty !== null && unitMatch) {
+        const word = unitMatch[1];
+        const knownUnit = UNITS.mass_g[word] || UNITS.volume_ml[word] || UNITS.count[word] || PORTION_TO_GRAMS[word];
+        const sized = ['small', 'medium', 'large', 'whole', 'extra'].includes(word);
+        if (knownUnit || sized) {
+            unit = word;
+            // "2 eggs" names the food as well as counting it
+            if (!NAMING_UNITS.has(word)) rest = rest.slice(unitMatch[0].length);
+        }
+    }
+
+    return { qty, unit, rest: rest.trim() };
+}
+
+/**
+ * "1 cup, chopped" or "2 × 1 cup, chopped"
+ * @param {number} count - How many portions
+ * @param {Object} portion - Table portion
+ * @returns {string}
+ */
+function portionLabel(count, portion) {
+    return count === (portion.amount || 1) ? portion.label : `${count} × ${portion.label}`;
+}
+
+/**
+ * Grams for an amount of a food: FDC portions first, then unit conversions
+ * @param {Object} food - Table food
+ * @param {Object} amount - parseAmount() result
+ * @returns {Object} - { grams, label }
+ */
+function gramsFor(food, { qty, unit }) {
+    const portions = food.portions || [];
+    const count = qty ?? 1;
+
+    if (unit && UNITS.mass_g[unit]) {
+        return { grams: count * UNITS.mass_g[unit], label: `${count} ${unit}` };
+    }
+
+    if (unit) {
+        const unitStem = stem(unit);
+        const portion = portions.find(p => tokenize(p.label).includes(unitStem));
+        if (portion) return { grams: (count / (portion.amount || 1)) * portion.grams, label: portionLabel(count, portion) };
+        if (UNITS.volume_ml[unit]) return { grams: count * UNITS.volume_ml[unit], label: `${count} ${unit}` };
+        if (PORTION_TO_GRAMS[unit]) return { grams: count * PORTION_TO_GRAMS[unit], label: `${count} ${unit}` };
+    }
+
+    if (portions.length) {
+        const portion = portions[0];
+        return { grams: (count / (portion.amount || 1)) * portion.grams, label: portionLabel(count, portion) };
+    }
+    return { grams: count * 100, label: `${count * 100} g` };
+}
+
+/**
+ * Look up an item in the table and scale it to the amount eaten
+ * @param {string} item - Item text, may start with an amount ("2 slices toast")
+ * @param {string} [quantity] - Separate amount ("1.5 cups"), used when the item has none
+ * @returns {Object|null} - { id, name, grams, portion, calories, protein, carbs, fat, fiber, sugar, sugarAlcohols, sodium, score } or null
+ *
+ * @example
+ * lookup('2 large eggs') // { name: 'Egg, whole, cooked, hard-boiled', grams: 100, portion: '2 × 1 large', calories: 155, ... }
+ */
+function lookup(item, quantity = null) {
+    if (!getTable()) return null;
+
+    let amount = parseAmount(item);
+    if (amount.qty === null && quantity) {
+        const separate = parseAmount(quantity);
+        if (separate.qty !== null) amount = { ...separate, rest: amount.rest };
+    }
+
+    const [best] = search(amount.rest, 1);
+    if (!best) return null;
+
+    const { food, score } = best;
+    const { grams, label } = gramsFor(food, amount);
+    const factor = grams / 100;
+    const scaled = (key, digits = 1) => {
+        const value = food.per100g?.[key];
+        if (value === null || value === undefined) return null;
+        const p = Math.pow(10, digits);
+        return Math.round(value * factor * p) / p;
+    };
+
+    return {
+        id: food.id,
+        name: food.name,
+        grams: Math.round(grams),
+        portion: label,
+        calories: Math.round((food.per100g?.kcal || 0) * factor),
+        protein: scaled('protein'),
+        carbs: scaled('carbs'),
+        fat: scaled('fat'),
+        fiber: scaled('fiber'),
+        sugar: scaled('sugar'),
+        sugarAlcohols: scaled('sugarAlcohols'),
+        sodium: scaled('sodium', 0),
+        score: Math.round(score * 100) / 100
+    };
+}
+
+module.exports = {
+    DEFAULT_DB_PATH,
+    open,
+    save,
+    getTable,
+    search,
+    lookup,
+    parseAmount,
+    tokenize
+};
@@ -0,0 +1,104 @@
+/**
+ * GI Load
+ * The nutrients that matter for gut symptoms more than calories do: fiber,
+ * fat, sugar alcohols, sodium and FODMAP level. Each food/drink row stores
+ * its share in Notes (fiber_g=, sugar_alcohol_g=, sodium_mg=, fodmap=,
+ * fodmap_groups=, fodmap_meal=; see NOTES_SPEC.md), and the day's rows add
+ * up to the "GI load" line under the daily progress and in the evening recap.
+ */
+
+const { parseNotes } = require('../utils/notes');
+const { classifyFodmap, LEVELS } = require('./fodmap');
+
+/**
+ * FODMAP level of a row: its item, sides and, for a saved recipe, ingredients
+ * @param {Object} slots - Row slots (recipeSlots() already applied for recipes)
+ * @returns {Object|null} - { level, groups } or null if nothing in it is known
+ */
+function fodmapOf(slots) {
+    return classifyFodmap([slots.item, slots.sides, ...(slots.ingredients || [])].filter(Boolean));
+}
+
+/**
+ * Notes tokens for an entry's GI nutrients and FODMAP level
+ * @param {Object|null} estimate - estimateEntry() result
+ * @param {Object|null} fodmap - fodmapOf() result for the row
+ * @param {Object|null} [meal] - mealFodmap() result, for rows of a multi-item meal
+ * @returns {string[]} - e.g. ['fiber_g=3.1', 'sodium_mg=480', 'fodmap=high', 'fodmap_groups=fructans']
+ */
+function giTokens(estimate, fodmap, meal = null) {
+    const tokens = [];
+    if (estimate?.fiber !== null && estimate?.fiber !== undefined) tokens.push(`fiber_g=${estimate.fiber}`);
+    if (estimate?.sugarAlcohols !== null && estimate?.sugarAlcohols !== undefined) tokens.push(`sugar_alcohol_g=${estimate.sugarAlcohols}`);
+    if (estimate?.sodium !== null && estimate?.sodium !== undefined) tokens.push(`sodium_mg=${Math.round(estimate.sodium)}`);
+    if (fodmap) {
+        tokens.push(`fodmap=${fodmap.level}`);
+        if (fodmap.groups.length) tokens.push(`fodmap_groups=${fodmap.groups.join('|')}`);
+    }
+    if (meal) tokens.push(`fodmap_meal=${meal.level}`);
+    return tokens;
+}
+
+/**
+ * Add up the GI tokens of a day's rows
+ * @param {Array<Object>} entries - Sheet rows
+ * @returns {Object} - { fiber, sugarAlcohols, sodium, fodmapMeals: { low, medium, high }, tracked }
+ *   (nutrients are null when no row had them; a multi-item meal counts once, at its fodmap_meal level)
+ */
+function giTotals(entries) {
+    const totals = { fiber: null, sugarAlcohols: null, sodium: null, fodmapMeals: { low: 0, medium: 0, high: 0 }, tracked: false };
+    const meals = new Map();
+
+    for (const entry of entries || []) {
+        const notes = parseNotes(entry.Notes || entry.notes || '');
+        if (notes.getBool('deleted')) continue;
+
+        for (const [key, token] of [['fiber', 'fiber_g'], ['sugarAlcohols', 'sugar_alcohol_g'], ['sodium', 'sodium_mg']]) {
+            const value = parseFloat(notes.get(token));
+            if (Number.isFinite(value)) {
+                totals[key] = (totals[key] || 0) + value;
+                totals.tracked = true;
+            }
+        }
+
+        const level = notes.get('fodmap_meal') || notes.get('fodmap');
+        if (LEVELS.includes(level)) {
+            const meal = notes.get('meal_id') || entry.Timestamp || `row${meals.size}`;
+            const previous = meals.get(meal);
+            if (!previous || LEVELS.indexOf(level) > LEVELS.indexOf(previous)) meals.set(meal, level);
+        }
+    }
+
+    for (const level of meals.values()) totals.fodmapMeals[level]++;
+    if (meals.size) totals.tracked = true;
+    return totals;
+}
+
+/**
+ * One-line GI load summary
+ * @param {Object} totals - calculateDailyTotals() result (fat, plus gi from giTotals())
+ * @param {string} [label] - Line prefix ('' when the caller labels it)
+ * @returns {string} - e.g. "GI load: fiber 18 g · fat 62 g · sodium 1,840 mg · FODMAP meals: 1 high, 2 low", or '' if nothing was tracked
+ */
+function formatGiLoad(totals, label = 'GI load: ') {
+    const gi = totals?.gi;
+    if (!gi?.tracked) return '';
+
+    const parts = [];
+    if (gi.fiber !== null) parts.push(`fiber ${Math.round(gi.fiber)} g`);
+    if (totals.fat > 0) parts.push(`fat ${Math.round(totals.fat)} g`);
+    if (gi.sugarAlcohols !== null) parts.push(`sugar alcohols ${Math.round(gi.sugarAlcohols * 10) / 10} g`);
+    if (gi.sodium !== null) parts.push(`sodium ${Math.round(gi.sodium).toLocaleString()} mg`);
+
+    const meals = ['high', 'medium', 'low'].filter(l => gi.fodmapMeals[l] > 0).map(l => `${gi.fodmapMeals[l]} ${l}`);
+    if (meals.length) parts.push(`FODMAP meals: ${meals.join(', ')}`);
+
+    return `${label}${parts.join(' · ')}`;
+}
+
+module.exports = {
+    fodmapOf,
+    giTokens,
+    giTotals,
+    formatGiLoad
+};
@@ -0,0 +1,256 @@
+/**
+ * Saved Recipes
+ * Home-cooked dishes with a known ingredient list (profile.recipes), so
+ * "had a bowl of chicken congee" gets the same per-serving calories every
+ * time instead of a fresh guess, and its notes say what was in it.
+ *
+ * A recipe is valued once, when it's saved: each ingredient ("1 cup jasmine
+ * rice", "200 g chicken thigh") goes through the calorie pipeline and the
+ * total is divided by the number of servings. Its diet tokens come from the
+ * ingredients: dairy if any ingredient is, caffeine likewise, and the
+ * highest-precedence category among them.
+ */
+
+const { extractPortion } = require('./portionParser');
+const { parseAmount } = require('./foodDatabase');
+const { inferCategory, CATEGORY_PRECEDENCE } = require('../utils/categoryMapper');
+const { tagDietFlags } = require('../nlu/rules-v2');
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, half: 0.5, two: 2, three: 3, four: 4 };
+const SERVING_UNITS = String.raw`(?:bowls?|servings?|plates?|portions?|helpings?|cups?)`;
+const AMOUNT = String.raw`(\d+(?:\.\d+)?|\d+\/\d+|a|an|one|half(?:\s+an?)?|two|three|four)`;
+
+/**
+ * Key a recipe is stored under
+ * @param {string} name - Recipe name
+ * @returns {string}
+ */
+function recipeKey(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9\s'-]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Number from an amount word or numeral ("2", "1/2", "half a", "a")
+ * @param {string} text - Amount text
+ * @returns {number}
+ */
+function amountValue(text) {
+    const t = String(text || '').toLowerCase().trim();
+    const fraction = /^(\d+)\/(\d+)$/.exec(t);
+    if (fraction) return parseInt(fraction[1], 10) / parseInt(fraction[2], 10);
+    if (/^half/.test(t)) return 0.5;
+    return NUMBER_WORDS[t] ?? (parseFloat(t) || 1);
+}
+
+/**
+ * Servings in a portion of a recipe ("2 servings", "2 bowls" = 2; anything else counts as 1)
+ * @param {string|null} portionRaw - Portion text
+ * @returns {number}
+ */
+function servingsFrom(portionRaw) {
+    const match = new RegExp(String.raw`^${AMOUNT}\s*${SERVING_UNITS}?$`, 'i').exec(String(portionRaw || '').trim());
+    return match ? amountValue(match[1]) : 1;
+}
+
+/**
+ * Split `!recipe add` arguments into name, ingredients and servings
+ * @param {string} raw - e.g. `"chicken congee" 1 cup jasmine rice, 200 g chicken thigh; serves 4`
+ * @returns {Object|null} - { name, ingredients: string[], servings } or null without a name or ingredients
+ */
+function parseRecipeArgs(raw) {
+    const text = String(raw || '').trim();
+    const quoted = /^"([^"]+)"\s*:?\s*([\s\S]*)$/.exec(text) || /^([^:\n]+?)\s*[:\n]\s*([\s\S]*)$/.exec(text);
+    if (!quoted) return null;
+
+    let servings = 1;
+    const ingredients = [];
+    for (const piece of quoted[2].split(/\s*[,;\n]+\s*/)) {
+        const line = piece.replace(/^[-•*]\s*/, '').trim();
+        const serves = /^(?:serves|servings?|makes|yield)\s*:?\s*(\d+)(?:\s+servings?)?$/i.exec(line);
+        if (serves) {
+            servings = parseInt(serves[1], 10);
+        } else if (line) {
+            ingredients.push(line);
+        }
+    }
+
+    const name = quoted[1].trim();
+    return name && ingredients.length ? { name, ingredients, servings: Math.max(1, servings) } : null;
+}
+
+/**
+ * Value a recipe: estimate every ingredient and divide by servings
+ * @param {Object} recipe - { name, ingredients: string[], servings }
+ * @param {Object} deps - { estimateEntry }
+ * @returns {Promise<Object>} - Saved recipe shape:
+ *   { name, servings, ingredients: [{ text, item, calories, protein, carbs, fat, fiber, sugarAlcohols, sodium, source }], perServing, confidence, tags, unresolved, updated }
+ */
+async function buildRecipe({ name, ingredients, servings }, deps) {
+    const valued = [];
+    for (const text of ingredients) {
+        const estimate = await deps.estimateEntry({ item: text, portion: extractPortion(text, 'food') });
+        valued.push({
+            text,
+            item: parseAmount(text).rest,
+            calories: estimate?.calories ?? null,
+            protein: estimate?.protein ?? null,
+            carbs: estimate?.carbs ?? null,
+            fat: estimate?.fat ?? null,
+            fiber: estimate?.fiber ?? null,
+            sugarAlcohols: estimate?.sugarAlcohols ?? null,
+            sodium: estimate?.sodium ?? null,
+            source: estimate?.source ?? null,
+            confidence: estimate?.confidence ?? 'low'
+        });
+    }
+
+    const perServing = (key) => {
+        const values = valued.filter(i => i[key] !== null);
+        return values.length ? Math.round(values.reduce((sum, i) => sum + i[key], 0) / servings * 10) / 10 : null;
+    };
+    // Macros only if every valued ingredient has them, or they'd undercount the dish
+    const withCalories = valued.filter(i => i.calories !== null);
+    const hasMacros = withCalories.length > 0 && withCalories.every(i => i.protein !== null);
+    const unresolved = valued.filter(i => i.calories === null).map(i => i.text);
+
+    return {
+        name,
+        servings,
+        ingredients: valued.map(({ confidence, ...rest }) => rest),
+        perServing: {
+            calories: Math.round(perServing('calories') || 0),
+            protein: hasMacros ? perServing('protein') : null,
+            carbs: hasMacros ? perServing('carbs') : null,
+            fat: hasMacros ? perServing('fat') : null,
+            fiber: perServing('fiber'),
+            sugarAlcohols: perServing('sugarAlcohols'),
+            sodium: perServing('sodium')
+        },
+        confidence: unresolved.length ? 'low' : (valued.some(i => i.confidence !== 'high') ? 'medium' : 'high'),
+        tags: recipeTags(ingredients),
+        unresolved,
+        updated: new Date().toISOString()
+    };
+}
+
+/**
+ * Category and diet flags a dish inherits from its ingredients
+ * @param {Array<string>} ingredients - Ingredient lines
+ * @returns {Object} - { category?, dairy?, non_dairy?, caffeine?, decaf? }
+ */
+function recipeTags(ingredients) {
+    const flags = ingredients.map(text => {
+        const slots = {};
+        tagDietFlags(text.toLowerCase(), slots);
+        return slots;
+    });
+    const any = (flag) => flags.some(f => f[flag]);
+    const categories = ingredients.map(inferCategory).filter(Boolean);
+
+    const tags = {};
+    const category = CATEGORY_PRECEDENCE.find(c => categories.includes(c)) || categories[0];
+    if (category) tags.category = category;
+    if (any('dairy')) tags.dairy = true;
+    else if (any('non_dairy')) tags.non_dairy = true;
+    if (any('caffeine')) tags.caffeine = true;
+    else if (any('decaf')) tags.decaf = true;
+    return tags;
+}
+
+/**
+ * The saved recipe an item is exactly, if any
+ * @param {Object} recipes - profile.recipes
+ * @param {string} item - Item text
+ * @returns {Object|null}
+ */
+function recipeNamed(recipes, item) {
+    return recipes?.[recipeKey(item)] || null;
+}
+
+/**
+ * Find a saved recipe mentioned in a message, with how many servings
+ * @param {Object} recipes - profile.recipes
+ * @param {string} text - Message text ("had 2 bowls of chicken congee")
+ * @returns {Object|null} - { recipe, servings } (longest name wins; servings null if no amount was given)
+ */
+function findRecipeIn(recipes, text) {
+    const lower = String(text || '').toLowerCase().replace(/\s+/g, ' ');
+    const names = Object.keys(recipes || {}).sort((a, b) => b.length - a.length);
+
+    for (const name of names) {
+        const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const amount = String.raw`(?:\b${AMOUNT}\s+(?:${SERVING_UNITS}\s+)?(?:of\s+)?(?:(?:my|the)\s+)?)?`;
+        const match = new RegExp(String.raw`${amount}\b${escaped}\b`, 'i').exec(lower);
+        if (match) return { recipe: recipes[name], servings: match[1] ? amountValue(match[1]) : null };
+    }
+    return null;
+}
+
+/**
+ * Point the part of a parse that names a saved recipe at it: that item
+ * becomes the recipe (as food) and its amount becomes servings. In a
+ * multi-item meal only that part changes ("a latte and chicken congee"
+ * keeps the latte); pieces of a name the splitter cut up ("rice and beans")
+ * fold into the first piece.
+ * @param {Object} parseResult - NLU result (mutated)
+ * @param {string} text - Message text
+ * @param {Object} recipes - profile.recipes
+ * @returns {Object|null} - The recipe, or null if none was mentioned
+ */
+function applyRecipe(parseResult, text, recipes) {
+    const found = findRecipeIn(recipes, text);
+    if (!found) return null;
+
+    const { recipe } = found;
+    const only = { [recipeKey(recipe.name)]: recipe };
+    const parts = [parseResult, ...(parseResult.meal_components || [])];
+    // A single item came from the whole message; split parts carry their own words
+    const textOf = (part) => part.text || (parts.length === 1 ? text : '');
+    const isPieceOfName = (part) => {
+        const key = recipeKey(part.slots?.item);
+        return Boolean(key) && ` ${recipeKey(recipe.name)} `.includes(` ${key} `);
+    };
+
+    const named = parts.find(part => findRecipeIn(only, textOf(part)));
+    const target = named || parts.find(isPieceOfName);
+    if (!target || !['food', 'drink', 'other'].includes(target.intent)) return null;
+    if (!named && parseResult.meal_components) {
+        parseResult.meal_components = parseResult.meal_components.filter(c => c === target || !isPieceOfName(c));
+    }
+
+    const servings = (named && findRecipeIn(only, textOf(named)).servings) ?? found.servings;
+    const slots = target.slots;
+    target.intent = 'food';
+    target.confidence = Math.max(target.confidence || 0, 0.9);
+    target.missing = (target.missing || []).filter(slot => slot !== 'item');
+
+    slots.item = recipe.name;
+    delete slots.portion_g;
+    delete slots.portion_ml;
+    delete slots.portion_multiplier;
+    if (servings !== null) slots.portion = `${servings} ${servings === 1 ? 'serving' : 'servings'}`;
+    else delete slots.portion;
+
+    return recipe;
+}
+
+/**
+ * Slots a logged recipe adds to its row's notes: its name, what's in it and the inherited diet tokens
+ * @param {Object} recipe - Saved recipe
+ * @returns {Object} - { recipe, ingredients, category?, dairy?, ... }
+ */
+function recipeSlots(recipe) {
+    return { recipe: recipe.name, ingredients: recipe.ingredients.map(i => i.item), ...recipe.tags };
+}
+
+module.exports = {
+    recipeKey,
+    servingsFrom,
+    parseRecipeArgs,
+    buildRecipe,
+    recipeTags,
+    recipeNamed,
+    findRecipeIn,
+    applyRecipe,
+    recipeSlots
+};
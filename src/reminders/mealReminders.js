@@ -0,0 +1,116 @@
+/**
+ * After-Meal Calorie Reminder Subscriptions
+ * "ask me 30 min after every meal to log calories" stores a subscription on the
+ * user profile (profile.mealReminders); each matching food log then enqueues an
+ * after_meal_ping job that src/jobs/runner.js delivers.
+ */
+
+const time = require('../utils/time');
+const { inferMealType } = require('../calories/adaptiveTiming');
+
+const JOB_TYPE = 'after_meal_ping';
+const MEALS = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+/**
+ * Save (or replace) a user's after-meal reminder subscription
+ * @param {string} userId - Discord user ID
+ * @param {Object} options - { delayMin, scope, channel, channelId }
+ * @param {Object} deps - { getUserProfile, updateUserProfile, googleSheets }
+ * @returns {Promise<Object>} - Saved subscription
+ */
+async function subscribe(userId, { delayMin, scope, channel = 'dm', channelId = null }, deps) {
+    const profile = await deps.getUserProfile(userId, deps.googleSheets);
+
+    profile.mealReminders = {
+        enabled: true,
+        delayMin,
+        scope,
+        channel,
+        channelId: channel === 'channel' ? channelId : null,
+        updatedAt: new Date().toISOString()
+    };
+
+    await deps.updateUserProfile(userId, profile, deps.googleSheets);
+    console.log(`[MEAL_REMINDERS] ${userId} subscribed: ${scope} +${delayMin}min via ${channel}`);
+    return profile.mealReminders;
+}
+
+/**
+ * Disable a user's subscription and cancel reminders already queued
+ * @param {string} userId - Discord user ID
+ * @param {Object} deps - { getUserProfile, updateUserProfile, googleSheets, cancelUserJobs }
+ * @returns {Promise<number>} - Number of pending reminders cancelled
+ */
+async function unsubscribe(userId, deps) {
+    const profile = await deps.getUserProfile(userId, deps.googleSheets);
+
+    if (profile.mealReminders?.enabled) {
+        profile.mealReminders = { ...profile.mealReminders, enabled: false, updatedAt: new Date().toISOString() };
+        await deps.updateUserProfile(userId, profile, deps.googleSheets);
+    }
+
+    return deps.cancelUserJobs(userId, JOB_TYPE);
+}
+
+/**
+ * Work out which meal a log belongs to: explicit meal_time slot, else the hour in the user's timezone
+ * @param {Object} slots - NLU slots
+ * @param {string} timestampISO - When the entry was logged
+ * @param {string} tz - User timezone
+ * @returns {string} - breakfast | lunch | dinner | snack
+ */
+function resolveMealType(slots, timestampISO, tz) {
+    if (MEALS.includes(slots?.meal_time)) return slots.meal_time;
+    return inferMealType(parseInt(time.format(timestampISO, 'H', tz), 10));
+}
+
+/**
+ * Whether a subscription covers a meal
+ * @param {Object} subscription - profile.mealReminders
+ * @param {string} mealType - Resolved meal type
+ * @returns {boolean}
+ */
+function matchesScope(subscription, mealType) {
+    if (!subscription?.enabled) return false;
+    if (subscription.scope === 'every_meal') return mealType !== 'snack';
+    return subscription.scope === mealType;
+}
+
+/**
+ * Enqueue an after-meal reminder for a food log if the user's subscription covers it
+ * @param {string} userId - Discord user ID
+ * @param {Object} entry - { item, slots, timestampISO, originalMessage }
+ * @param {Object} deps - { getUserProfile, googleSheets, enqueue }
+ * @returns {Promise<string|null>} - Job ID, or null if nothing was scheduled
+ */
+async function scheduleForMeal(userId, { item, slots, timestampISO, originalMessage }, deps) {
+    const profile = await deps.getUserProfile(userId, deps.googleSheets);
+    const subscription = profile.mealReminders;
+    if (!subscription?.enabled) return null;
+
+    const mealType = resolveMealType(slots, timestampISO, profile.prefs?.TZ);
+    if (!matchesScope(subscription, mealType)) return null;
+
+    const dueAtISO = new Date(new Date(timestampISO).getTime() + subscription.delayMin * 60 * 1000).toISOString();
+    if (new Date(dueAtISO) <= new Date()) return null; // backdated meal, the reminder would already be late
+
+    return deps.enqueue({
+        userId,
+        dueAtISO,
+        type: JOB_TYPE,
+        payload: {
+            item,
+            mealType,
+            loggedAtISO: timestampISO,
+            originalMessage,
+            channel: subscription.channel,
+            channelId: subscription.channelId
+        }
+    });
+}
+
+module.exports = {
+    subscribe,
+    unsubscribe,
+    scheduleForMeal
+};
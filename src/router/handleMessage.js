@@ -16,10 +16,15 @@ const { postprocess } = require('../nlu/postprocess');
 const { shouldEnableCalorieFeatures } = require('../auth/scope');
 const { parseComplexIntent } = require('../nlu/rulesIntent');
 const { estimate, getDailyKcalTarget, calculateDailyTotals, formatDailyProgress, estimateCaloriesForItemAndSides } = require('../calories/estimate');
+const { generateMealId } = require('../calories/mealGrouping');
+const { parsePortion } = require('../nutrition/portionParser');
+const { applyRecipe, recipeNamed, recipeSlots } = require('../nutrition/recipes');
+const { mealFodmap } = require('../nutrition/fodmap');
+const { fodmapOf, giTokens } = require('../nutrition/giLoad');
 const { deliverNotification, testDMHandshake } = require('../notify/channelOrDM');
 
 // UX System imports
-const { EMOJI, PHRASES, getRandomPhrase, BUTTON_IDS } = require('../constants/ux');
+const { EMOJI, PHRASES, getRandomPhrase, phrasesFor, formatPhrase, BUTTON_IDS } = require('../constants/ux');
 const { buttonsSeverity, buttonsMealTime, buttonsBristol, buttonsSymptomType, trendChip, buttonsIntentClarification, buildConversationalHelp } = require('../ui/components');
 const { buildPostLogChips } = require('../ui/chips');
 const { keyFrom, get, set, clear } = require('../../services/pending');
@@ -29,13 +34,37 @@ const { validateQuality } = require('../utils/qualityCheck');
 const { generateQuery, synthesizeAnswer } = require('../insights/AIAnalyst');
 const { getSheetName } = require('../utils/getSheetName');
 const { updateMealNotes, getMealRowByRef } = require('../utils/mealNotes');
+const { handleEditRequest } = require('../handlers/editEntry');
+const { handleFixCaloriesReply } = require('../handlers/calorieFix');
+const { resolveEntryTime, logAsNow, requestEntryTimeConfirmation } = require('../handlers/entryTime');
+const { resolveFollowUp } = require('../handlers/referenceFollowUp');
+const references = require('../nlu/references');
+const vocabulary = require('../nlu/vocabulary');
+const { revertCorrections } = require('../utils/spell');
+const { hasToken } = require('../utils/notes');
+const undoHistory = require('../utils/undoHistory');
 const dndCommands = require('../commands/dnd');
 const { markInteracted, isUnderWatch } = require('../reminders/responseWatcher');
 const { ensureReply } = require('../utils/ensureReply');
 const { buildNotesFromParse } = require('../utils/notesBuild');
-// const contextMemory = require('../utils/contextMemory'); // Removed
+const { learnPhrase } = require('../utils/contextMemory');
+const missLog = require('../nlu/missLog');
 const { scheduleSymptomFollowup } = require('../scheduler/reminders');
 const { findSymptomNear } = require('../sheets/findSymptomNear'); // New import
+const mealReminders = require('../reminders/mealReminders');
+const commandRegistry = require('../commands/registry');
+const { handleToday, handleWeek, handleStreak, handlePatterns } = require('../commands/summaries');
+const { handleInsights } = require('../commands/insights');
+const { handleCalibration } = require('../commands/calibration');
+const { handleRecipe } = require('../commands/recipe');
+const { handleChart } = require('../commands/chart');
+const { handleChartsMenu } = require('../commands/chartsMenu');
+const { handleNLUStats } = require('../commands/nluStats');
+const { handleExport } = require('../commands/export');
+const { handleUndo, handleRedo, handleTrash, handleRestore } = require('../commands/undo');
+const { handleHousehold } = require('../commands/household');
+const household = require('../auth/household');
+const onboarding = require('../auth/onboarding');
 
 // Command/Intent Handlers (will eventually be moved to dedicated files)
 // Moved handleTest here
@@ -47,9 +76,8 @@ async function handleTest(message, deps) {
 async function handleGoal(message, args, deps) {
     const userId = message.author.id;
     
-    // Only allow Peyton to set goals
-    if (userId !== deps.PEYTON_ID) {
-        await message.reply('Goal tracking is only enabled for Peyton.');
+    if (!household.hasCapability(userId, 'calories')) {
+        await message.reply(onboarding.featureDisabledMessage('calories'));
         return;
     }
     
@@ -113,18 +141,42 @@ async function handleReminderSetup(message, intent, deps) {
     const userId = message.author.id;
     const { delayMin, scope } = intent;
     const handshakeResult = await deps.testDMHandshake(deps.client, userId);
+    const scopeLabel = scope === 'every_meal' ? 'meal' : scope;
+
+    // DMs blocked: deliver in the channel the request came from instead
+    const channel = handshakeResult.success ? 'dm' : 'channel';
+
+    try {
+        await mealReminders.subscribe(userId, { delayMin, scope, channel, channelId: message.channelId }, deps);
+    } catch (e) {
+        console.error('[CALORIE] Failed to save meal reminder subscription:', e);
+        await message.reply('❌ Error saving your reminder. Please try again.');
+        return;
+    }
+
+    console.log(`[CALORIE] Set up ${scope} reminders with ${delayMin}min delay for user ${userId} via ${channel}`);
     if (handshakeResult.success) {
-        console.log(`[CALORIE] Setting up ${scope} reminders with ${delayMin}min delay for user ${userId}`);
-        await message.reply(`✅ I'll DM you ~${delayMin} minutes after each ${scope} to add calories. ${handshakeResult.message}`);
+        await message.reply(`✅ I'll DM you ~${delayMin} minutes after each ${scopeLabel} to add calories. ${handshakeResult.message}`);
     } else {
-        await message.reply(`⚠️ ${handshakeResult.message}`);
+        await message.reply(`⚠️ ${handshakeResult.message}\n✅ I'll ping you here ~${delayMin} minutes after each ${scopeLabel} to add calories instead.`);
     }
 }
 
 async function handleStopReminders(message, deps) {
     const userId = message.author.id;
     console.log(`[CALORIE] Stopping meal reminders for user ${userId}`);
-    await message.reply('✅ Meal reminders stopped. You can re-enable them anytime by saying "ask me 30 min after every meal to log calories".');
+
+    let cancelled = 0;
+    try {
+        cancelled = await mealReminders.unsubscribe(userId, deps);
+    } catch (e) {
+        console.error('[CALORIE] Failed to stop meal reminders:', e);
+        await message.reply('❌ Error stopping your reminders. Please try again.');
+        return;
+    }
+
+    const pendingNote = cancelled > 0 ? ` Cancelled ${cancelled} pending reminder${cancelled === 1 ? '' : 's'}.` : '';
+    await message.reply(`✅ Meal reminders stopped.${pendingNote} You can re-enable them anytime by saying "ask me 30 min after every meal to log calories".`);
 }
 
 async function handleSetCalorieTarget(message, intent, deps) {
@@ -157,22 +209,25 @@ async function handleHelp(message, deps) {
     await message.reply(helpPayload);
 }
 
-async function handleUndo(message, deps) {
+async function handleReminders(message, args, deps) {
     const userId = message.author.id;
-    const userName = message.author.username;
-    const sheetName = deps.googleSheets.getLogSheetNameForUser(userId);
-    try {
-        const result = await deps.googleSheets.undoLastEntry(userName, sheetName);
-        if (result.success) {
-            await message.react('↩️');
-            await message.reply(`✅ ${result.message}`);
-        } else {
-            await message.reply(`❌ ${result.message}`);
-        }
-    } catch (error) {
-        console.error('Error undoing entry:', error);
-        await message.reply('❌ Failed to undo last entry. Please try again.');
-    }
+    const profile = await deps.getUserProfile(userId, deps.googleSheets);
+    const { prefs } = profile;
+    const meal = profile.mealReminders;
+
+    const lines = [
+        `🌍 Timezone: \`${prefs.TZ}\``,
+        `🗣️ Language: ${prefs.Language === 'es' ? 'Español' : 'English'}`,
+        `💬 DMs: ${prefs.DM === 'on' ? 'on' : 'off'}`,
+        `🌅 Morning check-in: ${prefs.MorningHHMM || 'off'}`,
+        `🌙 Evening recap: ${prefs.EveningHHMM || 'off'}`,
+        `⏰ Inactivity nudge: ${prefs.InactivityHHMM || 'off'}`,
+        `🔕 Do Not Disturb: ${prefs.DNDWindow || 'off'}`,
+        `😴 Snoozed until: ${prefs.SnoozeUntil && new Date(prefs.SnoozeUntil) > new Date() ? time.format(prefs.SnoozeUntil, 'ddd h:mm A', prefs.TZ) : 'not snoozed'}`,
+        `🍽️ After-meal calorie reminders: ${meal?.enabled ? `${meal.delayMin} min after ${meal.scope === 'every_meal' ? 'every meal' : meal.scope} (${meal.channel})` : 'off'}`
+    ];
+
+    await message.reply(`⚙️ **Your reminder settings**\n${lines.join('\n')}\n\nChange with \`!dnd\`, \`!timezone\`, \`!language\`, \`!snooze\`, or "ask me 30 min after every meal to log calories".`);
 }
 
 // Helper Functions (moved from index.js)
@@ -193,21 +248,56 @@ function getTypeEmoji(type, deps) {
     return emojiMap[type] || deps.EMOJI.success;
 }
 
+/**
+ * Teach the user's lexicon what an ambiguous message meant, and note the
+ * answer against the original miss for scripts/trainFromMisses.js
+ * @param {string} userId - Discord user ID
+ * @param {string} text - Original message text
+ * @param {Object} result - NLU result after the forced re-parse
+ */
+function learnClarifiedPhrase(userId, text, result) {
+    // Only what identifies the entry; severity, times and portions vary per message
+    const slots = {};
+    for (const key of ['item', 'sides', 'symptom_type']) {
+        if (result.slots[key]) slots[key] = result.slots[key];
+    }
+    learnPhrase(userId, text, result.intent, slots);
+    missLog.recordCorrection(userId, text, { intent: result.intent, slots });
+}
+
+/**
+ * Ask whether an unclear message is food or a symptom. The answer is handled by
+ * buttonHandlers.handleIntentClarification, which replays the message.
+ */
 async function requestIntentClarification(message, deps) {
+    const ctx = {
+        guildId: message.guildId || 'dm',
+        channelId: message.channel.id,
+        authorId: message.author.id
+    };
+    deps.set(deps.keyFrom(ctx), { type: 'intent_clarification', originalMessage: message.content }, 5 * 60 * 1000);
+
     await message.reply({
         content: `${deps.EMOJI.thinking} How should I log that?`,
-        components: deps.buttonsIntentClarification()
+        components: [deps.buttonsIntentClarification()]
     });
 }
 
 async function requestMissingSlots(message, parseResult, deps) {
-    const { intent, slots, missing } = parseResult;
-    // Store pending clarification in button handler
-    deps.buttonHandlers.pendingClarifications.set(message.author.id, {
+    const { intent, missing } = parseResult;
+    // The answer button replays this message with the slot preset (buttonHandlers.handleNLUClarification)
+    const ctx = {
+        guildId: message.guildId || 'dm',
+        channelId: message.channel.id,
+        authorId: message.author.id
+    };
+    deps.set(deps.keyFrom(ctx), {
         type: 'nlu_clarification',
         originalMessage: message.content,
-        timestamp: Date.now()
-    });
+        intent,
+        presetSlots: { ...(message.presetSlots || {}) },
+        referent: message.referent || null
+    }, 5 * 60 * 1000);
     if (missing.includes('severity')) {
         await message.reply({
             content: `${deps.EMOJI.symptom} How severe is it? (1 = mild, 10 = severe)`,
@@ -216,12 +306,12 @@ async function requestMissingSlots(message, parseResult, deps) {
     } else if (missing.includes('symptom_type')) {
         await message.reply({
             content: `${deps.EMOJI.symptom} What type of symptom?`,
-            components: deps.buttonsSymptomType()
+            components: [deps.buttonsSymptomType()]
         });
     } else if (missing.includes('meal_time')) {
         await message.reply({
             content: `${deps.EMOJI.food} When did you have this?`,
-            components: deps.buttonsMealTime()
+            components: [deps.buttonsMealTime()]
         });
     } else if (missing.includes('bristol')) {
         await message.reply({
@@ -239,33 +329,74 @@ async function logFromNLU(message, parseResult, deps) {
     const { intent, slots } = parseResult;
     const userId = message.author.id;
     const userTag = message.author.tag;
-    const isPeyton = (userId === deps.PEYTON_ID);
     const sheetName = deps.getLogSheetNameForUser(userId);
 
     const userProfile = await deps.getUserProfile(userId, deps.googleSheets);
+    const when = resolveEntryTime(slots, userProfile.prefs?.TZ || deps.TIMEZONE);
+
+    // Rows of one multi-item meal share the first row's meal_id (the message id keeps two meals
+    // logged in the same minute apart), and each later component is nudged by a millisecond
+    // so undo (which finds rows by Timestamp) can tell them apart
+    if (parseResult.meal_components?.length && !slots.meal_id) {
+        slots.meal_id = `${generateMealId(when.at.toDate())}-${message.id}`;
+        for (const component of parseResult.meal_components) component.slots.meal_id = slots.meal_id;
+    }
+    if (slots.meal_part) when.at.add(slots.meal_part, 'milliseconds');
 
-    let caloriesVal = null;
-    if ((intent === 'food' || intent === 'drink') && isPeyton) {
-        const fullItemDescription = (slots.item + (slots.sides ? `, ${slots.sides}` : '')).toLowerCase().trim();
-        if (userProfile.learnedCalorieMap && userProfile.learnedCalorieMap[fullItemDescription]) {
-            caloriesVal = userProfile.learnedCalorieMap[fullItemDescription];
-            // Recalled from memory
-        } else {
-            try {
-                caloriesVal = await deps.estimateCaloriesForItemAndSides(slots.item, slots.sides);
-                if (caloriesVal !== null && caloriesVal > 0) {
-                    // Learning new calories
-                    userProfile.learnedCalorieMap[fullItemDescription] = caloriesVal;
-                    deps.updateUserProfile(userId, userProfile, deps.googleSheets).catch(err => {
-                        console.error(`[USER_PROFILE] Non-blocking profile update failed: ${err.message}`);
-                    });
-                }
-            } catch (e) {
-                console.error(`[CAL-EST] CRITICAL: Calorie estimation failed unexpectedly for "${slots.item}". Error: ${e.message}`);
-                caloriesVal = null;
+    // Dishes saved with !recipe carry what's in them, so trigger analysis sees the ingredients
+    const recipe = (intent === 'food' || intent === 'drink') ? recipeNamed(userProfile.recipes, slots.item) : null;
+    if (recipe) Object.assign(slots, recipeSlots(recipe));
+
+    // FODMAPs stack, so every row of a multi-item meal also carries the whole meal's level
+    if (parseResult.meal_components?.length && !slots.fodmap_meal) {
+        const withRecipe = (s) => {
+            const r = recipeNamed(userProfile.recipes, s.item);
+            return r ? { ...s, ...recipeSlots(r) } : s;
+        };
+        const meal = mealFodmap([slots, ...parseResult.meal_components.map(c => withRecipe(c.slots))].map(fodmapOf));
+        if (meal) {
+            slots.fodmap_meal = meal;
+            for (const component of parseResult.meal_components) component.slots.fodmap_meal = meal;
+        }
+    }
+
+    const metadata = deps.extractMetadata(message.content, intent);
+    // Parts of a multi-item meal only use a portion given for that part
+    const portion = slots.portion
+        ? parsePortion(String(slots.portion), intent)
+        : (slots.meal_id ? null : metadata.portion || null);
+
+    // Every food and drink is estimated for its GI nutrients (fiber, sugar alcohols, sodium);
+    // calories and macros are only written for users with the calories feature
+    const tracksCalories = household.hasCapability(userId, 'calories');
+    let calorieEstimate = null;
+    if (intent === 'food' || intent === 'drink') {
+        try {
+            calorieEstimate = await deps.estimateEntry({
+                item: slots.item,
+                sides: slots.sides,
+                portion,
+                learned: userProfile.learnedCalorieMap,
+                corrections: userProfile.calorieCorrections,
+                recipes: userProfile.recipes,
+                allowLlm: tracksCalories
+            });
+            // LLM guesses are remembered so the same entry doesn't cost another call
+            // (unless corrections already moved the number away from the guess)
+            const sources = calorieEstimate ? calorieEstimate.source.split('+') : [];
+            if (sources.includes('llm') && !sources.includes('corrected')) {
+                const fullItemDescription = (slots.item + (slots.sides ? `, ${slots.sides}` : '')).toLowerCase().trim();
+                userProfile.learnedCalorieMap[fullItemDescription] = calorieEstimate.calories;
+                deps.updateUserProfile(userId, userProfile, deps.googleSheets).catch(err => {
+                    console.error(`[USER_PROFILE] Non-blocking profile update failed: ${err.message}`);
+                });
             }
+        } catch (e) {
+            console.error(`[CAL-EST] CRITICAL: Calorie estimation failed unexpectedly for "${slots.item}". Error: ${e.message}`);
+            calorieEstimate = null;
         }
     }
+    const caloriesVal = calorieEstimate && tracksCalories ? calorieEstimate.calories : null;
 
     const { buildNotesFromParse } = require('../utils/notesBuild');
     let notesString;
@@ -277,7 +408,6 @@ async function logFromNLU(message, parseResult, deps) {
         // Built notes from parse
     }
 
-    const metadata = deps.extractMetadata(message.content, intent);
     const notes = [];
 
     if (slots.meal_time) {
@@ -289,12 +419,10 @@ async function logFromNLU(message, parseResult, deps) {
         notes.push(`time=${new Date(slots.time).toLocaleTimeString()}`);
     }
 
-    let portionMultiplier = 1.0;
     if (metadata.portion) {
         if (metadata.portion.normalized_g) notes.push(`portion_g=${metadata.portion.normalized_g}`);
         if (metadata.portion.normalized_ml) notes.push(`portion_ml=${metadata.portion.normalized_ml}`);
         if (metadata.portion.raw) notes.push(`portion=${metadata.portion.raw}`);
-        portionMultiplier = metadata.portion.multiplier || 1.0;
     }
 
     if (metadata.quantity && !metadata.portion) notes.push(`qty=${metadata.quantity}`);
@@ -302,7 +430,6 @@ async function logFromNLU(message, parseResult, deps) {
     if (metadata.brandInfo) {
         notes.push(`brand_variant=${metadata.brandInfo.brand}`);
         if (metadata.brandInfo.variant) notes.push(`variant=${metadata.brandInfo.variant}`);
-        if (metadata.brandInfo.multiplier && !metadata.portion) portionMultiplier = metadata.brandInfo.multiplier;
     }
     if (metadata.caffeine) {
         if (metadata.caffeine.isDecaf) notes.push('decaf');
@@ -312,6 +439,14 @@ async function logFromNLU(message, parseResult, deps) {
     if (slots.severity_note) notes.push(slots.severity_note);
     if (slots.bristol_note) notes.push(slots.bristol_note);
     if (slots.linked_item) notesString += `; linked_to=${slots.linked_item}`;
+    if (slots.linked_row) notesString += `; linked_row=${slots.linked_row}`;
+    if (slots.cloned_from) notesString += `; cloned_from=${slots.cloned_from}`;
+    if (when.shifted) notesString += `; logged_at=${when.loggedAt.toISOString()}`;
+    if (calorieEstimate && tracksCalories) notesString += `; cal_source=${calorieEstimate.source}; cal_conf=${calorieEstimate.confidence}`;
+    if (intent === 'food' || intent === 'drink') {
+        const gi = giTokens(calorieEstimate, fodmapOf(slots), slots.fodmap_meal);
+        if (gi.length) notesString += `; ${gi.join('; ')}`;
+    }
 
     let details = '';
     switch (intent) {
@@ -319,27 +454,29 @@ async function logFromNLU(message, parseResult, deps) {
         case 'food': case 'drink': details = (slots.item || 'entry').trim(); break;
         case 'symptom': details = (slots.symptom_type || 'symptom').trim(); break;
         case 'reflux': details = 'reflux'; break;
+        case 'checkin':
+            details = !slots.symptom_free ? 'check-in'
+                : slots.symptom_type && slots.symptom_type !== 'any' ? `no ${slots.symptom_type}` : 'symptom-free';
+            break;
         default: details = 'entry';
     }
 
+    // Spell-corrected items keep what the user typed, so the correction can be undone
+    const isFoodOrDrink = intent === 'food' || intent === 'drink';
+    const typed = isFoodOrDrink ? revertCorrections(details, parseResult.meta?.spellingCorrected) : details;
+    if (typed !== details) notesString += `; corrected_from=${typed.replace(/[;,=]/g, ' ').trim()}`;
+
     let proteinVal = null, carbsVal = null, fatVal = null;
     if (deps.shouldEnableCalorieFeatures(userId) && caloriesVal && caloriesVal > 0) {
-        const macroEstimate = deps.estimate({ 
-            item: slots.item, 
-            quantity: slots.sides,
-            units: 'serving' 
-        });
-        if (macroEstimate) {
-            proteinVal = macroEstimate.protein;
-            carbsVal = macroEstimate.carbs;
-            fatVal = macroEstimate.fat;
-        }
+        proteinVal = calorieEstimate.protein;
+        carbsVal = calorieEstimate.carbs;
+        fatVal = calorieEstimate.fat;
     }
 
     const rowObj = {
-        'Timestamp': new Date().toISOString(),
-        'Date': new Date().toISOString().slice(0, 10),
-        'Time': new Date().toISOString().slice(11, 19),
+        'Timestamp': when.at.toISOString(),
+        'Date': when.at.format('YYYY-MM-DD'),
+        'Time': when.at.format('HH:mm:ss'),
         'User': userTag,
         'Type': intent,
         'Item': details,
@@ -371,23 +508,70 @@ async function logFromNLU(message, parseResult, deps) {
     }
 
     const undoId = `${sheetName}:${rowIndex}`;
+    // A multi-item meal is recorded once, over all its rows, by logMealComponents
+    if (!slots.meal_id) {
+        undoHistory.record(userId, { type: 'log', sheetName, timestamp: rowObj.Timestamp, label: undoHistory.describeRow(rowObj) });
+    }
+    references.remember(message, { type: intent, item: details, slots, timestamp: rowObj.Timestamp });
+    if (isFoodOrDrink) vocabulary.recordItem(userId, [slots.item, slots.sides].filter(Boolean).join(' '));
 
     return { success: true, undoId: undoId, caloriesVal: caloriesVal, rowObj: rowObj };
 }
 
+/**
+ * Log a multi-item meal: the parsed item plus each of parseResult.meal_components,
+ * one row apiece with its own calories and notes, linked by meal_id
+ * @param {Object} message - Discord message
+ * @param {Object} parseResult - NLU result with meal_components
+ * @param {Object} deps - Router dependencies
+ * @returns {Promise<Object>} - First row's logFromNLU result, with caloriesVal summed over every row
+ */
+async function logMealComponents(message, parseResult, deps) {
+    const first = await logFromNLU(message, parseResult, deps);
+    if (!first.success) return first;
+
+    let totalCalories = first.caloriesVal > 0 ? first.caloriesVal : 0;
+    const rows = [first.rowObj];
+    for (const [i, component] of parseResult.meal_components.entries()) {
+        component.isSubAction = true;
+        component.slots.meal_part = i + 1;
+        component.meta = { ...component.meta, spellingCorrected: parseResult.meta?.spellingCorrected };
+        const logged = await logFromNLU(message, component, deps);
+        if (!logged.success) break;
+        rows.push(logged.rowObj);
+        if (logged.caloriesVal > 0) totalCalories += logged.caloriesVal;
+    }
+
+    // One undo step for the whole meal
+    undoHistory.record(message.author.id, {
+        type: 'log',
+        sheetName: deps.getLogSheetNameForUser(message.author.id),
+        timestamp: first.rowObj.Timestamp,
+        timestamps: rows.map(row => row.Timestamp),
+        label: undoHistory.describeMeal(rows)
+    });
+
+    return { ...first, caloriesVal: totalCalories || null };
+}
+
 async function postLogActions(message, parseResult, undoId, caloriesVal, rowObj, deps) {
     const { intent, slots } = parseResult;
     const userId = message.author.id;
-    const isPeyton = (userId === deps.PEYTON_ID);
 
     // ========== 1. SEND SUCCESS MESSAGE (Critical - must not throw) ==========
+    const phrases = phrasesFor(parseResult.meta?.locale);
     let confirmText = '';
     const emoji = getTypeEmoji(intent, deps);
-    const details = (parseResult.slots.item || parseResult.slots.symptom_type || intent).trim();
+    let details = (parseResult.slots.item || parseResult.slots.symptom_type || intent).trim();
+    if (parseResult.meal_components?.length) {
+        details = [slots.item, ...parseResult.meal_components.map(c => c.slots.item)].join(', ');
+    } else if (intent === 'checkin') {
+        details = rowObj.Item;
+    }
 
     if (intent === 'food' || intent === 'drink') {
         if (deps.shouldEnableCalorieFeatures(userId) && caloriesVal != null && caloriesVal > 0) {
-            confirmText = `✅ Logged **${details}** — ≈${caloriesVal} kcal.`;
+            confirmText = formatPhrase(phrases.loggedKcal, { details, kcal: caloriesVal });
             try {
                 const sheetName = deps.googleSheets.getLogSheetNameForUser(userId);
                 const todayEntries = await deps.googleSheets.getTodayEntries(null, sheetName);
@@ -399,15 +583,40 @@ async function postLogActions(message, parseResult, undoId, caloriesVal, rowObj,
                 console.warn('[postLogActions] Error calculating daily progress (non-critical):', e.message);
             }
         } else {
-            confirmText = `✅ Logged **${details}**.`;
+            confirmText = formatPhrase(phrases.logged, { emoji: '✅', details });
         }
     } else {
-        confirmText = `${emoji} Logged **${details}**.`;
+        confirmText = formatPhrase(phrases.logged, { emoji, details });
+    }
+
+    // Negated items in the same message ("eggs, skipped the coffee")
+    const skipped = parseResult.meta?.negated?.skipped || [];
+    if (skipped.length > 0) {
+        confirmText = confirmText.replace(/\.(?=$|\n)/, ` (${formatPhrase(phrases.notLogging, { items: skipped.join(', ') })}).`);
+    }
+
+    // "Logged **chicken salad** (corrected from chiken salad)."
+    const typed = revertCorrections(details, parseResult.meta?.spellingCorrected);
+    const corrected = (intent === 'food' || intent === 'drink') && typed !== details;
+    if (corrected) {
+        confirmText = confirmText.replace(/\.(?=$|\n)/, ` (${formatPhrase(phrases.corrected, { original: typed })}).`);
+    }
+
+    const backdated = hasToken(rowObj.Notes, 'logged_at');
+    if (backdated) {
+        confirmText = confirmText.replace(/\.(?=$|\n)/, ` (${rowObj.Date} ${rowObj.Time.slice(0, 5)}).`);
     }
 
     // Send success message with chips - wrapped to prevent throw
     try {
-        const chips = deps.buildPostLogChips({ undoId, intent });
+        const chips = deps.buildPostLogChips({
+            undoId,
+            intent,
+            correctedFrom: corrected ? { original: typed, timestamp: rowObj.Timestamp } : null,
+            fixCalories: (intent === 'food' || intent === 'drink') && caloriesVal > 0 && deps.shouldEnableCalorieFeatures(userId)
+                ? rowObj.Timestamp
+                : null
+        });
         await message.reply({ content: confirmText, components: chips });
         console.log('[UI] ✅ Success message sent with chips');
     } catch (chipError) {
@@ -424,8 +633,8 @@ async function postLogActions(message, parseResult, undoId, caloriesVal, rowObj,
     // ========== 2. BACKGROUND TASKS (Fire-and-forget) ==========
     // All followup actions wrapped - cannot throw upward
 
-    // Post-meal check (food/drink only) - skip for sub-actions to prevent duplicates
-    if ((intent === 'food' || intent === 'drink') && !parseResult.isSubAction) {
+    // Post-meal check (food/drink only) - skip for sub-actions and backdated entries
+    if ((intent === 'food' || intent === 'drink') && !parseResult.isSubAction && !backdated) {
         (async () => {
             try {
                 const [sheetName, rowIndexStr] = undoId.split(':');
@@ -460,6 +669,16 @@ async function postLogActions(message, parseResult, undoId, caloriesVal, rowObj,
         })();
     }
 
+    // After-meal calorie reminder (if the user subscribed and this meal is in scope)
+    if (intent === 'food' && !parseResult.isSubAction && deps.shouldEnableCalorieFeatures(userId)) {
+        mealReminders.scheduleForMeal(userId, {
+            item: rowObj.Item,
+            slots,
+            timestampISO: rowObj.Timestamp,
+            originalMessage: message.content
+        }, deps).catch(e => console.warn('[POSTSAVE] After-meal reminder scheduling failed:', e.message));
+    }
+
     // Symptom followups
     if (intent === 'symptom' || intent === 'reflux') {
         deps.scheduleSymptomFollowup(userId)
@@ -563,18 +782,271 @@ async function logSymptomForMeal(userId, symptomType, severity, mealRefString, d
     console.log(`[POST_MEAL_CHECK] Logged symptom ${symptomType} (severity ${severity}) linked to ${mealRefString || 'no meal'}`);
 }
 
+// ========== Command Registry ==========
+// Everything reachable as `!name`; !help is generated from this metadata.
+
+const PERIODS = ['today', '7d', '14d', '28d', '30d'];
+const CHART_TYPES = ['budget', 'intake', 'reflux', 'latency', 'triggers'];
+
+commandRegistry.register({
+    name: 'help',
+    aliases: ['commands'],
+    description: 'List commands, or show details for one',
+    usage: '!help [command]',
+    args: [{ name: 'command', help: 'Command to describe' }],
+    handler: async (message, { named }) => message.reply(commandRegistry.buildHelp(named.command))
+});
+
+commandRegistry.register({
+    name: 'today',
+    category: 'Summaries',
+    description: "Today's entries and totals",
+    handler: (message, args, deps) => handleToday(message, deps)
+});
+
+commandRegistry.register({
+    name: 'week',
+    category: 'Summaries',
+    description: "This week's counts, symptom-free days and top foods",
+    handler: (message, args, deps) => handleWeek(message, deps)
+});
+
+commandRegistry.register({
+    name: 'streak',
+    category: 'Summaries',
+    description: 'Symptom-free and logging streaks',
+    handler: (message, args, deps) => handleStreak(message, deps)
+});
+
+commandRegistry.register({
+    name: 'patterns',
+    category: 'Summaries',
+    description: 'Food combinations linked to symptoms (30 days)',
+    handler: (message, args, deps) => handlePatterns(message, deps)
+});
+
+commandRegistry.register({
+    name: 'insights',
+    category: 'Summaries',
+    description: 'Budget, latency, trends, combos and streak in one view',
+    handler: (message, args, deps) => handleInsights(message, { getUserName: (name) => name, ...deps })
+});
+
+commandRegistry.register({
+    name: 'calibration',
+    category: 'Summaries',
+    description: 'Foods whose calorie estimates you corrected the most',
+    handler: (message, args, deps) => handleCalibration(message, deps)
+});
+
+commandRegistry.register({
+    name: 'chart',
+    aliases: ['graph'],
+    category: 'Charts',
+    description: 'Render a chart of your data',
+    usage: '!chart <type> [period]',
+    examples: ['!chart budget today', '!chart reflux 14d'],
+    args: [
+        { name: 'type', required: true, choices: CHART_TYPES },
+        { name: 'period', choices: PERIODS, default: 'today' }
+    ],
+    handler: (message, { named }, deps) => handleChart(message, `${named.type} ${named.period}`, deps)
+});
+
+commandRegistry.register({
+    name: 'charts',
+    category: 'Charts',
+    description: 'Browse available charts',
+    handler: async (message) => {
+        if (!household.hasCapability(message.author.id, 'charts')) {
+            return message.reply(onboarding.featureDisabledMessage('charts'));
+        }
+        return handleChartsMenu(message);
+    }
+});
+
+// Explicit logging commands: rephrase and run through the normal NLU pipeline
+const LOG_COMMANDS = [
+    { name: 'food', phrase: (t) => `had ${t}`, usage: '!food <description>', example: '!food chicken salad with ranch', description: 'Log food' },
+    { name: 'drink', phrase: (t) => `drank ${t}`, usage: '!drink <description>', example: '!drink chai with oat milk', description: 'Log a drink' },
+    { name: 'symptom', phrase: (t) => t, usage: '!symptom <description> [severity]', example: '!symptom stomach pain moderate', description: 'Log a symptom' },
+    { name: 'reflux', phrase: (t) => `${t} reflux`.trim(), usage: '!reflux [severity]', example: '!reflux mild', description: 'Log a reflux episode' },
+    { name: 'bm', phrase: (t) => `bm ${t}`.trim(), usage: '!bm [description]', example: '!bm bristol 4', description: 'Log a bowel movement' }
+];
+
+for (const { name, phrase, usage, example, description } of LOG_COMMANDS) {
+    commandRegistry.register({
+        name,
+        category: 'Logging',
+        description,
+        usage,
+        examples: [example],
+        args: [{ name: 'description', rest: true, required: name === 'food' || name === 'drink' || name === 'symptom' }],
+        handler: (message, { raw }, deps) => {
+            const rephrased = Object.assign(Object.create(message), { content: phrase(raw), forcedIntent: name });
+            return module.exports(rephrased, deps);
+        }
+    });
+}
+
+commandRegistry.register({
+    name: 'export',
+    category: 'Logging',
+    description: 'Download your entries as CSV',
+    usage: '!export [days]',
+    examples: ['!export', '!export 30'],
+    args: [{ name: 'days', help: 'Only include the last N days' }],
+    handler: (message, { raw }, deps) => handleExport(message, raw, deps)
+});
+
+commandRegistry.register({
+    name: 'undo',
+    category: 'Logging',
+    description: 'Undo your last log, delete, restore or edit',
+    handler: (message, args, deps) => handleUndo(message, deps)
+});
+
+commandRegistry.register({
+    name: 'redo',
+    category: 'Logging',
+    description: 'Re-apply the last thing you undid',
+    handler: (message, args, deps) => handleRedo(message, deps)
+});
+
+commandRegistry.register({
+    name: 'trash',
+    aliases: ['deleted'],
+    category: 'Logging',
+    description: 'List recently deleted entries',
+    usage: '!trash [days]',
+    examples: ['!trash', '!trash 30'],
+    args: [{ name: 'days', help: 'Look back N days (default 14)' }],
+    handler: (message, { raw }, deps) => handleTrash(message, raw, deps)
+});
+
+commandRegistry.register({
+    name: 'restore',
+    category: 'Logging',
+    description: 'Bring back a deleted entry',
+    usage: '!restore [n]',
+    examples: ['!restore', '!restore 2'],
+    args: [{ name: 'n', help: 'Number from your last !trash listing (default 1, the most recent)' }],
+    handler: (message, { raw }, deps) => handleRestore(message, raw, deps)
+});
+
+commandRegistry.register({
+    name: 'recipe',
+    aliases: ['recipes'],
+    category: 'Logging',
+    description: 'Save a home-cooked dish with its ingredients, list or remove recipes',
+    usage: '!recipe add "<name>" <ingredients>; serves <n> | list | show <name> | remove <name>',
+    examples: ['!recipe add "chicken congee" 1 cup jasmine rice, 200 g chicken thigh, 6 cups chicken broth; serves 4', '!recipe list'],
+    args: [{ name: 'action', choices: ['add', 'save', 'list', 'show', 'remove', 'delete'] }, { name: 'details', rest: true }],
+    handler: (message, { raw }, deps) => handleRecipe(message, raw, deps)
+});
+
+commandRegistry.register({
+    name: 'goal',
+    category: 'Settings',
+    description: 'Show or set your daily calorie goal',
+    usage: '!goal [kcal]',
+    examples: ['!goal 2200'],
+    args: [{ name: 'kcal', help: '1000-5000' }],
+    handler: (message, { raw }, deps) => handleGoal(message, raw, deps)
+});
+
+commandRegistry.register({
+    name: 'reminders',
+    aliases: ['settings'],
+    category: 'Settings',
+    description: 'Show your reminder settings',
+    handler: (message, { raw }, deps) => handleReminders(message, raw, deps)
+});
+
+commandRegistry.register({
+    name: 'household',
+    aliases: ['features'],
+    category: 'Settings',
+    description: 'Household members and feature flags',
+    usage: '!household [enable|disable <feature> [@user]]',
+    examples: ['!household', '!household enable calories @Sam'],
+    args: [{ name: 'action', choices: ['enable', 'disable'] }, { name: 'feature', choices: household.FEATURES }, { name: 'user' }],
+    handler: (message, { raw }, deps) => handleHousehold(message, raw, deps)
+});
+
+commandRegistry.register({
+    name: 'dnd',
+    category: 'Settings',
+    description: 'Quiet hours for proactive messages',
+    usage: '!dnd <HH:MM-HH:MM|off>',
+    examples: ['!dnd 22:00-07:00', '!dnd off'],
+    args: [{ name: 'window', required: true }],
+    handler: (message, { raw }, deps) => deps.dndCommands.handleDND(message, raw, deps)
+});
+
+commandRegistry.register({
+    name: 'timezone',
+    aliases: ['tz'],
+    category: 'Settings',
+    description: 'Show or set your timezone',
+    usage: '!timezone [IANA name]',
+    examples: ['!timezone America/New_York'],
+    args: [{ name: 'zone' }],
+    handler: (message, { raw }, deps) => deps.dndCommands.handleTimezone(message, raw, deps)
+});
+
+commandRegistry.register({
+    name: 'language',
+    aliases: ['idioma', 'lang'],
+    category: 'Settings',
+    description: 'Show or set the language you log in',
+    usage: '!language [en|es]',
+    examples: ['!language es', '!idioma en'],
+    args: [{ name: 'language', choices: ['en', 'es'] }],
+    handler: (message, { raw }, deps) => deps.dndCommands.handleLanguage(message, raw, deps)
+});
+
+commandRegistry.register({
+    name: 'snooze',
+    category: 'Settings',
+    description: 'Pause reminders for a while',
+    usage: '!snooze <duration>',
+    examples: ['!snooze 3h', '!snooze 1d'],
+    args: [{ name: 'duration', required: true }],
+    handler: (message, { raw }, deps) => deps.dndCommands.handleSnooze(message, raw, deps)
+});
+
+commandRegistry.register({
+    name: 'test',
+    category: 'Diagnostics',
+    description: 'Check the bot is responding',
+    handler: (message, args, deps) => handleTest(message, deps)
+});
+
+commandRegistry.register({
+    name: 'nlu',
+    aliases: ['nlu-stats'],
+    category: 'Diagnostics',
+    description: 'Parser and cache statistics',
+    handler: (message) => handleNLUStats(message)
+});
+
 module.exports = async function handleMessage(message, deps) {
     message = ensureReply(message);
 
     const text = message.content.trim();
     const userId = message.author.id;
     let saveSucceeded = false;
+    let phrases = PHRASES;
 
     if (deps.DialogManager.hasActiveDialog(userId)) {
         await deps.DialogManager.handleResponse(message);
         return;
     }
 
+    // First DM from someone new: give them a tab and default features, then carry on
+    await onboarding.ensureOnboarded(message, deps);
+
     // Short-circuit post-meal checks BEFORE any NLU/clarify
     const ctx = { guildId: message.guildId || 'dm', channelId: message.channelId, authorId: message.author.id };
     const key = deps.keyFrom(ctx);
@@ -583,6 +1055,10 @@ module.exports = async function handleMessage(message, deps) {
         await handlePostMealCheck(message, pend, deps);
         return; // DO NOT fall through to NLU
     }
+    // Answer to the "Fix calories" chip; anything else drops it and is handled normally
+    if (pend?.type === 'fix_calories' && await handleFixCaloriesReply(message, pend, deps)) {
+        return;
+    }
 
     // Store pend for later use in guards
     const pendingContext = pend;
@@ -597,44 +1073,16 @@ module.exports = async function handleMessage(message, deps) {
 
     // Handle legacy commands first if present, then NLU
     if (text.startsWith('!')) {
-        const command = text.split(' ')[0].substring(1);
-        const args = text.substring(command.length + 1).trim();
-
-        console.log(`[CMD] Command received: ${command}, Args: ${args}`);
-        switch (command) {
-            case 'test':
-                await handleTest(message, deps); // Call with deps
-                return;
-            case 'undo':
-                await handleUndo(message, deps);
-                return;
-            case 'goal':
-                await handleGoal(message, args, deps);
-                return;
-            case 'reminders':
-                await handleReminders(message, args, deps);
-                return;
-            case 'dnd':
-                await handleDND(message, args, deps);
-                return;
-            case 'timezone':
-                await handleTimezone(message, args, deps);
-                return;
-            case 'snooze':
-                await handleSnooze(message, args, deps);
-                return;
-            case 'nlu':
-                await handleNLUStats(message, args);
-                return;
-            default:
-                await message.reply(`${deps.EMOJI.thinking} I don't recognize that command. Try \`!help\`.`);
-                return;
-        }
+        await commandRegistry.dispatch(message, text, deps);
+        return;
     }
 
     try {
         const profile = await deps.getUserProfile(userId, deps.googleSheets);
         const tz = profile.prefs.TZ;
+        const locale = profile.prefs.Language;
+        phrases = phrasesFor(locale);
+        await vocabulary.loadUserVocabulary(userId, deps.googleSheets, deps.getLogSheetNameForUser(userId));
 
         // Create context object for pending operations
         const ctx = {
@@ -644,7 +1092,7 @@ module.exports = async function handleMessage(message, deps) {
         };
         const pendingContext = await deps.get(deps.keyFrom(ctx));
         if (pendingContext && pendingContext.type === 'expecting_symptom_follow_up') {
-            const result = await deps.understand(text, { userId, tz, forcedIntent: 'symptom' });
+            const result = await deps.understand(text, { userId, tz, locale, forcedIntent: 'symptom' });
             if (result.intent === 'symptom' || result.intent === 'reflux') {
                 result.slots.linked_item = pendingContext.data.linkedItem;
                 console.log(`[Context] Follow-up symptom detected, linking to: ${pendingContext.data.linkedItem}`);
@@ -653,12 +1101,29 @@ module.exports = async function handleMessage(message, deps) {
             }
         }
 
-        const understandOptions = { userId, tz };
-        if (message.forcedIntent) {
-            understandOptions.forcedIntent = message.forcedIntent;
+        // "that made me bloated", "had it again": resolve against what was just logged here
+        const followUp = await resolveFollowUp(message, text, { userId, tz }, deps);
+        if (followUp?.handled) return;
+
+        const understandOptions = { userId, tz, locale };
+        if (message.forcedIntent || followUp?.forcedIntent) {
+            understandOptions.forcedIntent = message.forcedIntent || followUp.forcedIntent;
+        }
+
+        const result = followUp?.result || await deps.understand(followUp?.text || text, understandOptions);
+        if (followUp?.slots && (result.intent === 'symptom' || result.intent === 'reflux')) {
+            Object.assign(result.slots, followUp.slots);
+        }
+
+        // Slots supplied up front (e.g. /log symptom severity:6) beat anything parsed from text
+        if (message.presetSlots) {
+            Object.assign(result.slots, message.presetSlots);
+            result.missing = result.missing.filter(slot => !(slot in message.presetSlots));
         }
 
-        const result = await deps.understand(text, understandOptions);
+        // "had a bowl of chicken congee": a saved recipe beats whatever item the parser picked
+        applyRecipe(result, followUp?.text || text, profile.recipes);
+
         deps.postprocess(result);
         deps.disambiguate(result, { userId, tz });
         console.log(`🧠 NLU-V2: ${deps.formatParseResult(result)}`);
@@ -666,29 +1131,40 @@ module.exports = async function handleMessage(message, deps) {
         deps.recordNLUParse(result, { fromCache: false, usedLLM: false });
         deps.digests.autoEnableForUser(userId);
 
+        // Answered an intent clarification: remember the phrasing for next time
+        if (message.clarifiedIntent && ['food', 'drink', 'symptom', 'reflux'].includes(result.intent)) {
+            learnClarifiedPhrase(userId, text, result);
+        }
+
         const LOGGABLE_INTENTS = ['food', 'drink', 'symptom', 'reflux', 'bm', 'mood', 'checkin'];
 
+        if (result.intent === 'edit') {
+            await handleEditRequest(message, result, deps);
+            return;
+        }
+
         if (result.intent === 'greeting') {
-            const greetings = ['Morning! 🌞', 'Hey! 👋', 'Hi there! 👋', 'Hello! 😊'];
-            await message.reply(greetings[Math.floor(Math.random() * greetings.length)] + ' How are you feeling?');
+            await message.reply(`${getRandomPhrase(phrases.greeting)} ${phrases.greetingFollowup}`);
             return;
         }
 
         if (result.intent === 'thanks') {
-            const responses = ['You\'re welcome! 😊', 'Anytime! 👍', 'Happy to help! ✨', 'No problem! 😊'];
-            await message.reply(responses[Math.floor(Math.random() * responses.length)]);
+            await message.reply(getRandomPhrase(phrases.thanks));
             return;
         }
 
         if (result.intent === 'chit_chat') {
-            const responses = ['👍', '😊', '✨', '👌'];
-            await message.reply(responses[Math.floor(Math.random() * responses.length)]);
+            await message.reply(getRandomPhrase(phrases.chitChat));
             return;
         }
 
         if (result.intent === 'farewell') {
-            const farewells = ['Goodnight! 🌙', 'See you later! 👋', 'Bye! Take care! 💙', 'Talk to you soon! ✨'];
-            await message.reply(farewells[Math.floor(Math.random() * farewells.length)]);
+            await message.reply(getRandomPhrase(phrases.farewell));
+            return;
+        }
+
+        if (result.intent === 'skip') {
+            await message.reply(formatPhrase(phrases.skipped, { items: result.slots.skipped }));
             return;
         }
 
@@ -740,7 +1216,18 @@ module.exports = async function handleMessage(message, deps) {
         }
 
         if (result.missing.length === 0) {
-            const logResult = await logFromNLU(message, result, deps);
+            // Future or long-ago times are confirmed first; the button replays this message with the choice
+            const when = resolveEntryTime(result.slots, tz);
+            if (message.entryTimeChoice === 'now') {
+                logAsNow(result);
+            } else if (when.needsConfirm && !message.entryTimeChoice) {
+                await requestEntryTimeConfirmation(message, when);
+                return;
+            }
+
+            const logResult = result.meal_components?.length
+                ? await logMealComponents(message, result, deps)
+                : await logFromNLU(message, result, deps);
             saveSucceeded = logResult.success;
 
             if (saveSucceeded) {
@@ -758,7 +1245,7 @@ module.exports = async function handleMessage(message, deps) {
         console.error('[NLU Error]:', error);
         if (!saveSucceeded) {
             try {
-                await message.reply(`${deps.EMOJI.error} ${deps.getRandomPhrase(deps.PHRASES.error)}`);
+                await message.reply(`${deps.EMOJI.error} ${deps.getRandomPhrase(phrases.error)}`);
             } catch (replyError) {
                 console.error('[NLU] Failed to send error message:', replyError);
             }
@@ -768,3 +1255,6 @@ module.exports = async function handleMessage(message, deps) {
     }
     // Never throw from this function
 };
+
+module.exports.logFromNLU = logFromNLU;
+module.exports.logMealComponents = logMealComponents;
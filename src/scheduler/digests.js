@@ -6,6 +6,9 @@ const moment = require('moment-timezone');
 const { buildEmbed, buttonsCheckIn } = require('../ui/components');
 const { EMOJI, COLORS } = require('../constants/ux');
 const { section, divider, kv, progressBar, trendChip } = require('../ui/formatters');
+const { calculateDailyTotals } = require('../calories/estimate');
+const { formatGiLoad } = require('../nutrition/giLoad');
+const { hasDeleted } = require('../utils/notes');
 
 // Track which users have enabled digests (in production, use database)
 // For now, enabled for all users who have interacted
@@ -69,22 +72,25 @@ async function sendEveningRecap(client, userId, googleSheets) {
         if (!user) return;
 
         // Get user's entries for today
-        const entries = await googleSheets.getTodayEntries(user.tag);
+        const { rows } = await googleSheets.getTodayEntries(user.tag);
+        const entries = (rows || []).filter(e => !hasDeleted(e.Notes));
 
-        if (!entries || entries.length === 0) {
+        if (entries.length === 0) {
             // Skip if no entries today
             return;
         }
 
         // Calculate summary stats
-        const foods = entries.filter(e => e.type === 'food').length;
-        const drinks = entries.filter(e => e.type === 'drink').length;
-        const symptoms = entries.filter(e => e.type === 'symptom' || e.type === 'reflux').length;
+        const foods = entries.filter(e => e.Type === 'food').length;
+        const drinks = entries.filter(e => e.Type === 'drink').length;
+        const symptoms = entries.filter(e => e.Type === 'symptom' || e.Type === 'reflux').length;
+        const giLoad = formatGiLoad(calculateDailyTotals(entries), '');
 
         // Build recap message
         const overview = section(
             'Today\'s Summary',
-            `${kv('Logged', entries.length + ' entries')}\n${kv('Foods', foods)}\n${kv('Drinks', drinks)}\n${kv('Symptoms', symptoms)}`
+            `${kv('Logged', entries.length + ' entries')}\n${kv('Foods', foods)}\n${kv('Drinks', drinks)}\n${kv('Symptoms', symptoms)}` +
+            (giLoad ? `\n${kv('GI load', giLoad)}` : '')
         );
 
         const description = `${overview}\n\n${divider()}\n\n*Great job tracking today! Keep it up tomorrow* ${EMOJI.heart}`;
@@ -1,6 +1,7 @@
 const cron = require('node-cron');
 const ProactiveAnalyst = require('../insights/proactiveAnalyst');
 const { EMOJI } = require('../constants/ux');
+const household = require('../auth/household');
 
 let proactiveJob = null;
 
@@ -15,34 +16,31 @@ const ProactiveScheduler = {
         proactiveJob = cron.schedule('0 10 * * *', async () => {
             console.log('[PROACTIVE] ☀️  Running daily proactive analysis...');
 
-            // In a multi-user bot, you'd loop through all active users.
-            // For now, we'll focus on the primary user.
-            const userId = process.env.PEYTON_ID;
-            if (!userId) return;
+            for (const { userId } of household.list()) {
+                try {
+                    const correlations = await ProactiveAnalyst.findFoodSymptomCorrelations(userId, services);
 
-            try {
-                const correlations = await ProactiveAnalyst.findFoodSymptomCorrelations(userId, services);
-
-                if (correlations.length > 0) {
-                    // We found something! Let's notify the user.
-                    // For now, we'll just take the most significant one.
-                    const topCorrelation = correlations.sort((a, b) => b.count - a.count)[0];
+                    if (correlations.length > 0) {
+                        // We found something! Let's notify the user.
+                        // For now, we'll just take the most significant one.
+                        const topCorrelation = correlations.sort((a, b) => b.count - a.count)[0];
                     
-                    const message = `
+                        const message = `
 ${EMOJI.thinking} **Just a thought...**
 I noticed a potential pattern in your logs. On **${topCorrelation.count}** different occasions, you logged **${topCorrelation.symptom}** a few hours after eating **${topCorrelation.food}**.
 
 This might be a connection worth keeping an eye on!
-                    `;
-
-                    const user = await client.users.fetch(userId);
-                    await user.send(message.trim());
-                    console.log(`[PROACTIVE] ✅  Sent proactive insight to user ${userId} about ${topCorrelation.food} and ${topCorrelation.symptom}.`);
-                } else {
-                    console.log(`[PROACTIVE] ✅  No new significant patterns found for user ${userId}.`);
+                        `;
+
+                        const user = await client.users.fetch(userId);
+                        await user.send(message.trim());
+                        console.log(`[PROACTIVE] ✅  Sent proactive insight to user ${userId} about ${topCorrelation.food} and ${topCorrelation.symptom}.`);
+                    } else {
+                        console.log(`[PROACTIVE] ✅  No new significant patterns found for user ${userId}.`);
+                    }
+                } catch (error) {
+                    console.error(`[PROACTIVE] ❌  Error during proactive analysis for user ${userId}:`, error);
                 }
-            } catch (error) {
-                console.error(`[PROACTIVE] ❌  Error during proactive analysis for user ${userId}:`, error);
             }
         });
 
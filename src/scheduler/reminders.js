@@ -8,6 +8,9 @@ const { getUserProfile, updateUserProfile } = require('../../services/userProfil
 const { shouldSuppressNow, computeNextSend } = require('../reminders/adaptive');
 const { startResponseWatcher } = require('../reminders/responseWatcher');
 const time = require('../utils/time');
+const { calculateDailyTotals } = require('../calories/estimate');
+const { formatGiLoad } = require('../nutrition/giLoad');
+const { hasDeleted } = require('../utils/notes');
 
 // Active cron tasks per user: Map<userId, { morning, evening, inactivity }>
 const tasks = new Map();
@@ -163,12 +166,14 @@ function scheduleForUser(client, googleSheets, userId, prefs, helpers) {
         bucket.evening = gate(prefs.EveningHHMM, async (freshPrefs) => {
             try {
                 const sheetName = helpers.getLogSheetNameForUser(userId);
-                const entries = await helpers.getTodayEntries('', sheetName);
+                const { rows = [] } = await helpers.getTodayEntries('', sheetName);
+                const entries = rows.filter(e => !hasDeleted(e.Notes || e.notes));
 
                 const foods = entries.filter(e => String(e.type || e.Type).toLowerCase() === 'food').length;
                 const drinks = entries.filter(e => String(e.type || e.Type).toLowerCase() === 'drink').length;
                 const reflux = entries.filter(e => String(e.type || e.Type).toLowerCase() === 'reflux').length;
                 const symptoms = entries.filter(e => String(e.type || e.Type).toLowerCase() === 'symptom').length;
+                const giLoad = formatGiLoad(calculateDailyTotals(entries));
 
                 const sentMessage = await sendDM(
                     client,
@@ -177,7 +182,8 @@ function scheduleForUser(client, googleSheets, userId, prefs, helpers) {
                     `🍽️  Meals: ${foods}\n` +
                     `🥤 Drinks: ${drinks}\n` +
                     `🔥 Reflux events: ${reflux}\n` +
-                    `🩺 Other symptoms: ${symptoms}\n\n` +
+                    `🩺 Other symptoms: ${symptoms}\n` +
+                    (giLoad ? `🌾 ${giLoad}\n` : '') + '\n' +
                     `Type \`!today\` for full details.`,
                     helpers
                 );
@@ -204,10 +210,10 @@ function scheduleForUser(client, googleSheets, userId, prefs, helpers) {
                 }
 
                 const sheetName = helpers.getLogSheetNameForUser(userId);
-                const entries = await helpers.getTodayEntries('', sheetName);
+                const { rows: entries = [] } = await helpers.getTodayEntries('', sheetName);
 
                 // Filter out soft-deleted rows
-                const activeEntries = entries.filter(e => !e.notes?.includes('deleted=true'));
+                const activeEntries = entries.filter(e => !e.Notes?.includes('deleted=true'));
 
                 if (!activeEntries || activeEntries.length === 0) {
                     const sentMessage = await sendDM(
@@ -1,16 +1,20 @@
 /**
  * UX Chip Builders (Discord v14 Components)
- * Post-log quick actions: Undo, Add portion, Add brand, Add photo
+ * Post-log quick actions: Undo, Add portion, Add brand, Add photo, Keep my spelling, Fix calories
+ * Edit confirmation: Apply / Cancel
+ * Entry time confirmation: Log for then / Log now / Cancel
  */
 
 const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 
 /**
  * Build post-log action chips (shown after successful log)
- * @param {Object} options - { undoId, intent }
+ * @param {Object} options - { undoId, intent, correctedFrom?, fixCalories? }; correctedFrom ({ original, timestamp })
+ *                           adds a chip that puts back the spelling the user typed; fixCalories (row timestamp)
+ *                           adds a chip for correcting an estimated calorie count
  * @returns {ActionRowBuilder[]} - Array of action rows with buttons
  */
-function buildPostLogChips({ undoId, intent }) {
+function buildPostLogChips({ undoId, intent, correctedFrom = null, fixCalories = null }) {
     const row = new ActionRowBuilder();
 
     // Show different chips based on intent
@@ -47,6 +51,31 @@ function buildPostLogChips({ undoId, intent }) {
             .setStyle(ButtonStyle.Danger)
     );
 
+    if (correctedFrom) {
+        row.addComponents(
+            new ButtonBuilder()
+                .setCustomId(`ux:spell:${correctedFrom.timestamp}`)
+                .setLabel(`Keep "${correctedFrom.original}"`.slice(0, 80))
+                .setEmoji('✏️')
+                .setStyle(ButtonStyle.Secondary)
+        );
+    }
+
+    if (fixCalories) {
+        const fix = new ButtonBuilder()
+            .setCustomId(`ux:fixcal:${fixCalories}`)
+            .setLabel('Fix calories')
+            .setEmoji('🔢')
+            .setStyle(ButtonStyle.Secondary);
+
+        // An action row holds at most 5 buttons
+        if (row.components.length < 5) {
+            row.addComponents(fix);
+        } else {
+            return [row, new ActionRowBuilder().addComponents(fix)];
+        }
+    }
+
     return [row];
 }
 
@@ -131,6 +160,76 @@ function buildBrandPicker(category = 'generic') {
     return [row];
 }
 
+/**
+ * Build confirm/cancel buttons for an edit preview
+ * @returns {ActionRowBuilder[]} - Array of action rows
+ */
+function buildEditConfirmButtons() {
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId('ux:edit:confirm')
+            .setLabel('Apply edit')
+            .setEmoji('✅')
+            .setStyle(ButtonStyle.Success),
+        new ButtonBuilder()
+            .setCustomId('ux:edit:cancel')
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Secondary)
+    );
+
+    return [row];
+}
+
+/**
+ * Build buttons to confirm a future or long-past entry time
+ * @returns {ActionRowBuilder[]} - Array of action rows
+ */
+function buildEntryTimeButtons() {
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId('ux:when:confirm')
+            .setLabel('Log for then')
+            .setEmoji('🕒')
+            .setStyle(ButtonStyle.Primary),
+        new ButtonBuilder()
+            .setCustomId('ux:when:now')
+            .setLabel('Log as now')
+            .setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder()
+            .setCustomId('ux:when:cancel')
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Secondary)
+    );
+
+    return [row];
+}
+
+/**
+ * Build buttons asking which entry "it"/"that" refers to
+ * @param {Array<{label: string}>} options - Candidates, in order (index becomes ux:ref:<i>)
+ * @returns {ActionRowBuilder[]} - Array of action rows
+ */
+function buildReferenceButtons(options) {
+    const choices = options.map((option, i) =>
+        new ButtonBuilder()
+            .setCustomId(`ux:ref:${i}`)
+            .setLabel(option.label.slice(0, 80))
+            .setStyle(i === options.length - 1 ? ButtonStyle.Primary : ButtonStyle.Secondary)
+    );
+    const cancel = new ButtonBuilder()
+        .setCustomId('ux:ref:cancel')
+        .setLabel('Cancel')
+        .setStyle(ButtonStyle.Secondary);
+
+    // Discord allows five buttons per row
+    const rows = [];
+    const buttons = [...choices, cancel];
+    for (let i = 0; i < buttons.length; i += 5) {
+        rows.push(new ActionRowBuilder().addComponents(...buttons.slice(i, i + 5)));
+    }
+    return rows;
+}
+
 /**
  * Get common brands for a category
  * @param {string} category - Category name
@@ -174,5 +273,8 @@ module.exports = {
     buildPostLogChips,
     buildPortionPicker,
     buildBrandPicker,
+    buildEditConfirmButtons,
+    buildEntryTimeButtons,
+    buildReferenceButtons,
     getBrandsForCategory
 };
@@ -224,12 +224,13 @@ function getStats(userId) {
 function globalCleanup() {
     const now = Date.now();
     for (const [userId, context] of userContexts.entries()) {
-        // If user has no recent activity, remove entirely
+        // If user has no recent activity, remove entirely (unless they have learned
+        // phrases: the lexicon lives here and doesn't expire)
         const hasRecentActivity = context.entries.some(entry =>
             (now - entry.timestamp) <= UX.CONTEXT_MEMORY_TTL
         );
 
-        if (!hasRecentActivity && context.warnings.size === 0) {
+        if (!hasRecentActivity && context.warnings.size === 0 && context.lexicon.size === 0) {
             userContexts.delete(userId);
         } else {
             cleanupExpired(userId);
@@ -237,16 +238,25 @@ function globalCleanup() {
     }
 }
 
+/**
+ * Lexicon key for a phrase: case, spacing and trailing punctuation don't matter
+ * @param {string} phrase - Raw message text
+ * @returns {string}
+ */
+function normalizePhrase(phrase) {
+    return String(phrase).toLowerCase().replace(/\s+/g, ' ').replace(/[\s.!?,;:]+$/, '').trim();
+}
+
 /**
  * Learn a phrase for a user (lexicon entry)
  * @param {string} userId - Discord user ID
- * @param {string} phrase - The exact phrase (will be lowercased/trimmed)
+ * @param {string} phrase - The phrase (normalized with normalizePhrase)
  * @param {string} intent - Intent to associate
  * @param {Object} slots - Partial slots to merge on lookup
  */
 function learnPhrase(userId, phrase, intent, slots = {}) {
     const context = getContext(userId);
-    const key = phrase.toLowerCase().trim();
+    const key = normalizePhrase(phrase);
 
     context.lexicon.set(key, {
         intent,
@@ -268,7 +278,7 @@ function learnPhrase(userId, phrase, intent, slots = {}) {
  */
 function lookupPhrase(userId, phrase) {
     const context = getContext(userId);
-    const key = phrase.toLowerCase().trim();
+    const key = normalizePhrase(phrase);
 
     return context.lexicon.get(key) || null;
 }
@@ -353,11 +363,10 @@ function loadLexicon() {
  * @param {string} text - Input text
  * @param {Object} googleSheets - Sheets service
  * @param {string} sheetName - User's sheet
- * @returns {Promise<Object|null>} - Referenced entry or null
+ * @param {string} tz - User's timezone (picks "yesterday" and the current meal)
+ * @returns {Promise<Object|null>} - Referenced entry (with every row of its meal in rows) or null
  */
-async function resolveReference(userId, text, googleSheets, sheetName) {
-    const lower = text.toLowerCase();
-
+async function resolveReference(userId, text, googleSheets, sheetName, tz) {
     // Check for reference patterns
     const patterns = [
         /same (as |)yesterday/i,
@@ -371,32 +380,38 @@ async function resolveReference(userId, text, googleSheets, sheetName) {
     if (!hasReference) return null;
 
     try {
-        // Get yesterday's date
-        const yesterday = time.now().subtract(1, 'day').format('YYYY-MM-DD');
+        const now = time.now(tz);
+        const yesterday = now.clone().subtract(1, 'day').format('YYYY-MM-DD');
 
         // Fetch rows from sheet
         const result = await googleSheets.getRows({}, sheetName);
         if (!result.success) return null;
 
-        // Find yesterday's breakfast/lunch/dinner (based on current time)
-        const currentMeal = time.now().hour() < 11 ? 'breakfast' :
-                           time.now().hour() < 15 ? 'lunch' : 'dinner';
+        // Find yesterday's breakfast/lunch/dinner (based on current time), or the meal the text names
+        const named = text.toLowerCase().match(/\b(breakfast|lunch|dinner)\b/);
+        const currentMeal = named ? named[1] :
+                           now.hour() < 11 ? 'breakfast' :
+                           now.hour() < 15 ? 'lunch' : 'dinner';
 
+        const { getToken, hasDeleted } = require('./notes');
         const yesterdayEntry = result.rows.find(row => {
             if (row.Date !== yesterday) return false;
             if (row.Type !== 'food' && row.Type !== 'drink') return false;
-
-            const notes = row.Notes || '';
-            return notes.includes(`meal=${currentMeal}`);
+            if (hasDeleted(row.Notes)) return false;
+            return getToken(row.Notes, 'meal') === currentMeal;
         });
 
         if (yesterdayEntry) {
-            console.log(`[CONTEXT] Resolved reference: ${yesterdayEntry.Details} from ${yesterday}`);
+            console.log(`[CONTEXT] Resolved reference: ${yesterdayEntry.Item} from ${yesterday}`);
+            const mealId = getToken(yesterdayEntry.Notes, 'meal_id');
             return {
-                item: yesterdayEntry.Details,
+                item: yesterdayEntry.Item,
                 notes: yesterdayEntry.Notes,
                 date: yesterday,
-                calories: yesterdayEntry.Calories
+                calories: yesterdayEntry.Calories,
+                rows: mealId
+                    ? result.rows.filter(row => getToken(row.Notes, 'meal_id') === mealId && !hasDeleted(row.Notes))
+                    : [yesterdayEntry]
             };
         }
 
@@ -407,10 +422,73 @@ async function resolveReference(userId, text, googleSheets, sheetName) {
     }
 }
 
+/**
+ * Find the recent entry an edit request refers to ("actually that was 2 slices")
+ * @param {string} userId - Discord user ID
+ * @param {Object} slots - Edit slots { new_value, old_value?, edit_target? }
+ * @param {Object} googleSheets - Storage service
+ * @param {string} sheetName - User's log tab
+ * @param {number} windowHours - How far back to look
+ * @returns {Promise<Object|null>} - { row, rowIndex } (1-based sheet row) or null
+ */
+async function resolveEditTarget(userId, slots, googleSheets, sheetName, windowHours = 48) {
+    try {
+        const result = await googleSheets.getRows({}, sheetName);
+        if (!result.success) return null;
+
+        const cutoff = moment().subtract(windowHours, 'hours').toISOString();
+        const { hasDeleted, getToken } = require('./notes');
+
+        // Newest first, skipping deleted and old rows
+        let candidates = result.rows
+            .filter(row => (row.Timestamp || '') >= cutoff && !hasDeleted(row.Notes))
+            .sort((a, b) => String(b.Timestamp).localeCompare(String(a.Timestamp)));
+
+        const target = slots.edit_target;
+        if (['breakfast', 'lunch', 'dinner', 'snack'].includes(target)) {
+            candidates = candidates.filter(row => getToken(row.Notes, 'meal') === target);
+        } else if (target) {
+            candidates = candidates.filter(row => row.Type === target);
+        } else {
+            // A bare severity ("actually it was severe") corrects a symptom, anything else a food/drink
+            const { ADJECTIVE_SEVERITY } = require('../nlu/ontology-v2');
+            const value = slots.new_value.trim().toLowerCase();
+            const isSeverity = /^\d{1,2}(\s*\/\s*10)?$/.test(value) || ADJECTIVE_SEVERITY[value] !== undefined;
+            const types = isSeverity ? ['symptom', 'reflux'] : ['food', 'drink'];
+            candidates = candidates.filter(row => types.includes(row.Type));
+
+            // Countable solid portions ("2 slices") point at food rather than the latest drink
+            if (/\b(slices?|pieces?|bowls?|plates?|eggs?|handfuls?|scoops?|servings?)\b/.test(value)) {
+                const food = candidates.filter(row => row.Type === 'food');
+                if (food.length) candidates = food;
+            }
+        }
+
+        if (slots.old_value) {
+            const needle = slots.old_value.toLowerCase();
+            const named = candidates.find(row =>
+                String(row.Item || '').toLowerCase().includes(needle) ||
+                String(getToken(row.Notes, 'sides') || '').toLowerCase().includes(needle) ||
+                String(getToken(row.Notes, 'portion') || '').toLowerCase().includes(needle)
+            );
+            if (named) candidates = [named];
+        }
+
+        const row = candidates[0];
+        if (!row) return null;
+
+        console.log(`[CONTEXT] Resolved edit target for ${userId}: ${row.Item} @ ${row.Timestamp}`);
+        return { row, rowIndex: row._rawData.rowIndex + 1 };
+    } catch (error) {
+        console.error('[CONTEXT] Error resolving edit target:', error);
+        return null;
+    }
+}
+
 loadLexicon();
 
-// Run global cleanup every 10 minutes
-setInterval(globalCleanup, 10 * 60 * 1000);
+// Run global cleanup every 10 minutes (unref'd: the NLU loads this in scripts and tests too)
+setInterval(globalCleanup, 10 * 60 * 1000).unref();
 
 module.exports = {
     push,
@@ -424,7 +502,9 @@ module.exports = {
     globalCleanup,
     learnPhrase,
     lookupPhrase,
+    normalizePhrase,
     isWarningMuted,
     setWarningMute,
-    resolveReference  // V2: Reference resolution
+    resolveReference,  // V2: Reference resolution
+    resolveEditTarget
 };
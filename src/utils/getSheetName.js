@@ -3,6 +3,8 @@
  * Determines the appropriate Google Sheet name for a user
  */
 
+const household = require('../auth/household');
+
 /**
  * Get the sheet name for a user based on their ID
  * @param {string} userId - Discord user ID
@@ -10,12 +12,9 @@
  * @returns {string} - Sheet name for the user
  */
 function getSheetName(userId, userTag) {
-    const PEYTON_ID = process.env.PEYTON_ID || "552563833814646806";
-    const LOUIS_ID = process.env.LOUIS_ID || "552563833814646807";
+    const member = household.getMember(userId);
+    if (member) return member.tab;
 
-    if (userId === PEYTON_ID) return "Peyton";
-    if (userId === LOUIS_ID) return "Louis";
-    
     // For other users, use a sanitized version of their username
     // Remove special characters and limit length
     const sanitizedTag = userTag
@@ -110,9 +110,37 @@ function getToken(notesString, key) {
     return parsed.get(key);
 }
 
+/**
+ * Set, replace or remove key=value tokens in a Notes string, keeping the rest in order
+ * @param {string} notesString - Raw Notes field
+ * @param {Object} updates - { key: value } (true = bare flag, null/undefined = remove)
+ * @returns {string} - Rebuilt Notes field
+ */
+function setTokens(notesString, updates) {
+    const keys = new Set(Object.keys(updates).map(k => k.toLowerCase()));
+    // Commas only separate tokens when a new key= follows, so "sides=rice, beans" stays whole
+    const kept = String(notesString || '')
+        .split(/[;\n]+|,\s*(?=[^\s,;=]+=)/)
+        .map(part => part.trim())
+        .filter(Boolean)
+        .filter(part => {
+            const eqIdx = part.indexOf('=');
+            const key = (eqIdx > 0 ? part.slice(0, eqIdx) : part).trim().toLowerCase();
+            return !keys.has(key);
+        });
+
+    for (const [key, value] of Object.entries(updates)) {
+        if (value === null || value === undefined || value === false) continue;
+        kept.push(value === true ? key : `${key}=${String(value).replace(/[;,\n=]/g, ' ').trim()}`);
+    }
+
+    return kept.join('; ');
+}
+
 module.exports = {
     parseNotes,
     hasDeleted,
     hasToken,
-    getToken
+    getToken,
+    setTokens
 };
@@ -15,6 +15,7 @@ function buildNotesFromParse(parse) {
 
     // Meal
     if (s.meal_time) parts.push(`meal=${String(s.meal_time).trim()}`);
+    if (s.meal_id) parts.push(`meal_id=${String(s.meal_id).trim()}`);
 
     // Time (approximate vs exact)
     if (s.time_approx) parts.push(`time≈=${String(s.time_approx).trim()}`);
@@ -24,6 +25,14 @@ function buildNotesFromParse(parse) {
     if (s.bristol != null) parts.push(`bristol=${s.bristol}`);
     if (s.bristol_note) parts.push(`bristol_note=${String(s.bristol_note).trim()}`);
 
+    // Classification
+    if (s.category) parts.push(`category=${String(s.category).trim()}`);
+    if (s.prep) parts.push(`prep=${String(s.prep).trim()}`);
+
+    // Saved recipe and what's in it ("ingredients=jasmine rice|chicken thigh")
+    if (s.recipe) parts.push(`recipe=${String(s.recipe).replace(/[;,=]/g, ' ').trim()}`);
+    if (s.ingredients?.length) parts.push(`ingredients=${s.ingredients.map(i => String(i).replace(/[;,=|]/g, ' ').trim()).join('|')}`);
+
     // Food/drink specifics
     if (s.sides) parts.push(`sides=${String(s.sides).trim()}`);
     if (s.portion) parts.push(`portion=${String(s.portion).trim()}`);
@@ -50,6 +59,8 @@ function buildNotesFromParse(parse) {
     if (s.severity != null) parts.push(`severity=${s.severity}`);
     if (s.severity_note) parts.push(`severity_note=${String(s.severity_note).trim()}`);
     if (s.symptom_type) parts.push(`symptom_type=${String(s.symptom_type).trim()}`);
+    if (s.symptom_free) parts.push('symptom_free');
+    if (s.skipped) parts.push(`skipped=${String(s.skipped).trim()}`);
 
     // Confidence source
     const source = parse?.decision?.includes('llm') ? 'llm' :
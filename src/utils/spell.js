@@ -145,6 +145,68 @@ function correctTokens(text, dictionaries = {}) {
     return { corrected, corrections };
 }
 
+/**
+ * Correct words against a weighted vocabulary (see src/nlu/vocabulary.js).
+ * Words in the vocabulary or the known set are left alone, and so are
+ * inflections of a vocabulary word ("scrambled" next to "scramble"). Others
+ * are corrected to the closest vocabulary word; each word's weight (how
+ * often the user logged it) raises its score, so the user's own items are
+ * corrected to from further away. Punctuation and spacing are kept.
+ * @param {string} text - Input text
+ * @param {Object} vocabulary - { words: Map(word -> weight), known: Set }
+ * @param {number} threshold - Minimum weighted similarity (default: 0.93)
+ * @returns {Object} - { corrected: string, corrections: [{ original, corrected }] }
+ *
+ * @example
+ * correctWithVocabulary('chiken salad', vocabularyFor(userId))
+ * // { corrected: 'chicken salad', corrections: [{ original: 'chiken', corrected: 'chicken' }] }
+ */
+function correctWithVocabulary(text, { words, known = new Set() }, threshold = 0.93) {
+    const corrections = [];
+
+    const corrected = String(text).replace(/[a-z][a-z']*/gi, (word) => {
+        const lower = word.toLowerCase();
+        if (lower.length < 4 || words.has(lower) || known.has(lower)) return word;
+        if (SPELL_DENY.has(lower) || BM_PROTECTED.has(lower)) return word;
+
+        let best = null;
+        let bestScore = threshold;
+        for (const [candidate, weight] of words) {
+            if (Math.abs(candidate.length - lower.length) > 2) continue;
+            if (lower.startsWith(candidate) || candidate.startsWith(lower)) return word;
+            // 10 logs of a word is worth +0.02 similarity
+            const score = jaroWinkler(lower, candidate) + 0.02 * Math.log10(weight);
+            if (score >= bestScore) {
+                bestScore = score;
+                best = candidate;
+            }
+        }
+
+        if (!best) return word;
+        corrections.push({ original: word, corrected: best });
+        return best;
+    });
+
+    return { corrected, corrections };
+}
+
+/**
+ * Put the user's original spelling back into corrected text
+ * @param {string} text - Text containing corrected words (e.g. a logged item)
+ * @param {Array<Object>} corrections - [{ original, corrected }] from correctWithVocabulary
+ * @returns {string} - Text as the user typed it
+ *
+ * @example
+ * revertCorrections('chicken salad', [{ original: 'chiken', corrected: 'chicken' }]) // 'chiken salad'
+ */
+function revertCorrections(text, corrections = []) {
+    let reverted = String(text || '');
+    for (const { original, corrected } of corrections) {
+        reverted = reverted.replace(new RegExp(`\\b${corrected}\\b`, 'gi'), original);
+    }
+    return reverted;
+}
+
 /**
  * Check if two strings are similar (for duplicate detection)
  * @param {string} s1 - First string
@@ -221,6 +283,8 @@ module.exports = {
     jaroWinkler,
     findClosestMatch,
     correctTokens,
+    correctWithVocabulary,
+    revertCorrections,
     areSimilar,
     safeCorrectToken,  // V2: Domain-aware correction
     safeCorrect,       // V3: Prevents noun expansion
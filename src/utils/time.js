@@ -2,6 +2,8 @@ const moment = require('moment-timezone');
 const chrono = require('chrono-node');
 
 const DEFAULT_TZ = 'America/New_York';
+// A bare time further ahead than this is closer to its previous-day reading ("11pm" sent at 1am)
+const ROLLBACK_AHEAD_MS = 12 * 60 * 60 * 1000;
 
 const time = {
     /**
@@ -11,10 +13,35 @@ const time = {
      * @returns {Date|null} A JavaScript Date object, or null if parsing fails.
      */
     parse(text, tz = DEFAULT_TZ) {
-        // We provide a reference date to chrono to help it parse relative times like "yesterday".
-        const referenceDate = moment().tz(tz).toDate();
-        const results = chrono.parse(text, referenceDate, { forwardDate: true });
-        return results.length > 0 ? results[0].start.date() : null;
+        const parsed = this.parseDetailed(text, tz);
+        return parsed ? parsed.date : null;
+    },
+
+    /**
+     * Parses the first date/time mention in a string, interpreted in a timezone.
+     * Entries describe things that already happened, so a bare time of day more
+     * than 12 hours ahead ("pizza at 11pm" sent at 1am) means the previous day.
+     * Anything nearer ("pizza at 18:00" sent at 17:30) stays ahead, for the
+     * entry-time check to confirm.
+     * @param {string} text - The input string (e.g., "had eggs at 7am yesterday").
+     * @param {string} [tz] - The IANA timezone to interpret the date in.
+     * @returns {{date: Date, text: string, certainDay: boolean, certainHour: boolean}|null}
+     */
+    parseDetailed(text, tz = DEFAULT_TZ) {
+        // chrono takes the zone as an offset in minutes; the reference instant makes "yesterday" relative to now
+        const reference = { instant: new Date(), timezone: moment.tz(tz).utcOffset() };
+        const results = chrono.parse(text, reference, { forwardDate: false });
+        if (results.length === 0) return null;
+
+        const { start, text: matched } = results[0];
+        const certainDay = start.isCertain('day') || start.isCertain('weekday');
+        let date = start.date();
+
+        if (!certainDay && date - reference.instant > ROLLBACK_AHEAD_MS) {
+            date = moment(date).subtract(1, 'day').toDate();
+        }
+
+        return { date, text: matched, certainDay, certainHour: start.isCertain('hour') };
     },
 
     /**
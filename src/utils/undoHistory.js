@@ -0,0 +1,227 @@
+/**
+ * Undo History
+ * Per-user undo/redo stacks of the last MAX_OPS entry operations, plus the
+ * soft-delete / restore primitives they use. Entries are never removed from
+ * the tab: a delete sets deleted=true (which loaders, charts and exports
+ * already skip) and a restore clears it again.
+ *
+ * Operation: { type: 'log'|'delete'|'restore'|'edit', sheetName, timestamp, timestamps?, label, before?, after? }
+ * Rows are located by Timestamp, so an operation still points at the right
+ * row after other rows are added to a shared tab. A multi-item meal is one
+ * log/delete operation over all of its rows (timestamps).
+ */
+
+const { parseNotes, setTokens } = require('./notes');
+
+const MAX_OPS = 20;
+
+// userId -> { undo: [], redo: [] }
+const stacks = new Map();
+
+/**
+ * @param {string} userId - Discord user ID
+ * @returns {Object} - { undo: [], redo: [] }
+ */
+function getStacks(userId) {
+    if (!stacks.has(userId)) stacks.set(userId, { undo: [], redo: [] });
+    return stacks.get(userId);
+}
+
+/**
+ * Record a new operation (clears anything that could be redone)
+ * @param {string} userId - Discord user ID
+ * @param {Object} op - Operation
+ */
+function record(userId, op) {
+    const s = getStacks(userId);
+    s.undo.push(op);
+    if (s.undo.length > MAX_OPS) s.undo.shift();
+    s.redo = [];
+}
+
+/**
+ * Forget a logged entry that was removed another way (e.g. the Undo chip)
+ * @param {string} userId - Discord user ID
+ * @param {string} timestamp - Row Timestamp
+ */
+function forgetLog(userId, timestamp) {
+    const s = getStacks(userId);
+    s.undo = s.undo.filter(op => !(op.type === 'log' && rowTimestamps(op).includes(timestamp)));
+}
+
+/**
+ * Timestamps of the rows an operation covers
+ * @param {Object} op - Operation
+ * @returns {string[]}
+ */
+function rowTimestamps(op) {
+    return op.timestamps || [op.timestamp];
+}
+
+/**
+ * Short human label for a row
+ * @param {Object} row - Row keyed by header
+ * @returns {string}
+ */
+function describeRow(row) {
+    return `${row.Type} - ${row.Item || row.Details || 'entry'}`;
+}
+
+/**
+ * Short human label for the rows of a multi-item meal
+ * @param {Array<Object>} rows - Rows keyed by header
+ * @returns {string}
+ */
+function describeMeal(rows) {
+    return `meal - ${rows.map(row => row.Item || row.Details || 'entry').join(', ')}`;
+}
+
+/**
+ * Find rows by Timestamp
+ * @param {Object} googleSheets - Storage service
+ * @param {string} sheetName - Tab
+ * @param {string[]} timestamps - Row Timestamps
+ * @returns {Promise<Array<Object>>} - [{ row, rowIndex }] (1-based sheet row), for the rows that still exist
+ */
+async function findRows(googleSheets, sheetName, timestamps) {
+    const result = await googleSheets.getRows({}, sheetName);
+    if (!result.success) return [];
+    return result.rows
+        .filter(r => timestamps.includes(r.Timestamp))
+        .map(row => ({ row, rowIndex: row._rawData.rowIndex + 1 }));
+}
+
+/**
+ * Mark a row deleted
+ * @param {Object} googleSheets - Storage service
+ * @param {string} sheetName - Tab
+ * @param {number} rowIndex - 1-based sheet row
+ * @param {Object} row - Current row
+ * @returns {Promise<Object>} - updateRow result
+ */
+function softDelete(googleSheets, sheetName, rowIndex, row) {
+    // Spelled out: some readers match the literal deleted=true
+    const notes = setTokens(row.Notes, { deleted: 'true', deleted_at: new Date().toISOString() });
+    return googleSheets.updateRow(sheetName, rowIndex, { Notes: notes });
+}
+
+/**
+ * Clear the deleted flag on a row
+ * @param {Object} googleSheets - Storage service
+ * @param {string} sheetName - Tab
+ * @param {number} rowIndex - 1-based sheet row
+ * @param {Object} row - Current row
+ * @returns {Promise<Object>} - updateRow result
+ */
+function restore(googleSheets, sheetName, rowIndex, row) {
+    const notes = setTokens(row.Notes, { deleted: null, deleted_at: null });
+    return googleSheets.updateRow(sheetName, rowIndex, { Notes: notes });
+}
+
+/**
+ * Apply one side of an operation to its row
+ * @param {Object} op - Operation
+ * @param {string} direction - 'undo' | 'redo'
+ * @param {Object} googleSheets - Storage service
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function apply(op, direction, googleSheets) {
+    const found = await findRows(googleSheets, op.sheetName, rowTimestamps(op));
+    if (found.length === 0) return { success: false, message: `That entry (${op.label}) no longer exists.` };
+
+    const isDeleted = ({ row }) => parseNotes(row.Notes).getBool('deleted');
+
+    // log/restore are undone by deleting; delete is undone by restoring; redo does the opposite
+    const removes = (op.type === 'log' || op.type === 'restore') === (direction === 'undo');
+
+    if (op.type === 'edit') {
+        await googleSheets.updateRow(op.sheetName, found[0].rowIndex, direction === 'undo' ? op.before : op.after);
+        return { success: true, message: `${direction === 'undo' ? 'Reverted' : 'Re-applied'} edit: ${op.label}` };
+    }
+    if (removes) {
+        const live = found.filter(f => !isDeleted(f));
+        if (live.length === 0) return { success: false, message: `Already removed: ${op.label}` };
+        for (const { row, rowIndex } of live) await softDelete(googleSheets, op.sheetName, rowIndex, row);
+        return { success: true, message: `Removed: ${op.label}` };
+    }
+    const deleted = found.filter(isDeleted);
+    if (deleted.length === 0) return { success: false, message: `Already there: ${op.label}` };
+    for (const { row, rowIndex } of deleted) await restore(googleSheets, op.sheetName, rowIndex, row);
+    return { success: true, message: `Restored: ${op.label}` };
+}
+
+/**
+ * Undo the user's most recent operation. With nothing recorded (e.g. after a
+ * restart) the newest live row in the user's tab is removed instead.
+ * @param {string} userId - Discord user ID
+ * @param {Object} deps - { googleSheets, getLogSheetNameForUser }
+ * @param {string} userTag - Author tag, to pick the user's own rows in a shared tab
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function undo(userId, deps, userTag = null) {
+    const s = getStacks(userId);
+    const op = s.undo.pop();
+
+    if (!op) {
+        const sheetName = deps.getLogSheetNameForUser(userId);
+        const result = await deps.googleSheets.undoLastEntry(userTag, sheetName);
+        if (result.success) {
+            s.redo.push({ type: 'log', sheetName, timestamp: result.entry.Timestamp, label: describeRow(result.entry) });
+        }
+        return result;
+    }
+
+    const result = await apply(op, 'undo', deps.googleSheets);
+    if (result.success) s.redo.push(op);
+    return result;
+}
+
+/**
+ * Redo the most recently undone operation
+ * @param {string} userId - Discord user ID
+ * @param {Object} deps - { googleSheets }
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function redo(userId, deps) {
+    const s = getStacks(userId);
+    const op = s.redo.pop();
+    if (!op) return { success: false, message: 'Nothing to redo.' };
+
+    const result = await apply(op, 'redo', deps.googleSheets);
+    if (result.success) s.undo.push(op);
+    return result;
+}
+
+/**
+ * Recently deleted rows in a tab, newest deletion first
+ * @param {Object} googleSheets - Storage service
+ * @param {string} sheetName - Tab
+ * @param {Object} options - { days, userTag }
+ * @returns {Promise<Array<Object>>} - Rows
+ */
+async function listDeleted(googleSheets, sheetName, { days = 14, userTag = null } = {}) {
+    const result = await googleSheets.getRows({}, sheetName);
+    if (!result.success) return [];
+
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const deletedAt = (row) => String(parseNotes(row.Notes).get('deleted_at') || row.Timestamp || '');
+
+    return result.rows
+        .filter(row => parseNotes(row.Notes).getBool('deleted'))
+        .filter(row => !userTag || !row.User || row.User === userTag)
+        .filter(row => deletedAt(row) >= cutoff)
+        .sort((a, b) => deletedAt(b).localeCompare(deletedAt(a)));
+}
+
+module.exports = {
+    MAX_OPS,
+    record,
+    forgetLog,
+    describeRow,
+    describeMeal,
+    softDelete,
+    restore,
+    undo,
+    redo,
+    listDeleted
+};
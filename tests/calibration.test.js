@@ -0,0 +1,58 @@
+/**
+ * Calorie Calibration Tests
+ * Corrections recorded per entry, blended into later estimates, and
+ * picked up from "that was more like 600" edits
+ */
+/* eslint-env jest */
+
+process.env.ALLOWED_CAL_USERS = 'u1';
+
+const { recordCorrection, applyCorrections, calibrationReport, correctionFromRow } = require('../src/calories/calibration');
+const { estimateEntry } = require('../src/calories/estimateEntry');
+const { planEdit } = require('../src/handlers/editEntry');
+const { parseCalorieValue } = require('../src/handlers/calorieFix');
+
+describe('calibration', () => {
+    test('corrections pull later estimates toward the user\'s number', async () => {
+        const profile = {};
+        recordCorrection(profile, { item: 'Pizza', portion: '2 slices', estimated: 570, actual: 800 });
+
+        const estimate = { calories: 570, protein: 24, carbs: 70, fat: 20, confidence: 'medium', source: 'lookup', components: [] };
+        const once = applyCorrections(estimate, profile.calorieCorrections, { item: 'pizza', portion: '2 slices' });
+        expect(once).toMatchObject({ calories: 723, confidence: 'medium', source: 'lookup+corrected' });
+        expect(once.protein).toBeCloseTo(30.4, 1);
+
+        // Keyed by portion: a different amount of the same item is untouched
+        expect(applyCorrections(estimate, profile.calorieCorrections, { item: 'pizza', portion: '1 slice' })).toBe(estimate);
+
+        recordCorrection(profile, { item: 'pizza', portion: '2 slices', estimated: 723, actual: 780 });
+        expect(applyCorrections(estimate, profile.calorieCorrections, { item: 'pizza', portion: '2 slices' }))
+            .toMatchObject({ calories: 746, confidence: 'high' });
+
+        // Even an entry nothing could estimate gets the user's number
+        recordCorrection(profile, { item: 'zorblax', estimated: null, actual: 300 });
+        expect(await estimateEntry({ item: 'zorblax', corrections: profile.calorieCorrections }))
+            .toMatchObject({ calories: 300, source: 'corrected' });
+
+        expect(calibrationReport(profile.calorieCorrections)).toEqual([
+            { item: 'pizza', portion: '2 slices', count: 2, estimated: 647, actual: 790, error: 144, errorPct: 22 }
+        ]);
+    });
+
+    test('"that was more like 600" becomes a Calories edit that keeps the first estimate', async () => {
+        expect(parseCalorieValue('about 600 kcal')).toBe(600);
+        expect(parseCalorieValue('2 slices')).toBeNull();
+        expect(parseCalorieValue('3', 50)).toBeNull();
+
+        const row = { Type: 'food', Item: 'burrito', Calories: 450, Notes: 'portion=1 large; cal_source=lookup; cal_conf=medium' };
+        const plan = await planEdit(row, { new_value: '600' }, { userId: 'u1', deps: {} });
+        expect(plan.changes).toEqual([{ field: 'Calories', from: 450, to: 600 }]);
+        expect(plan.correction).toEqual({ actual: 600 });
+        expect(plan.updates.Calories).toBe(600);
+        expect(plan.updates.Notes).toMatch(/cal_source=user; cal_conf=high/);
+        expect(plan.updates.Notes).toMatch(/cal_estimate=450/);
+
+        const corrected = { ...row, Calories: 600, Notes: plan.updates.Notes };
+        expect(correctionFromRow(corrected)).toEqual({ item: 'burrito', sides: null, portion: '1 large', estimated: 450 });
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Entry Edit Tests
+ * Telling corrections from ordinary messages, resolving the row an edit
+ * points at, the cell updates it plans, and applying it from the preview
+ */
+/* eslint-env jest */
+
+process.env.ALLOWED_CAL_USERS = 'cal-user';
+
+const { SqliteSheetsService } = require('../services/sqliteSheets');
+const { parseEditRequest } = require('../src/nlu/rules-v2');
+const { resolveEditTarget } = require('../src/utils/contextMemory');
+const { planEdit, handleEditButton } = require('../src/handlers/editEntry');
+const pending = require('../services/pending');
+
+const TAB = 'General';
+
+/**
+ * ISO timestamp some minutes ago
+ */
+function minutesAgo(minutes) {
+    return new Date(Date.now() - minutes * 60 * 1000).toISOString();
+}
+
+describe('entry edits', () => {
+    describe('parseEditRequest', () => {
+        test('corrections are edits', () => {
+            expect(parseEditRequest('actually that was 2 slices')).toEqual({ new_value: '2 slices' });
+            expect(parseEditRequest('change my lunch to a burrito')).toEqual({ new_value: 'a burrito', edit_target: 'lunch' });
+            expect(parseEditRequest('the latte was actually oat milk, not whole milk')).toEqual({ new_value: 'oat milk', old_value: 'whole milk' });
+            expect(parseEditRequest('my pizza was actually 2 slices')).toEqual({ new_value: '2 slices', old_value: 'pizza' });
+            expect(parseEditRequest('dinner was actually pasta')).toEqual({ new_value: 'pasta', edit_target: 'dinner' });
+            expect(parseEditRequest('my reflux was actually severe')).toEqual({ new_value: 'severe', edit_target: 'reflux' });
+            expect(parseEditRequest('that was more like 600')).toEqual({ new_value: '600' });
+        });
+
+        test('"actually" in an ordinary message is not an edit', () => {
+            expect(parseEditRequest('dinner was actually great, no symptoms')).toBeNull();
+            expect(parseEditRequest('my reflux was actually worse after dinner')).toBeNull();
+            expect(parseEditRequest('yesterday was actually pretty good')).toBeNull();
+            expect(parseEditRequest('that was actually really good')).toBeNull();
+        });
+    });
+
+    describe('against a store', () => {
+        let store;
+
+        beforeEach(async () => {
+            store = new SqliteSheetsService(':memory:');
+            await store.initialize();
+            await store.appendRowToSheet(TAB, { Timestamp: minutesAgo(90), Type: 'food', Item: 'pepperoni pizza', Calories: 570, Notes: 'meal=lunch; portion=2 slices' });
+            await store.appendRowToSheet(TAB, { Timestamp: minutesAgo(60), Type: 'reflux', Item: 'reflux', Notes: 'severity=4' });
+            await store.appendRowToSheet(TAB, { Timestamp: minutesAgo(30), Type: 'drink', Item: 'latte', Notes: 'meal=snack' });
+            await store.appendRowToSheet(TAB, { Timestamp: minutesAgo(10), Type: 'food', Item: 'banana', Notes: 'meal=snack; deleted=true' });
+        });
+
+        afterEach(() => {
+            store.close();
+        });
+
+        test('resolveEditTarget picks the row the edit names, skipping deleted rows', async () => {
+            const itemOf = async (slots) => (await resolveEditTarget('u1', slots, store, TAB))?.row.Item;
+
+            expect(await itemOf({ new_value: 'oat milk' })).toBe('latte');
+            expect(await itemOf({ new_value: '3 slices' })).toBe('pepperoni pizza');
+            expect(await itemOf({ new_value: 'severe' })).toBe('reflux');
+            expect(await itemOf({ new_value: 'a burrito', edit_target: 'lunch' })).toBe('pepperoni pizza');
+            expect(await itemOf({ new_value: 'oat milk', old_value: 'pizza' })).toBe('pepperoni pizza');
+            expect(await itemOf({ new_value: 'a burrito', edit_target: 'dinner' })).toBeUndefined();
+        });
+
+        test('planEdit rescales calories for a new portion and sets a new severity', async () => {
+            const { rows } = await store.getRows({}, TAB);
+            const [pizza, reflux] = rows;
+
+            const portion = await planEdit(pizza, { new_value: '3 slices' }, { userId: 'cal-user', deps: {} });
+            expect(portion.changes).toEqual([
+                { field: 'Portion', from: '2 slices', to: '3 slices' },
+                { field: 'Calories', from: 570, to: 855 }
+            ]);
+            expect(portion.updates.Calories).toBe(855);
+            expect(portion.updates.Notes).toMatch(/portion=3 slices/);
+
+            // Without the calorie feature only the portion changes
+            const noCalories = await planEdit(pizza, { new_value: '3 slices' }, { userId: 'u1', deps: {} });
+            expect(noCalories.changes.map(c => c.field)).toEqual(['Portion']);
+
+            const severity = await planEdit(reflux, { new_value: 'severe' }, { userId: 'u1', deps: {} });
+            expect(severity.changes).toEqual([{ field: 'Severity', from: 4, to: '9/10' }]);
+            expect(severity.updates.Notes).toMatch(/severity=9/);
+
+            expect(await planEdit(pizza, { new_value: '2 slices' }, { userId: 'u1', deps: {} })).toBeNull();
+        });
+
+        test('a failed write keeps the edit pending so Apply can be pressed again', async () => {
+            const { rows } = await store.getRows({}, TAB);
+            const latte = rows[2];
+            const key = pending.keyFrom({ guildId: 'dm', channelId: 'c1', authorId: 'u1' });
+            pending.set(key, {
+                type: 'edit_entry',
+                data: { sheetName: TAB, timestamp: latte.Timestamp, updates: { Item: 'oat latte' }, summary: 'Item → oat latte', correction: null }
+            });
+
+            const interaction = {
+                user: { id: 'u1' },
+                channelId: 'c1',
+                customId: 'ux:edit:confirm',
+                message: { content: 'preview' },
+                reply: jest.fn(),
+                update: jest.fn()
+            };
+            const updateRow = jest.spyOn(store, 'updateRow').mockResolvedValueOnce({ success: false });
+
+            await handleEditButton(interaction, { googleSheets: store });
+            expect(interaction.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringMatching(/Failed to save/) }));
+            expect(pending.get(key)).not.toBeNull();
+
+            await handleEditButton(interaction, { googleSheets: store });
+            expect(updateRow).toHaveBeenCalledTimes(2);
+            expect(interaction.update).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringMatching(/Updated/) }));
+            expect(pending.get(key)).toBeNull();
+
+            const after = await store.getRows({}, TAB);
+            expect(after.rows[2].Item).toBe('oat latte');
+        });
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Entry Time Tests
+ * Bare times read as the most recent past occurrence, unusual times
+ * confirmed first, and the ux:when:* buttons replaying the message
+ */
+/* eslint-env jest */
+
+jest.mock('../src/router/handleMessage', () => jest.fn());
+
+const handleMessage = require('../src/router/handleMessage');
+const time = require('../src/utils/time');
+const { resolveEntryTime, logAsNow, requestEntryTimeConfirmation, handleEntryTimeButton } = require('../src/handlers/entryTime');
+
+const TZ = 'America/Los_Angeles';
+
+/**
+ * Pin the clock to a wall time in TZ
+ */
+function at(wallTime) {
+    jest.setSystemTime(time.moment.tz(wallTime, TZ).toDate());
+}
+
+/**
+ * Wall time of a parsed mention in TZ
+ */
+function parsedAt(text) {
+    return time.format(time.parseDetailed(text, TZ).date, 'YYYY-MM-DD HH:mm', TZ);
+}
+
+describe('entry time', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('parseDetailed', () => {
+        test('a bare time more than 12 hours ahead means the previous day', () => {
+            at('2025-01-15 01:00');
+            expect(parsedAt('pizza at 11pm')).toBe('2025-01-14 23:00');
+            expect(parsedAt('pizza at 1:01pm')).toBe('2025-01-14 13:01');
+        });
+
+        test('a bare time less than 12 hours ahead stays ahead', () => {
+            at('2025-01-15 01:00');
+            expect(parsedAt('pizza at 12:59pm')).toBe('2025-01-15 12:59');
+
+            at('2025-01-15 17:30');
+            expect(parsedAt('pizza at 18:00')).toBe('2025-01-15 18:00');
+            expect(parsedAt('eggs at 7am')).toBe('2025-01-15 07:00');
+        });
+
+        test('an explicit day is never moved', () => {
+            at('2025-01-15 17:30');
+            expect(parsedAt('eggs at 7am yesterday')).toBe('2025-01-14 07:00');
+            expect(parsedAt('dinner tomorrow at 11pm')).toBe('2025-01-16 23:00');
+        });
+    });
+
+    describe('resolveEntryTime', () => {
+        const slotsFor = (text) => ({ time: time.parseDetailed(text, TZ).date.toISOString() });
+
+        test('a time later today is confirmed as a future time', () => {
+            at('2025-01-15 17:30');
+            const when = resolveEntryTime(slotsFor('pizza at 18:00'), TZ);
+            expect(when).toMatchObject({ shifted: true, needsConfirm: 'future' });
+            expect(when.at.format('YYYY-MM-DD HH:mm')).toBe('2025-01-15 18:00');
+        });
+
+        test('recent past times are stored as given; a few minutes either way is now', () => {
+            at('2025-01-15 17:30');
+            expect(resolveEntryTime(slotsFor('eggs at 7am'), TZ)).toMatchObject({ shifted: true, needsConfirm: null });
+            expect(resolveEntryTime(slotsFor('pizza at 5:40pm'), TZ)).toMatchObject({ shifted: true, needsConfirm: null });
+            expect(resolveEntryTime(slotsFor('pizza at 5:32pm'), TZ)).toMatchObject({ shifted: false, needsConfirm: null });
+            expect(resolveEntryTime({}, TZ)).toMatchObject({ shifted: false, needsConfirm: null });
+        });
+
+        test('more than three days back is confirmed', () => {
+            at('2025-01-15 17:30');
+            expect(resolveEntryTime(slotsFor('pasta last friday at 7pm'), TZ)).toMatchObject({ shifted: true, needsConfirm: 'far_past' });
+        });
+    });
+
+    describe('confirmation buttons', () => {
+        const message = {
+            content: 'eggs, toast and a latte at 18:00',
+            forcedIntent: 'food',
+            author: { id: 'u1' },
+            guildId: null,
+            channelId: 'c1',
+            reply: jest.fn()
+        };
+
+        /**
+         * Fake ButtonInteraction for a ux:when:* choice
+         */
+        function press(choice) {
+            return {
+                id: 'i1',
+                customId: `ux:when:${choice}`,
+                user: { id: 'u1' },
+                guildId: null,
+                channelId: 'c1',
+                update: jest.fn(),
+                followUp: jest.fn()
+            };
+        }
+
+        beforeEach(async () => {
+            handleMessage.mockClear();
+            at('2025-01-15 17:30');
+            await requestEntryTimeConfirmation(message, resolveEntryTime({ time: time.parseDetailed(message.content, TZ).date.toISOString() }, TZ));
+        });
+
+        test('"Log as now" replays the message with the choice attached', async () => {
+            expect(message.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringMatching(/in the future \(\*\*Wed Jan 15, 6:00 PM\*\*\)/) }));
+
+            const interaction = press('now');
+            await handleEntryTimeButton(interaction, {});
+            expect(interaction.update).toHaveBeenCalledWith({ components: [] });
+            const [replay] = handleMessage.mock.calls[0];
+            expect(replay).toMatchObject({ content: message.content, forcedIntent: 'food', entryTimeChoice: 'now', author: { id: 'u1' } });
+
+            // The choice was used up
+            const again = press('confirm');
+            await handleEntryTimeButton(again, {});
+            expect(again.update).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringMatching(/expired/) }));
+            expect(handleMessage).toHaveBeenCalledTimes(1);
+        });
+
+        test('"Log for then" confirms and Cancel logs nothing', async () => {
+            await handleEntryTimeButton(press('confirm'), {});
+            expect(handleMessage.mock.calls[0][0].entryTimeChoice).toBe('confirmed');
+
+            await requestEntryTimeConfirmation(message, resolveEntryTime({ time: new Date(Date.now() + 60 * 60 * 1000).toISOString() }, TZ));
+            const cancel = press('cancel');
+            await handleEntryTimeButton(cancel, {});
+            expect(cancel.update).toHaveBeenCalledWith({ content: 'Ok, not logged.', components: [] });
+            expect(handleMessage).toHaveBeenCalledTimes(1);
+        });
+
+        test('logging as now drops the parsed time from every row of the meal', () => {
+            const result = {
+                slots: { item: 'eggs', time: '2025-01-16T02:00:00.000Z' },
+                meal_components: [{ slots: { item: 'toast', time: '2025-01-16T02:00:00.000Z' } }]
+            };
+            logAsNow(result);
+            expect(result.slots.time).toBeUndefined();
+            expect(result.meal_components[0].slots.time).toBeUndefined();
+        });
+    });
+});
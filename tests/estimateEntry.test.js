@@ -0,0 +1,59 @@
+/**
+ * Calorie Pipeline Tests
+ * Learned, brand, database, lookup and LLM estimates with provenance
+ */
+/* eslint-env jest */
+
+jest.mock('../src/llm/provider', () => ({
+    complete: jest.fn(async () => ({ ok: true, text: '350' }))
+}));
+
+const foodDatabase = require('../src/nutrition/foodDatabase');
+const { parsePortion } = require('../src/nutrition/portionParser');
+const { estimateEntry } = require('../src/calories/estimateEntry');
+
+const TABLE = {
+    source: 'fixture',
+    foods: [{
+        id: 173944,
+        name: 'Bananas, raw',
+        dataType: 'sr_legacy_food',
+        per100g: { kcal: 89, protein: 1.09, carbs: 22.84, fat: 0.33 },
+        portions: [{ amount: 1, unit: 'medium', label: '1 medium (7" to 7-7/8" long)', grams: 118 }]
+    }]
+};
+
+describe('estimateEntry', () => {
+    beforeAll(() => foodDatabase.open(TABLE));
+    afterAll(() => foodDatabase.open(null));
+    afterEach(() => { delete process.env.CAL_EST_USE_LLM; });
+
+    test('each part uses the best source, and the entry reports all of them', async () => {
+        const oatly = await estimateEntry({ item: 'oatly barista', portion: parsePortion('2 cups', 'drink') });
+        expect(oatly).toMatchObject({ calories: 276, source: 'brand', confidence: 'high', protein: null });
+
+        const breakfast = await estimateEntry({ item: '2 bananas', sides: 'toast' });
+        expect(breakfast).toMatchObject({ calories: 290, source: 'db+lookup', confidence: 'medium' });
+        expect(breakfast.components.map(c => c.source)).toEqual(['db', 'lookup']);
+
+        // Macros cover the whole entry or nothing: the toast has none, so the bananas' alone aren't reported
+        expect(breakfast.protein).toBeNull();
+        expect(await estimateEntry({ item: '2 bananas' })).toMatchObject({ calories: 210, protein: 2.6 });
+
+        // A part nobody can estimate makes the total a low-confidence floor
+        expect(await estimateEntry({ item: 'banana', sides: 'zorblax' })).toMatchObject({ calories: 105, confidence: 'low' });
+        expect(await estimateEntry({ item: 'zorblax' })).toBeNull();
+    });
+
+    test('learned values win, and the LLM is only asked when enabled', async () => {
+        expect(await estimateEntry({ item: 'banana', learned: { banana: 120 } })).toMatchObject({
+            calories: 120,
+            source: 'learned',
+            confidence: 'high',
+            protein: 1.5
+        });
+
+        process.env.CAL_EST_USE_LLM = 'true';
+        expect(await estimateEntry({ item: 'zorblax', sides: 'banana' })).toMatchObject({ calories: 455, source: 'llm+db', confidence: 'low' });
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * GI Load Tests
+ * Fiber, sugar alcohols, sodium and FODMAP level per entry and per meal,
+ * and the day's "GI load" summary
+ */
+/* eslint-env jest */
+
+// The router's dialog store keeps a cleanup interval running; logging doesn't need it
+jest.mock('../src/dialogs/DialogManager', () => ({}));
+
+const foodDatabase = require('../src/nutrition/foodDatabase');
+const { parsePortion } = require('../src/nutrition/portionParser');
+const { estimateEntry } = require('../src/calories/estimateEntry');
+const { classifyFodmap, mealFodmap } = require('../src/nutrition/fodmap');
+const { fodmapOf, giTokens } = require('../src/nutrition/giLoad');
+const { calculateDailyTotals, formatDailyProgress } = require('../src/calories/estimate');
+const { extractMetadata } = require('../src/nlu/rules');
+const { shouldEnableCalorieFeatures } = require('../src/auth/scope');
+const { SqliteSheetsService } = require('../services/sqliteSheets');
+const { logFromNLU } = require('../src/router/handleMessage');
+
+const TABLE = {
+    source: 'fixture',
+    foods: [
+        {
+            id: 172688,
+            name: 'Bread, whole-wheat, commercially prepared',
+            dataType: 'sr_legacy_food',
+            per100g: { kcal: 252, protein: 12.4, carbs: 43.1, fat: 3.5, fiber: 6, sugar: 4.4, sodium: 450 },
+            portions: [{ amount: 1, unit: 'slice', label: '1 slice', grams: 32 }]
+        },
+        {
+            id: 169097,
+            name: 'Pears, raw',
+            dataType: 'sr_legacy_food',
+            per100g: { kcal: 57, protein: 0.4, carbs: 15.2, fat: 0.1, fiber: 3.1, sugar: 9.8, sodium: 1 },
+            portions: [{ amount: 1, unit: 'medium', label: '1 medium', grams: 178 }]
+        }
+    ]
+};
+
+describe('GI load', () => {
+    beforeAll(() => foodDatabase.open(TABLE));
+    afterAll(() => foodDatabase.open(null));
+
+    test('entries carry fiber, sodium, sugar alcohols and a FODMAP level', async () => {
+        const estimate = await estimateEntry({ item: 'whole wheat bread', sides: 'pear', portion: parsePortion('2 slices') });
+        expect(estimate).toMatchObject({ fiber: 9.3, sodium: 290, sugarAlcohols: 3 });
+
+        const fodmap = fodmapOf({ item: 'whole wheat bread', sides: 'pear' });
+        expect(fodmap).toEqual({ level: 'high', groups: ['fructans', 'fructose'] });
+        expect(giTokens(estimate, fodmap)).toEqual(['fiber_g=9.3', 'sugar_alcohol_g=3', 'sodium_mg=290', 'fodmap=high', 'fodmap_groups=fructans|fructose']);
+
+        // "oat milk" is not "milk", and free-from modifiers take their group out
+        expect(classifyFodmap('oat milk latte')).toEqual({ level: 'high', groups: ['lactose'] });
+        expect(classifyFodmap('eggs with spinach')).toEqual({ level: 'low', groups: [] });
+        expect(classifyFodmap('lactose-free yogurt')).toEqual({ level: 'low', groups: [] });
+        expect(classifyFodmap('zorblax')).toBeNull();
+
+        // Two moderate foods in one meal stack to high
+        expect(mealFodmap([classifyFodmap('avocado'), classifyFodmap('lentils'), classifyFodmap('rice')]))
+            .toEqual({ level: 'high', groups: ['polyols', 'gos'] });
+    });
+
+    test('fiber and sodium are left off unless every part has them; sugar alcohols come from the parts that have any', async () => {
+        // Whole milk comes from the brand table, which has no fiber or sodium
+        const estimate = await estimateEntry({ item: 'whole wheat bread', sides: 'pear, whole milk', portion: parsePortion('2 slices') });
+        expect(estimate).toMatchObject({ fiber: null, sodium: null, sugarAlcohols: 3 });
+        expect(giTokens(estimate, null)).toEqual(['sugar_alcohol_g=3']);
+    });
+
+    test('entries of users without the calories feature still get their GI nutrients', async () => {
+        const store = new SqliteSheetsService(':memory:');
+        await store.initialize();
+        const estimateSpy = jest.fn(estimateEntry);
+        const deps = {
+            googleSheets: store,
+            getLogSheetNameForUser: () => 'General',
+            getUserProfile: async () => ({ prefs: { TZ: 'America/Los_Angeles' }, learnedCalorieMap: {} }),
+            updateUserProfile: jest.fn(),
+            extractMetadata,
+            estimateEntry: estimateSpy,
+            shouldEnableCalorieFeatures
+        };
+        const message = { id: 'm1', content: 'whole wheat bread and a pear', author: { id: 'no-calories', tag: 'sam#0001' }, reply: jest.fn() };
+        const parse = { intent: 'food', slots: { item: 'whole wheat bread', sides: 'pear', meal_time: 'lunch' }, missing: [], meta: {} };
+
+        const logged = await logFromNLU(message, parse, deps);
+        expect(logged).toMatchObject({ success: true, caloriesVal: null });
+        expect(estimateSpy.mock.calls[0][0]).toMatchObject({ allowLlm: false });
+        expect(logged.rowObj).toMatchObject({ Calories: '', Protein: '' });
+        expect(logged.rowObj.Notes).toContain('fiber_g=');
+        expect(logged.rowObj.Notes).toContain('sodium_mg=');
+        expect(logged.rowObj.Notes).not.toContain('cal_source=');
+        store.close();
+    });
+
+test('the day\'s rows add up to a GI load line, counting each meal once', () => {
+        const rows = [
+            { Timestamp: '2026-10-19T08:00:00Z', Calories: 400, Fat: 12, Notes: 'meal_id=20261019-0800; fiber_g=6.5; sodium_mg=300; fodmap=low; fodmap_meal=high' },
+            { Timestamp: '2026-10-19T08:00:00.001Z', Calories: 150, Fat: 8, Notes: 'meal_id=20261019-0800; fiber_g=2; fodmap=high; fodmap_groups=lactose; fodmap_meal=high' },
+            { Timestamp: '2026-10-19T12:30:00Z', Calories: 500, Fat: 20, Notes: 'fiber_g=4; sugar_alcohol_g=1.5; sodium_mg=1540; fodmap=low' },
+            { Timestamp: '2026-10-19T15:00:00Z', Calories: 200, Fat: 9, Notes: 'fiber_g=10; fodmap=high; deleted' }
+        ];
+
+        // The undone snack (deleted) counts toward neither the calories nor the GI load
+        const totals = calculateDailyTotals(rows);
+        expect(totals.entryCount).toBe(3);
+        expect(totals.gi).toMatchObject({ fiber: 12.5, sugarAlcohols: 1.5, sodium: 1840, fodmapMeals: { low: 1, medium: 0, high: 1 } });
+        expect(formatDailyProgress(totals, 2000)).toBe(
+            'Today: 1,050 / 2,000 kcal (-950 remaining)\n' +
+            'GI load: fiber 13 g · fat 40 g · sugar alcohols 1.5 g · sodium 1,840 mg · FODMAP meals: 1 high, 1 low'
+        );
+
+        // Rows from before GI tokens existed keep the plain progress line
+        expect(formatDailyProgress(calculateDailyTotals([{ Calories: 300, Fat: 10, Notes: 'cal_source=db' }]), 2000))
+            .toBe('Today: 300 / 2,000 kcal (-1,700 remaining)');
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * Household Tests
+ * Per-member log tabs, DM onboarding, feature flags saved on profiles,
+ * and the !household admin command
+ */
+/* eslint-env jest */
+
+process.env.PEYTON_ID = '100000000000000001';
+process.env.LOUIS_ID = '100000000000000002';
+
+const { SqliteSheetsService } = require('../services/sqliteSheets');
+const { getUserProfile, updateUserProfile } = require('../services/userProfile');
+const household = require('../src/auth/household');
+const { ensureOnboarded } = require('../src/auth/onboarding');
+const { handleHousehold } = require('../src/commands/household');
+const { handleExport } = require('../src/commands/export');
+const { HEALTH_HEADERS } = require('../src/constants/sheets');
+
+const ADMIN = process.env.PEYTON_ID;
+const SAM = '100000000000000003';
+
+/**
+ * Minimal Discord message
+ */
+function dm(userId, username, guildId = null) {
+    return { author: { id: userId, username }, guildId, reply: jest.fn() };
+}
+
+describe('household', () => {
+    let store;
+    let deps;
+
+    beforeEach(async () => {
+        store = new SqliteSheetsService(':memory:');
+        await store.initialize();
+        deps = { googleSheets: store, getUserProfile, updateUserProfile };
+        await household.load(store);
+    });
+
+    afterEach(() => {
+        store.close();
+    });
+
+    test('members log to their own tab; everyone else shares General until they DM', async () => {
+        expect(household.getTab(ADMIN)).toBe('Peyton');
+        expect(household.getTab(SAM)).toBe(household.FALLBACK_TAB);
+
+        // A server message doesn't onboard
+        expect(await ensureOnboarded(dm(SAM, 'Sam', 'guild1'), deps)).toBeNull();
+
+        const message = dm(SAM, 'Sam');
+        const member = await ensureOnboarded(message, deps);
+        expect(member).toMatchObject({ tab: 'Sam', features: { calories: false, health: false, charts: true } });
+        expect(message.reply).toHaveBeenCalledWith(expect.stringMatching(/your own log \(\*\*Sam\*\*\)/));
+        expect(household.getTab(SAM)).toBe('Sam');
+        expect((await store.getHeadersFor('Sam')).length).toBeGreaterThan(0);
+
+        // A second "Sam" gets a tab of their own
+        const other = await ensureOnboarded(dm('100000000000000004', 'Sam'), deps);
+        expect(other.tab).toBe('Sam2');
+
+        // Saved on User_Profiles: a restart routes them the same way
+        await household.load(store);
+        expect(household.getTab(SAM)).toBe('Sam');
+    });
+
+    test('!household enable turns a feature on for a member and sets up their health tab', async () => {
+        await ensureOnboarded(dm(SAM, 'Sam'), deps);
+
+        const denied = dm(SAM, 'Sam');
+        await handleHousehold(denied, `enable calories <@${SAM}>`, deps);
+        expect(denied.reply).toHaveBeenCalledWith(expect.stringMatching(/Only household admins/));
+        expect(household.hasCapability(SAM, 'calories')).toBe(false);
+
+        const admin = dm(ADMIN, 'peyton');
+        await handleHousehold(admin, `enable calories <@${SAM}>`, deps);
+        expect(household.hasCapability(SAM, 'calories')).toBe(true);
+
+        await handleHousehold(admin, `enable health <@${SAM}>`, deps);
+        expect(admin.reply).toHaveBeenLastCalledWith(expect.stringMatching(/Health data goes to `Health_Sam`/));
+        expect(household.getHealthTab(SAM)).toBe('Health_Sam');
+        expect(await store.getHeadersFor('Health_Sam')).toEqual(HEALTH_HEADERS);
+    });
+
+    test('!export from the shared General tab sends only your own rows', async () => {
+        const now = new Date().toISOString();
+        await store.appendRowToSheet(household.FALLBACK_TAB, { Timestamp: now, User: 'sam#0001', Type: 'food', Item: 'toast' });
+        await store.appendRowToSheet(household.FALLBACK_TAB, { Timestamp: now, User: 'alex#0002', Type: 'food', Item: 'ramen' });
+
+        const message = { ...dm(SAM, 'Sam', 'guild1'), author: { id: SAM, tag: 'sam#0001' } };
+        await handleExport(message, '', { googleSheets: store, getLogSheetNameForUser: household.getTab });
+
+        const { content, files } = message.reply.mock.calls[0][0];
+        expect(content).toBe('📦 Exported 1 entry.');
+        const csv = files[0].attachment.toString('utf8');
+        expect(csv).toContain('toast');
+        expect(csv).not.toContain('ramen');
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Job Queue Tests
+ * Persistence across restarts, leasing, retries with backoff and dead-lettering
+ */
+/* eslint-env jest */
+
+process.env.ALLOWED_CAL_USERS = '123';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jobsStore = require('../src/jobs/jobsStore');
+const { processJob } = require('../src/jobs/runner');
+
+const minutesFromNow = (m) => new Date(Date.now() + m * 60 * 1000).toISOString();
+
+describe('jobsStore', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+        jobsStore.init(path.join(dir, 'jobs.sqlite'));
+    });
+
+    afterEach(() => {
+        jobsStore.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('only returns jobs once they are due, and survives a restart', async () => {
+        const id = await jobsStore.enqueue({
+            userId: '123',
+            dueAtISO: minutesFromNow(30),
+            type: 'after_meal_ping',
+            payload: { item: 'oatmeal', mealType: 'breakfast' }
+        });
+
+        expect(await jobsStore.pullDue(new Date().toISOString())).toEqual([]);
+
+        // Simulate a restart
+        jobsStore.close();
+        jobsStore.init(path.join(dir, 'jobs.sqlite'));
+
+        const [job] = await jobsStore.pullDue(minutesFromNow(31));
+        expect(job).toMatchObject({ id, userId: '123', type: 'after_meal_ping', attempts: 1, payload: { item: 'oatmeal' } });
+
+        // Leased: not handed out twice
+        expect(await jobsStore.pullDue(minutesFromNow(32))).toEqual([]);
+
+        await jobsStore.markDone(id);
+        expect(await jobsStore.getUserJobs('123')).toEqual([]);
+    });
+
+    test('reclaims jobs whose lease expired', async () => {
+        await jobsStore.enqueue({ userId: '123', dueAtISO: new Date().toISOString(), type: 'after_meal_ping' });
+        await jobsStore.pullDue(new Date().toISOString(), { leaseMs: 1000 });
+
+        const [reclaimed] = await jobsStore.pullDue(minutesFromNow(1));
+        expect(reclaimed.attempts).toBe(2);
+    });
+
+    test('retries with exponential backoff, then dead-letters', async () => {
+        const id = await jobsStore.enqueue({ userId: '123', dueAtISO: new Date().toISOString(), type: 'after_meal_ping', maxAttempts: 3 });
+
+        await jobsStore.pullDue(new Date().toISOString());
+        const first = await jobsStore.markFailed(id, new Error('Discord 500'));
+        await jobsStore.pullDue(minutesFromNow(60));
+        const second = await jobsStore.markFailed(id, new Error('Discord 500'));
+
+        const delay = (r) => new Date(r.nextDueAtISO).getTime() - Date.now();
+        expect(first.status).toBe('pending');
+        expect(delay(second)).toBeGreaterThan(delay(first) * 1.5);
+
+        await jobsStore.pullDue(minutesFromNow(120));
+        expect(await jobsStore.markFailed(id, 'still failing')).toEqual({ status: 'dead', nextDueAtISO: null });
+
+        const [dead] = await jobsStore.getDeadJobs();
+        expect(dead).toMatchObject({ id, attempts: 3, lastError: 'still failing' });
+        expect(await jobsStore.pullDue(minutesFromNow(600))).toEqual([]);
+    });
+
+    test('cancels pending jobs for a user', async () => {
+        await jobsStore.enqueue({ userId: '123', dueAtISO: minutesFromNow(5), type: 'after_meal_ping' });
+        await jobsStore.enqueue({ userId: '456', dueAtISO: minutesFromNow(5), type: 'after_meal_ping' });
+
+        expect(await jobsStore.cancelUserJobs('123', 'after_meal_ping')).toBe(1);
+        expect(await jobsStore.getUserJobs('123')).toEqual([]);
+        expect(await jobsStore.getUserJobs('456')).toHaveLength(1);
+    });
+
+    test('runner reschedules a job when delivery fails', async () => {
+        const id = await jobsStore.enqueue({ userId: '123', dueAtISO: new Date().toISOString(), type: 'after_meal_ping', payload: { item: 'toast', mealType: 'snack' } });
+        const [job] = await jobsStore.pullDue(new Date().toISOString());
+
+        const client = { users: { fetch: jest.fn().mockRejectedValue(new Error('gateway timeout')) } };
+        await processJob(job, client);
+
+        const [pending] = await jobsStore.getUserJobs('123');
+        expect(pending).toMatchObject({ id, status: 'pending', lastError: 'gateway timeout' });
+    });
+});
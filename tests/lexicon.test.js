@@ -0,0 +1,33 @@
+/**
+ * Phrase Lexicon Tests
+ * Learned phrases outlive the short-lived context they are stored with,
+ * in memory and on disk
+ */
+/* eslint-env jest */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const cwd = process.cwd();
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lexicon-'));
+process.chdir(dir);
+const { learnPhrase, lookupPhrase, globalCleanup } = require('../src/utils/contextMemory');
+process.chdir(cwd);
+
+describe('phrase lexicon', () => {
+    afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test('a learned phrase survives the periodic context cleanup', () => {
+        learnPhrase('u1', 'The Usual!', 'food', { item: 'oatmeal' });
+
+        globalCleanup();
+        expect(lookupPhrase('u1', 'the usual')).toMatchObject({ intent: 'food', slots: { item: 'oatmeal' } });
+
+        // A later save keeps it on disk too
+        learnPhrase('u2', 'my shake', 'drink', { item: 'protein shake' });
+        const saved = JSON.parse(fs.readFileSync(path.join(dir, '.data', 'lexicon.json'), 'utf8'));
+        expect(Object.keys(saved).sort()).toEqual(['u1', 'u2']);
+        expect(saved.u1['the usual'].slots).toEqual({ item: 'oatmeal' });
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * LLM Provider Tests
+ * Fixture backend replay, validation, caching, token accounting and budgets
+ */
+/* eslint-env jest */
+
+const provider = require('../src/llm/provider');
+const { createFixtureBackend } = require('../src/llm/fixtureBackend');
+const { llmPinch } = require('../src/nlu/llmPinch');
+const { generateQuery } = require('../src/insights/AIAnalyst');
+const { llmCache } = require('../src/nlu/cache');
+
+const fixtures = {
+    nlu_pinch: {
+        'had a thing from the cart': { actions: [{ intent: 'food', slots: { item: 'street tacos' }, confidence: 0.8, missing: [] }] },
+        'garbled': { result: 'no actions key' }
+    },
+    analyst_query: {
+        '*': '```json\n{"filters":[{"column":"Type","operator":"eq","value":"reflux"}],"aggregation":{"type":"count","column":"Type"}}\n```'
+    }
+};
+
+describe('llm provider', () => {
+    beforeEach(() => {
+        provider.setBackend(createFixtureBackend(fixtures));
+        provider.resetUsage();
+        llmCache.clear();
+        delete process.env.LLM_DAILY_TOKEN_BUDGET;
+    });
+
+    afterAll(() => provider.setBackend(undefined));
+
+    test('callers get replayed fixtures, and repeat calls hit the shared cache', async () => {
+        const actions = await llmPinch('had a thing from the cart');
+        expect(actions).toEqual([expect.objectContaining({ intent: 'food', slots: { item: 'street tacos' } })]);
+        await llmPinch('Had a thing  from the cart');
+
+        // Fenced JSON from a local model still parses
+        expect((await generateQuery('how often did I have reflux?')).aggregation.type).toBe('count');
+
+        const { tasks } = provider.getUsage();
+        expect(tasks.nlu_pinch).toMatchObject({ calls: 2, ok: 1, cacheHits: 1 });
+        expect(tasks.nlu_pinch.promptTokens).toBeGreaterThan(0);
+        expect(tasks.analyst_query.ok).toBe(1);
+    });
+
+    test('invalid output, missing fixtures and a disabled backend all fail soft', async () => {
+        const garbled = await provider.complete({
+            task: 'nlu_pinch',
+            messages: [{ role: 'user', content: 'garbled' }],
+            json: true,
+            validate: (parsed) => (parsed.actions ? null : 'no actions')
+        });
+        expect(garbled).toMatchObject({ ok: false, error: 'invalid_output', json: { result: 'no actions key' } });
+        expect(await llmPinch('never recorded')).toBeNull();
+        expect(provider.getUsage().tasks.nlu_pinch).toMatchObject({ invalid: 1, errors: 1 });
+
+        provider.setBackend(null);
+        expect(await llmPinch('had a thing from the cart')).toBeNull();
+        expect((await generateQuery('anything')).error).toMatch(/not configured/);
+    });
+
+    test('the daily token budget stops calls once spent', async () => {
+        process.env.LLM_DAILY_TOKEN_BUDGET = '1';
+        await llmPinch('had a thing from the cart');
+        expect(await llmPinch('garbled')).toBeNull();
+        expect(provider.getUsage().tasks.nlu_pinch.overBudget).toBe(1);
+    });
+});
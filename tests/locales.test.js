@@ -0,0 +1,53 @@
+/**
+ * Language Pack Tests
+ * Spanish messages parse to canonical English slots, and replies localize
+ */
+/* eslint-env jest */
+
+const { rulesParse } = require('../src/nlu/rules-v2');
+const { toCanonical, resolveLocale } = require('../src/nlu/locales');
+const { phrasesFor, PHRASES } = require('../src/constants/ux');
+
+const parse = (text) => rulesParse(text, { tz: 'America/Los_Angeles', locale: 'es' });
+
+describe('spanish language pack', () => {
+    test('meals and drinks are stored with English items', () => {
+        expect(parse('Desayuné avena con plátano')).toMatchObject({
+            intent: 'food',
+            slots: { item: 'oatmeal', sides: 'banana', meal_time: 'breakfast' },
+            meta: { locale: 'es', translatedFrom: 'Desayuné avena con plátano' }
+        });
+
+        const lunch = parse('almorcé huevos, pan tostado y café');
+        expect([lunch.slots.item, ...lunch.meal_components.map(c => c.slots.item)]).toEqual(['eggs', 'toast', 'coffee']);
+        expect(lunch.slots.meal_time).toBe('lunch');
+
+        expect(parse('tomé un té de manzanilla').slots.item).toBe('chamomile tea');
+    });
+
+    test('symptoms, bowel movements and negation use the English ontology', () => {
+        expect(parse('me duele el estómago')).toMatchObject({ intent: 'symptom', slots: { symptom_type: 'pain' } });
+        expect(parse('Me duele mucho el estómago').slots.severity).toBe(7);
+        expect(parse('me siento hinchada').slots.symptom_type).toBe('bloat');
+        // Feeling fine is not a food called "fine"
+        expect(parse('me siento bien')).toMatchObject({ intent: 'other', slots: {} });
+        expect(rulesParse('i feel fine', { tz: 'America/Los_Angeles' }).intent).toBe('other');
+        expect(parse('acidez muy fuerte')).toMatchObject({ intent: 'reflux', slots: { severity: 9 } });
+        expect(parse('hice popó, diarrea')).toMatchObject({ intent: 'bm', slots: { bristol: '7' } });
+        expect(parse('sin reflujo hoy')).toMatchObject({ intent: 'checkin', slots: { symptom_free: true, symptom_type: 'reflux' } });
+        expect(parse('no tomé café')).toMatchObject({ intent: 'skip', slots: { skipped: 'coffee' } });
+    });
+
+    test('English messages and English users are unaffected', () => {
+        expect(toCanonical('had eggs for breakfast', 'en')).toEqual({ text: 'had eggs for breakfast', translated: [] });
+        expect(parse('hi').intent).toBe('greeting');
+        expect(rulesParse('avena', { tz: 'America/Los_Angeles' }).meta.locale).toBeUndefined();
+    });
+
+    test('locale names resolve and replies fall back to English', () => {
+        expect(['es-MX', 'Español', 'EN', 'klingon'].map(resolveLocale)).toEqual(['es', 'es', 'en', null]);
+        expect(phrasesFor('es').logged).toBe('{emoji} Anotado **{details}**.');
+        expect(phrasesFor('es').chitChat).toBe(PHRASES.chitChat);
+        expect(phrasesFor(undefined)).toBe(PHRASES);
+    });
+});
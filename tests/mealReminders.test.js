@@ -0,0 +1,59 @@
+/**
+ * After-Meal Reminder Tests
+ * Subscriptions saved on the profile and the pings they enqueue for matching meals
+ */
+/* eslint-env jest */
+
+const { subscribe, unsubscribe, scheduleForMeal } = require('../src/reminders/mealReminders');
+
+describe('after-meal reminders', () => {
+    let profile;
+    let deps;
+
+    beforeEach(() => {
+        profile = { prefs: { TZ: 'America/Los_Angeles' } };
+        deps = {
+            googleSheets: null,
+            getUserProfile: jest.fn(async () => profile),
+            updateUserProfile: jest.fn(async (userId, updated) => { profile = updated; }),
+            enqueue: jest.fn(async () => 'job-1'),
+            cancelUserJobs: jest.fn(async () => 2)
+        };
+    });
+
+    const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+    test('a subscription is saved on the profile and every main meal enqueues a ping', async () => {
+        await subscribe('u1', { delayMin: 30, scope: 'every_meal' }, deps);
+        expect(profile.mealReminders).toMatchObject({ enabled: true, delayMin: 30, scope: 'every_meal', channel: 'dm', channelId: null });
+
+        const loggedAt = inMinutes(-5);
+        const jobId = await scheduleForMeal('u1', { item: 'pasta', slots: { meal_time: 'dinner' }, timestampISO: loggedAt, originalMessage: 'pasta for dinner' }, deps);
+        expect(jobId).toBe('job-1');
+        expect(deps.enqueue).toHaveBeenCalledWith({
+            userId: 'u1',
+            dueAtISO: new Date(new Date(loggedAt).getTime() + 30 * 60 * 1000).toISOString(),
+            type: 'after_meal_ping',
+            payload: expect.objectContaining({ item: 'pasta', mealType: 'dinner', channel: 'dm' })
+        });
+
+        // Snacks aren't meals
+        expect(await scheduleForMeal('u1', { item: 'chips', slots: { meal_time: 'snack' }, timestampISO: loggedAt }, deps)).toBeNull();
+    });
+
+    test('only the subscribed meal, only when the ping is still ahead, and not after unsubscribing', async () => {
+        await subscribe('u1', { delayMin: 60, scope: 'lunch', channel: 'channel', channelId: 'c1' }, deps);
+
+        expect(await scheduleForMeal('u1', { item: 'soup', slots: { meal_time: 'dinner' }, timestampISO: inMinutes(-5) }, deps)).toBeNull();
+        // Backdated three hours: the reminder would already be late
+        expect(await scheduleForMeal('u1', { item: 'soup', slots: { meal_time: 'lunch' }, timestampISO: inMinutes(-180) }, deps)).toBeNull();
+        expect(await scheduleForMeal('u1', { item: 'soup', slots: { meal_time: 'lunch' }, timestampISO: inMinutes(-5) }, deps)).toBe('job-1');
+        expect(deps.enqueue.mock.calls[0][0].payload).toMatchObject({ channel: 'channel', channelId: 'c1' });
+
+        expect(await unsubscribe('u1', deps)).toBe(2);
+        expect(deps.cancelUserJobs).toHaveBeenCalledWith('u1', 'after_meal_ping');
+        expect(profile.mealReminders.enabled).toBe(false);
+        expect(await scheduleForMeal('u1', { item: 'soup', slots: { meal_time: 'lunch' }, timestampISO: inMinutes(-5) }, deps)).toBeNull();
+        expect(deps.enqueue).toHaveBeenCalledTimes(1);
+    });
+});
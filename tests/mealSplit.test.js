@@ -0,0 +1,47 @@
+/**
+ * Multi-Item Meal Tests
+ * Splitting "eggs, toast and a latte" into one linked component per item
+ */
+/* eslint-env jest */
+
+const { rulesParse, splitMealComponents } = require('../src/nlu/rules-v2');
+const { buildNotesFromParse } = require('../src/utils/notesBuild');
+
+describe('multi-item meals', () => {
+    test('a list of foods and drinks becomes one component each', () => {
+        const result = rulesParse('Eggs, toast and a latte for breakfast', { tz: 'America/Los_Angeles' });
+
+        expect(result.intent).toBe('food');
+        expect(result.slots).toMatchObject({ item: 'eggs', category: 'protein', meal_time: 'breakfast' });
+        expect(result.slots.sides).toBeUndefined();
+        expect(result.meal_components.map(c => [c.intent, c.slots.item])).toEqual([
+            ['food', 'toast'],
+            ['drink', 'latte']
+        ]);
+        expect(result.meal_components[1].slots).toMatchObject({ caffeine: true, meal_time: 'breakfast' });
+    });
+
+    test('with-clauses stay on their item and single dishes are not split', () => {
+        const { components } = splitMealComponents('breakfast was 2 scrambled eggs, toast with butter, and an iced oat latte');
+        expect(components.map(c => c.slots.item)).toEqual(['2 scrambled eggs', 'toast', 'iced oat latte']);
+        expect(components[1].slots).toMatchObject({ sides: 'butter', dairy: true });
+        expect(components[2].slots).toMatchObject({ prep: 'iced', non_dairy: true, caffeine: true });
+
+        expect(splitMealComponents('oatmeal with berries and nuts').components).toEqual([]);
+        expect(splitMealComponents('mac and cheese').components).toEqual([]);
+    });
+
+    test('a single item keeps the meal it was named for', () => {
+        const parse = (text) => rulesParse(text, { tz: 'America/Los_Angeles' }).slots.meal_time;
+        expect(parse('oatmeal with banana for breakfast')).toBe('breakfast');
+        expect(parse('burrito for lunch')).toBe('lunch');
+    });
+
+    test('component notes carry their own tokens and the shared meal_id', () => {
+        const notes = buildNotesFromParse({
+            decision: 'strict',
+            slots: { item: 'latte', category: 'caffeine', caffeine: true, meal_time: 'breakfast', meal_id: '20250115-1530' }
+        });
+        expect(notes).toBe('notes_v=2.1; meal=breakfast; meal_id=20250115-1530; category=caffeine; caffeine; confidence=rules');
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Negation Tests
+ * Clause-scoped negation in rules-v2 and symptom-free check-ins as evidence in insights
+ */
+/* eslint-env jest */
+
+const moment = require('moment-timezone');
+const { rulesParse, parseNegation } = require('../src/nlu/rules-v2');
+const { computeStreak, mineCombinations, labelExposure } = require('../src/insights/metrics');
+
+const parse = (text) => rulesParse(text, { tz: 'America/Los_Angeles' });
+
+describe('negation', () => {
+    test('a negated symptom is a symptom-free check-in, not a symptom entry', () => {
+        expect(parse('no reflux today')).toMatchObject({ intent: 'checkin', slots: { symptom_free: true, symptom_type: 'reflux' } });
+        expect(parse('No reflux or bloating today!').slots.symptom_type).toBe('reflux, bloat');
+        expect(parse('symptom free today').slots).toMatchObject({ symptom_free: true, symptom_type: 'any' });
+    });
+
+    test('a negated item is skipped and the rest of the message still parses', () => {
+        expect(parse('skipped coffee')).toMatchObject({ intent: 'skip', slots: { skipped: 'coffee' } });
+        expect(parse("didn't have any dairy today").slots.skipped).toBe('dairy');
+
+        const mixed = parse('had eggs and toast, skipped the coffee');
+        expect(mixed.intent).toBe('food');
+        expect(mixed.slots.item).toBe('eggs');
+        expect(mixed.meta.negated.skipped).toEqual(['coffee']);
+
+        expect(parse('coffee without sugar')).toMatchObject({ intent: 'drink', slots: { item: 'coffee' } });
+    });
+
+    test('questions and set phrases are not negations', () => {
+        expect(parse('how many days with no reflux?').intent).toBe('question');
+        expect(parseNegation('no thanks')).toBeNull();
+    });
+});
+
+describe('symptom-free check-ins as evidence', () => {
+    const tz = 'America/Los_Angeles';
+    const day = (n) => moment().tz(tz).subtract(n, 'days');
+    const row = (d, type, notes = '', hour = 9) => {
+        const at = d.clone().hour(hour).minute(0);
+        return { Timestamp: at.toISOString(), Date: at.format('YYYY-MM-DD'), Type: type, Item: type, Notes: notes };
+    };
+
+    test('computeStreak counts check-in days as confirmed', () => {
+        const rows = [
+            row(day(3), 'reflux'),
+            row(day(1), 'checkin', 'notes_v=2.1; symptom_free; symptom_type=reflux', 21),
+            row(day(0), 'checkin', 'notes_v=2.1; symptom_free; symptom_type=any', 8)
+        ];
+        expect(computeStreak(rows)).toMatchObject({ symptomFreeDays: 3, confirmedDays: 2 });
+    });
+
+    test('meals confirmed by a same-day check-in weigh more in the lift denominators', () => {
+        const rows = [];
+        for (let n = 1; n <= 4; n++) {
+            rows.push(row(day(n), 'drink', 'notes_v=2.1; caffeine', 8), row(day(n), 'reflux', '', 10));
+            rows.push(row(day(n), 'food', 'notes_v=2.1', 13), row(day(n), 'checkin', 'notes_v=2.1; symptom_free', 21));
+        }
+        // Four more plain meals with no check-in that day still count, once each
+        for (let n = 5; n <= 8; n++) rows.push(row(day(n), 'food', 'notes_v=2.1', 13));
+
+        // 4 outcomes over 4 + 4×2 + 4 = 16: baseline 0.25, caffeine 1.0
+        const [caffeine] = mineCombinations(rows);
+        expect(caffeine).toMatchObject({ label: 'Caffeine', count: 4, lift: 4 });
+
+        // A check-in logged before the meal covers it too ("no reflux today" in the evening, meal at night)
+        const late = [row(day(1), 'checkin', 'notes_v=2.1; symptom_free', 18), row(day(1), 'food', 'notes_v=2.1', 22)];
+        expect(labelExposure(late, 1)).toEqual({ hasOutcome: false, confirmedClear: true, weight: 2 });
+        expect(labelExposure([row(day(1), 'food', 'notes_v=2.1', 13)], 0)).toEqual({ hasOutcome: false, confirmedClear: false, weight: 1 });
+    });
+});
@@ -0,0 +1,38 @@
+/**
+ * NLU Golden-Set Regression Tests
+ * Scores tests/nlu-test-cases.json offline and fails on any case that passed
+ * in tests/nlu-baseline.json. After an intended change, refresh the baseline
+ * with `node scripts/nluEval.js --update-baseline`.
+ */
+/* eslint-env jest */
+
+const { evaluate, diffAgainstBaseline, formatReport } = require('../src/nlu/evaluate');
+const corpus = require('./nlu-test-cases.json');
+const baseline = require('./nlu-baseline.json');
+
+describe('NLU golden set', () => {
+    let report;
+
+    beforeAll(async () => {
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        report = await evaluate(corpus);
+        log.mockRestore();
+    });
+
+    test('no case that passed in the baseline fails now', () => {
+        const diff = diffAgainstBaseline(report, baseline);
+        if (diff.regressions.length > 0) {
+            console.log(formatReport(report, diff));
+        }
+        expect(diff.regressions.map(r => r.id)).toEqual([]);
+    });
+
+    test('scores intents per class and slots per field', () => {
+        const salad = report.cases.find(r => r.id === 'food-salad-lunch');
+        expect(salad.expectedSlots).toEqual(['item', 'meal_time']);
+        expect(report.confusion.food.food).toBe(report.intents.food.tp);
+        expect(report.slots.severity.total).toBeGreaterThan(0);
+        expect(diffAgainstBaseline(report, { cases: { 'food-salad-lunch': { pass: !salad.pass } } }))
+            .toMatchObject(salad.pass ? { fixed: [salad] } : { regressions: [salad] });
+    });
+});
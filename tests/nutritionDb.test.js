@@ -0,0 +1,100 @@
+/**
+ * Nutrition Database Tests
+ * FoodData Central CSV import, fuzzy lookup and portion scaling
+ */
+/* eslint-env jest */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const foodDatabase = require('../src/nutrition/foodDatabase');
+const { parseCsvLine, importFdcCsv, buildTable } = require('../scripts/importNutrition');
+const { estimate } = require('../src/calories/estimate');
+const { estimateCaloriesForItemAndSides } = require('../src/nutrition/estimateCalories');
+
+// A slice of an SR Legacy download, in FDC's own CSV layout
+const FDC_CSV = {
+    'food.csv': [
+        '"fdc_id","data_type","description","food_category_id","publication_date"',
+        '"173944","sr_legacy_food","Bananas, raw","9","2019-04-01"',
+        '"168878","sr_legacy_food","Rice, white, long-grain, regular, raw, enriched","20","2019-04-01"',
+        '"168880","sr_legacy_food","Rice, white, long-grain, regular, enriched, cooked","20","2019-04-01"',
+        '"172688","sr_legacy_food","Bread, whole-wheat, commercially prepared","18","2019-04-01"',
+        '"171287","sr_legacy_food","Egg, whole, raw, fresh","1","2019-04-01"',
+        '"2000001","branded_food","BANANA CHIPS","","2021-10-28"'
+    ],
+    'food_nutrient.csv': [
+        '"id","fdc_id","nutrient_id","amount","data_points","derivation_id","min","max","median","footnote","min_year_acquired"',
+        '"1","173944","1008","89","","","","","","",""',
+        '"2","173944","1003","1.09","","","","","","",""',
+        '"3","173944","1005","22.84","","","","","","",""',
+        '"4","173944","1004","0.33","","","","","","",""',
+        '"5","173944","1079","2.6","","","","","","",""',
+        '"6","168878","1008","365","","","","","","",""',
+        '"7","168880","1008","130","","","","","","",""',
+        '"8","168880","1003","2.69","","","","","","",""',
+        '"9","168880","1005","28.17","","","","","","",""',
+        '"10","168880","1004","0.28","","","","","","",""',
+        '"11","172688","2047","250","","","","","","",""',
+        '"12","172688","1008","252","","","","","","",""',
+        '"13","171287","1008","143","","","","","","",""',
+        '"14","2000001","1008","519","","","","","","",""'
+    ],
+    'measure_unit.csv': ['"id","name"', '"1000","cup"', '"9999","undetermined"'],
+    'food_portion.csv': [
+        '"id","fdc_id","seq_num","amount","measure_unit_id","portion_description","modifier","gram_weight","data_points","footnote","min_year_acquired"',
+        '"1","173944","2","1","9999","","cup, mashed","225","","",""',
+        '"2","173944","1","1","9999","","medium (7"" to 7-7/8"" long)","118","","",""',
+        '"3","168878","1","1","1000","","","185","","",""',
+        '"4","168880","1","1","1000","","","158","","",""',
+        '"5","172688","1","1","9999","","slice","32","","",""',
+        '"6","171287","1","1","9999","","large","50","","",""'
+    ]
+};
+
+describe('nutrition database', () => {
+    let dir;
+
+    beforeAll(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fdc-'));
+        for (const [file, lines] of Object.entries(FDC_CSV)) fs.writeFileSync(path.join(dir, file), lines.join('\n') + '\n');
+        foodDatabase.open(buildTable(await importFdcCsv(dir), 'fixture'));
+    });
+
+    afterAll(() => {
+        foodDatabase.open(null);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('CSV import keeps per-100 g nutrients and ordered portions, skipping branded foods', () => {
+        expect(parseCsvLine('"1","medium (7"" long)",,x')).toEqual(['1', 'medium (7" long)', '', 'x']);
+
+        const foods = foodDatabase.getTable().foods;
+        expect(foods.map(f => f.id)).toEqual([173944, 168878, 168880, 172688, 171287]);
+
+        const banana = foods[0];
+        expect(banana.per100g).toEqual({ kcal: 89, protein: 1.09, carbs: 22.84, fat: 0.33, fiber: 2.6 });
+        expect(banana.portions.map(p => p.label)).toEqual(['1 medium (7" to 7-7/8" long)', '1 cup, mashed']);
+
+        // Standard kcal wins over the Atwater figure
+        expect(foods[3].per100g.kcal).toBe(252);
+    });
+
+    test('lookups are fuzzy and scale to the amount eaten', () => {
+        expect(foodDatabase.lookup('banana')).toMatchObject({ id: 173944, grams: 118, calories: 105 });
+        expect(foodDatabase.lookup('bananna').id).toBe(173944);
+        expect(foodDatabase.lookup('2 slices whole wheat bread')).toMatchObject({ grams: 64, calories: 161 });
+        expect(foodDatabase.lookup('2 large eggs')).toMatchObject({ grams: 100, calories: 143 });
+        expect(foodDatabase.lookup('200g banana').calories).toBe(178);
+
+        // Cooked rice over raw, and a separate quantity is used when the item has none
+        expect(foodDatabase.lookup('rice', '1 cup')).toMatchObject({ id: 168880, grams: 158, calories: 205 });
+
+        expect(foodDatabase.lookup('pizza')).toBeNull();
+    });
+
+    test('estimators use the database before lookups or the LLM', async () => {
+        expect(estimate({ item: 'rice', quantity: '1 cup' })).toMatchObject({ calories: 205, protein: 4.3, carbs: 44.5, source: 'fdc' });
+        await expect(estimateCaloriesForItemAndSides('banana', '2 slices whole wheat bread')).resolves.toBe(266);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * LLM Pinch Schema Tests
+ * Coercion and rejection of pinch actions, the repair retry, and schema metrics
+ */
+/* eslint-env jest */
+
+const provider = require('../src/llm/provider');
+const { createFixtureBackend } = require('../src/llm/fixtureBackend');
+const { llmPinch } = require('../src/nlu/llmPinch');
+const { checkPinchOutput } = require('../src/nlu/pinchSchema');
+const { getReport, reset } = require('../src/nlu/metrics-v2');
+const { llmCache } = require('../src/nlu/cache');
+
+describe('pinch schema', () => {
+    test('equivalent values are coerced, impossible ones are reported and dropped', () => {
+        const { actions, problems } = checkPinchOutput({
+            actions: [
+                { intent: 'Symptom', slots: { symptom_type: 'heartburn', severity: 'severe', time: '14:00' }, confidence: '0.9' },
+                { intent: 'bm', slots: { bristol: 9 }, confidence: 0.8, missing: ['bristol', 'mood'] },
+                { intent: 'reflux', slots: { severity: 'very', item: 'pizza' } },
+                { intent: 'dance', slots: {} }
+            ]
+        });
+
+        expect(actions).toEqual([
+            { intent: 'symptom', slots: { symptom_type: 'reflux', severity: 9, time: '14:00' }, confidence: 0.9, missing: [] },
+            { intent: 'bm', slots: {}, confidence: 0.8, missing: ['bristol'] },
+            { intent: 'reflux', slots: {}, confidence: 0.5, missing: [] }
+        ]);
+        expect(problems).toEqual([
+            'bm.bristol 9 is invalid',
+            'reflux.severity "very" is invalid',
+            expect.stringMatching(/^intent "dance" is not one of/)
+        ]);
+    });
+
+    test('symptom types the rules path logs are kept, plurals included', () => {
+        const types = ['cramps', 'headache', 'headaches', 'bloating', 'gas', 'back pain', 'sunburn'];
+        const { actions, problems } = checkPinchOutput({
+            actions: types.map(symptom_type => ({ intent: 'symptom', slots: { symptom_type } }))
+        });
+
+        expect(actions.map(a => a.slots.symptom_type)).toEqual(['pain', 'headache', 'headache', 'bloating', 'bloat', 'back pain', undefined]);
+        expect(problems).toEqual(['symptom.symptom_type "sunburn" is invalid']);
+    });
+
+    describe('llmPinch', () => {
+        const fixtures = {
+            nlu_pinch: {
+                'rough bm': { actions: [{ intent: 'bm', slots: { bristol: 9 }, confidence: 0.7 }] },
+                'pizza then reflux': {
+                    actions: [
+                        { intent: 'food', slots: { item: 'pizza', meal_time: 'Dinner' }, confidence: 0.8 },
+                        { intent: 'reflux', slots: { severity: 'very' }, confidence: 0.6 }
+                    ]
+                },
+                // Repair requests arrive as the last user message
+                '*': { actions: [{ intent: 'bm', slots: { bristol: 6 }, confidence: 0.7 }] }
+            }
+        };
+
+        beforeEach(() => {
+            provider.setBackend(createFixtureBackend(fixtures));
+            llmCache.clear();
+            reset();
+        });
+
+        afterAll(() => provider.setBackend(undefined));
+
+        test('an invalid reply gets one repair attempt', async () => {
+            const actions = await llmPinch('rough bm');
+            expect(actions).toEqual([expect.objectContaining({ intent: 'bm', slots: { bristol: 6 } })]);
+            expect(getReport().schema).toMatchObject({ checked: 1, failed: 1, repaired: 1, rejected: 0, byProblem: {} });
+        });
+
+        test('what still fails after the repair is dropped and counted', async () => {
+            fixtures.nlu_pinch['*'] = fixtures.nlu_pinch['pizza then reflux'];
+
+            const actions = await llmPinch('pizza then reflux');
+            expect(actions.map(a => [a.intent, a.slots])).toEqual([
+                ['food', { item: 'pizza', meal_time: 'dinner' }],
+                ['reflux', {}]
+            ]);
+            expect(getReport().schema).toMatchObject({ failed: 1, repaired: 0, salvaged: 1, byProblem: { 'reflux.severity': 1 } });
+        });
+
+        describe('slow replies', () => {
+            const first = JSON.stringify(fixtures.nlu_pinch['pizza then reflux']);
+            const fixed = JSON.stringify({ actions: [{ intent: 'food', slots: { item: 'pizza' }, confidence: 0.8 }] });
+            const usage = { promptTokens: 10, completionTokens: 10 };
+            const wait = (ms, signal) => new Promise((resolve, reject) => {
+                const timer = setTimeout(resolve, ms);
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new Error('aborted'));
+                });
+            });
+            // The first reply is invalid; the repair (more than two messages) takes repairMs
+            const slowBackend = (repairMs) => ({
+                name: 'slow',
+                model: 'slow',
+                async chat({ messages, signal }) {
+                    const isRepair = messages.length > 2;
+                    await wait(isRepair ? repairMs : 500, signal);
+                    return { text: isRepair ? fixed : first, usage };
+                }
+            });
+
+            test('the repair gets its own timeout', async () => {
+                provider.setBackend(slowBackend(500));
+                const actions = await llmPinch('slow pizza');
+                expect(actions.map(a => a.slots)).toEqual([{ item: 'pizza' }]);
+                expect(getReport().schema).toMatchObject({ failed: 1, repaired: 1 });
+            });
+
+            test('a repair that times out falls back to the first reply', async () => {
+                provider.setBackend(slowBackend(5000));
+                const actions = await llmPinch('slower pizza');
+                expect(actions.map(a => a.intent)).toEqual(['food', 'reflux']);
+                expect(getReport().schema).toMatchObject({ failed: 1, repaired: 0, salvaged: 1, byProblem: { 'reflux.severity': 1 } });
+            });
+        });
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Saved Recipe Tests
+ * Ingredient lists valued per serving, and logged dishes resolved to recipes
+ */
+/* eslint-env jest */
+
+const foodDatabase = require('../src/nutrition/foodDatabase');
+const { parsePortion } = require('../src/nutrition/portionParser');
+const { estimateEntry } = require('../src/calories/estimateEntry');
+const { parseRecipeArgs, buildRecipe, recipeKey, applyRecipe, recipeSlots } = require('../src/nutrition/recipes');
+const { buildNotesFromParse } = require('../src/utils/notesBuild');
+const { rulesParse } = require('../src/nlu/rules-v2');
+
+const TABLE = {
+    source: 'fixture',
+    foods: [
+        {
+            id: 168878,
+            name: 'Rice, white, long-grain, regular, cooked',
+            dataType: 'sr_legacy_food',
+            per100g: { kcal: 130, protein: 2.7, carbs: 28.2, fat: 0.3 },
+            portions: [{ amount: 1, unit: 'cup', label: '1 cup', grams: 158 }]
+        },
+        {
+            id: 172385,
+            name: 'Chicken, broilers or fryers, thigh, meat only, raw',
+            dataType: 'sr_legacy_food',
+            per100g: { kcal: 121, protein: 19.7, carbs: 0, fat: 4.1 },
+            portions: []
+        }
+    ]
+};
+
+describe('recipes', () => {
+    let recipes;
+
+    beforeAll(async () => {
+        foodDatabase.open(TABLE);
+        const parsed = parseRecipeArgs('"Chicken Congee" 2 cups rice, 200 g chicken thigh, 1 cup whole milk; serves 4');
+        const recipe = await buildRecipe(parsed, { estimateEntry });
+        recipes = { [recipeKey(recipe.name)]: recipe };
+    });
+    afterAll(() => foodDatabase.open(null));
+
+    test('ingredients are valued through the estimator and split per serving', async () => {
+        const recipe = recipes['chicken congee'];
+        expect(recipe.ingredients.map(i => [i.item, i.calories, i.source])).toEqual([
+            ['rice', 411, 'db'],
+            ['chicken thigh', 242, 'db'],
+            ['whole milk', 148, 'brand']
+        ]);
+        // The milk comes from the brand table, which has no macros, so the dish reports none
+        expect(recipe.perServing).toEqual({ calories: 200, protein: null, carbs: null, fat: null, fiber: null, sugarAlcohols: null, sodium: null });
+        expect(recipe.tags).toEqual({ category: 'protein', dairy: true });
+        expect(recipe.unresolved).toEqual([]);
+
+        const bowl = await buildRecipe(parseRecipeArgs('"Rice bowl" 2 cups rice, 200 g chicken thigh; serves 2'), { estimateEntry });
+        expect(bowl.perServing).toMatchObject({ calories: 327, protein: 24, carbs: 44.6, fat: 4.6 });
+    });
+
+    test('"2 bowls of chicken congee" logs two servings with the ingredients in its notes', async () => {
+        const parse = { intent: 'food', confidence: 0.75, slots: { item: 'had 2 bowls', portion: '2 bowls', portion_g: 300 }, missing: [] };
+        expect(applyRecipe(parse, 'ate 2 bowls of chicken congee for dinner', recipes)).toBe(recipes['chicken congee']);
+        expect(parse.slots).toEqual({ item: 'Chicken Congee', portion: '2 servings' });
+
+        const estimate = await estimateEntry({ item: parse.slots.item, portion: parsePortion(parse.slots.portion), recipes });
+        expect(estimate).toMatchObject({ calories: 400, protein: null, source: 'recipe', confidence: 'high' });
+
+        Object.assign(parse.slots, recipeSlots(recipes['chicken congee']));
+        expect(buildNotesFromParse(parse)).toContain('category=protein; recipe=Chicken Congee; ingredients=rice|chicken thigh|whole milk; portion=2 servings; dairy');
+    });
+
+    test('in a multi-item meal only the part naming the recipe becomes it', () => {
+        const items = (result) => [result, ...result.meal_components].map(p => [p.intent, p.slots.item, p.slots.portion]);
+
+        const latte = rulesParse('had a latte and chicken congee', { tz: 'America/Los_Angeles' });
+        expect(applyRecipe(latte, 'had a latte and chicken congee', recipes)).toBe(recipes['chicken congee']);
+        expect(items(latte)).toEqual([['drink', 'latte', undefined], ['food', 'Chicken Congee', undefined]]);
+
+        const toast = rulesParse('toast and a bowl of chicken congee for breakfast', { tz: 'America/Los_Angeles' });
+        applyRecipe(toast, 'toast and a bowl of chicken congee for breakfast', recipes);
+        expect(items(toast)).toEqual([['food', 'toast', undefined], ['food', 'Chicken Congee', '1 serving']]);
+        expect(toast.meal_components[0].slots.meal_time).toBe('breakfast');
+
+        // A name the splitter cut in two folds into its first piece
+        const split = {
+            intent: 'food',
+            slots: { item: 'rice' },
+            meal_components: [
+                { intent: 'food', slots: { item: 'beans' }, missing: [] },
+                { intent: 'drink', slots: { item: 'coke' }, missing: [] }
+            ]
+        };
+        const riceAndBeans = { 'rice and beans': { ...recipes['chicken congee'], name: 'Rice and Beans' } };
+        applyRecipe(split, 'rice and beans, coke', riceAndBeans);
+        expect(items(split)).toEqual([['food', 'Rice and Beans', undefined], ['drink', 'coke', undefined]]);
+    });
+});
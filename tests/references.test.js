@@ -0,0 +1,66 @@
+/**
+ * Conversational Reference Tests
+ * "that made me bloated", "had it again" and "double it" resolve to what was just logged
+ */
+/* eslint-env jest */
+
+const references = require('../src/nlu/references');
+
+const message = { guildId: 'g1', channelId: 'c1', author: { id: 'u1' } };
+
+function log(type, item, slots, timestamp) {
+    references.remember(message, { type, item, slots: { item, ...slots }, timestamp });
+}
+
+describe('conversational references', () => {
+    beforeEach(() => references.forget(message));
+
+    test('pronoun follow-ups are detected, new meals and edits are not', () => {
+        expect(references.detectReference('That made me bloated!')).toEqual({ kind: 'cause', symptom: 'bloated', named: null });
+        expect(references.detectReference('the coffee gave me heartburn')).toMatchObject({ kind: 'cause', named: 'coffee' });
+        expect(references.detectReference('nauseous after that')).toMatchObject({ kind: 'cause', symptom: 'nauseous' });
+        expect(references.detectReference('had it again')).toEqual({ kind: 'repeat', named: null, mealTime: null });
+        expect(references.detectReference('had the latte again for lunch')).toEqual({ kind: 'repeat', named: 'latte', mealTime: 'lunch' });
+        expect(references.detectReference('same again').kind).toBe('repeat');
+        expect(references.detectReference('double it').kind).toBe('double');
+        expect(references.detectReference('same as yesterday').kind).toBe('yesterday');
+
+        expect(references.detectReference('had toast after that')).toBeNull();
+        expect(references.detectReference('actually that was 2 slices')).toBeNull();
+        expect(references.detectReference('had eggs for breakfast')).toBeNull();
+    });
+
+    test('a single recent item resolves directly to links and clones', () => {
+        log('food', 'pizza', { meal_time: 'dinner', sides: 'pepperoni' }, '2026-10-19T02:00:00.000Z');
+        log('symptom', 'bloat', { symptom_type: 'bloat' }, '2026-10-19T03:00:00.000Z');
+
+        const cause = references.resolveReferent({ kind: 'cause' }, references.recent(message));
+        expect(references.linkSlots(cause.entities)).toEqual({ linked_item: 'pizza', linked_row: '2026-10-19T02:00:00.000Z' });
+
+        const again = references.resolveReferent({ kind: 'repeat' }, references.recent(message));
+        expect(references.cloneResult(again.entities, { meal_time: 'lunch' })).toMatchObject({
+            intent: 'food',
+            slots: { item: 'pizza', sides: 'pepperoni', meal_time: 'lunch', cloned_from: '2026-10-19T02:00:00.000Z' },
+            meal_components: [],
+            missing: []
+        });
+    });
+
+    test('a multi-item meal is repeated whole but asked about for "it"', () => {
+        log('food', 'eggs', { meal_id: '20261019-1500' }, '2026-10-19T15:00:00.000Z');
+        log('food', 'toast', { meal_id: '20261019-1500', meal_part: 1 }, '2026-10-19T15:00:00.001Z');
+        log('drink', 'latte', { meal_id: '20261019-1500', meal_part: 2 }, '2026-10-19T15:00:00.002Z');
+        const recent = references.recent(message);
+
+        const clone = references.cloneResult(references.resolveReferent({ kind: 'repeat' }, recent).entities);
+        expect([clone.slots.item, ...clone.meal_components.map(c => c.slots.item)]).toEqual(['eggs', 'toast', 'latte']);
+        expect(clone.slots.meal_id).toBeUndefined();
+
+        const { options } = references.resolveReferent({ kind: 'cause' }, recent);
+        expect(options.map(o => o.label)).toEqual(['eggs', 'toast', 'latte', 'Whole meal']);
+        expect(references.linkSlots(options[3].entities)).toEqual({ linked_item: 'eggs + toast + latte' });
+
+        expect(references.resolveReferent({ kind: 'cause', named: 'the latte' }, recent).entities[0].item).toBe('latte');
+        expect(references.resolveReferent({ kind: 'cause', named: 'pizza' }, recent)).toBeNull();
+    });
+});
@@ -0,0 +1,212 @@
+/**
+ * Command Registry Tests
+ * Lookup by name and alias, argument parsing and validation, generated help,
+ * and the summary commands (!today, !week, !streak, !patterns) it dispatches to
+ */
+/* eslint-env jest */
+
+// The router's dialog store keeps a cleanup interval running; commands don't need it
+jest.mock('../src/dialogs/DialogManager', () => ({}));
+
+const registry = require('../src/commands/registry');
+const { SqliteSheetsService } = require('../services/sqliteSheets');
+const time = require('../src/utils/time');
+require('../src/router/handleMessage'); // registers the built-in commands
+
+const TZ = 'America/Los_Angeles';
+
+/**
+ * Minimal Discord message
+ */
+function message(content) {
+    return { content, author: { id: 'u1', username: 'ana', tag: 'ana#0001' }, reply: jest.fn() };
+}
+
+/**
+ * Text of the last reply (plain text, or an embed's title, description and fields)
+ */
+function lastReply(msg) {
+    const reply = msg.reply.mock.calls[msg.reply.mock.calls.length - 1][0];
+    if (typeof reply === 'string') return reply;
+    const { title, description, fields = [] } = reply.embeds[0].data;
+    return [title, description, ...fields.map(f => `${f.name}: ${f.value}`)].join('\n');
+}
+
+describe('command registry', () => {
+    const handler = jest.fn();
+
+    beforeAll(() => {
+        registry.register({
+            name: 'zap',
+            aliases: ['zp'],
+            category: 'Testing',
+            description: 'Zap something',
+            usage: '!zap <target> [power] [note...]',
+            examples: ['!zap reflux high'],
+            args: [
+                { name: 'target', required: true, help: 'What to zap' },
+                { name: 'power', choices: ['low', 'high'], default: 'low' },
+                { name: 'note', rest: true }
+            ],
+            handler
+        });
+        registry.register({ name: 'secret', description: 'Hidden', hidden: true, handler: jest.fn() });
+        registry.register({ name: 'boom', description: 'Always fails', handler: async () => { throw new Error('boom'); } });
+    });
+
+    beforeEach(() => handler.mockClear());
+
+    test('commands are found by name or alias, in any case', () => {
+        expect(registry.get('zap').name).toBe('zap');
+        expect(registry.get('ZP').name).toBe('zap');
+        expect(registry.get('nope')).toBeNull();
+        expect(() => registry.register({ name: 'broken' })).toThrow(/need a name and a handler/);
+    });
+
+    test('command lines split into name and arguments, with quotes grouping words', () => {
+        expect(registry.parseCommandLine('!Recipe add "chicken congee" rice')).toEqual({
+            name: 'recipe',
+            raw: 'add "chicken congee" rice',
+            list: ['add', 'chicken congee', 'rice']
+        });
+        expect(registry.parseCommandLine('/today')).toEqual({ name: 'today', raw: '', list: [] });
+    });
+
+    test('arguments are bound to the spec: defaults, choices and the rest of the line', async () => {
+        await registry.dispatch(message('!zp reflux'), '!zp reflux', {});
+        expect(handler.mock.calls[0][1]).toEqual({ raw: 'reflux', list: ['reflux'], named: { target: 'reflux', power: 'low' } });
+
+        await registry.dispatch(message('!zap reflux HIGH after pizza'), '!zap reflux HIGH after pizza', {});
+        expect(handler.mock.calls[1][1].named).toEqual({ target: 'reflux', power: 'high', note: 'after pizza' });
+
+        const missing = message('!zap');
+        await registry.dispatch(missing, '!zap', {});
+        expect(lastReply(missing)).toBe('❌ Missing `target`.\nUsage: `!zap <target> [power] [note...]`');
+
+        const invalid = message('!zap reflux max');
+        await registry.dispatch(invalid, '!zap reflux max', {});
+        expect(lastReply(invalid)).toMatch(/`max` isn't a valid power\. Options: low, high/);
+        expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    test('unknown commands get a suggestion and failing handlers a reply', async () => {
+        const typo = message('!zapp');
+        expect(await registry.dispatch(typo, '!zapp', {})).toBe(true);
+        expect(lastReply(typo)).toBe("🤔 I don't recognize `!zapp`. Did you mean `!zap`? Try `!help`.");
+
+        const failing = message('!boom');
+        await registry.dispatch(failing, '!boom', {});
+        expect(lastReply(failing)).toBe('❌ `!boom` failed. Please try again.');
+
+        expect(await registry.dispatch(message('!'), '!', {})).toBe(false);
+    });
+
+    test('help lists commands by category and describes one in detail', async () => {
+        const overview = registry.buildHelp().embeds[0].data;
+        const testing = overview.fields.find(f => f.name === 'Testing');
+        expect(testing.value).toBe('`!zap <target> [power] [note...]` — Zap something');
+        expect(overview.fields.find(f => f.name === 'Summaries').value).toMatch(/`!today` — Today's entries and totals/);
+        expect(overview.fields.map(f => f.value).join('\n')).not.toMatch(/secret/);
+
+        const detail = message('!zap help');
+        await registry.dispatch(detail, '!zap help', {});
+        expect(lastReply(detail)).toBe([
+            '!zap',
+            'Zap something',
+            '',
+            '**Usage:** `!zap <target> [power] [note...]`',
+            '• `target`: What to zap',
+            '• `power` (optional) — low, high',
+            '• `note` (optional)',
+            '**Aliases:** `!zp`',
+            '**Examples:** `!zap reflux high`'
+        ].join('\n'));
+        expect(handler).not.toHaveBeenCalled();
+
+        expect(registry.buildHelp('nope')).toBe('❓ No command called `nope`. Try `!help` for the full list.');
+    });
+});
+
+describe('summary commands', () => {
+    let store;
+    let deps;
+
+    /**
+     * Append a row at a wall time in TZ
+     */
+    async function add(tab, wallTime, row) {
+        const at = time.moment.tz(wallTime, TZ);
+        await store.appendRowToSheet(tab, { Timestamp: at.toISOString(), Date: at.format('YYYY-MM-DD'), User: 'ana#0001', Notes: '', ...row });
+    }
+
+    /**
+     * Run a command as the router would and return the reply text
+     */
+    async function run(text, tab = 'Peyton') {
+        deps.getLogSheetNameForUser = () => tab;
+        const msg = message(text);
+        await registry.dispatch(msg, text, deps);
+        return lastReply(msg);
+    }
+
+    beforeAll(async () => {
+        jest.useFakeTimers({ now: time.moment.tz('2025-01-15 12:00', TZ).toDate() });
+
+        store = new SqliteSheetsService(':memory:');
+        await store.initialize();
+        deps = { googleSheets: store, getUserProfile: async () => ({ prefs: { TZ } }) };
+
+        await add('Peyton', '2025-01-11 18:00', { Type: 'reflux', Item: 'reflux', Notes: 'severity=5' });
+        await add('Peyton', '2025-01-13 12:00', { Type: 'food', Item: 'pizza', Calories: 800 });
+        await add('Peyton', '2025-01-14 20:00', { Type: 'checkin', Item: 'no reflux', Notes: 'symptom_free' });
+        await add('Peyton', '2025-01-15 07:00', { Type: 'drink', Item: 'coffee', Calories: 5, Notes: 'deleted=true' });
+        await add('Peyton', '2025-01-15 08:00', { Type: 'food', Item: 'oatmeal', Calories: 300 });
+        await add('Peyton', '2025-01-15 08:05', { Type: 'drink', Item: 'latte', Calories: 150 });
+
+        // Pizza is followed by reflux an hour later; salad never is
+        for (const day of ['2025-01-08', '2025-01-10', '2025-01-12']) {
+            await add('Louis', `${day} 12:00`, { Type: 'food', Item: 'pizza' });
+            await add('Louis', `${day} 13:00`, { Type: 'reflux', Item: 'reflux', Notes: 'severity=4' });
+            await add('Louis', `${day} 18:00`, { Type: 'food', Item: 'salad' });
+        }
+    });
+
+    afterAll(() => {
+        store.close();
+        jest.useRealTimers();
+    });
+
+    test('!today lists today\'s entries with their calories and totals', async () => {
+        const reply = await run('!today');
+        expect(reply).toMatch(/^📅 Today — Wed Jan 15/);
+        expect(reply).toMatch(/`8:00 AM` 🍽️ oatmeal \(300 kcal\)\n`8:05 AM` 🥤 latte \(150 kcal\)/);
+        expect(reply).not.toMatch(/coffee/);
+        expect(reply).toMatch(/Totals: 🍽️ 1 {2}🥤 1\n🍽 Intake: 450 kcal/);
+    });
+
+    test('!week counts this week\'s entries, symptom-free days and average intake', async () => {
+        const reply = await run('!week');
+        expect(reply).toMatch(/^🗓 This Week — since Sun Jan 12/);
+        expect(reply).toMatch(/\*\*Entries\*\*: 4 across 3 days/);
+        expect(reply).toMatch(/\*\*Symptom-free days\*\*: 3 of 3/);
+        expect(reply).toMatch(/\*\*Avg intake\*\*: 625 kcal\/day \(2 days with calories\)/);
+    });
+
+    test('!streak counts symptom-free days back to the last symptom and consecutive logging days', async () => {
+        expect(await run('!streak')).toBe([
+            '🏁 **Symptom-free**: 4 days (milestones: 3)',
+            '✅ **Confirmed by check-in**: 1 of those days',
+            '📝 **Logging streak**: 3 days in a row',
+            'Last symptom: Sat Jan 11'
+        ].join('\n'));
+    });
+
+    test('!patterns needs three symptoms, then links foods to them', async () => {
+        expect(await run('!patterns')).toBe('🔍 Not enough data for patterns yet (1 symptom in 30 days). Keep tracking!');
+
+        const reply = await run('!patterns', 'Louis');
+        expect(reply).toMatch(/^🔍 Patterns — last 30 days/);
+        expect(reply).toMatch(/1\. .*pizza.* — 3 times, lift 2/i);
+        expect(reply).toMatch(/Symptoms typically show up \*\*60 min\*\* after eating/);
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Slash Command Tests
+ * Slash interactions become the equivalent text command, dispatched through
+ * the command registry with a message-shaped adapter
+ */
+/* eslint-env jest */
+
+const registry = require('../src/commands/registry');
+const { buildSlashCommands, handleSlashCommand, handleAutocomplete } = require('../src/commands/slash');
+
+/**
+ * Fake ChatInputCommandInteraction / AutocompleteInteraction
+ */
+function interaction(commandName, { subcommand = null, values = {}, focused = null } = {}) {
+    const i = {
+        id: 'i1',
+        commandName,
+        user: { id: 'u1', tag: 'ana#0001' },
+        guildId: 'g1',
+        channelId: 'c1',
+        deferred: false,
+        replied: false,
+        options: {
+            getSubcommand: () => subcommand,
+            getString: (name) => values[name] ?? null,
+            getInteger: (name) => values[name] ?? null,
+            getFocused: () => focused
+        },
+        deferReply: jest.fn(async () => { i.deferred = true; }),
+        editReply: jest.fn(async () => { i.replied = true; }),
+        followUp: jest.fn(),
+        reply: jest.fn(),
+        respond: jest.fn()
+    };
+    return i;
+}
+
+describe('slash commands', () => {
+    let dispatch;
+
+    beforeEach(() => {
+        dispatch = jest.spyOn(registry, 'dispatch').mockImplementation(async (message) => {
+            await message.reply('first');
+            await message.reply({ content: 'second' });
+            return true;
+        });
+    });
+
+    afterEach(() => {
+        dispatch.mockRestore();
+    });
+
+    test('every command has a definition', () => {
+        expect(buildSlashCommands().map(c => c.name)).toEqual(['log', 'chart', 'goal', 'dnd', 'timezone', 'export']);
+    });
+
+    test('/log food runs as !food with the meal preset, and replies fill the deferred response', async () => {
+        const i = interaction('log', { subcommand: 'food', values: { item: 'oatmeal', meal: 'breakfast' } });
+        await handleSlashCommand(i, {});
+
+        const [message, text] = dispatch.mock.calls[0];
+        expect(text).toBe('!food oatmeal for breakfast');
+        expect(message).toMatchObject({ content: text, author: { id: 'u1' }, channelId: 'c1', presetSlots: { meal_time: 'breakfast' } });
+
+        expect(i.deferReply).toHaveBeenCalled();
+        expect(i.editReply).toHaveBeenCalledWith({ content: 'first' });
+        expect(i.followUp).toHaveBeenCalledWith({ content: 'second' });
+    });
+
+    test('other commands map to their text form', async () => {
+        await handleSlashCommand(interaction('chart', { values: { type: 'reflux', period: '7d' } }), {});
+        await handleSlashCommand(interaction('log', { subcommand: 'bm', values: { bristol: 4 } }), {});
+        await handleSlashCommand(interaction('export', {}), {});
+        expect(dispatch.mock.calls.map(call => call[1])).toEqual(['!chart reflux 7d', '!bm bristol 4', '!export']);
+        expect(dispatch.mock.calls[1][0].presetSlots).toEqual({ bristol: '4' });
+
+        const unknown = interaction('dance');
+        await handleSlashCommand(unknown, {});
+        expect(unknown.reply).toHaveBeenCalledWith({ content: '❓ Unknown command.', ephemeral: true });
+        expect(dispatch).toHaveBeenCalledTimes(3);
+    });
+
+    test('timezone autocomplete suggests matching zone names', async () => {
+        const i = interaction('timezone', { focused: { name: 'zone', value: 'new_york' } });
+        await handleAutocomplete(i, {});
+        expect(i.respond).toHaveBeenCalledWith([{ name: 'America/New_York', value: 'America/New_York' }]);
+    });
+});
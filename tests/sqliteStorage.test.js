@@ -0,0 +1,80 @@
+/**
+ * SQLite Storage Backend Tests
+ * Exercises the GoogleSheetsService API against the local SQLite backend
+ */
+/* eslint-env jest */
+
+const { SqliteSheetsService } = require('../services/sqliteSheets');
+const { getUserProfile, updateUserProfile } = require('../services/userProfile');
+
+describe('SqliteSheetsService', () => {
+    let store;
+
+    beforeEach(async () => {
+        store = new SqliteSheetsService(':memory:');
+        await store.initialize();
+    });
+
+    afterEach(() => {
+        store.close();
+    });
+
+    test('creates the default tabs with headers', async () => {
+        expect(await store.getHeadersFor('Peyton')).toEqual(store.columnSchema);
+        expect(await store.getHeadersFor('User_Profiles')).toEqual(['UserID', 'ProfileJSON', 'LastUpdated']);
+    });
+
+    test('appends, reads and updates rows by header name', async () => {
+        const appended = await store.appendRowToSheet('Peyton', {
+            Timestamp: '2025-01-15T08:00:00.000Z',
+            Date: '2025-01-15',
+            User: 'peyton#0001',
+            Type: 'food',
+            Item: 'oatmeal',
+            Calories: 150,
+            Notes: 'meal=breakfast',
+            mood: 'good'
+        });
+        expect(appended).toMatchObject({ success: true, rowNumber: '2' });
+
+        const { success, rows } = await store.getRows({}, 'Peyton');
+        expect(success).toBe(true);
+        expect(rows).toHaveLength(1);
+        expect(rows[0]).toMatchObject({ Item: 'oatmeal', Calories: '150', Notes: 'meal=breakfast; mood=good' });
+        expect(rows[0]._rawData.rowIndex).toBe(1);
+
+        await store.updateRow('Peyton', 2, { Calories: 300 });
+        const after = await store.getRows({ type: 'food' }, 'Peyton');
+        expect(after.rows[0].Calories).toBe('300');
+    });
+
+    test('filters rows by user and date', async () => {
+        await store.appendRowToSheet('General', { Date: '2025-01-14', User: 'a#1', Type: 'food', Item: 'rice' });
+        await store.appendRowToSheet('General', { Date: '2025-01-15', User: 'a#1', Type: 'food', Item: 'eggs' });
+        await store.appendRowToSheet('General', { Date: '2025-01-15', User: 'b#2', Type: 'drink', Item: 'tea' });
+
+        const { rows } = await store.getRows({ user: 'a#1', date: '2025-01-15' }, 'General');
+        expect(rows.map(r => r.Item)).toEqual(['eggs']);
+    });
+
+    test('executeQuery filters and aggregates', async () => {
+        await store.appendRowToSheet('Peyton', { Type: 'food', Item: 'coffee', Calories: 5 });
+        await store.appendRowToSheet('Peyton', { Type: 'food', Item: 'bagel', Calories: 280 });
+
+        const sum = await store.executeQuery('Peyton', {
+            filters: [{ column: 'type', operator: 'eq', value: 'food' }],
+            aggregation: { type: 'sum', column: 'calories' }
+        });
+        expect(sum.data.result).toBe(285);
+    });
+
+    test('userProfile round-trips through the raw values API', async () => {
+        await updateUserProfile('123', { dailyGoal: 2100, prefs: { TZ: 'America/New_York' } }, store);
+        const { rows } = await store.getRows({}, 'User_Profiles');
+        expect(rows[0].UserID).toBe('123');
+        expect(JSON.parse(rows[0].ProfileJSON).dailyGoal).toBe(2100);
+
+        const profile = await getUserProfile('123', store);
+        expect(profile.dailyGoal).toBe(2100);
+    });
+});
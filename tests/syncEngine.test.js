@@ -0,0 +1,163 @@
+/**
+ * Sync Engine Tests
+ * Mirrors a local SQLite store against a second SQLite store standing in for Google Sheets
+ */
+/* eslint-env jest */
+
+const { SqliteSheetsService } = require('../services/sqliteSheets');
+const { SyncedSheetsService } = require('../services/syncedSheets');
+const { HEALTH_HEADERS } = require('../src/constants/sheets');
+
+const entry = (ts, item, notes = '') => ({
+    Timestamp: ts,
+    Date: ts.slice(0, 10),
+    User: 'peyton#0001',
+    Type: 'food',
+    Item: item,
+    Notes: notes
+});
+
+describe('SyncEngine', () => {
+    let remote;
+    let local;
+
+    const setup = async (policy) => {
+        remote = new SqliteSheetsService(':memory:');
+        await remote.initialize();
+        local = new SyncedSheetsService({ dbPath: ':memory:', remote, tabs: ['Peyton'], policy });
+        await local.initialize();
+    };
+
+    const items = async (store) => (await store.getRows({}, 'Peyton')).rows.map(r => r.Item);
+
+    afterEach(() => {
+        local.close();
+        remote.close();
+    });
+
+    test('pushes local rows and pulls hand edits from Sheets', async () => {
+        await setup();
+        await local.appendRowToSheet('Peyton', entry('2025-01-15T08:00:00.000Z', 'oatmeal'));
+        await remote.appendRowToSheet('Peyton', entry('2025-01-15T12:00:00.000Z', 'rice bowl'));
+
+        await local.sync.syncAll();
+        expect((await items(remote)).sort()).toEqual(['oatmeal', 'rice bowl']);
+        expect((await items(local)).sort()).toEqual(['oatmeal', 'rice bowl']);
+
+        // Hand edit in Sheets flows back without touching the local-only change
+        const remoteRow = (await remote.getRows({}, 'Peyton')).rows.find(r => r.Item === 'oatmeal');
+        await remote.updateRow('Peyton', remoteRow._rawData.rowIndex + 1, { Item: 'steel-cut oats' });
+
+        const result = await local.sync.syncTab('Peyton');
+        expect(result).toMatchObject({ ok: true, pulled: 1, conflicts: 0 });
+        expect((await items(local)).sort()).toEqual(['rice bowl', 'steel-cut oats']);
+    });
+
+    test('mirrors deletions made in Sheets', async () => {
+        await setup();
+        await local.appendRowToSheet('Peyton', entry('2025-01-15T08:00:00.000Z', 'oatmeal'));
+        await local.appendRowToSheet('Peyton', entry('2025-01-15T09:00:00.000Z', 'coffee'));
+        await local.sync.syncAll();
+
+        // Row 3 ("coffee") removed by hand in the spreadsheet
+        await remote.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: remote.spreadsheetId,
+            resource: {
+                requests: [{
+                    deleteDimension: {
+                        range: { sheetId: await remote.getSheetIdByName('Peyton'), dimension: 'ROWS', startIndex: 2, endIndex: 3 }
+                    }
+                }]
+            }
+        });
+        await local.sync.syncAll();
+
+        expect(await items(local)).toEqual(['oatmeal']);
+    });
+
+    test('queues writes while Sheets is unreachable and replays them', async () => {
+        await setup();
+        const api = remote.sheets.spreadsheets.values;
+        const realGet = api.get;
+        api.get = async () => { throw Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }); };
+
+        await local.appendRowToSheet('Peyton', entry('2025-01-15T08:00:00.000Z', 'oatmeal'));
+        const offline = await local.sync.flushOutbox();
+        expect(offline.pending).toBe(1);
+        expect(local.sync.getStatus().lastError).toMatch(/ENOTFOUND/);
+
+        api.get = realGet;
+        const online = await local.sync.flushOutbox();
+        expect(online.pending).toBe(0);
+        expect(await items(remote)).toEqual(['oatmeal']);
+    });
+
+    test('an outbox flush waits for an interval pass instead of pushing alongside it', async () => {
+        await setup();
+        await local.appendRowToSheet('Peyton', entry('2025-01-15T08:00:00.000Z', 'oatmeal'));
+
+        const syncTab = local.sync.syncTab.bind(local.sync);
+        let inFlight = 0;
+        let maxInFlight = 0;
+        local.sync.syncTab = async (tab) => {
+            maxInFlight = Math.max(maxInFlight, ++inFlight);
+            try {
+                return await syncTab(tab);
+            } finally {
+                inFlight--;
+            }
+        };
+
+        await Promise.all([local.sync.syncAll(), local.sync.flushOutbox(), local.sync.syncAll()]);
+        expect(maxInFlight).toBe(1);
+        expect(await items(remote)).toEqual(['oatmeal']);
+    });
+
+    test.each([
+        ['sheets', 'remote edit', 'meal=lunch'],
+        ['local', 'local edit', 'meal=dinner'],
+        ['merge', 'remote edit', 'meal=lunch; severity=2']
+    ])('resolves rows edited on both sides with the %s policy', async (policy, expectedItem, expectedNotes) => {
+        await setup(policy);
+        await local.appendRowToSheet('Peyton', entry('2025-01-15T08:00:00.000Z', 'oatmeal', 'meal=breakfast'));
+        await local.sync.syncAll();
+
+        await remote.updateRow('Peyton', 2, { Item: 'remote edit', Notes: 'meal=lunch' });
+        await local.updateRow('Peyton', 2, policy === 'merge'
+            ? { Notes: 'meal=breakfast; severity=2' }
+            : { Item: 'local edit', Notes: 'meal=dinner' });
+
+        const result = await local.sync.syncTab('Peyton');
+        expect(result.conflicts).toBe(1);
+
+        for (const store of [local, remote]) {
+            const [row] = (await store.getRows({}, 'Peyton')).rows;
+            expect(row.Item).toBe(expectedItem);
+            expect(row.Notes).toBe(expectedNotes);
+        }
+        expect(local.sync.getLog(1)[0].decision).toBe(`conflict:${policy}`);
+    });
+
+    test('matches health rows by Date on any member\'s health tab', async () => {
+        remote = new SqliteSheetsService(':memory:');
+        await remote.initialize();
+        await remote.ensureSheetAndHeaders('Health_Sam', HEALTH_HEADERS);
+        local = new SyncedSheetsService({ dbPath: ':memory:', remote, tabs: ['Health_Sam'] });
+        await local.initialize();
+        await local.ensureSheetAndHeaders('Health_Sam', HEALTH_HEADERS);
+
+        await local.appendRowToSheet('Health_Sam', { Date: '2025-01-15', Total_kcal: 2100, Steps: 8000, Source: 'watch' });
+        await local.sync.syncAll();
+
+        // The same day edited on both sides is one row in conflict, not two different rows
+        await remote.updateRow('Health_Sam', 2, { Steps: 9500 });
+        await local.updateRow('Health_Sam', 2, { Total_kcal: 2300 });
+        const result = await local.sync.syncTab('Health_Sam');
+        expect(result.conflicts).toBe(1);
+
+        for (const store of [local, remote]) {
+            const { rows } = await store.getRows({}, 'Health_Sam');
+            expect(rows.map(r => [r.Date, String(r.Steps)])).toEqual([['2025-01-15', '9500']]);
+        }
+    });
+});
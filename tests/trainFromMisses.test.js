@@ -0,0 +1,61 @@
+/**
+ * Miss Mining Tests
+ * Miss log round-trip (corrections joined onto misses) and ontology proposals
+ */
+/* eslint-env jest */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const missLog = require('../src/nlu/missLog');
+const { mineMisses, buildOntologyPatch } = require('../scripts/trainFromMisses');
+
+const rejected = () => ({ intent: 'other', confidence: 0.3, slots: {}, missing: [], decision: 'rejected' });
+
+describe('trainFromMisses', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'misses-'));
+        file = path.join(dir, 'nlu-misses.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('only misses are logged, and a later correction is joined onto its miss', () => {
+        const strict = { intent: 'food', confidence: 0.9, slots: { item: 'toast' }, missing: [], decision: 'strict' };
+        missLog.recordMiss({ text: 'toast', userId: 'u1', rules: strict, final: strict }, file);
+        missLog.recordMiss({ text: 'Shakshuka', userId: 'u1', rules: rejected(), final: rejected() }, file);
+        missLog.recordMiss({ text: 'shakshuka', userId: 'u2', rules: rejected(), final: rejected() }, file);
+        missLog.recordCorrection('u1', 'shakshuka ', { intent: 'food', slots: { item: 'shakshuka' } }, file);
+
+        const misses = missLog.readMisses({ filePath: file });
+        expect(misses.map(m => [m.userId, m.correction?.intent ?? null])).toEqual([['u1', 'food'], ['u2', null]]);
+    });
+
+    test('clusters resolved misses into ontology additions and a patch that adds them', () => {
+        const miss = (text, userId, correction, final = { intent: 'other', slots: {} }, decision = 'rejected') =>
+            ({ kind: 'miss', text, userId, decision, rules: {}, final, correction });
+        const llmDrink = { intent: 'drink', slots: { item: 'hojicha' } };
+
+        const { suggestions, unresolved, stats } = mineMisses([
+            miss('had shakshuka', 'u1', { intent: 'food', slots: { item: 'shakshuka' } }),
+            miss('shakshuka', 'u2', { intent: 'food', slots: { item: 'shakshuka' } }),
+            miss('drank hojicha', 'u1', null, llmDrink, 'rescued_llm'),
+            miss('hojicha', 'u1', null, llmDrink, 'rescued_llm'),
+            miss('blorp', 'u1', null)
+        ], { minCount: 2 });
+
+        expect(stats).toMatchObject({ misses: 5, corrected: 2, llmResolved: 2, unresolved: 1 });
+        expect(unresolved).toEqual([{ phrase: 'blorp', count: 1 }]);
+        expect(suggestions.map(s => `${s.list}:${s.term}`).sort()).toEqual(['BEVERAGES.other:hojicha', 'HEAD_NOUNS:shakshuka', 'MINIMAL_CORE_FOODS:shakshuka']);
+
+        const patch = buildOntologyPatch(suggestions);
+        expect(patch).toMatch(/^--- a\/src\/nlu\/ontology-v2\.js/);
+        expect(patch).toMatch(/\n\+\s+'shakshuka'\n/);
+        expect(patch).toMatch(/\n\+\s+other: \[.*'kombucha', 'hojicha'\]/);
+    });
+});
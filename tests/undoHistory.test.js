@@ -0,0 +1,152 @@
+/**
+ * Undo History Tests
+ * Soft-delete undo/redo/restore against the local SQLite backend
+ */
+/* eslint-env jest */
+
+const { SqliteSheetsService } = require('../services/sqliteSheets');
+const history = require('../src/utils/undoHistory');
+const { hasDeleted } = require('../src/utils/notes');
+const { handleUxButton } = require('../src/handlers/uxButtons');
+const { handleTrash, handleRestore } = require('../src/commands/undo');
+
+const TAB = 'General';
+
+/**
+ * Append a row and record it as a log operation
+ */
+async function logRow(store, userId, user, item, timestamp) {
+    await store.appendRowToSheet(TAB, { Timestamp: timestamp, Date: timestamp.slice(0, 10), User: user, Type: 'food', Item: item, Notes: 'notes_v=2.1; meal=lunch' });
+    history.record(userId, { type: 'log', sheetName: TAB, timestamp, label: `food - ${item}` });
+}
+
+async function liveItems(store) {
+    const { rows } = await store.getRows({}, TAB);
+    return rows.filter(r => !hasDeleted(r.Notes)).map(r => r.Item);
+}
+
+describe('undoHistory', () => {
+    let store;
+    let deps;
+
+    beforeEach(async () => {
+        store = new SqliteSheetsService(':memory:');
+        await store.initialize();
+        deps = { googleSheets: store, getLogSheetNameForUser: () => TAB };
+    });
+
+    afterEach(() => {
+        store.close();
+    });
+
+    test('undo soft-deletes the exact logged row even when others logged after it', async () => {
+        await logRow(store, 'u1', 'ana', 'toast', '2025-01-15T08:00:00.000Z');
+        await logRow(store, 'u2', 'ben', 'eggs', '2025-01-15T08:05:00.000Z');
+
+        const result = await history.undo('u1', deps);
+        expect(result).toMatchObject({ success: true, message: 'Removed: food - toast' });
+        expect(await liveItems(store)).toEqual(['eggs']);
+
+        const { rows } = await store.getRows({}, TAB);
+        expect(rows).toHaveLength(2);
+        expect(rows[0].Notes).toMatch(/deleted=true/);
+    });
+
+    test('redo re-applies and a new operation clears the redo stack', async () => {
+        await logRow(store, 'u3', 'ana', 'toast', '2025-01-15T08:00:00.000Z');
+
+        await history.undo('u3', deps);
+        expect(await liveItems(store)).toEqual([]);
+
+        expect((await history.redo('u3', deps)).success).toBe(true);
+        expect(await liveItems(store)).toEqual(['toast']);
+
+        await history.undo('u3', deps);
+        await logRow(store, 'u3', 'ana', 'soup', '2025-01-15T12:00:00.000Z');
+        expect(await history.redo('u3', deps)).toMatchObject({ success: false, message: 'Nothing to redo.' });
+    });
+
+    test('undo with no history removes the newest live row for that user', async () => {
+        await store.appendRowToSheet(TAB, { Timestamp: '2025-01-15T08:00:00.000Z', User: 'ana', Type: 'food', Item: 'toast', Notes: '' });
+        await store.appendRowToSheet(TAB, { Timestamp: '2025-01-15T09:00:00.000Z', User: 'ben', Type: 'food', Item: 'eggs', Notes: '' });
+
+        const result = await history.undo('u4', deps, 'ana');
+        expect(result.success).toBe(true);
+        expect(await liveItems(store)).toEqual(['eggs']);
+    });
+
+    test('listDeleted returns deleted rows newest first and restore brings them back', async () => {
+        await logRow(store, 'u5', 'ana', 'toast', '2025-01-15T08:00:00.000Z');
+        await logRow(store, 'u5', 'ana', 'eggs', '2025-01-15T08:05:00.000Z');
+        await history.undo('u5', deps);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await history.undo('u5', deps);
+
+        const trash = await history.listDeleted(store, TAB);
+        expect(trash.map(r => r.Item)).toEqual(['toast', 'eggs']);
+
+        await history.restore(store, TAB, trash[1]._rawData.rowIndex + 1, trash[1]);
+        expect(await liveItems(store)).toEqual(['eggs']);
+        expect((await store.getRows({}, TAB)).rows[1].Notes).toBe('notes_v=2.1; meal=lunch');
+    });
+
+    test('!restore n restores the row numbered n in the last !trash listing', async () => {
+        // Deleted yesterday, then one a day from 15 to 29 days ago
+        for (const daysAgo of [1, ...Array.from({ length: 15 }, (_, i) => 15 + i)]) {
+            const at = new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString();
+            await store.appendRowToSheet(TAB, { Timestamp: at, User: 'ana', Type: 'food', Item: `item${daysAgo}`, Notes: `deleted=true; deleted_at=${at}` });
+        }
+        const message = { author: { id: 'u9', tag: 'ana' }, reply: jest.fn() };
+
+        await handleTrash(message, '30', deps);
+        expect(message.reply).toHaveBeenLastCalledWith(expect.stringMatching(/`2\.` .*item15[\s\S]*…and 1 more/));
+
+        // Only 15 were listed
+        await handleRestore(message, '16', deps);
+        expect(message.reply).toHaveBeenLastCalledWith("❌ There's no entry 16 in `!trash`.");
+
+        // Entry 2 is from outside the default 14-day window, but it's what was listed
+        await handleRestore(message, '2', deps);
+        expect(message.reply).toHaveBeenLastCalledWith('♻️ Restored: food - item15');
+        expect(await liveItems(store)).toEqual(['item15']);
+
+        await handleRestore(message, '2', deps);
+        expect(message.reply).toHaveBeenLastCalledWith(expect.stringMatching(/Entry 2 isn't in the trash anymore/));
+    });
+
+    describe('multi-item meals', () => {
+        const MEAL = ['2025-01-15T08:00:00.000Z', '2025-01-15T08:00:00.001Z', '2025-01-15T08:00:00.002Z'];
+
+        beforeEach(async () => {
+            await store.appendRowToSheet(TAB, { Timestamp: '2025-01-15T07:00:00.000Z', User: 'ana', Type: 'drink', Item: 'water', Notes: '' });
+            for (const [i, item] of ['eggs', 'toast', 'latte'].entries()) {
+                await store.appendRowToSheet(TAB, { Timestamp: MEAL[i], User: 'ana', Type: 'food', Item: item, Notes: 'meal_id=20250115-0800-1001' });
+            }
+        });
+
+        test('!undo and !redo remove and bring back every row of the meal', async () => {
+            history.record('u6', { type: 'log', sheetName: TAB, timestamp: MEAL[0], timestamps: MEAL, label: 'meal - eggs, toast, latte' });
+
+            expect(await history.undo('u6', deps)).toMatchObject({ success: true, message: 'Removed: meal - eggs, toast, latte' });
+            expect(await liveItems(store)).toEqual(['water']);
+
+            expect((await history.redo('u6', deps)).success).toBe(true);
+            expect(await liveItems(store)).toEqual(['water', 'eggs', 'toast', 'latte']);
+        });
+
+        test('the Undo chip removes the whole meal and !undo restores it', async () => {
+            const interaction = {
+                customId: `ux:undo:${TAB}:3`,
+                user: { id: 'u7' },
+                reply: jest.fn(),
+                message: null
+            };
+            await handleUxButton(interaction, deps);
+            expect(interaction.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringMatching(/undone/) }));
+            expect(await liveItems(store)).toEqual(['water']);
+
+            expect(await history.undo('u7', deps)).toMatchObject({ success: true, message: 'Restored: meal - eggs, toast, latte' });
+            expect(await liveItems(store)).toEqual(['water', 'eggs', 'toast', 'latte']);
+        });
+    });
+});
@@ -0,0 +1,51 @@
+/**
+ * Vocabulary Spell Correction Tests
+ * Corrections come from the shared food vocabulary plus the user's own logged items
+ */
+/* eslint-env jest */
+
+const vocabulary = require('../src/nlu/vocabulary');
+const { correctWithVocabulary, revertCorrections } = require('../src/utils/spell');
+const { rulesParse } = require('../src/nlu/rules-v2');
+const { buildPostLogChips } = require('../src/ui/chips');
+
+const correct = (text, userId) => correctWithVocabulary(text, vocabulary.vocabularyFor(userId));
+
+describe('vocabulary spell correction', () => {
+    beforeEach(() => vocabulary.resetUser('u1'));
+
+    test('typos of known foods are corrected; real words, inflections and symptoms are not', () => {
+        expect(correct('chiken salad, cofee')).toEqual({
+            corrected: 'chicken salad, coffee',
+            corrections: [{ original: 'chiken', corrected: 'chicken' }, { original: 'cofee', corrected: 'coffee' }]
+        });
+        expect(correct('scrambled eggs and greek yogurt').corrections).toEqual([]);
+        expect(correct('pepperoni pizza').corrections).toEqual([]);
+        expect(correct('bloated and nauseous this morning').corrections).toEqual([]);
+        expect(correct('pooped, loose').corrections).toEqual([]);
+    });
+
+    test("the user's logged items join the vocabulary, weighted by how often they were logged", () => {
+        expect(correct('shakshukka', 'u1').corrections).toEqual([]);
+        vocabulary.recordItem('u1', 'shakshuka');
+        expect(correct('shakshukka', 'u1').corrected).toBe('shakshuka');
+
+        // A looser near-miss is only corrected to a word the user logs often
+        expect(correct('yougurt', 'u1').corrections).toEqual([]);
+        vocabulary.recordItem('u1', 'greek yogurt', 12);
+        expect(correct('yougurt', 'u1').corrected).toBe('yogurt');
+
+        // Another user's vocabulary is unaffected
+        expect(correct('shakshukka', 'u2').corrections).toEqual([]);
+    });
+
+    test('parsed items keep the typed spelling for display and the revert chip', () => {
+        const result = rulesParse('chiken, rice and cofee for dinner', { tz: 'America/Los_Angeles' });
+        const items = [result.slots.item, ...result.meal_components.map(c => c.slots.item)].join(', ');
+        expect(items).toBe('chicken, rice, coffee');
+        expect(revertCorrections(items, result.meta.spellingCorrected)).toBe('chiken, rice, cofee');
+
+        const [row] = buildPostLogChips({ undoId: 'Peyton:5', intent: 'food', correctedFrom: { original: 'chiken', timestamp: '2026-10-19T18:00:00.000Z' } });
+        expect(row.components.map(c => c.data.custom_id)).toContain('ux:spell:2026-10-19T18:00:00.000Z');
+    });
+});